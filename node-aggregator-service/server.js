@@ -20,17 +20,38 @@ const env = require('./lib/parse-env.js')('agg')
 const _ = require('lodash')
 const amqp = require('amqplib')
 const MerkleTools = require('merkle-tools')
-const crypto = require('crypto')
 const uuidv1 = require('uuid/v1')
 const connections = require('./lib/connections.js')
 const utils = require('./lib/utils.js')
+const treeHash = require('./lib/tree-hash.js')
 
 // An array of all hashes needing to be processed.
 // Will be filled as new hashes arrive on the queue.
+// Every hash in this buffer remains unacked until its tree has been queued for the
+// proof state service, so the broker retains it should this process exit unexpectedly.
 let HASHES = []
 
+// Set while an aggregation is in progress to prevent overlapping aggregations
+// when building several trees takes longer than AGGREGATION_INTERVAL
+let AGGREGATING = false
+
+// Set once a shutdown has begun, no new hashes will be accepted after this point
+let SHUTTING_DOWN = false
+
+// The consumer tag used for the hash consumer, allowing consumption to be cancelled on shutdown
+const CONSUMER_TAG = `aggregator-${uuidv1()}`
+
+// Counters reported and reset each time backlog metrics are reported
+let METRICS = { treesBuilt: 0, hashesAggregated: 0, largestTree: 0 }
+
+// The hash algorithm used for leaf preparation and tree construction, selected per deployment
+const treeHashAlgorithm = treeHash.getTreeHashAlgorithm(env.TREE_HASH_ALGORITHM)
+
 // The merkle tools object for building trees and generating proof paths
-const merkleTools = new MerkleTools()
+const merkleTools = new MerkleTools({ hashType: treeHashAlgorithm.merkleToolsHashType })
+
+// The beacon tag for NIST data queued without a nist_type, as by API instances predating beacon types
+const DEFAULT_NIST_TYPE = 'nistv2'
 
 // The channel used for all amqp communication
 // This value is set once the connection has been established
@@ -38,21 +59,68 @@ var amqpChannel = null
 
 function consumeHashMessage (msg) {
   if (msg !== null) {
+    // hashes arriving after a shutdown has begun are returned to the queue for another instance
+    if (SHUTTING_DOWN) {
+      amqpChannel.nack(msg)
+      return
+    }
+
     let hashObj = JSON.parse(msg.content.toString())
 
     // add msg to the hash object so that we can ack it during the aggregateAsync process
     hashObj.msg = msg
+    hashObj.receivedAt = Date.now()
     HASHES.push(hashObj)
   }
 }
 
-// Take work off of the HASHES array and build Merkle tree
+/**
+ * Determines the size of each tree to build from the current backlog
+ *
+ * A backlog no larger than HASHES_PER_MERKLE_TREE is aggregated into a single tree.
+ * A larger backlog is split evenly across as many trees as are needed, up to
+ * MAX_MERKLE_TREES_PER_INTERVAL, so that trees grow with the depth of the backlog
+ * rather than leaving a small remainder tree behind each full one.
+ *
+ * @param {number} backlogCount - The number of hashes awaiting aggregation
+ * @returns {number[]} An array of tree sizes, in the order the trees should be built
+ */
+function getTreeSizes (backlogCount) {
+  let maxTreeSize = parseInt(env.HASHES_PER_MERKLE_TREE)
+  let maxTrees = parseInt(env.MAX_MERKLE_TREES_PER_INTERVAL)
+
+  let hashCount = Math.min(backlogCount, maxTreeSize * maxTrees)
+  if (hashCount < 1) return []
+
+  let treeCount = Math.ceil(hashCount / maxTreeSize)
+  let baseTreeSize = Math.floor(hashCount / treeCount)
+  let remainder = hashCount % treeCount
+
+  return _.times(treeCount, (index) => baseTreeSize + (index < remainder ? 1 : 0))
+}
+
+// Take work off of the HASHES array and build as many Merkle trees as the backlog requires
 let aggregateAsync = async () => {
   // if the amqp channel is null (closed), processing should not continue, defer to next aggregateAsync call
   if (amqpChannel === null) return
+  // an aggregation is already in progress, this backlog will be picked up by the next aggregateAsync call
+  if (AGGREGATING) return
 
-  let hashesForTree = HASHES.splice(0, env.HASHES_PER_MERKLE_TREE)
+  AGGREGATING = true
+  try {
+    let treeSizes = getTreeSizes(HASHES.length)
+    for (let treeSize of treeSizes) {
+      // stop building trees if the channel closed while a previous tree was being queued
+      if (amqpChannel === null) break
+      await aggregateTreeAsync(HASHES.splice(0, treeSize))
+    }
+  } finally {
+    AGGREGATING = false
+  }
+}
 
+// Build a single Merkle tree from hashesForTree and queue the results for the proof state service
+async function aggregateTreeAsync (hashesForTree) {
   // create merkle tree only if there is at least one hash to process
   if (hashesForTree.length > 0) {
     // Collect and store the aggregation id, Merkle root, and proofs in a state object to send to state service
@@ -66,12 +134,12 @@ let aggregateAsync = async () => {
       let leaves = hashesForTree.map((hashObj) => {
         let hashIdBuffer = Buffer.from(`core_id:${hashObj.hash_id}`, 'utf8')
         let hashBuffer = Buffer.from(hashObj.hash, 'hex')
-        let concatAndHashBuffer = crypto.createHash('sha256').update(Buffer.concat([hashIdBuffer, hashBuffer])).digest()
+        let concatAndHashBuffer = treeHashAlgorithm.hash(Buffer.concat([hashIdBuffer, hashBuffer]))
 
         if (hashObj.nist) { // add a concat and hash operation embedding NIST data into proof path
-          let nistDataString = (`nistv2:${hashObj.nist}`)
+          let nistDataString = getNistDataString(hashObj)
           let nistDataBuffer = Buffer.from(nistDataString, 'utf8')
-          return crypto.createHash('sha256').update(Buffer.concat([nistDataBuffer, concatAndHashBuffer])).digest('hex')
+          return treeHashAlgorithm.hash(Buffer.concat([nistDataBuffer, concatAndHashBuffer])).toString('hex')
         } else { // no NIST data is available, return only the addition of the hashId
           return concatAndHashBuffer
         }
@@ -91,9 +159,9 @@ let aggregateAsync = async () => {
         proofDataItem.hash = hashItem.hash
         let proof = merkleTools.getProof(index)
         // only add the NIST item to the proof path if it was available and used in the tree calculation
-        if (hashItem.nist) proof.unshift({ left: `nistv2:${hashItem.nist}` })
+        if (hashItem.nist) proof.unshift({ left: getNistDataString(hashItem) })
         proof.unshift({ left: `core_id:${hashItem.hash_id}` })
-        proofDataItem.proof = utils.formatAsChainpointV3Ops(proof, 'sha-256')
+        proofDataItem.proof = utils.formatAsChainpointV3Ops(proof, treeHashAlgorithm.op)
         return proofDataItem
       })
       aggregationData.proofData = proofData
@@ -124,12 +192,105 @@ let aggregateAsync = async () => {
         amqpChannel.ack(hashObj.msg)
       }
     })
+
+    METRICS.treesBuilt++
+    METRICS.hashesAggregated += hashesForTree.length
+    METRICS.largestTree = Math.max(METRICS.largestTree, hashesForTree.length)
   }
 }
 
+// The NIST data embedded in the proof path, tagged with the type of beacon it is from, e.g. 'drand:<timestamp>:<value>'
+function getNistDataString (hashObj) {
+  return `${hashObj.nist_type || DEFAULT_NIST_TYPE}:${hashObj.nist}`
+}
+
+/**
+ * Returns a snapshot of the aggregation backlog
+ *
+ * The broker's count of ready messages is included when the channel is available,
+ * together these values represent the full depth of work awaiting aggregation.
+ *
+ * @returns {Object} The backlog metrics and the tree counters since the last report
+ */
+async function getBacklogMetricsAsync () {
+  let metrics = {
+    buffered: HASHES.length,
+    oldestBufferedMs: HASHES.length > 0 ? Date.now() - HASHES[0].receivedAt : 0,
+    queued: null,
+    consumers: null,
+    treesBuilt: METRICS.treesBuilt,
+    hashesAggregated: METRICS.hashesAggregated,
+    largestTree: METRICS.largestTree
+  }
+
+  if (amqpChannel !== null) {
+    let queueInfo = await amqpChannel.checkQueue(env.RMQ_WORK_IN_AGG_QUEUE)
+    metrics.queued = queueInfo.messageCount
+    metrics.consumers = queueInfo.consumerCount
+  }
+
+  return metrics
+}
+
+// Log the current backlog metrics and reset the tree counters
+async function reportBacklogMetricsAsync () {
+  try {
+    let metrics = await getBacklogMetricsAsync()
+    METRICS = { treesBuilt: 0, hashesAggregated: 0, largestTree: 0 }
+    console.log(`backlog : buffered ${metrics.buffered} : oldest ${metrics.oldestBufferedMs}ms : queued ${metrics.queued === null ? 'unknown' : metrics.queued} : trees ${metrics.treesBuilt} : hashes ${metrics.hashesAggregated} : largest tree ${metrics.largestTree}`)
+  } catch (error) {
+    console.error(`Unable to report backlog metrics : ${error.message}`)
+  }
+}
+
+/**
+ * Stops the aggregator without leaving work to be redelivered in a burst
+ *
+ * Consumption is cancelled so no new hashes arrive, buffered hashes are aggregated for up to
+ * AGG_SHUTDOWN_DRAIN_MS, and any hashes that remain are nacked so that they are requeued
+ * immediately for the other aggregator instances.
+ *
+ * @param {string} signal - The name of the signal that initiated the shutdown
+ */
+async function shutdownAsync (signal) {
+  if (SHUTTING_DOWN) return
+  SHUTTING_DOWN = true
+  console.log(`${signal} received : shutting down with ${HASHES.length} buffered hashes`)
+
+  try {
+    if (amqpChannel !== null) await amqpChannel.cancel(CONSUMER_TAG)
+
+    let drainDeadline = Date.now() + env.AGG_SHUTDOWN_DRAIN_MS
+    while (HASHES.length > 0 && Date.now() < drainDeadline) {
+      // a closed channel has already returned all unacked hashes to the queue
+      if (amqpChannel === null) break
+      if (AGGREGATING) {
+        await utils.sleep(100)
+      } else {
+        await aggregateAsync()
+      }
+    }
+
+    if (amqpChannel !== null) {
+      let remainingHashes = HASHES.splice(0)
+      remainingHashes.forEach((hashObj) => { amqpChannel.nack(hashObj.msg) })
+      if (remainingHashes.length > 0) console.log(`${remainingHashes.length} buffered hashes returned to ${env.RMQ_WORK_IN_AGG_QUEUE}`)
+      await amqpChannel.close()
+    }
+  } catch (error) {
+    // any unacked messages will be requeued by the broker once this process exits
+    console.error(`Unable to shut down cleanly : ${error.message}`)
+  }
+
+  process.exit(0)
+}
+
 // This initializes all the JS intervals that fire all aggregator events
 function startIntervals () {
-  let intervals = [{ function: aggregateAsync, ms: env.AGGREGATION_INTERVAL }]
+  let intervals = [
+    { function: aggregateAsync, ms: env.AGGREGATION_INTERVAL },
+    { function: reportBacklogMetricsAsync, ms: env.AGG_METRICS_INTERVAL }
+  ]
   connections.startIntervals(intervals)
 }
 
@@ -140,16 +301,20 @@ function startIntervals () {
  * @param {string} connectURI - The connection URI for the RabbitMQ instance
  */
 async function openRMQConnectionAsync (connectURI) {
+  // Unless configured otherwise, limit the unacked hashes held by this instance to what can be
+  // aggregated in one interval, so that a restart returns at most one interval of work to the queue
+  let prefetchCount = env.RMQ_PREFETCH_COUNT_AGG || env.HASHES_PER_MERKLE_TREE * env.MAX_MERKLE_TREES_PER_INTERVAL
+
   await connections.openStandardRMQConnectionAsync(amqp, connectURI,
     [env.RMQ_WORK_IN_AGG_QUEUE, env.RMQ_WORK_OUT_STATE_QUEUE],
-    env.RMQ_PREFETCH_COUNT_AGG,
-    { queue: env.RMQ_WORK_IN_AGG_QUEUE, method: (msg) => { consumeHashMessage(msg) } },
+    prefetchCount,
+    { queue: env.RMQ_WORK_IN_AGG_QUEUE, method: (msg) => { consumeHashMessage(msg) }, options: { consumerTag: CONSUMER_TAG } },
     (chan) => { amqpChannel = chan },
     () => {
       amqpChannel = null
       // un-acked messaged will be requeued, so clear all work in progress
       HASHES = []
-      setTimeout(() => { openRMQConnectionAsync(connectURI) }, 5000)
+      if (!SHUTTING_DOWN) setTimeout(() => { openRMQConnectionAsync(connectURI) }, 5000)
     }
   )
 }
@@ -162,6 +327,9 @@ async function start () {
     await openRMQConnectionAsync(env.RABBITMQ_CONNECT_URI)
     // init interval functions
     startIntervals()
+    // drain or return buffered work when asked to stop
+    process.on('SIGTERM', () => { shutdownAsync('SIGTERM') })
+    process.on('SIGINT', () => { shutdownAsync('SIGINT') })
     console.log('startup completed successfully')
   } catch (error) {
     console.error(`An error has occurred on startup: ${error.message}`)
@@ -180,5 +348,7 @@ module.exports = {
   setAMQPChannel: (chan) => { amqpChannel = chan },
   openRMQConnectionAsync: openRMQConnectionAsync,
   consumeHashMessage: consumeHashMessage,
-  aggregateAsync: aggregateAsync
+  getTreeSizes: getTreeSizes,
+  aggregateAsync: aggregateAsync,
+  getBacklogMetricsAsync: getBacklogMetricsAsync
 }
@@ -1,6 +1,8 @@
 /* global describe, it */
 
 process.env.NODE_ENV = 'test'
+process.env.HASHES_PER_MERKLE_TREE = '100'
+process.env.MAX_MERKLE_TREES_PER_INTERVAL = '3'
 
 // test related packages
 var expect = require('chai').expect
@@ -136,4 +138,122 @@ describe('Aggregate', () => {
     expect(result.proofData[1]).has.property('proof').and.is.a('array')
     expect(result.proofData[1].proof.length).to.equal(4)
   })
+
+  it('should embed NIST data tagged with its beacon type in the proof', async () => {
+    let result = null
+    server.setAMQPChannel({
+      sendToQueue: function (q, message, opt, callback) {
+        result = JSON.parse(message.toString())
+      },
+      ack: function () { }
+    })
+
+    let hashObj1 = {
+      'hash_id': '6d627180-1883-11e7-a8f9-edb8c212ef23',
+      'hash': 'ed10960ccc613e4ad0533a813e2027924afd051f5065bb5379a80337c69afcb4',
+      'nist': '1400585240:8e00c0af2b68e33cc453bf45a1689a6804700c083478feb34e4694422999b6f7',
+      'msg': null
+    }
+    let hashObj2 = {
+      'hash_id': 'a0627180-1883-11e7-a8f9-edb8c212ef23',
+      'hash': 'aa10960ccc613e4ad0533a813e2027924afd051f5065bb5379a80337c69afcb4',
+      'nist': '1595460990000:a2c1f2d7e1a0b6f1d0ba8c5e3b2f9c4d7e6a5b4c3d2e1f0a9b8c7d6e5f4a3b2c',
+      'nist_type': 'drand',
+      'msg': null
+    }
+
+    server.setHASHES([hashObj1, hashObj2])
+    await server.aggregateAsync()
+    expect(result).to.not.equal(null)
+    expect(result.proofData.length).to.equal(2)
+    expect(result.proofData[0].proof.length).to.equal(6)
+    expect(result.proofData[0].proof[2]).to.deep.equal({ l: 'nistv2:1400585240:8e00c0af2b68e33cc453bf45a1689a6804700c083478feb34e4694422999b6f7' })
+    expect(result.proofData[1].proof.length).to.equal(6)
+    expect(result.proofData[1].proof[2]).to.deep.equal({ l: 'drand:1595460990000:a2c1f2d7e1a0b6f1d0ba8c5e3b2f9c4d7e6a5b4c3d2e1f0a9b8c7d6e5f4a3b2c' })
+  })
+})
+
+describe('Tree Sizes', () => {
+  it('should return no trees for an empty backlog', (done) => {
+    expect(server.getTreeSizes(0)).to.deep.equal([])
+    done()
+  })
+
+  it('should return a single tree for a small backlog', (done) => {
+    expect(server.getTreeSizes(40)).to.deep.equal([40])
+    done()
+  })
+
+  it('should split a larger backlog evenly across trees', (done) => {
+    expect(server.getTreeSizes(101)).to.deep.equal([51, 50])
+    expect(server.getTreeSizes(250)).to.deep.equal([84, 83, 83])
+    done()
+  })
+
+  it('should not exceed the maximum trees per interval', (done) => {
+    expect(server.getTreeSizes(1000)).to.deep.equal([100, 100, 100])
+    done()
+  })
+})
+
+describe('Aggregate Backlog', () => {
+  let makeHashObj = (index) => {
+    let hashId = `${('00000000' + index.toString(16)).slice(-8)}-1883-11e7-a8f9-edb8c212ef23`
+    return {
+      hash_id: hashId,
+      hash: 'ed10960ccc613e4ad0533a813e2027924afd051f5065bb5379a80337c69afcb4',
+      msg: { content: Buffer.from(hashId) },
+      receivedAt: Date.now()
+    }
+  }
+
+  it('should build multiple trees in one interval when a backlog exists', async () => {
+    let results = []
+    let ackCount = 0
+    server.setAMQPChannel({
+      sendToQueue: function (q, message, opt, callback) {
+        results.push(JSON.parse(message.toString()))
+      },
+      ack: function () { ackCount++ }
+    })
+
+    server.setHASHES(Array.from({ length: 250 }, (v, index) => makeHashObj(index)))
+    await server.aggregateAsync()
+    expect(server.getHASHES().length).to.equal(0)
+    expect(ackCount).to.equal(250)
+    expect(results.length).to.equal(3)
+    expect(results.map((result) => result.proofData.length)).to.deep.equal([84, 83, 83])
+    expect(results[0].proofData[0].hash_id).to.equal('00000000-1883-11e7-a8f9-edb8c212ef23')
+    expect(results[2].proofData[82].hash_id).to.equal('000000f9-1883-11e7-a8f9-edb8c212ef23')
+  })
+
+  it('should leave hashes beyond the interval capacity buffered', async () => {
+    let results = []
+    server.setAMQPChannel({
+      sendToQueue: function (q, message, opt, callback) {
+        results.push(JSON.parse(message.toString()))
+      },
+      ack: function () { }
+    })
+
+    server.setHASHES(Array.from({ length: 350 }, (v, index) => makeHashObj(index)))
+    await server.aggregateAsync()
+    expect(results.length).to.equal(3)
+    expect(server.getHASHES().length).to.equal(50)
+  })
+
+  it('should report backlog metrics including the broker queue depth', async () => {
+    server.setAMQPChannel({
+      checkQueue: async function (q) { return { queue: q, messageCount: 1200, consumerCount: 2 } }
+    })
+
+    server.setHASHES([makeHashObj(0), makeHashObj(1)])
+    let metrics = await server.getBacklogMetricsAsync()
+    expect(metrics).to.have.property('buffered').and.to.equal(2)
+    expect(metrics).to.have.property('oldestBufferedMs').and.to.be.a('number')
+    expect(metrics).to.have.property('queued').and.to.equal(1200)
+    expect(metrics).to.have.property('consumers').and.to.equal(2)
+    expect(metrics).to.have.property('treesBuilt').and.to.be.a('number')
+    expect(metrics).to.have.property('hashesAggregated').and.to.be.a('number')
+  })
 })
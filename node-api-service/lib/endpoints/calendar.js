@@ -16,18 +16,57 @@
 
 const _ = require('lodash')
 const restify = require('restify')
+const calendarBlockFeed = require('../models/calendarBlockFeed.js')
 
 let CalendarBlock
+let OrphanedCalBlock
 let sequelize
 
 const BLOCKRANGE_SIZE = 100
 
+// The number of blocks returned by GET /calendar/blocks when no limit is given
+const BLOCKS_DEFAULT_LIMIT = 1000
+
+// The maximum number of blocks that may be requested in a single GET /calendar/blocks page
+const BLOCKS_MAX_LIMIT = 5000
+
+// The number of blocks read from the database at a time while streaming an export
+const EXPORT_BATCH_SIZE = 1000
+
+// How long, in seconds, responses that may still grow as new blocks are written may be cached
+const BLOCKS_TAIL_CACHE_SECONDS = 5
+
+// The content type of a streamed export, one JSON encoded block per line
+const NDJSON_MIME_TYPE = 'application/x-ndjson'
+
+// The block types that a GET /calendar/stream client may filter on
+const BLOCK_TYPES = ['gen', 'cal', 'nist', 'btc-a', 'btc-c', 'eth-a', 'eth-c', 'reward', 'key']
+
+// The maximum number of missed blocks sent to a reconnecting stream client,
+// clients further behind should catch up with GET /calendar/blocks first
+const STREAM_REPLAY_MAX_BLOCKS = 1000
+
+// The maximum number of stream clients connected to this API instance at once
+const STREAM_MAX_CLIENTS = 1000
+
+// How often a comment is sent to every stream client to keep idle connections open
+const STREAM_HEARTBEAT_MS = 15000
+
+// The clients of GET /calendar/stream connected to this API instance
+// Each is an object with the response, an optional set of block types, and, while missed
+// blocks are being replayed, a pending array holding blocks announced in the meantime
+let streamClients = []
+
+// The interval sending heartbeats, running only while there are stream clients
+let streamHeartbeatInterval = null
+
 /**
  * GET /calendar/:height handler
  *
  * Expects a path parameter 'height' as an integer
  *
- * Returns a calendar block by calendar height
+ * Returns a calendar block by calendar height, or a 410 for a btc-c block
+ * recording a Bitcoin block since orphaned by a chain reorganization
  */
 async function getCalBlockByHeightV1Async (req, res, next) {
   let height = parseInt(req.params.height, 10)
@@ -52,6 +91,16 @@ async function getCalBlockByHeightV1Async (req, res, next) {
   }
 
   block = block.get({ plain: true })
+  if (block.type === 'btc-c') {
+    let orphaned
+    try {
+      orphaned = await OrphanedCalBlock.findOne({ where: { calBlockId: height } })
+    } catch (error) {
+      console.error(`getCalBlockByHeightV1Async failed : Could not query for orphaned block : ${error.message}`)
+      return next(new restify.InternalServerError('Could not query for block by height'))
+    }
+    if (orphaned) return next(new restify.GoneError(`block ${height} was orphaned by a Bitcoin chain reorganization`))
+  }
   res.contentType = 'application/json'
   block.id = parseInt(block.id, 10)
   block.time = parseInt(block.time, 10)
@@ -120,12 +169,290 @@ async function getCalBlockRangeV2Async (req, res, next) {
   return next()
 }
 
+/**
+ * GET /calendar/blocks handler
+ *
+ * Accepts optional query parameters 'from', 'to', 'limit', 'cursor', and 'format'
+ *
+ * Returns a page of up to 'limit' calendar blocks with heights from 'from' (or 'cursor')
+ * through 'to', and a 'cursor' for the next page. Without 'to', the cursor continues past the
+ * current tip so that it may be used to poll for new blocks. With 'format=ndjson', every block
+ * in the span is streamed instead, one JSON encoded block per line, ignoring 'limit' and 'cursor'.
+ */
+async function getCalBlocksV1Async (req, res, next) {
+  let params = req.params || {}
+
+  let fromHeight = 0
+  if (params.from !== undefined) {
+    fromHeight = parseInt(params.from, 10)
+    if (!_.isInteger(fromHeight) || fromHeight < 0) {
+      return next(new restify.InvalidArgumentError('invalid request, from must be a positive integer'))
+    }
+  }
+
+  let toHeight = null
+  if (params.to !== undefined) {
+    toHeight = parseInt(params.to, 10)
+    if (!_.isInteger(toHeight) || toHeight < 0) {
+      return next(new restify.InvalidArgumentError('invalid request, to must be a positive integer'))
+    }
+    if (toHeight < fromHeight) {
+      return next(new restify.InvalidArgumentError('invalid request, to must not be less than from'))
+    }
+  }
+
+  if (params.format !== undefined && params.format !== 'json' && params.format !== 'ndjson') {
+    return next(new restify.InvalidArgumentError('invalid request, format must be json or ndjson'))
+  }
+
+  if (params.format === 'ndjson') return streamCalBlocksAsync(fromHeight, toHeight, res, next)
+
+  // a cursor from a previous page takes the place of from
+  if (params.cursor !== undefined) {
+    let cursorHeight = parseInt(params.cursor, 10)
+    if (!_.isInteger(cursorHeight) || cursorHeight < fromHeight || (toHeight !== null && cursorHeight > toHeight + 1)) {
+      return next(new restify.InvalidArgumentError('invalid request, bad cursor'))
+    }
+    fromHeight = cursorHeight
+  }
+
+  let limit = BLOCKS_DEFAULT_LIMIT
+  if (params.limit !== undefined) {
+    limit = parseInt(params.limit, 10)
+    if (!_.isInteger(limit) || limit < 1 || limit > BLOCKS_MAX_LIMIT) {
+      return next(new restify.InvalidArgumentError(`invalid request, limit must be an integer from 1 to ${BLOCKS_MAX_LIMIT}`))
+    }
+  }
+
+  // the last height this page may contain
+  let pageToHeight = fromHeight + limit - 1
+  if (toHeight !== null) pageToHeight = Math.min(pageToHeight, toHeight)
+
+  let blocks = []
+  if (fromHeight <= pageToHeight) {
+    try {
+      blocks = await CalendarBlock.findAll({ where: { id: { [sequelize.Op.between]: [fromHeight, pageToHeight] } }, order: [['id', 'ASC']], raw: true })
+    } catch (error) {
+      console.error(`getCalBlocksV1Async failed : Could not query for blocks : ${error.message}`)
+      return next(new restify.InternalServerError('Could not query for blocks'))
+    }
+  }
+
+  // a page holding every height it could hold will never change
+  let pageComplete = blocks.length > 0 && parseInt(blocks[blocks.length - 1].id, 10) === pageToHeight
+
+  // the next page begins after the last height this page could hold when complete, otherwise
+  // it begins after the last block returned so that blocks written since will be picked up
+  let nextHeight = pageComplete ? pageToHeight + 1 : (blocks.length > 0 ? parseInt(blocks[blocks.length - 1].id, 10) + 1 : fromHeight)
+  let cursor = (toHeight !== null && nextHeight > toHeight) ? null : nextHeight.toString()
+
+  if (pageComplete) {
+    res.cache('public', { maxAge: 2592000 })
+  } else {
+    res.cache('public', { maxAge: BLOCKS_TAIL_CACHE_SECONDS })
+  }
+  res.contentType = 'application/json'
+  res.send({ blocks: blocks.map(formatBlock), cursor: cursor })
+  return next()
+}
+
+// Stream every block with a height from fromHeight through toHeight, or through the current tip
+// when toHeight is null, as NDJSON. The response is gzipped for clients accepting gzip encoding.
+async function streamCalBlocksAsync (fromHeight, toHeight, res, next) {
+  let tipHeight
+  try {
+    let topBlock = await CalendarBlock.findOne({ attributes: ['id'], order: [['id', 'DESC']], raw: true })
+    tipHeight = topBlock ? parseInt(topBlock.id, 10) : -1
+  } catch (error) {
+    console.error(`streamCalBlocksAsync failed : Could not query for top block : ${error.message}`)
+    return next(new restify.InternalServerError('Could not query for top block'))
+  }
+
+  let exportToHeight = toHeight === null ? tipHeight : Math.min(toHeight, tipHeight)
+
+  // an export ending before the tip will never change
+  res.cache('public', { maxAge: toHeight !== null && toHeight <= tipHeight ? 2592000 : BLOCKS_TAIL_CACHE_SECONDS })
+  res.writeHead(200, { 'Content-Type': NDJSON_MIME_TYPE })
+
+  try {
+    for (let batchFromHeight = fromHeight; batchFromHeight <= exportToHeight; batchFromHeight += EXPORT_BATCH_SIZE) {
+      let batchToHeight = Math.min(batchFromHeight + EXPORT_BATCH_SIZE - 1, exportToHeight)
+      let blocks = await CalendarBlock.findAll({ where: { id: { [sequelize.Op.between]: [batchFromHeight, batchToHeight] } }, order: [['id', 'ASC']], raw: true })
+      let lines = blocks.map((block) => `${JSON.stringify(formatBlock(block))}\n`).join('')
+      // wait for the client to catch up before reading the next batch
+      if (!res.write(lines)) await new Promise((resolve) => res.once('drain', resolve))
+    }
+  } catch (error) {
+    // the status has already been sent, so the export is ended early, clients detect
+    // the truncation by the height of the last block received
+    console.error(`streamCalBlocksAsync failed : Could not stream blocks : ${error.message}`)
+  }
+
+  res.end()
+  return next()
+}
+
+/**
+ * GET /calendar/tip handler
+ *
+ * Returns the height, hash, and time of the most recent calendar block
+ */
+async function getCalTipV1Async (req, res, next) {
+  let topBlock
+  try {
+    topBlock = await CalendarBlock.findOne({ attributes: ['id', 'hash', 'time'], order: [['id', 'DESC']], raw: true })
+  } catch (error) {
+    console.error(`getCalTipV1Async failed : Could not query for top block : ${error.message}`)
+    return next(new restify.InternalServerError('Could not query for top block'))
+  }
+
+  if (!topBlock) {
+    res.status(404)
+    res.noCache()
+    res.send({ code: 'NotFoundError', message: 'no blocks found on calendar' })
+    return next()
+  }
+
+  res.cache('public', { maxAge: BLOCKS_TAIL_CACHE_SECONDS })
+  res.contentType = 'application/json'
+  res.send({ height: parseInt(topBlock.id, 10), hash: topBlock.hash, time: parseInt(topBlock.time, 10) })
+  return next()
+}
+
+/**
+ * GET /calendar/stream handler
+ *
+ * Accepts an optional query parameter 'types', a comma separated list of block types,
+ * and an optional 'from' height or a 'Last-Event-ID' header from a previous connection
+ *
+ * Returns a text/event-stream sending a 'block' event, with the block height as its id,
+ * for each new block committed to the calendar. Blocks since 'from', or after the
+ * 'Last-Event-ID', are sent first so that reconnecting clients miss no blocks.
+ */
+async function getCalBlockStreamV1Async (req, res, next) {
+  let params = req.params || {}
+
+  let types = null
+  if (params.types !== undefined) {
+    types = params.types.split(',').map((type) => type.trim()).filter((type) => type !== '')
+    if (types.length === 0 || types.some((type) => !BLOCK_TYPES.includes(type))) {
+      return next(new restify.InvalidArgumentError(`invalid request, types must be a comma separated list of ${BLOCK_TYPES.join(', ')}`))
+    }
+  }
+
+  let replayFromHeight = null
+  if (params.from !== undefined) {
+    replayFromHeight = parseInt(params.from, 10)
+    if (!_.isInteger(replayFromHeight) || replayFromHeight < 0) {
+      return next(new restify.InvalidArgumentError('invalid request, from must be a positive integer'))
+    }
+  } else if (req.headers['last-event-id'] !== undefined) {
+    let lastEventHeight = parseInt(req.headers['last-event-id'], 10)
+    if (!_.isInteger(lastEventHeight) || lastEventHeight < 0) {
+      return next(new restify.InvalidArgumentError('invalid request, Last-Event-ID must be a positive integer'))
+    }
+    replayFromHeight = lastEventHeight + 1
+  }
+
+  if (streamClients.length >= STREAM_MAX_CLIENTS) {
+    return next(new restify.ServiceUnavailableError('too many stream clients, try again later'))
+  }
+
+  // register the client before reading missed blocks so that no block announced meanwhile is lost
+  let client = { res: res, types: types, pending: [] }
+  streamClients.push(client)
+
+  let replayBlocks = []
+  if (replayFromHeight !== null) {
+    try {
+      replayBlocks = await CalendarBlock.findAll({ where: { id: { [sequelize.Op.gte]: replayFromHeight } }, order: [['id', 'ASC']], limit: STREAM_REPLAY_MAX_BLOCKS + 1, raw: true })
+    } catch (error) {
+      removeStreamClient(client)
+      console.error(`getCalBlockStreamV1Async failed : Could not query for missed blocks : ${error.message}`)
+      return next(new restify.InternalServerError('Could not query for missed blocks'))
+    }
+    if (replayBlocks.length > STREAM_REPLAY_MAX_BLOCKS) {
+      removeStreamClient(client)
+      return next(new restify.InvalidArgumentError(`invalid request, more than ${STREAM_REPLAY_MAX_BLOCKS} missed blocks, use GET /calendar/blocks to catch up`))
+    }
+  }
+
+  req.on('close', () => { removeStreamClient(client) })
+
+  // events must reach the client as they are written, so the response is never gzipped
+  if (res.handledGzip) {
+    res.handledGzip()
+    res.removeHeader('Content-Encoding')
+  }
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  })
+  res.write(`retry: 5000\n\n`)
+
+  // send the missed blocks, then any announced while they were read that have not yet been sent
+  let sentHeight = replayFromHeight !== null ? replayFromHeight - 1 : -1
+  replayBlocks.map(formatBlock).forEach((block) => {
+    writeBlockEvent(client, block)
+    sentHeight = block.id
+  })
+  client.pending.forEach((block) => {
+    if (block.id > sentHeight) writeBlockEvent(client, block)
+  })
+  client.pending = null
+
+  if (streamHeartbeatInterval === null) {
+    streamHeartbeatInterval = setInterval(() => {
+      streamClients.forEach((streamClient) => { streamClient.res.write(':\n\n') })
+    }, STREAM_HEARTBEAT_MS)
+  }
+
+  return next()
+}
+
+// Send a block announced by the calendar to every stream client
+function broadcastBlock (block) {
+  streamClients.forEach((client) => {
+    if (client.pending !== null) {
+      client.pending.push(block)
+    } else {
+      writeBlockEvent(client, block)
+    }
+  })
+}
+
+function writeBlockEvent (client, block) {
+  if (client.types !== null && !client.types.includes(block.type)) return
+  client.res.write(`id: ${block.id}\nevent: block\ndata: ${JSON.stringify(block)}\n\n`)
+}
+
+function removeStreamClient (client) {
+  streamClients = streamClients.filter((streamClient) => streamClient !== client)
+  if (streamClients.length === 0 && streamHeartbeatInterval !== null) {
+    clearInterval(streamHeartbeatInterval)
+    streamHeartbeatInterval = null
+  }
+}
+
+calendarBlockFeed.subscribeBlocks(broadcastBlock)
+
+// convert the integer fields of a block row, which are returned as strings, to integers
+function formatBlock (block) {
+  block.id = parseInt(block.id, 10)
+  block.time = parseInt(block.time, 10)
+  block.version = parseInt(block.version, 10)
+  return block
+}
+
 /**
  * GET /calendar/:height/data handler
  *
  * Expects a path parameter 'height' as an integer
  *
- * Returns dataVal property for calendar block by calendar height
+ * Returns dataVal property for calendar block by calendar height, or a 410 for
+ * a btc-c block recording a Bitcoin block since orphaned by a chain reorganization
  */
 async function getCalBlockDataByHeightV1Async (req, res, next) {
   let height = parseInt(req.params.height, 10)
@@ -151,6 +478,16 @@ async function getCalBlockDataByHeightV1Async (req, res, next) {
   }
 
   block = block.get({ plain: true })
+  if (block.type === 'btc-c') {
+    let orphaned
+    try {
+      orphaned = await OrphanedCalBlock.findOne({ where: { calBlockId: height } })
+    } catch (error) {
+      console.error(`getCalBlockDataByHeightV1Async failed : Could not query for orphaned block : ${error.message}`)
+      return next(new restify.InternalServerError('Could not query for block by height'))
+    }
+    if (orphaned) return next(new restify.GoneError(`block ${height} was orphaned by a Bitcoin chain reorganization`))
+  }
   res.contentType = 'text/plain'
   res.cache('public', { maxAge: 2592000 })
   res.send(block.dataVal)
@@ -197,7 +534,12 @@ async function getCalBlockHashByHeightV1Async (req, res, next) {
 module.exports = {
   getCalBlockByHeightV1Async: getCalBlockByHeightV1Async,
   getCalBlockRangeV2Async: getCalBlockRangeV2Async,
+  getCalBlocksV1Async: getCalBlocksV1Async,
+  getCalTipV1Async: getCalTipV1Async,
+  getCalBlockStreamV1Async: getCalBlockStreamV1Async,
   getCalBlockDataByHeightV1Async: getCalBlockDataByHeightV1Async,
   getCalBlockHashByHeightV1Async: getCalBlockHashByHeightV1Async,
-  setDatabase: (sqlz, calBlock) => { sequelize = sqlz; CalendarBlock = calBlock }
+  setDatabase: (sqlz, calBlock, orphanedCalBlock) => { sequelize = sqlz; CalendarBlock = calBlock; OrphanedCalBlock = orphanedCalBlock },
+  setRedis: (r) => { calendarBlockFeed.setRedis(r) },
+  broadcastBlock: broadcastBlock
 }
@@ -17,48 +17,21 @@
 const env = require('../parse-env.js')('api')
 
 const cachedAuditChallenge = require('../models/cachedAuditChallenge.js')
+const keys = require('./keys.js')
 const restify = require('restify')
-const crypto = require('crypto')
 
 let CalendarBlock
 
-// TweetNaCl.js
-// see: http://ed25519.cr.yp.to
-// see: https://github.com/dchest/tweetnacl-js#signatures
-const nacl = require('tweetnacl')
-nacl.util = require('tweetnacl-util')
-
 let NODE_AGGREGATION_INTERVAL_SECONDS
 
-// Pass SIGNING_SECRET_KEY as Base64 encoded bytes
-const signingSecretKeyBytes = nacl.util.decodeBase64(env.SIGNING_SECRET_KEY)
-const signingKeypair = nacl.sign.keyPair.fromSecretKey(signingSecretKeyBytes)
-
-// Calculate the hash of the signing public key bytes
-// to allow lookup of which pubkey was used to sign
-// a block. Handles different organizations signing blocks
-// with different keys and key rotation by those orgs.
-// When a Base64 pubKey is published publicly it should also
-// be accompanied by this hash of its bytes to serve
-// as a fingerprint.
-function calcSigningPubKeyHashHex (pubKey) {
-  return crypto.createHash('sha256').update(pubKey).digest('hex')
-}
-const signingPubKeyHashHex = calcSigningPubKeyHashHex(signingKeypair.publicKey)
-
-function getCorePublicKeyList () {
-  let pubKeyList = {}
-  pubKeyList['09b0ec65fa25'] = 'Q88brO55SfkY5S0Rbnyh3gh1s6izAj9v4BSWVF1dce0='
-  pubKeyList['fcbc2ba6c808'] = 'UWJSQwBjlvlkSirJcdFKP4zGQIq1mfrk7j0xV0CZ9yI='
-
-  let currentPubKeyPrefix = signingPubKeyHashHex.slice(0, 12)
-  // If the current keypair in use as configured with env.SIGNING_SECRET_KEY is not among the
-  // hard coded public key history list above, add this public key information to the results object.
-  if (pubKeyList[currentPubKeyPrefix] === undefined) {
-    pubKeyList[currentPubKeyPrefix] = nacl.util.encodeBase64(signingKeypair.publicKey)
-  }
-
-  return pubKeyList
+// Returns the public keys of the signing key history as a lookup table
+// of the pubkey hash prefix found in block sigs to the Base64 pubkey
+async function getCorePublicKeyListAsync () {
+  let signingKeys = await keys.getSigningKeyHistoryAsync()
+  return signingKeys.reduce((pubKeyList, signingKey) => {
+    pubKeyList[signingKey.pubkey_hash.slice(0, 12)] = signingKey.pubkey
+    return pubKeyList
+  }, {})
 }
 
 // the minimum audit passing Node version for existing registered Nodes, set by consul
@@ -83,7 +56,7 @@ async function getConfigInfoV1Async (req, res, next) {
 
     result = {
       chainpoint_core_base_uri: env.CHAINPOINT_CORE_BASE_URI,
-      public_keys: getCorePublicKeyList(),
+      public_keys: await getCorePublicKeyListAsync(),
       calendar: {
         height: parseInt(topCoreBlock.id),
         audit_challenge: mostRecentChallenge || undefined
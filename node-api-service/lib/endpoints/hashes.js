@@ -20,7 +20,15 @@ const utils = require('../utils.js')
 const BLAKE2s = require('blake2s-js')
 const _ = require('lodash')
 const crypto = require('crypto')
+const url = require('url')
+const net = require('net')
+const validUrl = require('valid-url')
 const tntUnits = require('../tntUnits.js')
+const cachedProofCallbacks = require('../models/cachedProofCallbacks.js')
+// The proof state database and redis connections are set through the proofs endpoint module
+const cachedProofState = require('../models/cachedProofState.js')
+const uuidValidate = require('uuid-validate')
+const uuidTime = require('uuid-time')
 
 let RegisteredNode
 
@@ -44,9 +52,24 @@ let amqpChannel = null
 let nistLatest = null
 let nistLatestEpoch = null
 
+// The type of the beacon the latest NIST data is from, embedded as its tag in proofs
+let nistLatestType = null
+
+// The beacon type assumed for values from beacon services that do not send one
+const DEFAULT_NIST_TYPE = 'nistv2'
+
 // The minimium TNT grains required to operate a Node
 const minGrainsBalanceNeeded = env.MIN_TNT_GRAINS_BALANCE_FOR_REWARD
 
+// The maximum number of hashes that may be submitted in a single batch request
+const POST_HASHES_MAX = 1000
+
+// The maximum length of a callback_url
+const CALLBACK_URL_MAX_LENGTH = 2048
+
+// The average number of minutes between Bitcoin blocks, used when estimating btc proof ready times
+const BTC_BLOCK_INTERVAL_MINUTES = 10
+
 // toggle the enforcement of minimum TNT balance for private Nodes
 // when enabled, a private Node must have the minimum TNT balance before Core accepts hashes from it
 let enforcePrivateNodeStake = false
@@ -56,7 +79,7 @@ let enforcePrivateNodeStake = false
  * return to HTTP clients.
  *
  * @param {string} hash - A hash string to process
- * @returns {Object} An Object with 'hash_id', 'hash', 'nist', 'submitted_at' and 'processing_hints' properties
+ * @returns {Object} An Object with 'hash_id', 'hash', 'nist', 'nist_type', 'submitted_at' and 'processing_hints' properties
  *
  */
 function generatePostHashResponse (hash, regNode) {
@@ -124,6 +147,7 @@ function generatePostHashResponse (hash, regNode) {
   result.hash_id = hashId
   result.hash = hash
   result.nist = hashNIST
+  result.nist_type = hashNIST ? nistLatestType : ''
   result.submitted_at = utils.formatDateISO8601NoMs(timestampDate)
   result.processing_hints = generateProcessingHints(timestampDate)
   result.tnt_credit_balance = parseFloat(regNode.tntCredit)
@@ -153,18 +177,118 @@ function generateProcessingHints (timestampDate) {
 }
 
 /**
- * POST /hash handler
+ * Re-estimates the proof ready times for each proof stage from the progress made so far
  *
- * Expects a JSON body with the form:
- *   {"hash": "11cd8a380e8d5fd3ac47c1f880390341d40b11485e8ae946d8fa3d466f23fe89"}
- *
- * The `hash` key must reference valid hex string representing the hash to anchor.
+ * @param {Date} timestampDate - The hash submission timestamp
+ * @param {Object} stages - The pipeline stages object built by getHashStatusV1Async
+ * @returns {Object} An Object with 'cal' and 'btc' properties, null once that proof is ready
+ */
+function estimateProcessingHints (timestampDate, stages) {
+  let now = new Date()
+  let initialHints = generateProcessingHints(timestampDate)
+  let minBtcConfirms = parseInt(env.MIN_BTC_CONFIRMS, 10)
+  let monitorIntervalSeconds = parseInt(env.MONITOR_INTERVAL_SECONDS, 10)
+
+  // an overdue cal proof is expected within the next calendar interval
+  let calHint = null
+  if (!stages.cal.complete) {
+    let calDate = new Date(Math.max(Date.parse(initialHints.cal), utils.addSeconds(now, 10).getTime()))
+    calHint = utils.formatDateISO8601NoMs(calDate)
+  }
+
+  // once the btc transaction is sent, only its remaining confirmations need to be waited for
+  let btcHint = null
+  if (!stages.btc_head.complete) {
+    let btcDate
+    if (stages.btc_tx.complete) {
+      let remainingConfirms = Math.max(minBtcConfirms - (stages.btc_tx.btc_confirmations || 0), 0)
+      btcDate = utils.addSeconds(utils.addMinutes(now, remainingConfirms * BTC_BLOCK_INTERVAL_MINUTES), monitorIntervalSeconds)
+    } else {
+      btcDate = new Date(Math.max(Date.parse(initialHints.btc), utils.addMinutes(now, minBtcConfirms * BTC_BLOCK_INTERVAL_MINUTES).getTime()))
+    }
+    btcHint = utils.formatDateISO8601NoMs(btcDate)
+  }
+
+  return {
+    cal: calHint,
+    btc: btcHint
+  }
+}
+
+/**
+ * Determines if a submitted value is an acceptable hash
  *
  * Each hash must be:
  * - in Hexadecimal form [a-fA-F0-9]
  * - minimum 40 chars long (e.g. 20 byte SHA1)
  * - maximum 128 chars long (e.g. 64 byte SHA512)
  * - an even length string
+ *
+ * @param {string} hash - The submitted hash value
+ * @returns {boolean} true if the hash is valid
+ */
+function isValidHash (hash) {
+  return _.isString(hash) && /^([a-fA-F0-9]{2}){20,64}$/.test(hash)
+}
+
+/**
+ * Determines if a submitted value is an acceptable callback_url
+ *
+ * Each callback_url must be:
+ * - an http or https URL
+ * - maximum CALLBACK_URL_MAX_LENGTH chars long
+ * - not addressed to localhost or a non-public IP, as Core itself will POST to it
+ *
+ * Hostnames are checked again by the task handler against the addresses they
+ * resolve to when each callback is sent.
+ *
+ * @param {string} callbackUrl - The submitted callback_url value
+ * @returns {boolean} true if the callback_url is valid
+ */
+function isValidCallbackUrl (callbackUrl) {
+  if (!_.isString(callbackUrl) || callbackUrl.length > CALLBACK_URL_MAX_LENGTH) return false
+  if (!validUrl.isWebUri(callbackUrl)) return false
+  let hostname = url.parse(callbackUrl).hostname
+  if (hostname === 'localhost') return false
+  if (net.isIP(hostname) && !utils.isPublicIP(hostname)) return false
+  return true
+}
+
+/**
+ * Publishes a new hash message bound for the aggregator
+ *
+ * @param {Object} responseObj - The object created by generatePostHashResponse for the hash
+ */
+async function queueHashAsync (responseObj) {
+  let hashObj = {
+    hash_id: responseObj.hash_id,
+    hash: responseObj.hash,
+    nist: responseObj.nist
+  }
+  if (responseObj.nist) hashObj.nist_type = responseObj.nist_type
+
+  await amqpChannel.sendToQueue(env.RMQ_WORK_OUT_AGG_QUEUE, Buffer.from(JSON.stringify(hashObj)), { persistent: true })
+}
+
+/**
+ * POST /hash handler
+ *
+ * Expects a JSON body with the form:
+ *   {"hash": "11cd8a380e8d5fd3ac47c1f880390341d40b11485e8ae946d8fa3d466f23fe89"}
+ * or, to submit a batch of up to POST_HASHES_MAX hashes:
+ *   {"hashes": ["11cd8a380e8d5fd3ac47c1f880390341d40b11485e8ae946d8fa3d466f23fe89", ...]}
+ *
+ * Either form may include an optional `callback_url`. Core will POST a signed
+ * notification to it as each proof stage becomes ready for every hash submitted.
+ * When omitted, the callback_url registered for the submitting Node, if any, is used.
+ *
+ * The `hash` key must reference valid hex string representing the hash to anchor.
+ * See isValidHash for the requirements of each hash.
+ *
+ * Returns a single generatePostHashResponse object for a `hash` submission.
+ * Returns an array for a `hashes` submission, one item per submitted hash, in order.
+ * Each item is either a generatePostHashResponse object or, if that hash
+ * could not be accepted, an object with 'hash', 'code', and 'message' properties.
  */
 async function postHashV1Async (req, res, next) {
   // validate content-type sent was 'application/json'
@@ -196,20 +320,34 @@ async function postHashV1Async (req, res, next) {
     tntAddrHeaderParam = req.headers['tnt-address'].toLowerCase()
   }
 
-  // validate params has parse a 'hash' key
-  if (!req.params.hasOwnProperty('hash')) {
-    return next(new restify.InvalidArgumentError('invalid JSON body: missing hash'))
-  }
+  // a 'hashes' key indicates a batch submission
+  let isBatch = req.params.hasOwnProperty('hashes')
+
+  if (isBatch) {
+    // validate 'hashes' is a non-empty array
+    if (!_.isArray(req.params.hashes) || req.params.hashes.length === 0) {
+      return next(new restify.InvalidArgumentError('invalid JSON body: hashes must be a non-empty array'))
+    }
 
-  // validate 'hash' is a string
-  if (!_.isString(req.params.hash)) {
-    return next(new restify.InvalidArgumentError('invalid JSON body: bad hash submitted'))
+    // validate 'hashes' does not exceed the maximum batch size
+    if (req.params.hashes.length > POST_HASHES_MAX) {
+      return next(new restify.InvalidArgumentError(`invalid JSON body: hashes exceeds maximum of ${POST_HASHES_MAX}`))
+    }
+  } else {
+    // validate params has parse a 'hash' key
+    if (!req.params.hasOwnProperty('hash')) {
+      return next(new restify.InvalidArgumentError('invalid JSON body: missing hash'))
+    }
+
+    // validate hash param is a valid hex string
+    if (!isValidHash(req.params.hash)) {
+      return next(new restify.InvalidArgumentError('invalid JSON body: bad hash submitted'))
+    }
   }
 
-  // validate hash param is a valid hex string
-  let isValidHash = /^([a-fA-F0-9]{2}){20,64}$/.test(req.params.hash)
-  if (!isValidHash) {
-    return next(new restify.InvalidArgumentError('invalid JSON body: bad hash submitted'))
+  // validate the optional callback_url param
+  if (req.params.hasOwnProperty('callback_url') && !isValidCallbackUrl(req.params.callback_url)) {
+    return next(new restify.InvalidArgumentError('invalid JSON body: bad callback_url submitted'))
   }
 
   // if NIST value is present, ensure NTP time is >= latest NIST value
@@ -255,14 +393,14 @@ async function postHashV1Async (req, res, next) {
 
     // If Redis cache had no value, retrieve from CRDB instead
     if (_.isEmpty(regNode)) {
-      regNode = await RegisteredNode.findOne({ where: { tntAddr: tntAddrHeaderParam }, attributes: ['tntAddr', 'hmacKey', 'tntCredit'] })
+      regNode = await RegisteredNode.findOne({ where: { tntAddr: tntAddrHeaderParam }, attributes: ['tntAddr', 'hmacKey', 'tntCredit', 'callbackUrl'] })
       if (_.isEmpty(regNode)) {
         return next(new restify.InvalidCredentialsError('authorization denied: unknown tnt-address'))
       }
 
       // Set the found Node in cache, expiring in 24 hours, for next time
       try {
-        await redis.hmset(`tntAddr:cachedHMAC:${tntAddrHeaderParam}`, { tntAddr: regNode.tntAddr, hmacKey: regNode.hmacKey, tntCredit: regNode.tntCredit })
+        await redis.hmset(`tntAddr:cachedHMAC:${tntAddrHeaderParam}`, { tntAddr: regNode.tntAddr, hmacKey: regNode.hmacKey, tntCredit: regNode.tntCredit, callbackUrl: regNode.callbackUrl || '' })
         await redis.expire(`tntAddr:cachedHMAC:${tntAddrHeaderParam}`, 60 * 60 * 24)
       } catch (error) {
         console.error(`ERROR : Unable to write to redis : ${error.message}`)
@@ -288,16 +426,56 @@ async function postHashV1Async (req, res, next) {
     return next(new restify.InternalServerError('Could not query registered nodes'))
   }
 
+  // a callback_url submitted with the hashes takes precedence over the one registered for the Node
+  let callbackUrl = req.params.callback_url || regNode.callbackUrl || null
+
+  if (isBatch) {
+    // each hash is validated and queued individually, with any errors reported in place of that hash's response
+    let responseObjs = req.params.hashes.map((hash) => {
+      if (!isValidHash(hash)) return { hash: hash, code: 'InvalidArgument', message: 'bad hash submitted' }
+      return generatePostHashResponse(hash, regNode)
+    })
+    let acceptedResponseObjs = responseObjs.filter((responseObj) => responseObj.hash_id !== undefined)
+
+    // the callback_url must be registered before any hash is queued so no proof can become ready without it
+    if (callbackUrl !== null && acceptedResponseObjs.length > 0) {
+      try {
+        await cachedProofCallbacks.writeCallbackUrlsAsync(acceptedResponseObjs.map((responseObj) => {
+          return { hash_id_core: responseObj.hash_id, callback_url: callbackUrl }
+        }))
+      } catch (error) {
+        console.error(`ERROR : Unable to register callback_url : ${error.message}`)
+        return next(new restify.InternalServerError('Could not register callback_url'))
+      }
+    }
+
+    for (let x = 0; x < responseObjs.length; x++) {
+      if (responseObjs[x].hash_id === undefined) continue
+      try {
+        await queueHashAsync(responseObjs[x])
+      } catch (error) {
+        console.error(env.RMQ_WORK_OUT_AGG_QUEUE, 'publish message nacked')
+        responseObjs[x] = { hash: responseObjs[x].hash, code: 'InternalServerError', message: 'Message could not be delivered' }
+      }
+    }
+
+    res.send(responseObjs)
+    return next()
+  }
+
   let responseObj = generatePostHashResponse(req.params.hash, regNode)
 
-  let hashObj = {
-    hash_id: responseObj.hash_id,
-    hash: responseObj.hash,
-    nist: responseObj.nist
+  if (callbackUrl !== null) {
+    try {
+      await cachedProofCallbacks.writeCallbackUrlsAsync([{ hash_id_core: responseObj.hash_id, callback_url: callbackUrl }])
+    } catch (error) {
+      console.error(`ERROR : Unable to register callback_url : ${error.message}`)
+      return next(new restify.InternalServerError('Could not register callback_url'))
+    }
   }
 
   try {
-    await amqpChannel.sendToQueue(env.RMQ_WORK_OUT_AGG_QUEUE, Buffer.from(JSON.stringify(hashObj)), { persistent: true })
+    await queueHashAsync(responseObj)
   } catch (error) {
     console.error(env.RMQ_WORK_OUT_AGG_QUEUE, 'publish message nacked')
     return next(new restify.InternalServerError('Message could not be delivered'))
@@ -308,7 +486,7 @@ async function postHashV1Async (req, res, next) {
   return next()
 }
 
-function updateNistVars (nistValue) {
+function updateNistVars (nistValue, nistType) {
   try {
     let nistTimestampString = nistValue.split(':')[0].toString()
     // parse epoch as seconds or milliseconds
@@ -318,21 +496,94 @@ function updateNistVars (nistValue) {
     if (nistTimestampInt > 1000000000000) nistTimestampInt = Math.floor(nistTimestampInt / 1000)
     nistLatest = nistValue
     nistLatestEpoch = nistTimestampInt
+    nistLatestType = nistType || DEFAULT_NIST_TYPE
   } catch (error) {
     // the nist value being set must be bad, disable UUID / NIST validation until valid value is received
     console.error(error.message)
     nistLatest = null
     nistLatestEpoch = null
+    nistLatestType = null
   }
 }
 
+/**
+ * GET /hashes/:hash_id/status handler
+ *
+ * Expects a path parameter 'hash_id' in the form of a Version 1 UUID
+ *
+ * Returns the completion of each proof pipeline stage for the hash_id, from the proof state
+ * retained for PROOF_STATE_EXPIRE_HOURS, along with re-estimated processing_hints
+ */
+async function getHashStatusV1Async (req, res, next) {
+  if (!uuidValidate(req.params.hash_id, 1)) {
+    return next(new restify.InvalidArgumentError(`invalid request, bad hash_id: ${req.params.hash_id}`))
+  }
+  let hashId = req.params.hash_id.toLowerCase()
+  let submittedDate = new Date(parseInt(uuidTime.v1(hashId), 10))
+
+  let stages = {
+    agg: { complete: false },
+    cal: { complete: false, cal_block_height: null },
+    anchor_btc_agg: { complete: false },
+    btc_tx: { complete: false, btc_tx_id: null, btc_confirmations: null },
+    btc_head: { complete: false, btc_block_height: null }
+  }
+
+  try {
+    let aggStates = await cachedProofState.getAggStateObjectsByHashIdsAsync([hashId])
+    if (aggStates.length === 0) {
+      // a hash_id not yet aggregated may still be waiting in the aggregation queue
+      let retentionCutoffDate = new Date(Date.now() - cachedProofState.PROOF_STATE_EXPIRE_HOURS * 60 * 60 * 1000)
+      if (submittedDate < retentionCutoffDate || submittedDate > utils.addMinutes(new Date(), 1)) {
+        return next(new restify.NotFoundError(`hash_id not found: ${hashId}`))
+      }
+    } else {
+      stages.agg.complete = true
+      let calStates = await cachedProofState.getCalStateObjectsByAggIdsAsync([aggStates[0].agg_id])
+      if (calStates.length > 0) {
+        stages.cal.complete = true
+        stages.cal.cal_block_height = parseInt(calStates[0].cal_id, 10)
+        let anchorBtcAggStates = await cachedProofState.getAnchorBTCAggStateObjectsByCalIdsAsync([calStates[0].cal_id])
+        if (anchorBtcAggStates.length > 0) {
+          stages.anchor_btc_agg.complete = true
+          let btcTxState = await cachedProofState.getBTCTxStateObjectByAnchorBTCAggIdAsync(anchorBtcAggStates[0].anchor_btc_agg_id)
+          if (btcTxState) {
+            stages.btc_tx.complete = true
+            stages.btc_tx.btc_tx_id = btcTxState.btctx_id
+            stages.btc_tx.btc_confirmations = await cachedProofState.getBTCTxConfirmationsAsync(btcTxState.btctx_id)
+            let btcHeadState = await cachedProofState.getBTCHeadStateObjectByBTCTxIdAsync(btcTxState.btctx_id)
+            if (btcHeadState) {
+              stages.btc_head.complete = true
+              stages.btc_head.btc_block_height = parseInt(btcHeadState.btchead_height, 10)
+            }
+          }
+        }
+      }
+    }
+  } catch (error) {
+    console.error(`getHashStatusV1Async failed : Could not retrieve proof state : ${error.message}`)
+    return next(new restify.InternalServerError('Could not retrieve proof state'))
+  }
+
+  res.noCache()
+  res.send({
+    hash_id: hashId,
+    submitted_at: utils.formatDateISO8601NoMs(submittedDate),
+    stages: stages,
+    processing_hints: estimateProcessingHints(submittedDate, stages)
+  })
+  return next()
+}
+
 module.exports = {
   postHashV1Async: postHashV1Async,
+  getHashStatusV1Async: getHashStatusV1Async,
   generatePostHashResponse: generatePostHashResponse,
+  isValidCallbackUrl: isValidCallbackUrl,
   setAMQPChannel: (chan) => { amqpChannel = chan },
   getNistLatest: () => { return nistLatest },
-  setNistLatest: (val) => { updateNistVars(val) },
-  setRedis: (redisClient) => { redis = redisClient },
+  setNistLatest: (val, type) => { updateNistVars(val, type) },
+  setRedis: (redisClient) => { redis = redisClient; cachedProofCallbacks.setRedis(redisClient) },
   setEnforcePrivateStakeState: (enabled) => { enforcePrivateNodeStake = (enabled === 'true') },
   setDatabase: (sqlz, regNode) => { RegisteredNode = regNode }
 }
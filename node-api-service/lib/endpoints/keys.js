@@ -0,0 +1,65 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const restify = require('restify')
+
+let SigningKey
+
+/**
+ * Retrieves every key this Core has signed calendar blocks with, oldest first
+ *
+ * @returns {Object[]} An array of signing key objects
+ */
+async function getSigningKeyHistoryAsync () {
+  let signingKeys = await SigningKey.findAll({ order: [['activationHeight', 'ASC']], raw: true })
+  return signingKeys.map((signingKey) => {
+    return {
+      pubkey_hash: signingKey.pubKeyHash,
+      pubkey: signingKey.pubKey,
+      activation_height: parseInt(signingKey.activationHeight, 10),
+      retirement_height: signingKey.retirementHeight === null ? null : parseInt(signingKey.retirementHeight, 10),
+      active: signingKey.retirementHeight === null
+    }
+  })
+}
+
+/**
+ * GET /keys handler
+ *
+ * Returns the signing key history of this Core. Each calendar block sig is
+ * prefixed with the first 12 characters of the pubkey_hash of the key that
+ * signed it, and that block's height falls within the key's activation and
+ * retirement heights.
+ */
+async function getKeysV1Async (req, res, next) {
+  let result
+  try {
+    result = await getSigningKeyHistoryAsync()
+  } catch (error) {
+    console.error(`getKeysV1Async failed : Could not retrieve signing keys : ${error.message}`)
+    return next(new restify.InternalServerError('Could not retrieve signing keys'))
+  }
+
+  res.cache('public', { maxAge: 60 })
+  res.send(result)
+  return next()
+}
+
+module.exports = {
+  getKeysV1Async: getKeysV1Async,
+  getSigningKeyHistoryAsync: getSigningKeyHistoryAsync,
+  setDatabase: (sqlz, signingKey) => { SigningKey = signingKey }
+}
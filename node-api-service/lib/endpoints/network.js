@@ -0,0 +1,46 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const restify = require('restify')
+const cachedNetworkStats = require('../models/cachedNetworkStats.js')
+
+/**
+ * GET /network/stats handler
+ *
+ * Returns the Node counts, Node version distribution, hash and calendar block rates,
+ * and BTC anchoring times of the network, as last calculated by the audit producer
+ */
+async function getNetworkStatsV1Async (req, res, next) {
+  let networkStats
+  try {
+    networkStats = await cachedNetworkStats.getNetworkStatsAsync()
+  } catch (error) {
+    console.error(`getNetworkStatsV1Async failed : Could not retrieve network stats : ${error.message}`)
+    return next(new restify.ServiceUnavailableError('Network stats are unavailable, please retry later'))
+  }
+  if (!networkStats) {
+    return next(new restify.ServiceUnavailableError('Network stats are unavailable, please retry later'))
+  }
+
+  res.cache('public', { maxAge: 60 })
+  res.send(networkStats)
+  return next()
+}
+
+module.exports = {
+  getNetworkStatsV1Async: getNetworkStatsV1Async,
+  setRedis: (r) => { cachedNetworkStats.setRedis(r) }
+}
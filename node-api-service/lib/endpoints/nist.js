@@ -0,0 +1,81 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const restify = require('restify')
+const utils = require('../utils.js')
+
+let BeaconPulse
+let sequelize
+
+// Times given as integers below this value are taken to be in seconds rather than milliseconds
+const MIN_MILLISECOND_TIME = 1000000000000
+
+/**
+ * GET /nist/:time handler
+ *
+ * Expects a path parameter 'time' as an ISO8601 date, or the seconds or milliseconds since unix epoch
+ *
+ * Returns the randomness beacon pulse in use at that time, the 'nist' and 'nist_type'
+ * values returned by POST /hashes and embedded in proofs for hashes submitted then.
+ */
+async function getNistByTimeV1Async (req, res, next) {
+  let time = parseTime(req.params.time)
+  if (time === null) {
+    return next(new restify.InvalidArgumentError('invalid request, time must be an ISO8601 date or the seconds or milliseconds since unix epoch'))
+  }
+  if (time > Date.now()) {
+    return next(new restify.InvalidArgumentError('invalid request, time must not be in the future'))
+  }
+
+  let pulse
+  let nextPulse
+  try {
+    pulse = await BeaconPulse.findOne({ where: { broadcastAt: { [sequelize.Op.lte]: time } }, order: [['broadcastAt', 'DESC']], raw: true })
+    if (pulse) nextPulse = await BeaconPulse.findOne({ where: { broadcastAt: { [sequelize.Op.gt]: time } }, order: [['broadcastAt', 'ASC']], raw: true })
+  } catch (error) {
+    console.error(`getNistByTimeV1Async failed : Could not retrieve beacon pulse : ${error.message}`)
+    return next(new restify.InternalServerError('Could not retrieve beacon pulse'))
+  }
+  if (!pulse) {
+    return next(new restify.NotFoundError('no beacon pulse was in use at that time'))
+  }
+
+  // once a later pulse has replaced it, the result for this time will not change
+  res.cache('public', { maxAge: nextPulse ? 2592000 : 30 })
+  res.send({
+    nist: `${pulse.pulseTime}:${pulse.value}`,
+    nist_type: pulse.beaconType,
+    pulse_time: utils.formatDateISO8601NoMs(new Date(parseInt(pulse.pulseTime, 10))),
+    used_from: utils.formatDateISO8601NoMs(new Date(parseInt(pulse.broadcastAt, 10))),
+    used_until: nextPulse ? utils.formatDateISO8601NoMs(new Date(parseInt(nextPulse.broadcastAt, 10))) : null
+  })
+  return next()
+}
+
+// Returns the time in milliseconds since unix epoch, or null if invalid
+function parseTime (timeParam) {
+  if (/^\d{1,15}$/.test(timeParam)) {
+    let time = parseInt(timeParam, 10)
+    return time < MIN_MILLISECOND_TIME ? time * 1000 : time
+  }
+  let time = Date.parse(timeParam)
+  return isNaN(time) ? null : time
+}
+
+module.exports = {
+  getNistByTimeV1Async: getNistByTimeV1Async,
+  setDatabase: (sqlz, beaconPulse) => { sequelize = sqlz; BeaconPulse = beaconPulse }
+}
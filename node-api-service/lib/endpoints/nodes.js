@@ -25,10 +25,15 @@ const utils = require('../utils.js')
 const semver = require('semver')
 const rp = require('request-promise-native')
 const tntUnits = require('../tntUnits.js')
+const hashes = require('./hashes.js')
+const cachedNetworkStats = require('../models/cachedNetworkStats.js')
 
 const env = require('../parse-env.js')('api')
 
 let RegisteredNode
+let NodeAuditLog
+let E2ENodeAuditLog
+let CalendarBlock
 let sequelize
 
 // The redis connection used for all redis communication
@@ -38,6 +43,15 @@ let redis = null
 // The number of results to return when responding to a random nodes query
 const RANDOM_NODES_RESULT_LIMIT = 25
 
+// The number of most recent audits returned by GET /nodes/:tnt_addr, about one day of audits
+const NODE_RECENT_AUDITS_LIMIT = 48
+
+// The number of days of E2E audit results returned by GET /nodes/:tnt_addr
+const NODE_E2E_AUDIT_DAYS = 7
+
+// The maximum number of reward blocks returned by GET /nodes/:tnt_addr/rewards
+const NODE_REWARDS_RESULT_LIMIT = 100
+
 // The minimium TNT grains required to operate a Node
 const minGrainsBalanceNeeded = env.MIN_TNT_GRAINS_BALANCE_FOR_REWARD
 
@@ -116,6 +130,146 @@ async function getNodesBlacklistV1Async (req, res, next) {
   return next()
 }
 
+/**
+ * GET /nodes/leaderboard retrieve handler
+ *
+ * Retrieve the Nodes with the highest audit scores, as last ranked by the audit producer
+ */
+async function getNodesLeaderboardV1Async (req, res, next) {
+  let nodeLeaderboard
+  try {
+    nodeLeaderboard = await cachedNetworkStats.getNodeLeaderboardAsync()
+  } catch (error) {
+    console.error(`getNodesLeaderboardV1Async failed : Could not retrieve Node leaderboard : ${error.message}`)
+    return next(new restify.ServiceUnavailableError('Node leaderboard is unavailable, please retry later'))
+  }
+  if (!nodeLeaderboard) {
+    return next(new restify.ServiceUnavailableError('Node leaderboard is unavailable, please retry later'))
+  }
+
+  res.cache('public', { maxAge: 60 })
+  res.send(nodeLeaderboard)
+  return next()
+}
+
+/**
+ * GET /nodes/:tnt_addr retrieve handler
+ *
+ * Returns the registration, audit score and audit counters of a Node, with the results of
+ * its most recent audits broken down by check and its E2E audit stage results by day
+ */
+async function getNodeByTNTAddrV1Async (req, res, next) {
+  if (!isEthereumAddr(req.params.tnt_addr)) {
+    return next(new restify.InvalidArgumentError('invalid request, malformed tnt_addr'))
+  }
+  let tntAddr = req.params.tnt_addr.toLowerCase()
+
+  let regNode
+  let audits
+  let e2eAudits
+  try {
+    regNode = await RegisteredNode.findOne({ where: { tntAddr: tntAddr }, raw: true })
+    if (regNode) {
+      audits = await NodeAuditLog.findAll({ where: { tntAddr: tntAddr }, order: [['audit_at', 'DESC']], limit: NODE_RECENT_AUDITS_LIMIT, raw: true })
+      let e2eFromDate = moment().utc().startOf('day').subtract(NODE_E2E_AUDIT_DAYS - 1, 'days').toDate()
+      e2eAudits = await E2ENodeAuditLog.findAll({ where: { tntAddr: tntAddr, auditDate: { [sequelize.Op.gte]: e2eFromDate } }, order: [['audit_date', 'DESC']], raw: true })
+    }
+  } catch (error) {
+    console.error(`getNodeByTNTAddrV1Async failed : Unable to query Node audit history : ${error.message}`)
+    return next(new restify.InternalServerError('Unable to query Node audit history'))
+  }
+
+  if (!regNode) {
+    res.status(404)
+    res.noCache()
+    res.send({ code: 'NotFoundError', message: 'could not find registered Node' })
+    return next()
+  }
+
+  // one entry per audit day, each with the status of every stage audited that day
+  let e2eAuditsByDate = {}
+  e2eAudits.forEach((e2eAudit) => {
+    let auditDate = moment(e2eAudit.auditDate).utc().format('YYYY-MM-DD')
+    if (!e2eAuditsByDate[auditDate]) e2eAuditsByDate[auditDate] = { audit_date: auditDate, stages: {} }
+    e2eAuditsByDate[auditDate].stages[e2eAudit.stage] = e2eAudit.status
+  })
+
+  res.cache('public', { maxAge: 60 })
+  res.send({
+    tnt_addr: regNode.tntAddr,
+    public_uri: regNode.publicUri,
+    registered_at: utils.formatDateISO8601NoMs(new Date(regNode.created_at)),
+    audit_score: parseInt(regNode.auditScore, 10),
+    pass_count: parseInt(regNode.passCount, 10),
+    fail_count: parseInt(regNode.failCount, 10),
+    consecutive_passes: parseInt(regNode.consecutivePasses, 10),
+    consecutive_fails: parseInt(regNode.consecutiveFails, 10),
+    verify_e2e_passed_at: regNode.verifyE2EPassedAt ? utils.formatDateISO8601NoMs(new Date(parseInt(regNode.verifyE2EPassedAt, 10))) : null,
+    verify_e2e_failed_at: regNode.verifyE2EFailedAt ? utils.formatDateISO8601NoMs(new Date(parseInt(regNode.verifyE2EFailedAt, 10))) : null,
+    recent_audits: audits.map((audit) => {
+      return {
+        audit_at: utils.formatDateISO8601NoMs(new Date(parseInt(audit.auditAt, 10))),
+        public_uri: audit.publicUri,
+        node_version: audit.nodeVersion,
+        node_ms_delta: audit.nodeMSDelta === null ? null : parseInt(audit.nodeMSDelta, 10),
+        tnt_balance_grains: audit.tntBalanceGrains === null ? null : parseInt(audit.tntBalanceGrains, 10),
+        checks: {
+          public_ip: audit.publicIPPass,
+          time: audit.timePass,
+          cal_state: audit.calStatePass,
+          min_credits: audit.minCreditsPass,
+          node_version: audit.nodeVersionPass,
+          tnt_balance: audit.tntBalancePass
+        }
+      }
+    }),
+    e2e_audits: _.values(e2eAuditsByDate)
+  })
+  return next()
+}
+
+/**
+ * GET /nodes/:tnt_addr/rewards retrieve handler
+ *
+ * Returns the most recent reward blocks paying the Node at that address, newest first
+ */
+async function getNodeRewardsByTNTAddrV1Async (req, res, next) {
+  if (!isEthereumAddr(req.params.tnt_addr)) {
+    return next(new restify.InvalidArgumentError('invalid request, malformed tnt_addr'))
+  }
+  let tntAddr = req.params.tnt_addr.toLowerCase()
+
+  // a reward block dataVal begins with the Node address and the Node reward amount
+  let rewardBlocks
+  try {
+    rewardBlocks = await CalendarBlock.findAll({
+      where: { type: 'reward', dataVal: { [sequelize.Op.like]: `${tntAddr}:%` } },
+      attributes: ['id', 'time', 'dataId', 'dataVal'],
+      order: [['id', 'DESC']],
+      limit: NODE_REWARDS_RESULT_LIMIT,
+      raw: true
+    })
+  } catch (error) {
+    console.error(`getNodeRewardsByTNTAddrV1Async failed : Unable to query reward blocks : ${error.message}`)
+    return next(new restify.InternalServerError('Unable to query reward blocks'))
+  }
+
+  let results = rewardBlocks.map((rewardBlock) => {
+    let amountGrains = parseInt(rewardBlock.dataVal.split(':')[1], 10)
+    return {
+      cal_block_id: parseInt(rewardBlock.id, 10),
+      time: parseInt(rewardBlock.time, 10),
+      tx_id: rewardBlock.dataId.split(':')[0],
+      amount_grains: amountGrains,
+      amount_tnt: tntUnits.grainsToTNT(amountGrains)
+    }
+  })
+
+  res.cache('public', { maxAge: 60 })
+  res.send(results)
+  return next()
+}
+
 /**
  * POST /node create handler
  *
@@ -181,6 +335,12 @@ async function postNodeV1Async (req, res, next) {
     if (req.params.public_uri && url.parse(req.params.public_uri).port && url.parse(req.params.public_uri).port !== '80') return next(new restify.InvalidArgumentError('public_uri hostname must specify port 80 or omit the port number to have it be implicitly set to 80'))
   }
 
+  // if a callback_url is provided, it must be valid, an empty value removes any existing callback_url
+  let hasCallbackUrl = req.params.hasOwnProperty('callback_url')
+  if (hasCallbackUrl && !_.isEmpty(req.params.callback_url) && !hashes.isValidCallbackUrl(req.params.callback_url)) {
+    return next(new restify.InvalidArgumentError('invalid JSON body, invalid callback_url'))
+  }
+
   try {
     let whereClause
     if (lowerCasedPublicUri && !_.isEmpty(lowerCasedPublicUri)) {
@@ -205,7 +365,7 @@ async function postNodeV1Async (req, res, next) {
   }
 
   // ensure a unique source ip
-  let createdFromIp = getSourceIp(req)
+  let createdFromIp = utils.getSourceIp(req)
   if (createdFromIp) {
     let thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)
     let matches = await RegisteredNode.count({ where: { createdFromIp: createdFromIp, created_at: { [sequelize.Op.gte]: thirtyDaysAgo } } })
@@ -233,6 +393,7 @@ async function postNodeV1Async (req, res, next) {
     newNode = await RegisteredNode.create({
       tntAddr: lowerCasedTntAddrParam,
       publicUri: lowerCasedPublicUri,
+      callbackUrl: hasCallbackUrl && !_.isEmpty(req.params.callback_url) ? req.params.callback_url : null,
       hmacKey: randHMACKey,
       tntCredit: 86400,
       createdFromIp: createdFromIp
@@ -245,6 +406,7 @@ async function postNodeV1Async (req, res, next) {
   res.send({
     tnt_addr: newNode.tntAddr,
     public_uri: newNode.publicUri,
+    callback_url: newNode.callbackUrl || undefined,
     hmac_key: newNode.hmacKey
   })
   return next()
@@ -324,6 +486,12 @@ async function putNodeV1Async (req, res, next) {
     if (req.params.public_uri && url.parse(req.params.public_uri).port && url.parse(req.params.public_uri).port !== '80') return next(new restify.InvalidArgumentError('public_uri hostname must specify port 80 or omit the port number to have it be implicitly set to 80'))
   }
 
+  // if a callback_url is provided, it must be valid, an empty value removes any existing callback_url
+  let hasCallbackUrl = req.params.hasOwnProperty('callback_url')
+  if (hasCallbackUrl && !_.isEmpty(req.params.callback_url) && !hashes.isValidCallbackUrl(req.params.callback_url)) {
+    return next(new restify.InvalidArgumentError('invalid JSON body, invalid callback_url'))
+  }
+
   let regNode
   try {
     let whereClause
@@ -332,7 +500,7 @@ async function putNodeV1Async (req, res, next) {
     } else {
       whereClause = { tntAddr: lowerCasedTntAddrParam }
     }
-    let results = await RegisteredNode.findAll({ where: whereClause, attributes: ['tntAddr', 'publicUri', 'hmacKey'] })
+    let results = await RegisteredNode.findAll({ where: whereClause, attributes: ['tntAddr', 'publicUri', 'hmacKey', 'callbackUrl'] })
     if (results.length === 0) {
       // no results found, a node with this tntAddr does not exist
       res.status(404)
@@ -385,6 +553,8 @@ async function putNodeV1Async (req, res, next) {
     regNode.publicUri = lowerCasedPublicUri
   }
 
+  if (hasCallbackUrl) regNode.callbackUrl = _.isEmpty(req.params.callback_url) ? null : req.params.callback_url
+
   // check to see if the Node has the min balance required for Node operation
   try {
     let nodeBalance = await getTNTGrainsBalanceForAddressAsync(lowerCasedTntAddrParam)
@@ -406,9 +576,19 @@ async function putNodeV1Async (req, res, next) {
     return next(new restify.InternalServerError('Could not update RegisteredNode'))
   }
 
+  // remove the cached Node data used by POST /hashes so that it picks up any callback_url change
+  if (hasCallbackUrl) {
+    try {
+      await redis.del(`tntAddr:cachedHMAC:${lowerCasedTntAddrParam}`)
+    } catch (error) {
+      console.error(`ERROR : Unable to remove cached Node data : ${error.message}`)
+    }
+  }
+
   res.send({
     tnt_addr: regNode.tntAddr,
-    public_uri: regNode.publicUri || undefined
+    public_uri: regNode.publicUri || undefined,
+    callback_url: regNode.callbackUrl || undefined
   })
   return next()
 }
@@ -463,33 +643,23 @@ let getTNTGrainsBalanceForAddressAsync = async (tntAddress) => {
   }
 }
 
-function getSourceIp (req) {
-  let reqIp = null
-  if (req.headers['CF-Connecting-IP']) {
-    // Cloudflare
-    reqIp = req.headers['CF-Connecting-IP']
-    console.log(`getSourceIp : extracted source IP from CF-Connecting-IP : ${reqIp}`)
-  } else if (req.headers['x-forwarded-for']) {
-    let fwdIPs = req.headers['x-forwarded-for'].split(',')
-    reqIp = fwdIPs[0]
-    console.log(`getSourceIp : extracted source IP from x-forwarded-for : ${req.headers['x-forwarded-for']} : ${reqIp}`)
-  } else {
-    reqIp = req.connection.remoteAddress || null
-    console.log(`getSourceIp : extracted source IP from remoteAddress : ${reqIp}`)
-  }
-  if (reqIp) reqIp = reqIp.replace(/^.*:/, '')
-
-  return reqIp
-}
-
 module.exports = {
   getNodesRandomV1Async: getNodesRandomV1Async,
   getNodesBlacklistV1Async: getNodesBlacklistV1Async,
+  getNodesLeaderboardV1Async: getNodesLeaderboardV1Async,
+  getNodeByTNTAddrV1Async: getNodeByTNTAddrV1Async,
+  getNodeRewardsByTNTAddrV1Async: getNodeRewardsByTNTAddrV1Async,
   postNodeV1Async: postNodeV1Async,
   putNodeV1Async: putNodeV1Async,
   overrideGetTNTGrainsBalanceForAddressAsync: (func) => { getTNTGrainsBalanceForAddressAsync = func },
   setMinNodeVersionExisting: (ver) => { updateMinNodeVersionExisting(ver) },
   setMinNodeVersionNew: (ver) => { updateMinNodeVersionNew(ver) },
   setRedis: (redisClient) => { redis = redisClient },
-  setDatabase: (sqlz, regNode) => { sequelize = sqlz; RegisteredNode = regNode }
+  setDatabase: (sqlz, regNode, nodeAuditLog, e2eNodeAuditLog, calBlock) => {
+    sequelize = sqlz
+    RegisteredNode = regNode
+    NodeAuditLog = nodeAuditLog
+    E2ENodeAuditLog = e2eNodeAuditLog
+    CalendarBlock = calBlock
+  }
 }
@@ -0,0 +1,228 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const restify = require('restify')
+const env = require('../parse-env.js')('api')
+const utils = require('../utils.js')
+const _ = require('lodash')
+const uuidValidate = require('uuid-validate')
+const chpBinary = require('chainpoint-binary')
+const cachedProofs = require('../models/cachedProofs.js')
+const cachedProofState = require('../models/cachedProofState.js')
+
+// The maximum number of proofs that may be requested in a single GET /proofs call
+const GET_PROOFS_MAX_REST = 250
+
+// The Accept header value requesting proofs in JSON-LD format
+// All other values will result in proofs returned as base64 encoded chainpoint-binary
+const JSONLD_MIME_TYPE = 'application/vnd.chainpoint.ld+json'
+
+// The maximum number of hash_ids returned for a single hash value by GET /proofs/hash/:hash
+const GET_PROOFS_BY_HASH_MAX_RESULTS = 100
+
+// The prefix for the Redis keys counting proof lookups by hash value per IP per minute
+const HASH_LOOKUP_COUNT_KEY_PREFIX = 'API:HashLookupCount'
+
+// The redis connection used for all redis communication
+// This value is set once the connection has been established
+let redis = null
+
+/**
+ * GET /proofs/:hash_id_core handler
+ *
+ * Expects a path parameter 'hash_id_core' in the form of a Version 1 UUID
+ *
+ * Returns an array containing a single { hash_id, proof } object
+ */
+async function getProofsByIDV1Async (req, res, next) {
+  let hashIds = [req.params.hash_id_core]
+  return getProofsAsync(hashIds, req, res, next)
+}
+
+/**
+ * GET /proofs handler
+ *
+ * Expects a header 'hashids' containing a comma separated list of Version 1 UUIDs
+ *
+ * Returns an array of { hash_id, proof } objects, one for each requested hash_id
+ */
+async function getProofsByHeaderIDsV1Async (req, res, next) {
+  // validate hashids header exists
+  if (!req.headers.hashids) {
+    return next(new restify.InvalidArgumentError('invalid request, at least one hash id required'))
+  }
+
+  let hashIds = req.headers.hashids.split(',').map((hashId) => hashId.trim()).filter((hashId) => hashId !== '')
+
+  // ensure at least one hash_id was submitted
+  if (hashIds.length === 0) {
+    return next(new restify.InvalidArgumentError('invalid request, at least one hash id required'))
+  }
+
+  // ensure that the request count does not exceed the maximum setting
+  if (hashIds.length > GET_PROOFS_MAX_REST) {
+    return next(new restify.InvalidArgumentError(`invalid request, too many hash ids (${GET_PROOFS_MAX_REST} max)`))
+  }
+
+  return getProofsAsync(hashIds, req, res, next)
+}
+
+/**
+ * GET /proofs/hash/:hash handler
+ *
+ * Expects a path parameter 'hash' in the form of a hex string, as submitted to POST /hashes
+ *
+ * Returns an array of { hash_id, submitted_at, proof_stages } objects, one for each
+ * hash_id submitted with that hash value within the proof state retention window.
+ * Hashes that have not yet been aggregated are not returned. Lookups are rate limited
+ * per client IP address, taken from the load balancer hop rather than any client
+ * supplied header, so that the submitted hash values can not be enumerated.
+ */
+async function getProofsByHashV1Async (req, res, next) {
+  if (!/^([a-fA-F0-9]{2}){20,64}$/.test(req.params.hash)) {
+    return next(new restify.InvalidArgumentError('invalid request, bad hash'))
+  }
+  let hash = req.params.hash.toLowerCase()
+
+  // without redis the lookup count can not be tracked, so refuse rather than allow unlimited lookups
+  if (!redis) {
+    return next(new restify.ServiceUnavailableError('Service is unavailable, please retry later'))
+  }
+  let lookupCount
+  try {
+    lookupCount = await incrementHashLookupCountAsync(utils.getTrustedSourceIp(req))
+  } catch (error) {
+    console.error(`getProofsByHashV1Async failed : Could not update lookup count : ${error.message}`)
+    return next(new restify.ServiceUnavailableError('Service is unavailable, please retry later'))
+  }
+  if (lookupCount > env.PROOF_LOOKUP_BY_HASH_MAX_PER_MINUTE) {
+    return next(new restify.TooManyRequestsError(`too many requests, ${env.PROOF_LOOKUP_BY_HASH_MAX_PER_MINUTE} hash lookups per minute max`))
+  }
+
+  let results
+  try {
+    let aggStates = await cachedProofState.getAggStateObjectsByHashAsync(hash, GET_PROOFS_BY_HASH_MAX_RESULTS)
+    let proofStagesByAggId = await getProofStagesByAggIdsAsync(_.uniq(aggStates.map((aggState) => aggState.agg_id)))
+    results = aggStates.map((aggState) => {
+      return {
+        hash_id: aggState.hash_id,
+        submitted_at: utils.formatDateISO8601NoMs(new Date(aggState.created_at)),
+        proof_stages: proofStagesByAggId[aggState.agg_id]
+      }
+    })
+  } catch (error) {
+    console.error(`getProofsByHashV1Async failed : Could not retrieve proof state : ${error.message}`)
+    return next(new restify.InternalServerError('Could not retrieve proof state'))
+  }
+
+  res.noCache()
+  res.contentType = 'application/json'
+  res.send(results)
+  return next()
+}
+
+// Counts lookups per IP in one minute windows, returning the count for the current window
+async function incrementHashLookupCountAsync (sourceIp) {
+  let windowStart = Math.floor(Date.now() / 60000)
+  let key = `${HASH_LOOKUP_COUNT_KEY_PREFIX}:${sourceIp}:${windowStart}`
+  let multi = redis.multi()
+  multi.incr(key)
+  multi.expire(key, 60)
+  let multiResults = await multi.exec()
+  return multiResults[0][1]
+}
+
+// Returns an object mapping each aggId to the proof types, of cal, btc and eth, whose
+// anchoring is complete for hashes in that aggregation, and so whose proofs are available
+async function getProofStagesByAggIdsAsync (aggIds) {
+  let proofStagesByAggId = {}
+  aggIds.forEach((aggId) => { proofStagesByAggId[aggId] = [] })
+  if (aggIds.length === 0) return proofStagesByAggId
+
+  let calStates = await cachedProofState.getCalStateObjectsByAggIdsAsync(aggIds)
+  if (calStates.length === 0) return proofStagesByAggId
+  let calIds = calStates.map((calState) => calState.cal_id)
+
+  let btcCalIds = []
+  let anchorBtcAggStates = await cachedProofState.getAnchorBTCAggStateObjectsByCalIdsAsync(calIds)
+  for (let anchorBtcAggState of anchorBtcAggStates) {
+    let btcTxState = await cachedProofState.getBTCTxStateObjectByAnchorBTCAggIdAsync(anchorBtcAggState.anchor_btc_agg_id)
+    if (!btcTxState) continue
+    let btcHeadState = await cachedProofState.getBTCHeadStateObjectByBTCTxIdAsync(btcTxState.btctx_id)
+    if (btcHeadState) btcCalIds.push(String(anchorBtcAggState.cal_id))
+  }
+
+  let ethCalIds = []
+  let anchorEthAggStates = await cachedProofState.getAnchorETHAggStateObjectsByCalIdsAsync(calIds)
+  for (let anchorEthAggState of anchorEthAggStates) {
+    let ethTxState = await cachedProofState.getETHTxStateObjectByAnchorETHAggIdAsync(anchorEthAggState.anchor_eth_agg_id)
+    if (ethTxState) ethCalIds.push(String(anchorEthAggState.cal_id))
+  }
+
+  calStates.forEach((calState) => {
+    let proofStages = ['cal']
+    if (btcCalIds.includes(String(calState.cal_id))) proofStages.push('btc')
+    if (ethCalIds.includes(String(calState.cal_id))) proofStages.push('eth')
+    proofStagesByAggId[calState.agg_id] = proofStages
+  })
+  return proofStagesByAggId
+}
+
+async function getProofsAsync (hashIds, req, res, next) {
+  // ensure all hash_ids are valid
+  for (let hashId of hashIds) {
+    if (!uuidValidate(hashId, 1)) {
+      return next(new restify.InvalidArgumentError(`invalid request, bad hash_id: ${hashId}`))
+    }
+  }
+
+  let returnJSON = (req.headers.accept || '').indexOf(JSONLD_MIME_TYPE) > -1
+
+  let proofItems
+  try {
+    proofItems = await cachedProofs.getProofsByHashIdsAsync(hashIds.map((hashId) => hashId.toLowerCase()))
+  } catch (error) {
+    console.error(`getProofsAsync failed : Could not retrieve proofs : ${error.message}`)
+    return next(new restify.InternalServerError('Could not retrieve proofs'))
+  }
+
+  let results
+  try {
+    results = proofItems.map((proofItem) => {
+      let proof = proofItem.proofBase64
+      if (proof !== null && returnJSON) proof = chpBinary.binaryToObjectSync(proof)
+      return { hash_id: proofItem.hash_id_core, proof: proof }
+    })
+  } catch (error) {
+    console.error(`getProofsAsync failed : Could not decode proof : ${error.message}`)
+    return next(new restify.InternalServerError('Could not decode proof'))
+  }
+
+  res.noCache()
+  res.contentType = 'application/json'
+  res.send(results)
+  return next()
+}
+
+module.exports = {
+  getProofsByIDV1Async: getProofsByIDV1Async,
+  getProofsByHeaderIDsV1Async: getProofsByHeaderIDsV1Async,
+  getProofsByHashV1Async: getProofsByHashV1Async,
+  setRedis: (r) => { redis = r; cachedProofs.setRedis(r); cachedProofState.setRedis(r) },
+  setDatabase: (sqlz, aggState, calState, anchorBtcAggState, btcTxState, btcHeadState, anchorEthAggState, ethTxState) => {
+    cachedProofState.setDatabase(sqlz, aggState, calState, anchorBtcAggState, btcTxState, btcHeadState, anchorEthAggState, ethTxState)
+  }
+}
@@ -0,0 +1,128 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const restify = require('restify')
+const rewardScheduleLib = require('../rewardSchedule.js')
+const utils = require('../utils.js')
+
+let CalendarBlock
+let RewardPayout
+
+// The maximum number of payouts returned by GET /rewards/payouts/:tnt_addr
+const GET_PAYOUTS_MAX_RESULTS = 100
+
+// The reward schedule defining the reward shares of each epoch, set by consul
+// An invalid schedule is ignored, and the previous schedule remains in use
+let rewardSchedule = null
+
+/**
+ * GET /rewards/schedule handler
+ *
+ * Returns the reward schedule document, with the index of the current epoch
+ */
+async function getRewardScheduleV1Async (req, res, next) {
+  if (!rewardSchedule) {
+    return next(new restify.ServiceUnavailableError('Reward schedule is unavailable, please retry later'))
+  }
+
+  let position = Date.now()
+  if (rewardSchedule.epoch_type === 'reward_block_count') {
+    try {
+      position = await CalendarBlock.count({ where: { type: 'reward' } })
+    } catch (error) {
+      console.error(`getRewardScheduleV1Async failed : Could not count reward blocks : ${error.message}`)
+      return next(new restify.InternalServerError('Could not count reward blocks'))
+    }
+  }
+  let currentEpoch = rewardScheduleLib.getCurrentEpoch(rewardSchedule, position)
+
+  res.cache('public', { maxAge: 60 })
+  res.send(Object.assign({}, rewardSchedule, { current_epoch_index: currentEpoch ? rewardSchedule.epochs.indexOf(currentEpoch) : null }))
+  return next()
+}
+
+/**
+ * GET /rewards/payouts/:tnt_addr handler
+ *
+ * Expects a path parameter 'tnt_addr' in the form of an Ethereum address
+ *
+ * Returns an array of the most recent rewards paid or being paid to that Node, newest first,
+ * each with its payout state: selected, tx_sent, tx_confirmed, block_written, or held when
+ * the outcome of a transfer is unknown, or it went unconfirmed, and must be checked by the Core operator,
+ * and the draw that selected the Node, with its candidate list so that anyone may recompute the draw
+ */
+async function getRewardPayoutsByTNTAddrV1Async (req, res, next) {
+  if (!/^0x[0-9a-f]{40}$/i.test(req.params.tnt_addr)) {
+    return next(new restify.InvalidArgumentError('invalid request, malformed tnt_addr'))
+  }
+  let tntAddr = req.params.tnt_addr.toLowerCase()
+
+  let rewardPayouts
+  try {
+    rewardPayouts = await RewardPayout.findAll({ where: { nodeAddr: tntAddr }, order: [['created_at', 'DESC']], limit: GET_PAYOUTS_MAX_RESULTS, raw: true })
+  } catch (error) {
+    console.error(`getRewardPayoutsByTNTAddrV1Async failed : Could not retrieve reward payouts : ${error.message}`)
+    return next(new restify.InternalServerError('Could not retrieve reward payouts'))
+  }
+
+  let results = rewardPayouts.map((rewardPayout) => {
+    return {
+      reward_id: rewardPayout.rewardId,
+      state: rewardPayout.state,
+      node_amount: parseInt(rewardPayout.nodeAmount, 10),
+      node_tx_id: rewardPayout.nodeTxId,
+      cal_block_id: rewardPayout.calBlockId === null ? null : parseInt(rewardPayout.calBlockId, 10),
+      draw: formatDraw(rewardPayout.draw),
+      selected_at: utils.formatDateISO8601NoMs(new Date(rewardPayout.created_at)),
+      updated_at: utils.formatDateISO8601NoMs(new Date(rewardPayout.updated_at))
+    }
+  })
+
+  res.noCache()
+  res.contentType = 'application/json'
+  res.send(results)
+  return next()
+}
+
+// Returns the JSON encoded draw of a reward payout as it is published, null for
+// rewards selected before draws were recorded, and a null candidates list for
+// draws recorded before the candidates were
+function formatDraw (drawJSON) {
+  if (!drawJSON) return null
+  let draw = JSON.parse(drawJSON)
+  return {
+    seed: draw.seed,
+    nist: draw.nist,
+    candidates_hash: draw.candidates_hash,
+    winner_index: draw.winner_index,
+    candidates: draw.candidates || null
+  }
+}
+
+function setRewardSchedule (scheduleJSON) {
+  try {
+    rewardSchedule = rewardScheduleLib.parseSchedule(scheduleJSON)
+  } catch (error) {
+    console.error(`Reward schedule update ignored : ${error.message}`)
+  }
+}
+
+module.exports = {
+  getRewardScheduleV1Async: getRewardScheduleV1Async,
+  getRewardPayoutsByTNTAddrV1Async: getRewardPayoutsByTNTAddrV1Async,
+  setRewardSchedule: setRewardSchedule,
+  setDatabase: (sqlz, calBlock, rewardPayout) => { CalendarBlock = calBlock; RewardPayout = rewardPayout }
+}
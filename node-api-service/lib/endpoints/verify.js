@@ -0,0 +1,198 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const _ = require('lodash')
+const restify = require('restify')
+const chpParse = require('chainpoint-parse')
+
+let CalendarBlock
+let OrphanedCalBlock
+let sequelize
+
+// The maximum number of proofs that may be submitted in a single POST /verify call
+const POST_VERIFY_PROOFS_MAX = 1000
+
+/**
+ * Flattens the anchors of all branches and sub-branches of a parsed proof
+ *
+ * @param {Object[]} branches - The branches array from a chainpoint-parse result
+ * @returns {Object[]} An array of anchor objects, each with an added 'branch' property
+ */
+function flattenParsedBranches (branches) {
+  let anchors = []
+  for (let branch of branches) {
+    for (let anchor of branch.anchors) {
+      anchors.push(Object.assign({ branch: branch.label }, anchor))
+    }
+    if (branch.branches) anchors = anchors.concat(flattenParsedBranches(branch.branches))
+  }
+  return anchors
+}
+
+/**
+ * Retrieves the values needed to confirm the expected value of every cal, btc, and eth anchor
+ *
+ * @param {Object[]} anchors - An array of flattened anchor objects
+ * @returns {Object} An object with 'cal', 'btc', and 'eth' lookup tables of anchor_id to confirming value
+ */
+async function getAnchorConfirmationValuesAsync (anchors) {
+  // cal anchors are confirmed by the hash of the calendar block at height anchor_id
+  let calBlockIds = _.uniq(anchors.filter((anchor) => anchor.type === 'cal').map((anchor) => parseInt(anchor.anchor_id, 10)))
+  calBlockIds = calBlockIds.filter((id) => _.isInteger(id) && id >= 0)
+  // btc anchors are confirmed by the merkle root stored in the btc-c block for the btc block height anchor_id
+  let btcHeights = _.uniq(anchors.filter((anchor) => anchor.type === 'btc').map((anchor) => anchor.anchor_id))
+  // eth anchors are confirmed by the anchor root stored in the eth-c block for the eth transaction anchor_id
+  let ethTxIds = _.uniq(anchors.filter((anchor) => anchor.type === 'eth').map((anchor) => anchor.anchor_id))
+
+  let confirmationValues = { cal: {}, btc: {}, eth: {} }
+
+  if (calBlockIds.length > 0) {
+    let calBlocks = await CalendarBlock.findAll({ where: { id: { [sequelize.Op.in]: calBlockIds } }, attributes: ['id', 'hash'], raw: true })
+    calBlocks.forEach((block) => { confirmationValues.cal[parseInt(block.id, 10)] = block.hash })
+  }
+
+  if (btcHeights.length > 0) {
+    let btcCBlocks = await CalendarBlock.findAll({ where: { type: 'btc-c', dataId: { [sequelize.Op.in]: btcHeights } }, attributes: ['id', 'dataId', 'dataVal'], raw: true })
+    // btc-c blocks recording a bitcoin block since orphaned by a chain reorganization confirm nothing
+    let orphanedBlockIds = []
+    if (btcCBlocks.length > 0) {
+      let orphanedBlocks = await OrphanedCalBlock.findAll({ where: { calBlockId: { [sequelize.Op.in]: btcCBlocks.map((block) => parseInt(block.id, 10)) } }, attributes: ['calBlockId'], raw: true })
+      orphanedBlockIds = orphanedBlocks.map((block) => parseInt(block.calBlockId, 10))
+    }
+    btcCBlocks.filter((block) => !orphanedBlockIds.includes(parseInt(block.id, 10))).forEach((block) => { confirmationValues.btc[block.dataId] = block.dataVal })
+  }
+
+  if (ethTxIds.length > 0) {
+    let ethCBlocks = await CalendarBlock.findAll({ where: { type: 'eth-c', dataId: { [sequelize.Op.in]: ethTxIds } }, attributes: ['dataId', 'dataVal'], raw: true })
+    ethCBlocks.forEach((block) => { confirmationValues.eth[block.dataId] = block.dataVal })
+  }
+
+  return confirmationValues
+}
+
+/**
+ * POST /verify handler
+ *
+ * Expects a JSON body with the form:
+ *   {"proofs": [ {proofJSON1}, {proofJSON2}, "base64ProofString3", ... ]}
+ *
+ * The `proofs` key must reference an array of one or more Chainpoint proofs,
+ * each either as a JSON object or a base64 encoded chainpoint-binary string.
+ *
+ * Returns an array of verification results, one for each submitted proof, with
+ * each anchor found in the proof reported as valid or invalid along with an overall status:
+ * 'verified' (all anchors valid), 'invalid' (no anchors valid), 'mixed', or 'malformed'
+ */
+async function postProofsForVerificationV1Async (req, res, next) {
+  // validate content-type sent was 'application/json'
+  if (req.contentType() !== 'application/json') {
+    return next(new restify.InvalidArgumentError('invalid content type'))
+  }
+
+  // validate params has parse a 'proofs' key
+  if (!req.params.hasOwnProperty('proofs')) {
+    return next(new restify.InvalidArgumentError('invalid JSON body, missing proofs'))
+  }
+
+  // validate proofs param is an Array
+  if (!_.isArray(req.params.proofs)) {
+    return next(new restify.InvalidArgumentError('invalid JSON body, proofs is not an Array'))
+  }
+
+  // validate proofs param Array has at least one proof
+  if (_.isEmpty(req.params.proofs)) {
+    return next(new restify.InvalidArgumentError('invalid JSON body, proofs Array is empty'))
+  }
+
+  // validate proofs param Array is not larger than allowed max length
+  if (req.params.proofs.length > POST_VERIFY_PROOFS_MAX) {
+    return next(new restify.InvalidArgumentError(`invalid JSON body, proofs Array max size of ${POST_VERIFY_PROOFS_MAX} exceeded`))
+  }
+
+  // parse each proof, replaying its operations to calculate the expected value for each anchor
+  let parsedProofs = req.params.proofs.map((proof) => {
+    try {
+      let parsedProof = chpParse.parse(proof)
+      parsedProof.anchors = flattenParsedBranches(parsedProof.branches)
+      return parsedProof
+    } catch (error) {
+      return null
+    }
+  })
+
+  let allAnchors = parsedProofs.filter((parsedProof) => parsedProof !== null).reduce((result, parsedProof) => result.concat(parsedProof.anchors), [])
+
+  let confirmationValues
+  try {
+    confirmationValues = await getAnchorConfirmationValuesAsync(allAnchors)
+  } catch (error) {
+    console.error(`postProofsForVerificationV1Async failed : Could not query for calendar blocks : ${error.message}`)
+    return next(new restify.InternalServerError('Could not query for calendar blocks'))
+  }
+
+  let results = parsedProofs.map((parsedProof, index) => {
+    if (parsedProof === null) {
+      return {
+        proof_index: index,
+        status: 'malformed'
+      }
+    }
+
+    let anchors = parsedProof.anchors.map((anchor) => {
+      let confirmationValue
+      switch (anchor.type) {
+        case 'cal':
+          confirmationValue = confirmationValues.cal[parseInt(anchor.anchor_id, 10)]
+          break
+        case 'btc':
+          confirmationValue = confirmationValues.btc[anchor.anchor_id]
+          break
+        case 'eth':
+          confirmationValue = confirmationValues.eth[anchor.anchor_id]
+          break
+      }
+      return {
+        branch: anchor.branch,
+        type: anchor.type,
+        valid: confirmationValue !== undefined && confirmationValue === anchor.expected_value
+      }
+    })
+
+    let validCount = anchors.filter((anchor) => anchor.valid).length
+    let status = 'mixed'
+    if (validCount === anchors.length && anchors.length > 0) status = 'verified'
+    if (validCount === 0) status = 'invalid'
+
+    return {
+      proof_index: index,
+      hash: parsedProof.hash,
+      hash_id_node: parsedProof.hash_id_node,
+      hash_submitted_node_at: parsedProof.hash_submitted_node_at,
+      hash_id_core: parsedProof.hash_id_core,
+      hash_submitted_core_at: parsedProof.hash_submitted_core_at,
+      anchors: anchors,
+      status: status
+    }
+  })
+
+  res.send(results)
+  return next()
+}
+
+module.exports = {
+  postProofsForVerificationV1Async: postProofsForVerificationV1Async,
+  setDatabase: (sqlz, calBlock, orphanedCalBlock) => { sequelize = sqlz; CalendarBlock = calBlock; OrphanedCalBlock = orphanedCalBlock }
+}
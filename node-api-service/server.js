@@ -23,12 +23,31 @@ const corsMiddleware = require('restify-cors-middleware')
 const hashes = require('./lib/endpoints/hashes.js')
 const nodes = require('./lib/endpoints/nodes.js')
 const calendar = require('./lib/endpoints/calendar.js')
+const proofs = require('./lib/endpoints/proofs.js')
+const verify = require('./lib/endpoints/verify.js')
 const config = require('./lib/endpoints/config.js')
+const keys = require('./lib/endpoints/keys.js')
+const nist = require('./lib/endpoints/nist.js')
+const rewards = require('./lib/endpoints/rewards.js')
+const network = require('./lib/endpoints/network.js')
 const root = require('./lib/endpoints/root.js')
 const cnsl = require('consul')
 const registeredNode = require('./lib/models/RegisteredNode.js')
 const calendarBlock = require('./lib/models/CalendarBlock.js')
 const auditChallenge = require('./lib/models/AuditChallenge.js')
+const signingKey = require('./lib/models/SigningKey.js')
+const aggState = require('./lib/models/AggState.js')
+const calState = require('./lib/models/CalState.js')
+const anchorBtcAggState = require('./lib/models/AnchorBtcAggState.js')
+const btcTxState = require('./lib/models/BtcTxState.js')
+const btcHeadState = require('./lib/models/BtcHeadState.js')
+const anchorEthAggState = require('./lib/models/AnchorEthAggState.js')
+const ethTxState = require('./lib/models/EthTxState.js')
+const beaconPulse = require('./lib/models/BeaconPulse.js')
+const rewardPayout = require('./lib/models/RewardPayout.js')
+const nodeAuditLog = require('./lib/models/NodeAuditLog.js')
+const e2eNodeAuditLog = require('./lib/models/E2ENodeAuditLog.js')
+const orphanedCalBlock = require('./lib/models/OrphanedCalBlock.js')
 const zeromq = require('zeromq')
 const connections = require('./lib/connections.js')
 
@@ -98,8 +117,24 @@ server.use(restify.bodyParser({
 
 // submit hash(es)
 server.post({ path: '/hashes', version: '1.0.0' }, hashes.postHashV1Async)
+// get the proof pipeline progress of a submitted hash
+server.get({ path: '/hashes/:hash_id/status', version: '1.0.0' }, hashes.getHashStatusV1Async)
+// get a single proof with a single hash_id
+server.get({ path: '/proofs/:hash_id_core', version: '1.0.0' }, proofs.getProofsByIDV1Async)
+// get the hash_ids and proof stages for a submitted hash value
+server.get({ path: '/proofs/hash/:hash', version: '1.0.0' }, proofs.getProofsByHashV1Async)
+// get multiple proofs with 'hashids' header param
+server.get({ path: '/proofs', version: '1.0.0' }, proofs.getProofsByHeaderIDsV1Async)
+// verify one or more proofs
+server.post({ path: '/verify', version: '1.0.0' }, verify.postProofsForVerificationV1Async)
 // get the block objects for the calendar in the specified block range
 server.get({ path: '/calendar/blockrange/:index', version: '1.0.0' }, calendar.getCalBlockRangeV2Async)
+// get a page of block objects for the calendar, or stream all blocks in a height span
+server.get({ path: '/calendar/blocks', version: '1.0.0' }, calendar.getCalBlocksV1Async)
+// get the height and hash of the most recent calendar block
+server.get({ path: '/calendar/tip', version: '1.0.0' }, calendar.getCalTipV1Async)
+// stream new calendar blocks as server-sent events
+server.get({ path: '/calendar/stream', version: '1.0.0' }, calendar.getCalBlockStreamV1Async)
 // get the block hash for the calendar at the specified height
 server.get({ path: '/calendar/:height/hash', version: '1.0.0' }, calendar.getCalBlockHashByHeightV1Async)
 // get the dataVal item for the calendar at the specified height
@@ -110,12 +145,28 @@ server.get({ path: '/calendar/:height', version: '1.0.0' }, calendar.getCalBlock
 server.get({ path: '/nodes/random', version: '1.0.0' }, nodes.getNodesRandomV1Async)
 // get nodes blacklist
 server.get({ path: '/nodes/blacklist', version: '1.0.0' }, nodes.getNodesBlacklistV1Async)
+// get the Nodes with the highest audit scores
+server.get({ path: '/nodes/leaderboard', version: '1.0.0' }, nodes.getNodesLeaderboardV1Async)
+// get the registration and audit history of a Node
+server.get({ path: '/nodes/:tnt_addr', version: '1.0.0' }, nodes.getNodeByTNTAddrV1Async)
+// get the reward blocks paying a Node
+server.get({ path: '/nodes/:tnt_addr/rewards', version: '1.0.0' }, nodes.getNodeRewardsByTNTAddrV1Async)
 // register a new node
 server.post({ path: '/nodes', version: '1.0.0' }, nodes.postNodeV1Async)
 // update an existing node
 server.put({ path: '/nodes/:tnt_addr', version: '1.0.0' }, nodes.putNodeV1Async)
+// get network statistics
+server.get({ path: '/network/stats', version: '1.0.0' }, network.getNetworkStatsV1Async)
 // get configuration information for this stack
 server.get({ path: '/config', version: '1.0.0' }, config.getConfigInfoV1Async)
+// get the signing key history
+server.get({ path: '/keys', version: '1.0.0' }, keys.getKeysV1Async)
+// get the randomness beacon pulse in use at a given time
+server.get({ path: '/nist/:time', version: '1.0.0' }, nist.getNistByTimeV1Async)
+// get the reward schedule
+server.get({ path: '/rewards/schedule', version: '1.0.0' }, rewards.getRewardScheduleV1Async)
+// get the reward payouts to a Node
+server.get({ path: '/rewards/payouts/:tnt_addr', version: '1.0.0' }, rewards.getRewardPayoutsByTNTAddrV1Async)
 // get heartbeat
 server.get({ path: '/heartbeat', version: '1.0.0' }, root.getHeartbeatV1)
 // teapot
@@ -128,13 +179,31 @@ async function openStorageConnectionAsync () {
   let sqlzModelArray = [
     registeredNode,
     calendarBlock,
-    auditChallenge
+    auditChallenge,
+    signingKey,
+    aggState,
+    calState,
+    anchorBtcAggState,
+    btcTxState,
+    btcHeadState,
+    anchorEthAggState,
+    ethTxState,
+    beaconPulse,
+    rewardPayout,
+    nodeAuditLog,
+    e2eNodeAuditLog,
+    orphanedCalBlock
   ]
   let cxObjects = await connections.openStorageConnectionAsync(sqlzModelArray)
-  nodes.setDatabase(cxObjects.sequelize, cxObjects.models[0])
+  nodes.setDatabase(cxObjects.sequelize, cxObjects.models[0], cxObjects.models[13], cxObjects.models[14], cxObjects.models[1])
   hashes.setDatabase(cxObjects.sequelize, cxObjects.models[0])
   config.setDatabase(cxObjects.sequelize, cxObjects.models[1], cxObjects.models[2])
-  calendar.setDatabase(cxObjects.sequelize, cxObjects.models[1])
+  calendar.setDatabase(cxObjects.sequelize, cxObjects.models[1], cxObjects.models[15])
+  verify.setDatabase(cxObjects.sequelize, cxObjects.models[1], cxObjects.models[15])
+  keys.setDatabase(cxObjects.sequelize, cxObjects.models[3])
+  proofs.setDatabase(cxObjects.sequelize, cxObjects.models[4], cxObjects.models[5], cxObjects.models[6], cxObjects.models[7], cxObjects.models[8], cxObjects.models[9], cxObjects.models[10])
+  nist.setDatabase(cxObjects.sequelize, cxObjects.models[11])
+  rewards.setDatabase(cxObjects.sequelize, cxObjects.models[1], cxObjects.models[12])
 }
 
 /**
@@ -169,9 +238,10 @@ function initNISTSockets () {
   requestSocket.connect(env.NIST_REQ_ZEROMQ_SOCKET_URI)
   subscribeSocket.connect(env.NIST_SUB_ZEROMQ_SOCKET_URI)
 
-  requestSocket.on(`message`, function (msg) {
-    console.log(`Received initial NIST value : ${msg}`)
-    hashes.setNistLatest(String(msg || ''))
+  // the beacon type follows the value, and is absent from older beacon services
+  requestSocket.on(`message`, function (msg, type) {
+    console.log(`Received initial NIST value : ${type} : ${msg}`)
+    hashes.setNistLatest(String(msg || ''), type ? String(type) : null)
   })
 
   console.log(`Requesting initial NIST value`)
@@ -179,11 +249,11 @@ function initNISTSockets () {
 
   subscribeSocket.subscribe(`nist`)
 
-  subscribeSocket.on(`message`, function (topic, msg) {
+  subscribeSocket.on(`message`, function (topic, msg, type) {
     let newValue = String(msg || '')
     if (msg && hashes.getNistLatest() !== newValue) {
-      console.log(`Received new NIST value : ${msg}`)
-      hashes.setNistLatest(newValue)
+      console.log(`Received new NIST value : ${type} : ${msg}`)
+      hashes.setNistLatest(newValue, type ? String(type) : null)
     }
   })
 }
@@ -200,11 +270,17 @@ function openRedisConnection (redisURIs) {
       hashes.setRedis(redis)
       config.setRedis(redis)
       nodes.setRedis(redis)
+      proofs.setRedis(redis)
+      calendar.setRedis(redis)
+      network.setRedis(redis)
     }, () => {
       redis = null
       hashes.setRedis(null)
       config.setRedis(null)
       nodes.setRedis(null)
+      proofs.setRedis(null)
+      calendar.setRedis(null)
+      network.setRedis(null)
       setTimeout(() => { openRedisConnection(redisURIs) }, 5000)
     })
 }
@@ -259,6 +335,15 @@ function startConsulWatches () {
       }
     },
     onError: null
+  }, {
+    key: env.REWARD_SCHEDULE_KEY,
+    onChange: (data, res) => {
+      // process only if a value has been returned
+      if (data && data.Value) {
+        rewards.setRewardSchedule(data.Value)
+      }
+    },
+    onError: null
   }]
 
   let defaults = [
@@ -305,11 +390,24 @@ module.exports = {
     redis = redisClient
     hashes.setRedis(redis)
     nodes.setRedis(redis)
+    proofs.setRedis(redis)
+    network.setRedis(redis)
   },
   setAMQPChannel: (chan) => {
     hashes.setAMQPChannel(chan)
   },
-  setNistLatest: (val) => { hashes.setNistLatest(val) },
+  setNistLatest: (val, type) => { hashes.setNistLatest(val, type) },
+  setKeysSigningKey: (signingKey) => { keys.setDatabase(null, signingKey) },
+  setNistDatabase: (sqlz, beaconPulse) => { nist.setDatabase(sqlz, beaconPulse) },
+  setRewardsDatabase: (sqlz, calBlock, rewardPayout) => { rewards.setDatabase(sqlz, calBlock, rewardPayout) },
+  setRewardSchedule: (scheduleJSON) => { rewards.setRewardSchedule(scheduleJSON) },
+  setHashesDatabase: (sqlz, regNode) => { hashes.setDatabase(sqlz, regNode) },
+  setNodesDatabase: (sqlz, regNode, nodeAuditLog, e2eNodeAuditLog, calBlock) => { nodes.setDatabase(sqlz, regNode, nodeAuditLog, e2eNodeAuditLog, calBlock) },
+  setCalendarDatabase: (sqlz, calBlock, orphanedCalBlock) => { calendar.setDatabase(sqlz, calBlock, orphanedCalBlock) },
+  setVerifyDatabase: (sqlz, calBlock, orphanedCalBlock) => { verify.setDatabase(sqlz, calBlock, orphanedCalBlock) },
+  setProofStateDatabase: (sqlz, aggState, calState, anchorBtcAggState, btcTxState, btcHeadState, anchorEthAggState, ethTxState) => {
+    proofs.setDatabase(sqlz, aggState, calState, anchorBtcAggState, btcTxState, btcHeadState, anchorEthAggState, ethTxState)
+  },
   server: server,
   config: config,
   setMinNodeVersionNew: (val) => { nodes.setMinNodeVersionNew(val) },
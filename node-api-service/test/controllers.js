@@ -11,19 +11,33 @@ const request = require('supertest')
 const crypto = require('crypto')
 const moment = require('moment')
 const uuidTime = require('uuid-time')
+const uuidv1 = require('uuid/v1')
 const BLAKE2s = require('blake2s-js')
 const Charlatan = require('charlatan')
 
 const app = require('../server')
 const server = app.server
 const hashes = require('../lib/endpoints/hashes')
+const calendar = require('../lib/endpoints/calendar')
 
-app.setRedis({
+let redisMock = {
   hgetall: (key) => { return null },
   hmset: (key, value) => { return null },
   expire: (key, ms) => { return null },
-  set: (key) => { return null }
-})
+  get: async (key) => { return null },
+  set: (key) => { return null },
+  multi: () => {
+    let results = []
+    return {
+      get: (key) => { results.push([null, null]) },
+      set: (key) => { results.push([null, 'OK']) },
+      incr: (key) => { results.push([null, 1]) },
+      expire: (key, seconds) => { results.push([null, 1]) },
+      exec: async () => { return results }
+    }
+  }
+}
+app.setRedis(redisMock)
 
 app.setMinNodeVersionNew('1.2.0')
 app.setMinNodeVersionExisting('1.2.0')
@@ -224,6 +238,109 @@ describe('Hashes Controller', () => {
         })
     })
 
+    it('should return proper error with empty hashes array', (done) => {
+      request(server)
+        .post('/hashes')
+        .set('Authorization', 'bearer ababab121212')
+        .set('tnt-address', '0x1234567890123456789012345678901234567890')
+        .send({ hashes: [] })
+        .expect('Content-type', /json/)
+        .expect(409)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('InvalidArgument')
+          expect(res.body).to.have.property('message')
+            .and.to.be.a('string')
+            .and.to.equal('invalid JSON body: hashes must be a non-empty array')
+          done()
+        })
+    })
+
+    it('should return proper error with too many hashes', (done) => {
+      let hashes = []
+      for (let x = 0; x < 1001; x++) hashes.push('ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12')
+      request(server)
+        .post('/hashes')
+        .set('Authorization', 'bearer ababab121212')
+        .set('tnt-address', '0x1234567890123456789012345678901234567890')
+        .send({ hashes: hashes })
+        .expect('Content-type', /json/)
+        .expect(409)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('InvalidArgument')
+          expect(res.body).to.have.property('message')
+            .and.to.be.a('string')
+            .and.to.equal('invalid JSON body: hashes exceeds maximum of 1000')
+          done()
+        })
+    })
+
+    it('should return proper error with bad callback_url', (done) => {
+      request(server)
+        .post('/hashes')
+        .set('Authorization', 'bearer ababab121212')
+        .set('tnt-address', '0x1234567890123456789012345678901234567890')
+        .send({ hash: 'ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12', callback_url: 'not a url' })
+        .expect('Content-type', /json/)
+        .expect(409)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('InvalidArgument')
+          expect(res.body).to.have.property('message')
+            .and.to.be.a('string')
+            .and.to.equal('invalid JSON body: bad callback_url submitted')
+          done()
+        })
+    })
+
+    it('should return proper error with private IP callback_url', (done) => {
+      request(server)
+        .post('/hashes')
+        .set('Authorization', 'bearer ababab121212')
+        .set('tnt-address', '0x1234567890123456789012345678901234567890')
+        .send({ hash: 'ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12', callback_url: 'http://192.168.1.10/proofs' })
+        .expect('Content-type', /json/)
+        .expect(409)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('InvalidArgument')
+          expect(res.body).to.have.property('message')
+            .and.to.be.a('string')
+            .and.to.equal('invalid JSON body: bad callback_url submitted')
+          done()
+        })
+    })
+
+    it('should return proper error with link-local and IPv6 loopback callback_urls', (done) => {
+      let callbackUrls = ['http://169.254.169.254/latest/meta-data', 'http://[::1]:8080/proofs', 'http://100.64.0.1/proofs']
+      let checkNext = (index) => {
+        if (index === callbackUrls.length) return done()
+        request(server)
+          .post('/hashes')
+          .set('Authorization', 'bearer ababab121212')
+          .set('tnt-address', '0x1234567890123456789012345678901234567890')
+          .send({ hash: 'ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12', callback_url: callbackUrls[index] })
+          .expect('Content-type', /json/)
+          .expect(409)
+          .end((err, res) => {
+            expect(err).to.equal(null)
+            expect(res.body).to.have.property('message')
+              .and.to.equal('invalid JSON body: bad callback_url submitted')
+            checkNext(index + 1)
+          })
+      }
+      checkNext(0)
+    })
+
     it('should return proper error with no AMQP connection', (done) => {
       request(server)
         .post('/hashes')
@@ -419,6 +536,56 @@ describe('Hashes Controller', () => {
         })
     })
 
+    it('should return an array of results for a batch of hashes', (done) => {
+      let sentCount = 0
+      app.setAMQPChannel({
+        sendToQueue: function () { sentCount++ }
+      })
+
+      let tntAddr = '0x1234567890123456789012345678901234567890'
+
+      let hmacKey = crypto.randomBytes(32).toString('hex')
+      let hash = crypto.createHmac('sha256', hmacKey)
+      let hmac = hash.update(tntAddr).digest('hex')
+
+      app.setNistLatest('1400585240:8E00C0AF2B68E33CC453BF45A1689A6804700C083478FEB34E4694422999B6F745C2F837D7BA983F9D7BA52F7CC62965B8E1B7384CD8177003B5D3A0D099D93C')
+      app.setHashesDatabase(null, {
+        findOne: (params) => {
+          return {
+            tntAddr: tntAddr,
+            hmacKey: hmacKey,
+            tntCredit: 10
+          }
+        }
+      })
+      request(server)
+        .post('/hashes')
+        .set('Authorization', `bearer ${hmac}`)
+        .set('tnt-address', tntAddr)
+        .send({ hashes: ['ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12', 'badhash', 'cd34cd34cd34cd34cd34cd34cd34cd34cd34cd34cd34cd34cd34cd34cd34cd34'] })
+        .expect('Content-type', /json/)
+        .expect(200)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.be.a('array')
+          expect(res.body.length).to.equal(3)
+          expect(res.body[0]).to.have.property('hash_id')
+          expect(res.body[0]).to.have.property('hash')
+            .and.to.equal('ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12')
+          expect(res.body[1]).to.not.have.property('hash_id')
+          expect(res.body[1]).to.have.property('hash')
+            .and.to.equal('badhash')
+          expect(res.body[1]).to.have.property('code')
+            .and.to.equal('InvalidArgument')
+          expect(res.body[1]).to.have.property('message')
+            .and.to.equal('bad hash submitted')
+          expect(res.body[2]).to.have.property('hash_id')
+            .and.to.not.equal(res.body[0].hash_id)
+          expect(sentCount).to.equal(2)
+          done()
+        })
+    })
+
     it('should return a v1 UUID node embedded with a partial SHA256 over timestamp and hash', (done) => {
       app.setAMQPChannel({
         sendToQueue: function () { }
@@ -500,75 +667,1381 @@ describe('Hashes Controller', () => {
         }
       })
       request(server)
-        .post('/hashes')
-        .set('Authorization', `bearer ${hmac}`)
-        .set('tnt-address', tntAddr)
-        .send({ hash: 'ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12' })
+        .post('/hashes')
+        .set('Authorization', `bearer ${hmac}`)
+        .set('tnt-address', tntAddr)
+        .send({ hash: 'ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12' })
+        .expect('Content-type', /json/)
+        .expect(200)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res).to.have.property('body')
+          expect(res.body).to.have.property('hash_id')
+          expect(res.body).to.have.property('hash').and.to.equal('ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12')
+          expect(res.body).to.have.property('nist')
+          expect(res.body).to.have.property('nist_type').and.to.equal('nistv2')
+          expect(res.body).to.have.property('submitted_at')
+          expect(res.body).to.have.property('processing_hints')
+          expect(res.body.processing_hints).to.have.property('cal').and.to.be.a('string')
+          expect(res.body.processing_hints).to.have.property('eth').and.to.be.a('string')
+          expect(res.body.processing_hints).to.have.property('btc').and.to.be.a('string')
+          done()
+        })
+    })
+
+    // a registered Node whose HMAC authorizes the request, with the redis writes and queued hashes recorded in order
+    let setCallbackTestNode = (registeredCallbackUrl, events) => {
+      let tntAddr = '0x1234567890123456789012345678901234567890'
+      let hmacKey = crypto.randomBytes(32).toString('hex')
+      app.setAMQPChannel({
+        sendToQueue: async (queue, content) => { events.push({ queued: JSON.parse(content.toString()) }) }
+      })
+      app.setRedis(Object.assign({}, redisMock, {
+        hgetall: async (key) => { return {} },
+        multi: () => {
+          return {
+            set: (key, value, ex, seconds) => { events.push({ set: { key: key, value: value, seconds: seconds } }) },
+            exec: async () => { return [] }
+          }
+        }
+      }))
+      app.setHashesDatabase(null, {
+        findOne: async (params) => {
+          return { tntAddr: tntAddr, hmacKey: hmacKey, tntCredit: 10, callbackUrl: registeredCallbackUrl }
+        }
+      })
+      return { tntAddr: tntAddr, hmac: crypto.createHmac('sha256', hmacKey).update(tntAddr).digest('hex') }
+    }
+
+    it('should store the submitted callback_url for the hash_id before queuing the hash', (done) => {
+      let events = []
+      let node = setCallbackTestNode('https://registered.example.com/proofs', events)
+      request(server)
+        .post('/hashes')
+        .set('Authorization', `bearer ${node.hmac}`)
+        .set('tnt-address', node.tntAddr)
+        .send({ hash: 'ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12', callback_url: 'https://callback.example.com/proofs' })
+        .expect('Content-type', /json/)
+        .expect(200)
+        .end((err, res) => {
+          app.setRedis(redisMock)
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('hash_id')
+          expect(events.length).to.equal(2)
+          expect(events[0]).to.deep.equal({ set: { key: `ProofCallback:${res.body.hash_id}`, value: 'https://callback.example.com/proofs', seconds: 60 * 60 * 24 } })
+          expect(events[1]).to.have.property('queued')
+          expect(events[1].queued).to.have.property('hash_id').and.to.equal(res.body.hash_id)
+          done()
+        })
+    })
+
+    it('should store the registered callback_url of the Node when none is submitted', (done) => {
+      let events = []
+      let node = setCallbackTestNode('https://registered.example.com/proofs', events)
+      request(server)
+        .post('/hashes')
+        .set('Authorization', `bearer ${node.hmac}`)
+        .set('tnt-address', node.tntAddr)
+        .send({ hashes: ['ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12', 'cd34cd34cd34cd34cd34cd34cd34cd34cd34cd34cd34cd34cd34cd34cd34cd34'] })
+        .expect('Content-type', /json/)
+        .expect(200)
+        .end((err, res) => {
+          app.setRedis(redisMock)
+          expect(err).to.equal(null)
+          expect(res.body).to.be.an('array').and.to.have.length(2)
+          expect(events.slice(0, 2)).to.deep.equal(res.body.map((responseObj) => {
+            return { set: { key: `ProofCallback:${responseObj.hash_id}`, value: 'https://registered.example.com/proofs', seconds: 60 * 60 * 24 } }
+          }))
+          expect(events.slice(2).map((event) => event.queued.hash_id)).to.deep.equal(res.body.map((responseObj) => responseObj.hash_id))
+          done()
+        })
+    })
+
+    it('should not store a callback_url when none is submitted or registered', (done) => {
+      let events = []
+      let node = setCallbackTestNode(null, events)
+      request(server)
+        .post('/hashes')
+        .set('Authorization', `bearer ${node.hmac}`)
+        .set('tnt-address', node.tntAddr)
+        .send({ hash: 'ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12' })
+        .expect('Content-type', /json/)
+        .expect(200)
+        .end((err, res) => {
+          app.setRedis(redisMock)
+          expect(err).to.equal(null)
+          expect(events.length).to.equal(1)
+          expect(events[0]).to.have.property('queued')
+          done()
+        })
+    })
+  })
+
+  describe('GET /hashes/hash_id/status', () => {
+    let proofStateModels = (aggStates, calStates, anchorBtcAggStates, btcTxState, btcHeadState) => {
+      return [
+        { findAll: async (params) => { return aggStates } },
+        { findAll: async (params) => { return calStates } },
+        { findAll: async (params) => { return anchorBtcAggStates } },
+        { findOne: async (params) => { return btcTxState } },
+        { findOne: async (params) => { return btcHeadState } },
+        { findAll: async (params) => { return [] } },
+        { findOne: async (params) => { return null } }
+      ]
+    }
+
+    it('should return proper error with bad hash_id', (done) => {
+      request(server)
+        .get('/hashes/badid/status')
+        .expect('Content-type', /json/)
+        .expect(409)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('InvalidArgument')
+          expect(res.body).to.have.property('message')
+            .and.to.be.a('string')
+            .and.to.equal('invalid request, bad hash_id: badid')
+          done()
+        })
+    })
+
+    it('should return not found for an expired hash_id', (done) => {
+      app.setProofStateDatabase({ Op: { in: 'in' } }, ...proofStateModels([], [], [], null, null))
+      request(server)
+        .get('/hashes/a3127c80-7a61-11e8-9c8b-01ba7816bf8f/status')
+        .expect('Content-type', /json/)
+        .expect(404)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('NotFoundError')
+          expect(res.body).to.have.property('message')
+            .and.to.be.a('string')
+            .and.to.equal('hash_id not found: a3127c80-7a61-11e8-9c8b-01ba7816bf8f')
+          done()
+        })
+    })
+
+    it('should return no completed stages for a hash_id awaiting aggregation', (done) => {
+      let hashId = uuidv1()
+      app.setProofStateDatabase({ Op: { in: 'in' } }, ...proofStateModels([], [], [], null, null))
+      request(server)
+        .get(`/hashes/${hashId}/status`)
+        .expect('Content-type', /json/)
+        .expect(200)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('hash_id')
+            .and.to.equal(hashId)
+          expect(res.body).to.have.property('stages')
+          expect(res.body.stages.agg).to.deep.equal({ complete: false })
+          expect(res.body.stages.cal).to.deep.equal({ complete: false, cal_block_height: null })
+          expect(res.body).to.have.property('processing_hints')
+          expect(res.body.processing_hints).to.have.property('cal')
+            .and.to.be.a('string')
+          expect(res.body.processing_hints).to.have.property('btc')
+            .and.to.be.a('string')
+          done()
+        })
+    })
+
+    it('should return the completed stages and anchor details for a hash_id', (done) => {
+      let hashId = uuidv1()
+      app.setProofStateDatabase({ Op: { in: 'in' } }, ...proofStateModels(
+        [{ hash_id: hashId, hash: 'ab09ab09ab09ab09ab09ab09ab09ab09ab09ab09ab09ab09ab09ab09ab09ab09', agg_id: 'b1' }],
+        [{ agg_id: 'b1', cal_id: '27' }],
+        [{ cal_id: 27, anchor_btc_agg_id: 'c1' }],
+        { anchor_btc_agg_id: 'c1', btctx_id: 'd1' },
+        null
+      ))
+      request(server)
+        .get(`/hashes/${hashId}/status`)
+        .expect('Content-type', /json/)
+        .expect(200)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body.stages).to.deep.equal({
+            agg: { complete: true },
+            cal: { complete: true, cal_block_height: 27 },
+            anchor_btc_agg: { complete: true },
+            btc_tx: { complete: true, btc_tx_id: 'd1', btc_confirmations: null },
+            btc_head: { complete: false, btc_block_height: null }
+          })
+          expect(res.body.processing_hints).to.have.property('cal')
+            .and.to.equal(null)
+          expect(Date.parse(res.body.processing_hints.btc) - Date.now()).to.be.within(55 * 60 * 1000, 65 * 60 * 1000)
+          done()
+        })
+    })
+  })
+})
+
+describe('Proofs Controller', () => {
+  describe('GET /proofs/hash_id', () => {
+    it('should return proper error with bad hash_id', (done) => {
+      request(server)
+        .get('/proofs/badid')
+        .expect('Content-type', /json/)
+        .expect(409)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('InvalidArgument')
+          expect(res.body).to.have.property('message')
+            .and.to.be.a('string')
+            .and.to.equal('invalid request, bad hash_id: badid')
+          done()
+        })
+    })
+
+    it('should return null proof for unknown hash_id', (done) => {
+      request(server)
+        .get('/proofs/a3127c80-7a61-11e8-9c8b-01ba7816bf8f')
+        .expect('Content-type', /json/)
+        .expect(200)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.be.a('array')
+          expect(res.body.length).to.equal(1)
+          expect(res.body[0]).to.have.property('hash_id')
+            .and.to.equal('a3127c80-7a61-11e8-9c8b-01ba7816bf8f')
+          expect(res.body[0]).to.have.property('proof')
+            .and.to.equal(null)
+          done()
+        })
+    })
+  })
+
+  describe('GET /proofs/hash/hash', () => {
+    it('should return proper error with bad hash', (done) => {
+      request(server)
+        .get('/proofs/hash/badhash')
+        .expect('Content-type', /json/)
+        .expect(409)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('InvalidArgument')
+          expect(res.body).to.have.property('message')
+            .and.to.be.a('string')
+            .and.to.equal('invalid request, bad hash')
+          done()
+        })
+    })
+
+    it('should return proper error when the lookup limit is exceeded', (done) => {
+      app.setRedis(Object.assign({}, redisMock, {
+        multi: () => {
+          return {
+            incr: (key) => {},
+            expire: (key, seconds) => {},
+            exec: async () => { return [[null, 11], [null, 1]] }
+          }
+        }
+      }))
+      request(server)
+        .get('/proofs/hash/ab09ab09ab09ab09ab09ab09ab09ab09ab09ab09ab09ab09ab09ab09ab09ab09')
+        .expect('Content-type', /json/)
+        .expect(429)
+        .end((err, res) => {
+          app.setRedis(redisMock)
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('TooManyRequestsError')
+          expect(res.body).to.have.property('message')
+            .and.to.be.a('string')
+            .and.to.equal('too many requests, 10 hash lookups per minute max')
+          done()
+        })
+    })
+
+    it('should count lookups against the load balancer forwarded address, not a client supplied one', (done) => {
+      let incrKey = null
+      app.setRedis(Object.assign({}, redisMock, {
+        multi: () => {
+          return {
+            incr: (key) => { incrKey = key },
+            expire: (key, seconds) => {},
+            exec: async () => { return [[null, 11], [null, 1]] }
+          }
+        }
+      }))
+      request(server)
+        .get('/proofs/hash/ab09ab09ab09ab09ab09ab09ab09ab09ab09ab09ab09ab09ab09ab09ab09ab09')
+        .set('X-Forwarded-For', '1.2.3.4, 65.1.2.3')
+        .set('CF-Connecting-IP', '5.6.7.8')
+        .expect('Content-type', /json/)
+        .expect(429)
+        .end((err, res) => {
+          app.setRedis(redisMock)
+          expect(err).to.equal(null)
+          expect(incrKey).to.be.a('string')
+          expect(incrKey.split(':')).to.include('65.1.2.3')
+          expect(incrKey).to.not.include('1.2.3.4')
+          expect(incrKey).to.not.include('5.6.7.8')
+          done()
+        })
+    })
+
+    it('should return the hash_ids and proof stages for the hash', (done) => {
+      app.setProofStateDatabase({ Op: { gt: 'gt', in: 'in' } }, {
+        findAll: async (params) => {
+          expect(params.where.hash).to.equal('ab09ab09ab09ab09ab09ab09ab09ab09ab09ab09ab09ab09ab09ab09ab09ab09')
+          return [
+            { hash_id: 'a3127c80-7a61-11e8-9c8b-01ba7816bf8f', hash: params.where.hash, agg_id: 'b1', created_at: '2018-06-28T12:00:00.123Z' },
+            { hash_id: 'a3127c81-7a61-11e8-9c8b-01ba7816bf8f', hash: params.where.hash, agg_id: 'b2', created_at: '2018-06-28T13:00:00.123Z' }
+          ]
+        }
+      }, {
+        findAll: async (params) => { return [{ agg_id: 'b1', cal_id: '27' }] }
+      }, {
+        findAll: async (params) => { return [{ cal_id: 27, anchor_btc_agg_id: 'c1' }] }
+      }, {
+        findOne: async (params) => { return { anchor_btc_agg_id: 'c1', btctx_id: 'd1' } }
+      }, {
+        findOne: async (params) => { return { btctx_id: 'd1', btchead_height: 530000 } }
+      }, {
+        findAll: async (params) => { return [] }
+      }, {
+        findOne: async (params) => { return null }
+      })
+      request(server)
+        .get('/proofs/hash/AB09AB09AB09AB09AB09AB09AB09AB09AB09AB09AB09AB09AB09AB09AB09AB09')
+        .expect('Content-type', /json/)
+        .expect(200)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.deep.equal([
+            { hash_id: 'a3127c80-7a61-11e8-9c8b-01ba7816bf8f', submitted_at: '2018-06-28T12:00:00Z', proof_stages: ['cal', 'btc'] },
+            { hash_id: 'a3127c81-7a61-11e8-9c8b-01ba7816bf8f', submitted_at: '2018-06-28T13:00:00Z', proof_stages: [] }
+          ])
+          done()
+        })
+    })
+  })
+
+  describe('GET /proofs', () => {
+    it('should return proper error with missing hashids header', (done) => {
+      request(server)
+        .get('/proofs')
+        .expect('Content-type', /json/)
+        .expect(409)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('InvalidArgument')
+          expect(res.body).to.have.property('message')
+            .and.to.be.a('string')
+            .and.to.equal('invalid request, at least one hash id required')
+          done()
+        })
+    })
+
+    it('should return proper error with too many hashids', (done) => {
+      let hashIds = []
+      for (let x = 0; x < 251; x++) hashIds.push('a3127c80-7a61-11e8-9c8b-01ba7816bf8f')
+      request(server)
+        .get('/proofs')
+        .set('hashids', hashIds.join(','))
+        .expect('Content-type', /json/)
+        .expect(409)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('InvalidArgument')
+          expect(res.body).to.have.property('message')
+            .and.to.be.a('string')
+            .and.to.equal('invalid request, too many hash ids (250 max)')
+          done()
+        })
+    })
+
+    it('should return null proofs for unknown hashids', (done) => {
+      request(server)
+        .get('/proofs')
+        .set('hashids', 'a3127c80-7a61-11e8-9c8b-01ba7816bf8f, a3127c81-7a61-11e8-9c8b-01ba7816bf8f')
+        .set('Accept', 'application/vnd.chainpoint.ld+json')
+        .expect('Content-type', /json/)
+        .expect(200)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.be.a('array')
+          expect(res.body.length).to.equal(2)
+          expect(res.body[1]).to.have.property('hash_id')
+            .and.to.equal('a3127c81-7a61-11e8-9c8b-01ba7816bf8f')
+          expect(res.body[1]).to.have.property('proof')
+            .and.to.equal(null)
+          done()
+        })
+    })
+  })
+})
+
+describe('Verify Controller', () => {
+  describe('POST /verify', () => {
+    it('should return proper error with invalid content type', (done) => {
+      request(server)
+        .post('/verify')
+        .set('Content-type', 'text/plain')
+        .expect('Content-type', /json/)
+        .expect(409)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('InvalidArgument')
+          expect(res.body).to.have.property('message')
+            .and.to.be.a('string')
+            .and.to.equal('invalid content type')
+          done()
+        })
+    })
+
+    it('should return proper error with missing proofs', (done) => {
+      request(server)
+        .post('/verify')
+        .send({ name: 'Manny' })
+        .expect('Content-type', /json/)
+        .expect(409)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('InvalidArgument')
+          expect(res.body).to.have.property('message')
+            .and.to.be.a('string')
+            .and.to.equal('invalid JSON body, missing proofs')
+          done()
+        })
+    })
+
+    it('should return proper error with proofs not an array', (done) => {
+      request(server)
+        .post('/verify')
+        .send({ proofs: 'proof' })
+        .expect('Content-type', /json/)
+        .expect(409)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('InvalidArgument')
+          expect(res.body).to.have.property('message')
+            .and.to.be.a('string')
+            .and.to.equal('invalid JSON body, proofs is not an Array')
+          done()
+        })
+    })
+
+    it('should return proper error with empty proofs array', (done) => {
+      request(server)
+        .post('/verify')
+        .send({ proofs: [] })
+        .expect('Content-type', /json/)
+        .expect(409)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('InvalidArgument')
+          expect(res.body).to.have.property('message')
+            .and.to.be.a('string')
+            .and.to.equal('invalid JSON body, proofs Array is empty')
+          done()
+        })
+    })
+
+    it('should return proper error with too many proofs', (done) => {
+      let proofs = []
+      for (let x = 0; x < 1001; x++) proofs.push('proof')
+      request(server)
+        .post('/verify')
+        .send({ proofs: proofs })
+        .expect('Content-type', /json/)
+        .expect(409)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('InvalidArgument')
+          expect(res.body).to.have.property('message')
+            .and.to.be.a('string')
+            .and.to.equal('invalid JSON body, proofs Array max size of 1000 exceeded')
+          done()
+        })
+    })
+
+    it('should return malformed status for bad proofs', (done) => {
+      request(server)
+        .post('/verify')
+        .send({ proofs: ['badproof', { bad: 'proof' }] })
+        .expect('Content-type', /json/)
+        .expect(200)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.be.a('array')
+          expect(res.body.length).to.equal(2)
+          expect(res.body[0]).to.have.property('proof_index')
+            .and.to.equal(0)
+          expect(res.body[0]).to.have.property('status')
+            .and.to.equal('malformed')
+          expect(res.body[1]).to.have.property('proof_index')
+            .and.to.equal(1)
+          expect(res.body[1]).to.have.property('status')
+            .and.to.equal('malformed')
+          done()
+        })
+    })
+
+    describe('with an eth anchor', () => {
+      let ethTxId = '0x083396e668db22894c448932bb598caba148e4a5b06787a9609be7edc8993342'
+      let hash = 'a0ff6a4bd5e85d8c7fea5a80d4d1a4e4c93a7fc1d2bcbc5fc8b11c7f4b4b1b6c'
+      let hashId = '6d627180-1883-11e7-a8f9-edb8c212ef23'
+      let calBranchOps = [{ l: 'node_id:' + hashId }, { op: 'sha-256' }, { r: 'ab'.repeat(32) }, { op: 'sha-256' }]
+      let ethBranchOps = [{ l: 'cd'.repeat(32) }, { op: 'sha-256' }]
+      let proof = {
+        '@context': 'https://w3id.org/chainpoint/v3',
+        type: 'Chainpoint',
+        hash: hash,
+        hash_id_node: hashId,
+        hash_submitted_node_at: '2017-04-04T00:36:19Z',
+        hash_id_core: hashId,
+        hash_submitted_core_at: '2017-04-04T00:36:19Z',
+        branches: [{
+          label: 'cal_anchor_branch',
+          ops: calBranchOps.concat({ anchors: [{ type: 'cal', anchor_id: '1744', uris: ['http://test.chainpoint.org/calendar/1744/hash'] }] }),
+          branches: [{
+            label: 'eth_anchor_branch',
+            ops: ethBranchOps.concat({ anchors: [{ type: 'eth', anchor_id: ethTxId, uris: ['http://test.chainpoint.org/calendar/1801/data'] }] })
+          }]
+        }]
+      }
+
+      // replays ops from a start value, as a verifier does to find an anchor's expected value
+      let replayOps = (startHex, ops) => ops.reduce((value, op) => {
+        if (op.l) return Buffer.concat([/^[0-9a-f]+$/.test(op.l) ? Buffer.from(op.l, 'hex') : Buffer.from(op.l, 'utf8'), value])
+        if (op.r) return Buffer.concat([value, Buffer.from(op.r, 'hex')])
+        return crypto.createHash('sha256').update(value).digest()
+      }, Buffer.from(startHex, 'hex')).toString('hex')
+      let calBlockHash = replayOps(hash, calBranchOps)
+      let ethAnchorRoot = replayOps(calBlockHash, ethBranchOps)
+
+      let calBlockModel = (ethCBlocks) => {
+        return {
+          findAll: async (params) => {
+            if (params.where.type === 'eth-c') {
+              expect(params.where.dataId).to.deep.equal({ in: [ethTxId] })
+              return ethCBlocks
+            }
+            expect(params.where.id).to.deep.equal({ in: [1744] })
+            return [{ id: '1744', hash: calBlockHash }]
+          }
+        }
+      }
+
+      it('should verify an eth anchor confirmed by an eth-c block', (done) => {
+        app.setVerifyDatabase({ Op: { in: 'in' } }, calBlockModel([{ dataId: ethTxId, dataVal: ethAnchorRoot }]))
+        request(server)
+          .post('/verify')
+          .send({ proofs: [proof] })
+          .expect('Content-type', /json/)
+          .expect(200)
+          .end((err, res) => {
+            expect(err).to.equal(null)
+            expect(res.body[0]).to.have.property('anchors')
+            expect(res.body[0].anchors).to.deep.equal([
+              { branch: 'cal_anchor_branch', type: 'cal', valid: true },
+              { branch: 'eth_anchor_branch', type: 'eth', valid: true }
+            ])
+            expect(res.body[0]).to.have.property('status')
+              .and.to.equal('verified')
+            done()
+          })
+      })
+
+      it('should not verify an eth anchor without an eth-c block', (done) => {
+        app.setVerifyDatabase({ Op: { in: 'in' } }, calBlockModel([]))
+        request(server)
+          .post('/verify')
+          .send({ proofs: [proof] })
+          .expect('Content-type', /json/)
+          .expect(200)
+          .end((err, res) => {
+            expect(err).to.equal(null)
+            expect(res.body[0].anchors[1]).to.deep.equal({ branch: 'eth_anchor_branch', type: 'eth', valid: false })
+            expect(res.body[0]).to.have.property('status')
+              .and.to.equal('mixed')
+            done()
+          })
+      })
+
+      it('should not verify an eth anchor whose eth-c block stores a different root', (done) => {
+        app.setVerifyDatabase({ Op: { in: 'in' } }, calBlockModel([{ dataId: ethTxId, dataVal: 'ef'.repeat(32) }]))
+        request(server)
+          .post('/verify')
+          .send({ proofs: [proof] })
+          .expect('Content-type', /json/)
+          .expect(200)
+          .end((err, res) => {
+            expect(err).to.equal(null)
+            expect(res.body[0].anchors[1]).to.deep.equal({ branch: 'eth_anchor_branch', type: 'eth', valid: false })
+            expect(res.body[0]).to.have.property('status')
+              .and.to.equal('mixed')
+            done()
+          })
+      })
+    })
+
+    describe('with a btc anchor', () => {
+      let hash = 'b1ff6a4bd5e85d8c7fea5a80d4d1a4e4c93a7fc1d2bcbc5fc8b11c7f4b4b1b6c'
+      let hashId = '7e627180-1883-11e7-a8f9-edb8c212ef23'
+      let calBranchOps = [{ l: 'node_id:' + hashId }, { op: 'sha-256' }]
+      let btcBranchOps = [{ l: '6a20' }, { r: '00000000' }, { l: '0100000001' }, { op: 'sha-256-x2' }, { l: 'cd'.repeat(32) }, { op: 'sha-256-x2' }]
+      let proof = {
+        '@context': 'https://w3id.org/chainpoint/v3',
+        type: 'Chainpoint',
+        hash: hash,
+        hash_id_node: hashId,
+        hash_submitted_node_at: '2017-04-04T00:36:19Z',
+        hash_id_core: hashId,
+        hash_submitted_core_at: '2017-04-04T00:36:19Z',
+        branches: [{
+          label: 'cal_anchor_branch',
+          ops: calBranchOps.concat({ anchors: [{ type: 'cal', anchor_id: '1744', uris: ['http://test.chainpoint.org/calendar/1744/hash'] }] }),
+          branches: [{
+            label: 'btc_anchor_branch',
+            ops: btcBranchOps.concat({ anchors: [{ type: 'btc', anchor_id: '530000', uris: ['http://test.chainpoint.org/calendar/1900/data'] }] })
+          }]
+        }]
+      }
+
+      // replays ops from a start value, as a verifier does to find an anchor's expected value
+      let replayOps = (startHex, ops) => ops.reduce((value, op) => {
+        if (op.l) return Buffer.concat([/^[0-9a-f]+$/.test(op.l) ? Buffer.from(op.l, 'hex') : Buffer.from(op.l, 'utf8'), value])
+        if (op.r) return Buffer.concat([value, Buffer.from(op.r, 'hex')])
+        if (op.op === 'sha-256-x2') value = crypto.createHash('sha256').update(value).digest()
+        return crypto.createHash('sha256').update(value).digest()
+      }, Buffer.from(startHex, 'hex')).toString('hex')
+      let calBlockHash = replayOps(hash, calBranchOps)
+      // btc merkle roots are stored in little endian byte order
+      let btcMerkleRoot = Buffer.from(replayOps(calBlockHash, btcBranchOps), 'hex').reverse().toString('hex')
+
+      let calBlockModel = (btcCBlocks) => {
+        return {
+          findAll: async (params) => {
+            if (params.where.type === 'btc-c') {
+              expect(params.where.dataId).to.deep.equal({ in: ['530000'] })
+              return btcCBlocks
+            }
+            return [{ id: '1744', hash: calBlockHash }]
+          }
+        }
+      }
+      let orphanedCalBlockModel = (calBlockIds) => {
+        return {
+          findAll: async (params) => {
+            return calBlockIds.filter((id) => params.where.calBlockId.in.includes(id)).map((id) => { return { calBlockId: id.toString() } })
+          }
+        }
+      }
+
+      it('should verify a btc anchor confirmed by a btc-c block', (done) => {
+        app.setVerifyDatabase({ Op: { in: 'in' } }, calBlockModel([{ id: '1900', dataId: '530000', dataVal: btcMerkleRoot }]), orphanedCalBlockModel([]))
+        request(server)
+          .post('/verify')
+          .send({ proofs: [proof] })
+          .expect('Content-type', /json/)
+          .expect(200)
+          .end((err, res) => {
+            expect(err).to.equal(null)
+            expect(res.body[0].anchors).to.deep.equal([
+              { branch: 'cal_anchor_branch', type: 'cal', valid: true },
+              { branch: 'btc_anchor_branch', type: 'btc', valid: true }
+            ])
+            expect(res.body[0]).to.have.property('status')
+              .and.to.equal('verified')
+            done()
+          })
+      })
+
+      it('should not verify a btc anchor confirmed only by an orphaned btc-c block', (done) => {
+        app.setVerifyDatabase({ Op: { in: 'in' } }, calBlockModel([{ id: '1900', dataId: '530000', dataVal: btcMerkleRoot }]), orphanedCalBlockModel([1900]))
+        request(server)
+          .post('/verify')
+          .send({ proofs: [proof] })
+          .expect('Content-type', /json/)
+          .expect(200)
+          .end((err, res) => {
+            expect(err).to.equal(null)
+            expect(res.body[0].anchors[1]).to.deep.equal({ branch: 'btc_anchor_branch', type: 'btc', valid: false })
+            expect(res.body[0]).to.have.property('status')
+              .and.to.equal('mixed')
+            done()
+          })
+      })
+
+      it('should confirm a btc anchor with the btc-c block replacing an orphaned one at the same height', (done) => {
+        let btcCBlocks = [{ id: '1900', dataId: '530000', dataVal: btcMerkleRoot }, { id: '1950', dataId: '530000', dataVal: 'ef'.repeat(32) }]
+        app.setVerifyDatabase({ Op: { in: 'in' } }, calBlockModel(btcCBlocks), orphanedCalBlockModel([1950]))
+        request(server)
+          .post('/verify')
+          .send({ proofs: [proof] })
+          .expect('Content-type', /json/)
+          .expect(200)
+          .end((err, res) => {
+            expect(err).to.equal(null)
+            expect(res.body[0].anchors[1]).to.deep.equal({ branch: 'btc_anchor_branch', type: 'btc', valid: true })
+            expect(res.body[0]).to.have.property('status')
+              .and.to.equal('verified')
+            done()
+          })
+      })
+    })
+  })
+})
+
+describe('Calendar Controller', () => {
+  describe('GET /calendar/height', () => {
+    it('should return proper error with bad height', (done) => {
+      request(server)
+        .get('/calendar/badheight')
+        .set('Content-type', 'text/plain')
+        .expect('Content-type', /json/)
+        .expect(409)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('InvalidArgument')
+          expect(res.body).to.have.property('message')
+            .and.to.be.a('string')
+            .and.to.equal('invalid request, height must be a positive integer')
+          done()
+        })
+    })
+  })
+
+  describe('GET /calendar/height', () => {
+    it('should return proper error with negative height', (done) => {
+      request(server)
+        .get('/calendar/-1')
+        .set('Content-type', 'text/plain')
+        .expect('Content-type', /json/)
+        .expect(409)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('InvalidArgument')
+          expect(res.body).to.have.property('message')
+            .and.to.be.a('string')
+            .and.to.equal('invalid request, height must be a positive integer')
+          done()
+        })
+    })
+
+    let btcCBlock = { id: '1900', time: '1530000000', version: '1', stackId: 'http://test.chainpoint.org', type: 'btc-c', dataId: '530000', dataVal: 'ab'.repeat(32), prevHash: 'cd'.repeat(32), hash: 'ef'.repeat(32), sig: 'sig' }
+    let calendarModels = (orphanedCalBlockIds) => {
+      return [{
+        findOne: async (params) => { return params.where.id === 1900 ? { get: () => Object.assign({}, btcCBlock) } : null }
+      }, {
+        findOne: async (params) => { return orphanedCalBlockIds.includes(params.where.calBlockId) ? { calBlockId: params.where.calBlockId } : null }
+      }]
+    }
+
+    it('should return a btc-c block', (done) => {
+      let [calBlock, orphanedCalBlock] = calendarModels([])
+      app.setCalendarDatabase(null, calBlock, orphanedCalBlock)
+      request(server)
+        .get('/calendar/1900')
+        .expect('Content-type', /json/)
+        .expect(200)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('id').and.to.equal(1900)
+          expect(res.body).to.have.property('type').and.to.equal('btc-c')
+          done()
+        })
+    })
+
+    it('should refuse a btc-c block orphaned by a chain reorganization', (done) => {
+      let [calBlock, orphanedCalBlock] = calendarModels([1900])
+      app.setCalendarDatabase(null, calBlock, orphanedCalBlock)
+      request(server)
+        .get('/calendar/1900')
+        .expect('Content-type', /json/)
+        .expect(410)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.equal('GoneError')
+          expect(res.body).to.have.property('message')
+            .and.to.equal('block 1900 was orphaned by a Bitcoin chain reorganization')
+          done()
+        })
+    })
+  })
+
+  describe('GET /calendar/height/data', () => {
+    it('should return proper error with bad height', (done) => {
+      request(server)
+        .get('/calendar/badheight/data')
+        .set('Content-type', 'text/plain')
+        .expect('Content-type', /json/)
+        .expect(409)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('InvalidArgument')
+          expect(res.body).to.have.property('message')
+            .and.to.be.a('string')
+            .and.to.equal('invalid request, height must be a positive integer')
+          done()
+        })
+    })
+
+    it('should return proper error with negative height', (done) => {
+      request(server)
+        .get('/calendar/-2/data')
+        .set('Content-type', 'text/plain')
+        .expect('Content-type', /json/)
+        .expect(409)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('InvalidArgument')
+          expect(res.body).to.have.property('message')
+            .and.to.be.a('string')
+            .and.to.equal('invalid request, height must be a positive integer')
+          done()
+        })
+    })
+
+    it('should refuse the data of a btc-c block orphaned by a chain reorganization', (done) => {
+      app.setCalendarDatabase(null, {
+        findOne: async (params) => { return { get: () => { return { id: '1900', type: 'btc-c', dataId: '530000', dataVal: 'ab'.repeat(32) } } } }
+      }, {
+        findOne: async (params) => { return params.where.calBlockId === 1900 ? { calBlockId: '1900' } : null }
+      })
+      request(server)
+        .get('/calendar/1900/data')
+        .expect('Content-type', /json/)
+        .expect(410)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.equal('GoneError')
+          expect(res.body).to.have.property('message')
+            .and.to.equal('block 1900 was orphaned by a Bitcoin chain reorganization')
+          done()
+        })
+    })
+  })
+
+  describe('GET /calendar/height/hash', () => {
+    it('should return proper error with bad height', (done) => {
+      request(server)
+        .get('/calendar/badheight/hash')
+        .set('Content-type', 'text/plain')
+        .expect('Content-type', /json/)
+        .expect(409)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('InvalidArgument')
+          expect(res.body).to.have.property('message')
+            .and.to.be.a('string')
+            .and.to.equal('invalid request, height must be a positive integer')
+          done()
+        })
+    })
+
+    it('should return proper error with negative height', (done) => {
+      request(server)
+        .get('/calendar/-2/hash')
+        .set('Content-type', 'text/plain')
+        .expect('Content-type', /json/)
+        .expect(409)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('InvalidArgument')
+          expect(res.body).to.have.property('message')
+            .and.to.be.a('string')
+            .and.to.equal('invalid request, height must be a positive integer')
+          done()
+        })
+    })
+  })
+
+  describe('GET /calendar/blocks', () => {
+    let makeBlock = (height) => {
+      return { id: height.toString(), time: '1497225912', version: '1', stackId: 'a.chainpoint.org', type: 'cal', dataId: height.toString(), dataVal: 'ab'.repeat(32), hashAlgorithm: 'sha-256', prevHash: 'cd'.repeat(32), hash: 'ef'.repeat(32), sig: 'abcdef123456:c2ln' }
+    }
+
+    it('should return proper error with bad from', (done) => {
+      request(server)
+        .get('/calendar/blocks?from=bad')
+        .expect('Content-type', /json/)
+        .expect(409)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('InvalidArgument')
+          expect(res.body).to.have.property('message')
+            .and.to.be.a('string')
+            .and.to.equal('invalid request, from must be a positive integer')
+          done()
+        })
+    })
+
+    it('should return proper error with to less than from', (done) => {
+      request(server)
+        .get('/calendar/blocks?from=10&to=9')
+        .expect('Content-type', /json/)
+        .expect(409)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('InvalidArgument')
+          expect(res.body).to.have.property('message')
+            .and.to.be.a('string')
+            .and.to.equal('invalid request, to must not be less than from')
+          done()
+        })
+    })
+
+    it('should return proper error with too large a limit', (done) => {
+      request(server)
+        .get('/calendar/blocks?limit=5001')
+        .expect('Content-type', /json/)
+        .expect(409)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('InvalidArgument')
+          expect(res.body).to.have.property('message')
+            .and.to.be.a('string')
+            .and.to.equal('invalid request, limit must be an integer from 1 to 5000')
+          done()
+        })
+    })
+
+    it('should return proper error with a cursor outside the requested span', (done) => {
+      request(server)
+        .get('/calendar/blocks?from=10&to=20&cursor=5')
+        .expect('Content-type', /json/)
+        .expect(409)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('InvalidArgument')
+          expect(res.body).to.have.property('message')
+            .and.to.be.a('string')
+            .and.to.equal('invalid request, bad cursor')
+          done()
+        })
+    })
+
+    it('should return a complete page and a cursor for the next page', (done) => {
+      app.setCalendarDatabase({ Op: { between: 'between' } }, {
+        findAll: async (params) => {
+          expect(params.where.id.between).to.deep.equal([10, 14])
+          return [10, 11, 12, 13, 14].map(makeBlock)
+        }
+      })
+      request(server)
+        .get('/calendar/blocks?from=10&limit=5')
+        .expect('Content-type', /json/)
+        .expect(200)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('blocks').and.to.be.a('array')
+          expect(res.body.blocks.length).to.equal(5)
+          expect(res.body.blocks[0]).to.have.property('id').and.to.equal(10)
+          expect(res.body.blocks[0]).to.have.property('time').and.to.equal(1497225912)
+          expect(res.body.blocks[0]).to.have.property('version').and.to.equal(1)
+          expect(res.body).to.have.property('cursor').and.to.equal('15')
+          expect(res.headers['cache-control']).to.equal('public, max-age=2592000')
+          done()
+        })
+    })
+
+    it('should return a cursor after the last block when the tip is reached', (done) => {
+      app.setCalendarDatabase({ Op: { between: 'between' } }, {
+        findAll: async (params) => {
+          expect(params.where.id.between).to.deep.equal([15, 19])
+          return [15, 16].map(makeBlock)
+        }
+      })
+      request(server)
+        .get('/calendar/blocks?from=10&limit=5&cursor=15')
+        .expect('Content-type', /json/)
+        .expect(200)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body.blocks.length).to.equal(2)
+          expect(res.body).to.have.property('cursor').and.to.equal('17')
+          expect(res.headers['cache-control']).to.equal('public, max-age=5')
+          done()
+        })
+    })
+
+    it('should return a null cursor once to has been reached', (done) => {
+      app.setCalendarDatabase({ Op: { between: 'between' } }, {
+        findAll: async (params) => {
+          expect(params.where.id.between).to.deep.equal([10, 12])
+          return [10, 11, 12].map(makeBlock)
+        }
+      })
+      request(server)
+        .get('/calendar/blocks?from=10&to=12')
+        .expect('Content-type', /json/)
+        .expect(200)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body.blocks.length).to.equal(3)
+          expect(res.body).to.have.property('cursor').and.to.equal(null)
+          done()
+        })
+    })
+
+    it('should stream all blocks in the span as NDJSON', (done) => {
+      app.setCalendarDatabase({ Op: { between: 'between' } }, {
+        findOne: async () => { return makeBlock(1499) },
+        findAll: async (params) => {
+          let heights = []
+          let [fromHeight, toHeight] = params.where.id.between
+          for (let height = fromHeight; height <= toHeight; height++) heights.push(height)
+          return heights.map(makeBlock)
+        }
+      })
+      request(server)
+        .get('/calendar/blocks?format=ndjson&from=100')
+        .expect('Content-type', /ndjson/)
+        .expect(200)
+        .buffer(true)
+        .parse((res, callback) => {
+          let data = ''
+          res.on('data', (chunk) => { data += chunk })
+          res.on('end', () => { callback(null, data) })
+        })
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          let lines = res.body.trim().split('\n')
+          expect(lines.length).to.equal(1400)
+          expect(JSON.parse(lines[0])).to.have.property('id').and.to.equal(100)
+          expect(JSON.parse(lines[1399])).to.have.property('id').and.to.equal(1499)
+          done()
+        })
+    })
+  })
+
+  describe('GET /calendar/tip', () => {
+    it('should return the height and hash of the most recent block', (done) => {
+      app.setCalendarDatabase({ Op: { between: 'between' } }, {
+        findOne: async (params) => {
+          expect(params.order).to.deep.equal([['id', 'DESC']])
+          return { id: '52771', hash: 'ef'.repeat(32), time: '1497225912' }
+        }
+      })
+      request(server)
+        .get('/calendar/tip')
+        .expect('Content-type', /json/)
+        .expect(200)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('height').and.to.equal(52771)
+          expect(res.body).to.have.property('hash').and.to.equal('ef'.repeat(32))
+          expect(res.body).to.have.property('time').and.to.equal(1497225912)
+          done()
+        })
+    })
+
+    it('should return error when the most recent block can not be read', (done) => {
+      app.setCalendarDatabase({ Op: { between: 'between' } }, {
+        findOne: async () => { throw new Error('bad connection') }
+      })
+      request(server)
+        .get('/calendar/tip')
+        .expect('Content-type', /json/)
+        .expect(500)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('InternalServerError')
+          expect(res.body).to.have.property('message')
+            .and.to.be.a('string')
+            .and.to.equal('Could not query for top block')
+          done()
+        })
+    })
+  })
+
+  describe('GET /calendar/stream', () => {
+    let makeBlock = (height, type) => {
+      return { id: height.toString(), time: '1497225912', version: '1', stackId: 'a.chainpoint.org', type: type, dataId: height.toString(), dataVal: 'ab'.repeat(32), hashAlgorithm: null, prevHash: 'cd'.repeat(32), hash: 'ef'.repeat(32), sig: 'abcdef123456:c2ln' }
+    }
+
+    it('should return proper error with bad types', (done) => {
+      request(server)
+        .get('/calendar/stream?types=cal,bad')
+        .expect('Content-type', /json/)
+        .expect(409)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('InvalidArgument')
+          expect(res.body).to.have.property('message')
+            .and.to.be.a('string')
+            .and.to.equal('invalid request, types must be a comma separated list of gen, cal, nist, btc-a, btc-c, eth-a, eth-c, reward, key')
+          done()
+        })
+    })
+
+    it('should return proper error with bad Last-Event-ID', (done) => {
+      request(server)
+        .get('/calendar/stream')
+        .set('Last-Event-ID', 'bad')
+        .expect('Content-type', /json/)
+        .expect(409)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('InvalidArgument')
+          expect(res.body).to.have.property('message')
+            .and.to.be.a('string')
+            .and.to.equal('invalid request, Last-Event-ID must be a positive integer')
+          done()
+        })
+    })
+
+    it('should return proper error when too many blocks were missed', (done) => {
+      app.setCalendarDatabase({ Op: { gte: 'gte' } }, {
+        findAll: async (params) => {
+          expect(params.limit).to.equal(1001)
+          return Array.from({ length: 1001 }, (v, index) => makeBlock(index, 'cal'))
+        }
+      })
+      request(server)
+        .get('/calendar/stream?from=0')
+        .expect('Content-type', /json/)
+        .expect(409)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('message')
+            .and.to.be.a('string')
+            .and.to.equal('invalid request, more than 1000 missed blocks, use GET /calendar/blocks to catch up')
+          done()
+        })
+    })
+
+    it('should send missed blocks followed by new blocks of the requested types', (done) => {
+      app.setCalendarDatabase({ Op: { gte: 'gte' } }, {
+        findAll: async (params) => {
+          expect(params.where.id.gte).to.equal(11)
+          return [makeBlock(11, 'cal'), makeBlock(12, 'nist'), makeBlock(13, 'btc-a')]
+        }
+      })
+      request(server)
+        .get('/calendar/stream?types=cal,btc-a')
+        .set('Last-Event-ID', '10')
+        .expect('Content-type', /text\/event-stream/)
+        .expect(200)
+        .buffer(true)
+        .parse((res, callback) => {
+          let data = ''
+          res.on('data', (chunk) => {
+            data += chunk
+            // announce new blocks once the missed blocks have been received
+            if (data.includes('id: 13\n') && !data.includes('id: 15\n')) {
+              calendar.broadcastBlock({ id: 14, type: 'nist' })
+              calendar.broadcastBlock({ id: 15, type: 'cal' })
+            }
+            if (data.includes('id: 15\n')) {
+              res.destroy()
+              callback(null, data)
+            }
+          })
+        })
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          let events = res.body.split('\n\n').filter((event) => event.startsWith('id: '))
+          expect(events.map((event) => event.split('\n')[0])).to.deep.equal(['id: 11', 'id: 13', 'id: 15'])
+          expect(events[0].split('\n')[1]).to.equal('event: block')
+          let block = JSON.parse(events[0].split('\n')[2].slice('data: '.length))
+          expect(block).to.have.property('id').and.to.equal(11)
+          expect(block).to.have.property('type').and.to.equal('cal')
+          done()
+        })
+    })
+  })
+})
+
+/* TODO: Re-enable using cachedAuditChallenge
+describe('Config Controller', () => {
+  app.config.setAuditChallenge({
+    findOne: async () => {
+      return {
+        time: 1504898081430,
+        minBlock: 9661,
+        maxBlock: 10483,
+        nonce: 'd9a52b6e1e4cdc46d03b58c6b4b58a01e0eb7b252a83ee5346314a1240561c4d',
+        solution: '57d17352247cbbdd2551d5b2401c85c54cb47e92265ac034ada2577cb00f012d'
+      }
+    }
+  })
+  app.config.setCalendarBlock({
+    findOne: async () => {
+      return { id: 27272 }
+    }
+  })
+  describe('GET /config', () => {
+    it('should return proper config object', (done) => {
+      request(server)
+        .get('/config')
+        .set('Content-type', 'text/plain')
+        .expect('Content-type', /json/)
+        .expect(200)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('chainpoint_core_base_uri').and.to.equal('http://test.chainpoint.org')
+          expect(res.body).to.have.property('anchor_btc')
+          expect(res.body).to.have.property('anchor_eth')
+          expect(res.body).to.have.property('public_keys')
+          expect(res.body).to.have.property('calendar')
+          expect(res.body.calendar).to.have.property('height')
+          expect(res.body.calendar).to.have.property('audit_challenge').and.to.equal('1504898081430:9661:10483:d9a52b6e1e4cdc46d03b58c6b4b58a01e0eb7b252a83ee5346314a1240561c4d')
+          expect(res.body).to.have.property('core_eth_address')
+          done()
+        })
+    })
+  })
+}) */
+
+describe('Keys Controller', () => {
+  describe('GET /keys', () => {
+    it('should return the signing key history', (done) => {
+      app.setKeysSigningKey({
+        findAll: async (params) => {
+          expect(params.order).to.deep.equal([['activationHeight', 'ASC']])
+          return [
+            { pubKeyHash: '09b0ec65fa25dbd163ef6cff7d48f47af7296de77ea083083d77810b3571df61', pubKey: 'Q88brO55SfkY5S0Rbnyh3gh1s6izAj9v4BSWVF1dce0=', activationHeight: 0, retirementHeight: 1000 },
+            { pubKeyHash: 'fcbc2ba6c808' + '0'.repeat(52), pubKey: 'UWJSQwBjlvlkSirJcdFKP4zGQIq1mfrk7j0xV0CZ9yI=', activationHeight: 1001, retirementHeight: null }
+          ]
+        }
+      })
+      request(server)
+        .get('/keys')
         .expect('Content-type', /json/)
         .expect(200)
         .end((err, res) => {
           expect(err).to.equal(null)
-          expect(res).to.have.property('body')
-          expect(res.body).to.have.property('hash_id')
-          expect(res.body).to.have.property('hash').and.to.equal('ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12ab12')
-          expect(res.body).to.have.property('nist')
-          expect(res.body).to.have.property('submitted_at')
-          expect(res.body).to.have.property('processing_hints')
-          expect(res.body.processing_hints).to.have.property('cal').and.to.be.a('string')
-          expect(res.body.processing_hints).to.have.property('eth').and.to.be.a('string')
-          expect(res.body.processing_hints).to.have.property('btc').and.to.be.a('string')
+          expect(res.body).to.be.a('array')
+          expect(res.body.length).to.equal(2)
+          expect(res.body[0]).to.have.property('pubkey_hash').and.to.equal('09b0ec65fa25dbd163ef6cff7d48f47af7296de77ea083083d77810b3571df61')
+          expect(res.body[0]).to.have.property('pubkey').and.to.equal('Q88brO55SfkY5S0Rbnyh3gh1s6izAj9v4BSWVF1dce0=')
+          expect(res.body[0]).to.have.property('activation_height').and.to.equal(0)
+          expect(res.body[0]).to.have.property('retirement_height').and.to.equal(1000)
+          expect(res.body[0]).to.have.property('active').and.to.equal(false)
+          expect(res.body[1]).to.have.property('activation_height').and.to.equal(1001)
+          expect(res.body[1]).to.have.property('retirement_height').and.to.equal(null)
+          expect(res.body[1]).to.have.property('active').and.to.equal(true)
           done()
         })
     })
-  })
-})
 
-describe('Calendar Controller', () => {
-  describe('GET /calendar/height', () => {
-    it('should return proper error with bad height', (done) => {
+    it('should return error when the signing keys can not be read', (done) => {
+      app.setKeysSigningKey({
+        findAll: async () => { throw new Error('bad connection') }
+      })
       request(server)
-        .get('/calendar/badheight')
-        .set('Content-type', 'text/plain')
+        .get('/keys')
         .expect('Content-type', /json/)
-        .expect(409)
+        .expect(500)
         .end((err, res) => {
           expect(err).to.equal(null)
           expect(res.body).to.have.property('code')
             .and.to.be.a('string')
-            .and.to.equal('InvalidArgument')
+            .and.to.equal('InternalServerError')
           expect(res.body).to.have.property('message')
             .and.to.be.a('string')
-            .and.to.equal('invalid request, height must be a positive integer')
+            .and.to.equal('Could not retrieve signing keys')
           done()
         })
     })
   })
+})
 
-  describe('GET /calendar/height', () => {
-    it('should return proper error with negative height', (done) => {
+describe('Nist Controller', () => {
+  describe('GET /nist/:time', () => {
+    let pulses = [
+      { beaconType: 'nistv2', pulseTime: '1544731200000', value: 'ab'.repeat(64), seenAt: '1544731203000', broadcastAt: '1544731205000' },
+      { beaconType: 'drand', pulseTime: '1544731260000', value: 'cd'.repeat(32), seenAt: '1544731261000', broadcastAt: '1544731262000' }
+    ]
+    let beaconPulse = {
+      findOne: async (params) => {
+        let time = params.where.broadcastAt.lte || params.where.broadcastAt.gt
+        if (params.where.broadcastAt.lte) return pulses.filter((p) => parseInt(p.broadcastAt) <= time).pop() || null
+        return pulses.filter((p) => parseInt(p.broadcastAt) > time).shift() || null
+      }
+    }
+
+    it('should return the pulse in use at the given time', (done) => {
+      app.setNistDatabase({ Op: { lte: 'lte', gt: 'gt' } }, beaconPulse)
       request(server)
-        .get('/calendar/-1')
-        .set('Content-type', 'text/plain')
+        .get('/nist/1544731230')
         .expect('Content-type', /json/)
-        .expect(409)
+        .expect(200)
         .end((err, res) => {
           expect(err).to.equal(null)
-          expect(res.body).to.have.property('code')
-            .and.to.be.a('string')
-            .and.to.equal('InvalidArgument')
-          expect(res.body).to.have.property('message')
-            .and.to.be.a('string')
-            .and.to.equal('invalid request, height must be a positive integer')
+          expect(res.body).to.have.property('nist').and.to.equal(`1544731200000:${'ab'.repeat(64)}`)
+          expect(res.body).to.have.property('nist_type').and.to.equal('nistv2')
+          expect(res.body).to.have.property('pulse_time').and.to.equal('2018-12-13T20:00:00Z')
+          expect(res.body).to.have.property('used_from').and.to.equal('2018-12-13T20:00:05Z')
+          expect(res.body).to.have.property('used_until').and.to.equal('2018-12-13T20:01:02Z')
           done()
         })
     })
-  })
 
-  describe('GET /calendar/height/data', () => {
-    it('should return proper error with bad height', (done) => {
+    it('should return the latest pulse for an ISO8601 time', (done) => {
+      app.setNistDatabase({ Op: { lte: 'lte', gt: 'gt' } }, beaconPulse)
       request(server)
-        .get('/calendar/badheight/data')
-        .set('Content-type', 'text/plain')
+        .get('/nist/2018-12-13T20:05:00Z')
+        .expect('Content-type', /json/)
+        .expect(200)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('nist').and.to.equal(`1544731260000:${'cd'.repeat(32)}`)
+          expect(res.body).to.have.property('nist_type').and.to.equal('drand')
+          expect(res.body).to.have.property('used_until').and.to.equal(null)
+          done()
+        })
+    })
+
+    it('should return error for an invalid time', (done) => {
+      app.setNistDatabase({ Op: { lte: 'lte', gt: 'gt' } }, beaconPulse)
+      request(server)
+        .get('/nist/yesterday')
         .expect('Content-type', /json/)
         .expect(409)
         .end((err, res) => {
@@ -578,53 +2051,117 @@ describe('Calendar Controller', () => {
             .and.to.equal('InvalidArgument')
           expect(res.body).to.have.property('message')
             .and.to.be.a('string')
-            .and.to.equal('invalid request, height must be a positive integer')
+            .and.to.equal('invalid request, time must be an ISO8601 date or the seconds or milliseconds since unix epoch')
           done()
         })
     })
 
-    it('should return proper error with negative height', (done) => {
+    it('should return not found for a time before any pulse was used', (done) => {
+      app.setNistDatabase({ Op: { lte: 'lte', gt: 'gt' } }, beaconPulse)
       request(server)
-        .get('/calendar/-2/data')
-        .set('Content-type', 'text/plain')
+        .get('/nist/1500000000000')
         .expect('Content-type', /json/)
-        .expect(409)
+        .expect(404)
         .end((err, res) => {
           expect(err).to.equal(null)
           expect(res.body).to.have.property('code')
             .and.to.be.a('string')
-            .and.to.equal('InvalidArgument')
-          expect(res.body).to.have.property('message')
-            .and.to.be.a('string')
-            .and.to.equal('invalid request, height must be a positive integer')
+            .and.to.equal('NotFoundError')
           done()
         })
     })
   })
+})
 
-  describe('GET /calendar/height/hash', () => {
-    it('should return proper error with bad height', (done) => {
+describe('Rewards Controller', () => {
+  describe('GET /rewards/schedule', () => {
+    it('should return error when no schedule has been loaded', (done) => {
       request(server)
-        .get('/calendar/badheight/hash')
-        .set('Content-type', 'text/plain')
+        .get('/rewards/schedule')
         .expect('Content-type', /json/)
-        .expect(409)
+        .expect(503)
         .end((err, res) => {
           expect(err).to.equal(null)
           expect(res.body).to.have.property('code')
             .and.to.be.a('string')
-            .and.to.equal('InvalidArgument')
-          expect(res.body).to.have.property('message')
-            .and.to.be.a('string')
-            .and.to.equal('invalid request, height must be a positive integer')
+            .and.to.equal('ServiceUnavailableError')
           done()
         })
     })
 
-    it('should return proper error with negative height', (done) => {
+    it('should return the schedule with the current time epoch', (done) => {
+      app.setRewardSchedule(JSON.stringify({
+        version: 1,
+        epoch_type: 'time',
+        epochs: [
+          { start: '2017-01-01T00:00:00Z', node: 1250, core: 0 },
+          { start: '2018-02-28T22:00:00Z', node: 1500, core: 0 },
+          { start: '2999-01-01T00:00:00Z', node: 750, core: 25.5 }
+        ]
+      }))
       request(server)
-        .get('/calendar/-2/hash')
-        .set('Content-type', 'text/plain')
+        .get('/rewards/schedule')
+        .expect('Content-type', /json/)
+        .expect(200)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('version').and.to.equal(1)
+          expect(res.body).to.have.property('epoch_type').and.to.equal('time')
+          expect(res.body).to.have.property('epochs').and.to.be.a('array')
+          expect(res.body.epochs.length).to.equal(3)
+          expect(res.body.epochs[2]).to.deep.equal({ start: '2999-01-01T00:00:00Z', node: 750, core: 25.5 })
+          expect(res.body).to.have.property('current_epoch_index').and.to.equal(1)
+          done()
+        })
+    })
+
+    it('should ignore an invalid schedule and keep the current schedule', (done) => {
+      app.setRewardSchedule(JSON.stringify({ version: 1, epoch_type: 'time', epochs: [{ start: 'soon', node: -1, core: 0 }] }))
+      request(server)
+        .get('/rewards/schedule')
+        .expect('Content-type', /json/)
+        .expect(200)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body.epochs.length).to.equal(3)
+          expect(res.body).to.have.property('current_epoch_index').and.to.equal(1)
+          done()
+        })
+    })
+
+    it('should return the schedule with the current reward block count epoch', (done) => {
+      app.setRewardsDatabase(null, {
+        count: async (params) => {
+          expect(params.where).to.deep.equal({ type: 'reward' })
+          return 9600
+        }
+      })
+      app.setRewardSchedule(JSON.stringify({
+        version: 1,
+        epoch_type: 'reward_block_count',
+        epochs: [
+          { start: 0, node: 6210.3, core: 326.86 },
+          { start: 9600, node: 4968.28, core: 261.49 },
+          { start: 19200, node: 3974.66, core: 209.19 }
+        ]
+      }))
+      request(server)
+        .get('/rewards/schedule')
+        .expect('Content-type', /json/)
+        .expect(200)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('epoch_type').and.to.equal('reward_block_count')
+          expect(res.body).to.have.property('current_epoch_index').and.to.equal(1)
+          done()
+        })
+    })
+  })
+
+  describe('GET /rewards/payouts/:tnt_addr', () => {
+    it('should return error with a malformed tnt_addr', (done) => {
+      request(server)
+        .get('/rewards/payouts/0xbad')
         .expect('Content-type', /json/)
         .expect(409)
         .end((err, res) => {
@@ -634,53 +2171,96 @@ describe('Calendar Controller', () => {
             .and.to.equal('InvalidArgument')
           expect(res.body).to.have.property('message')
             .and.to.be.a('string')
-            .and.to.equal('invalid request, height must be a positive integer')
+            .and.to.equal('invalid request, malformed tnt_addr')
+          done()
+        })
+    })
+
+    it('should return the payouts to the Node', (done) => {
+      let tntAddr = '0x' + 'ab'.repeat(20)
+      let draw = { seed: '5f'.repeat(32), nist: 'nistv2:1544731200000', candidates_hash: '0c'.repeat(32), winner_index: 1, candidates: ['0x' + '0a'.repeat(20) + ':120', tntAddr + ':84'] }
+      app.setRewardsDatabase(null, null, {
+        findAll: async (params) => {
+          expect(params.where).to.deep.equal({ nodeAddr: tntAddr })
+          expect(params.order).to.deep.equal([['created_at', 'DESC']])
+          return [
+            { rewardId: '0c3d2a30-3f4a-4c16-9b1e-4f6d86b0b5d1', state: 'tx_sent', nodeAddr: tntAddr, nodeAmount: '150000000000', nodeTxId: '0x' + '12'.repeat(32), calBlockId: null, lastError: 'ETH_TNT_TX_CONNECT_URI unreachable', created_at: '2018-12-13T20:30:00.000Z', updated_at: '2018-12-13T20:30:05.000Z' },
+            { rewardId: '7b7d0ad4-62f8-4a1f-8c34-0d7d1a76f0e2', state: 'block_written', nodeAddr: tntAddr, nodeAmount: '150000000000', nodeTxId: '0x' + '34'.repeat(32), calBlockId: '52771', draw: JSON.stringify(draw), lastError: null, created_at: '2018-12-13T20:00:00.000Z', updated_at: '2018-12-13T20:03:00.000Z' }
+          ]
+        }
+      })
+      request(server)
+        .get('/rewards/payouts/' + tntAddr.toUpperCase().replace('0X', '0x'))
+        .expect('Content-type', /json/)
+        .expect(200)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.be.a('array')
+          expect(res.body.length).to.equal(2)
+          expect(res.body[0]).to.deep.equal({
+            reward_id: '0c3d2a30-3f4a-4c16-9b1e-4f6d86b0b5d1',
+            state: 'tx_sent',
+            node_amount: 150000000000,
+            node_tx_id: '0x' + '12'.repeat(32),
+            cal_block_id: null,
+            draw: null,
+            selected_at: '2018-12-13T20:30:00Z',
+            updated_at: '2018-12-13T20:30:05Z'
+          })
+          expect(res.body[1]).to.have.property('state').and.to.equal('block_written')
+          expect(res.body[1]).to.have.property('cal_block_id').and.to.equal(52771)
+          expect(res.body[1]).to.have.property('draw').and.to.deep.equal(draw)
           done()
         })
     })
   })
 })
 
-/* TODO: Re-enable using cachedAuditChallenge
-describe('Config Controller', () => {
-  app.config.setAuditChallenge({
-    findOne: async () => {
-      return {
-        time: 1504898081430,
-        minBlock: 9661,
-        maxBlock: 10483,
-        nonce: 'd9a52b6e1e4cdc46d03b58c6b4b58a01e0eb7b252a83ee5346314a1240561c4d',
-        solution: '57d17352247cbbdd2551d5b2401c85c54cb47e92265ac034ada2577cb00f012d'
+describe('Network Controller', () => {
+  describe('GET /network/stats', () => {
+    it('should return error when no stats have been cached', (done) => {
+      request(server)
+        .get('/network/stats')
+        .expect('Content-type', /json/)
+        .expect(503)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('ServiceUnavailableError')
+          done()
+        })
+    })
+
+    it('should return the cached stats', (done) => {
+      let networkStats = {
+        nodes: { total: 120, active: 80, public: 100, private: 20 },
+        node_versions: { '1.5.3': 10, '1.5.4': 70 },
+        hashes_per_hour: 35000,
+        calendar_blocks_per_hour: 122,
+        last_btc_anchor_at: '2018-12-13T20:00:00Z',
+        btc_confirmation_lag_seconds: 1800,
+        updated_at: '2018-12-13T20:05:00Z'
       }
-    }
-  })
-  app.config.setCalendarBlock({
-    findOne: async () => {
-      return { id: 27272 }
-    }
-  })
-  describe('GET /config', () => {
-    it('should return proper config object', (done) => {
+      app.setRedis(Object.assign({}, redisMock, {
+        get: async (key) => {
+          expect(key).to.equal('NetworkStats')
+          return JSON.stringify(networkStats)
+        }
+      }))
       request(server)
-        .get('/config')
-        .set('Content-type', 'text/plain')
+        .get('/network/stats')
         .expect('Content-type', /json/)
         .expect(200)
         .end((err, res) => {
+          app.setRedis(redisMock)
           expect(err).to.equal(null)
-          expect(res.body).to.have.property('chainpoint_core_base_uri').and.to.equal('http://test.chainpoint.org')
-          expect(res.body).to.have.property('anchor_btc')
-          expect(res.body).to.have.property('anchor_eth')
-          expect(res.body).to.have.property('public_keys')
-          expect(res.body).to.have.property('calendar')
-          expect(res.body.calendar).to.have.property('height')
-          expect(res.body.calendar).to.have.property('audit_challenge').and.to.equal('1504898081430:9661:10483:d9a52b6e1e4cdc46d03b58c6b4b58a01e0eb7b252a83ee5346314a1240561c4d')
-          expect(res.body).to.have.property('core_eth_address')
+          expect(res.body).to.deep.equal(networkStats)
           done()
         })
     })
   })
-}) */
+})
 
 describe('Nodes Controller', () => {
   describe('POST /nodes', () => {
@@ -2053,6 +3633,180 @@ describe('Nodes Controller', () => {
         })
     })
   })
+
+  describe('GET /nodes/leaderboard', () => {
+    it('should return error when no leaderboard has been cached', (done) => {
+      request(server)
+        .get('/nodes/leaderboard')
+        .expect('Content-type', /json/)
+        .expect(503)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('ServiceUnavailableError')
+          done()
+        })
+    })
+
+    it('should return the cached leaderboard', (done) => {
+      let nodeLeaderboard = [
+        { rank: 1, tnt_addr: '0x' + 'ab'.repeat(20), public_uri: 'http://65.1.1.1', audit_score: 42, consecutive_passes: 96, pass_count: 1200, fail_count: 30 },
+        { rank: 2, tnt_addr: '0x' + 'cd'.repeat(20), public_uri: null, audit_score: 40, consecutive_passes: 48, pass_count: 900, fail_count: 2 }
+      ]
+      app.setRedis(Object.assign({}, redisMock, {
+        get: async (key) => {
+          expect(key).to.equal('NetworkStats:NodeLeaderboard')
+          return JSON.stringify(nodeLeaderboard)
+        }
+      }))
+      request(server)
+        .get('/nodes/leaderboard')
+        .expect('Content-type', /json/)
+        .expect(200)
+        .end((err, res) => {
+          app.setRedis(redisMock)
+          expect(err).to.equal(null)
+          expect(res.body).to.deep.equal(nodeLeaderboard)
+          done()
+        })
+    })
+  })
+
+  describe('GET /nodes/:tnt_addr', () => {
+    it('should return error with a malformed tnt_addr', (done) => {
+      request(server)
+        .get('/nodes/0xbad')
+        .expect('Content-type', /json/)
+        .expect(409)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('InvalidArgument')
+          expect(res.body).to.have.property('message')
+            .and.to.be.a('string')
+            .and.to.equal('invalid request, malformed tnt_addr')
+          done()
+        })
+    })
+
+    it('should return error when the Node is not registered', (done) => {
+      app.setNodesDatabase({ Op: { gte: 'gte' } }, {
+        findOne: async () => { return null }
+      })
+      request(server)
+        .get('/nodes/0x' + 'ab'.repeat(20))
+        .expect('Content-type', /json/)
+        .expect(404)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('NotFoundError')
+          done()
+        })
+    })
+
+    it('should return the Node with its audit history', (done) => {
+      let tntAddr = '0x' + 'ab'.repeat(20)
+      let today = new Date(new Date().toISOString().slice(0, 10))
+      let yesterday = new Date(today.getTime() - 24 * 60 * 60 * 1000)
+      app.setNodesDatabase({ Op: { gte: 'gte' } }, {
+        findOne: async (params) => {
+          expect(params.where).to.deep.equal({ tntAddr: tntAddr })
+          return { tntAddr: tntAddr, publicUri: 'http://65.1.1.1', hmacKey: 'ff'.repeat(32), createdFromIp: '65.1.1.1', auditScore: '42', passCount: '1200', failCount: '30', consecutivePasses: '96', consecutiveFails: '0', verifyE2EPassedAt: '1544731200000', verifyE2EFailedAt: null, created_at: '2018-06-01T12:00:00.000Z' }
+        }
+      }, {
+        findAll: async (params) => {
+          expect(params.where).to.deep.equal({ tntAddr: tntAddr })
+          expect(params.order).to.deep.equal([['audit_at', 'DESC']])
+          return [
+            { tntAddr: tntAddr, publicUri: 'http://65.1.1.1', auditAt: '1544731200000', publicIPPass: true, nodeMSDelta: '-12', timePass: true, calStatePass: false, minCreditsPass: true, nodeVersion: '1.5.4', nodeVersionPass: true, tntBalanceGrains: '500000000000', tntBalancePass: true }
+          ]
+        }
+      }, {
+        findAll: async (params) => {
+          expect(params.where.tntAddr).to.equal(tntAddr)
+          return [
+            { tntAddr: tntAddr, auditDate: today, stage: 'hash_submission', status: 'passed' },
+            { tntAddr: tntAddr, auditDate: today, stage: 'proof_retrieval', status: 'retrieval_failure' },
+            { tntAddr: tntAddr, auditDate: yesterday, stage: 'proof_verification', status: 'passed' }
+          ]
+        }
+      })
+      request(server)
+        .get('/nodes/' + tntAddr)
+        .expect('Content-type', /json/)
+        .expect(200)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.not.have.property('hmac_key')
+          expect(res.body).to.not.have.property('created_from_ip')
+          expect(res.body).to.have.property('tnt_addr').and.to.equal(tntAddr)
+          expect(res.body).to.have.property('registered_at').and.to.equal('2018-06-01T12:00:00Z')
+          expect(res.body).to.have.property('audit_score').and.to.equal(42)
+          expect(res.body).to.have.property('pass_count').and.to.equal(1200)
+          expect(res.body).to.have.property('fail_count').and.to.equal(30)
+          expect(res.body).to.have.property('verify_e2e_passed_at').and.to.equal('2018-12-13T20:00:00Z')
+          expect(res.body).to.have.property('verify_e2e_failed_at').and.to.equal(null)
+          expect(res.body.recent_audits).to.deep.equal([{
+            audit_at: '2018-12-13T20:00:00Z',
+            public_uri: 'http://65.1.1.1',
+            node_version: '1.5.4',
+            node_ms_delta: -12,
+            tnt_balance_grains: 500000000000,
+            checks: { public_ip: true, time: true, cal_state: false, min_credits: true, node_version: true, tnt_balance: true }
+          }])
+          expect(res.body.e2e_audits).to.deep.equal([
+            { audit_date: today.toISOString().slice(0, 10), stages: { hash_submission: 'passed', proof_retrieval: 'retrieval_failure' } },
+            { audit_date: yesterday.toISOString().slice(0, 10), stages: { proof_verification: 'passed' } }
+          ])
+          done()
+        })
+    })
+  })
+
+  describe('GET /nodes/:tnt_addr/rewards', () => {
+    it('should return error with a malformed tnt_addr', (done) => {
+      request(server)
+        .get('/nodes/0xbad/rewards')
+        .expect('Content-type', /json/)
+        .expect(409)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.have.property('code')
+            .and.to.be.a('string')
+            .and.to.equal('InvalidArgument')
+          done()
+        })
+    })
+
+    it('should return the reward blocks paying the Node', (done) => {
+      let tntAddr = '0x' + 'ab'.repeat(20)
+      app.setNodesDatabase({ Op: { like: 'like' } }, null, null, null, {
+        findAll: async (params) => {
+          expect(params.where).to.deep.equal({ type: 'reward', dataVal: { like: `${tntAddr}:%` } })
+          return [
+            { id: '52771', time: '1544731380', dataId: '0x' + '34'.repeat(32) + ':0x' + '56'.repeat(32), dataVal: `${tntAddr}:150000000000:0x${'cd'.repeat(20)}:2500000000` },
+            { id: '52002', time: '1544385600', dataId: '0x' + '78'.repeat(32), dataVal: `${tntAddr}:125000000000` }
+          ]
+        }
+      })
+      request(server)
+        .get('/nodes/' + tntAddr + '/rewards')
+        .expect('Content-type', /json/)
+        .expect(200)
+        .end((err, res) => {
+          expect(err).to.equal(null)
+          expect(res.body).to.deep.equal([
+            { cal_block_id: 52771, time: 1544731380, tx_id: '0x' + '34'.repeat(32), amount_grains: 150000000000, amount_tnt: 1500 },
+            { cal_block_id: 52002, time: 1544385600, tx_id: '0x' + '78'.repeat(32), amount_grains: 125000000000, amount_tnt: 1250 }
+          ])
+          done()
+        })
+    })
+  })
 })
 
 describe('Functions', () => {
@@ -24,13 +24,16 @@ const MerkleTools = require('merkle-tools')
 const heartbeats = require('heartbeats')
 const leaderElection = require('exp-leader-election')
 const cnsl = require('consul')
-const moment = require('moment')
 const _ = require('lodash')
 const registeredNode = require('./lib/models/RegisteredNode.js')
 const calendarBlock = require('./lib/models/CalendarBlock.js')
 const nodeAuditLog = require('./lib/models/NodeAuditLog.js')
 const auditChallenge = require('./lib/models/AuditChallenge.js')
 const cachedAuditChallenge = require('./lib/models/cachedAuditChallenge.js')
+const aggState = require('./lib/models/AggState.js')
+const btcTxState = require('./lib/models/BtcTxState.js')
+const btcHeadState = require('./lib/models/BtcHeadState.js')
+const cachedNetworkStats = require('./lib/models/cachedNetworkStats.js')
 const connections = require('./lib/connections.js')
 
 let sequelize
@@ -57,6 +60,9 @@ const creditTopoffAmount = 86400
 // The lifespan of balance pass redis entries
 const BALANCE_PASS_EXPIRE_MINUTES = 60 * 24 // 1 day
 
+// How often the network stats and Node leaderboard served by the API are refreshed
+const NETWORK_STATS_REFRESH_INTERVAL_MS = 5 * 60 * 1000
+
 // create a heartbeat for every 200ms
 // 1 second heartbeats had a drift that caused occasional skipping of a whole second
 // decreasing the interval of the heartbeat and checking current time resolves this
@@ -102,7 +108,7 @@ async function auditNodesAsync (opts = { e2eAudit: false }) {
   }
 
   // get the total active node count, needed to deliver to Nodes during audit process
-  let activePublicNodeCount = await RegisteredNode.count({ where: { audit_score: { [sequelize.Op.gt]: 0 }, consecutive_fails: { [sequelize.Op.lt]: 144 }, verify_e2e_passed_at: { [sequelize.Op.gte]: moment().subtract(72, 'hours').valueOf() } } })
+  let activePublicNodeCount = await cachedNetworkStats.getActiveNodeCountAsync()
 
   // iterate through each public Registered Node, queue up an audit task for task handler
   // If an E2E Audit is being performed, filter OUT any registered nodes that have an audit_score <= 0
@@ -349,6 +355,16 @@ async function pollForNewAuditDataAsync () {
   }
 }
 
+// Refreshes the network stats and Node leaderboard cached in Redis for the API
+async function refreshNetworkStatsAsync () {
+  if (!IS_LEADER) return
+  try {
+    await cachedNetworkStats.refreshNetworkStatsAsync()
+  } catch (error) {
+    console.error(`Unable to refresh network stats : ${error.message}`)
+  }
+}
+
 /**
  * Opens a storage connection
  **/
@@ -357,7 +373,10 @@ async function openStorageConnectionAsync () {
     nodeAuditLog,
     calendarBlock,
     registeredNode,
-    auditChallenge
+    auditChallenge,
+    aggState,
+    btcTxState,
+    btcHeadState
   ]
   let cxObjects = await connections.openStorageConnectionAsync(sqlzModelArray)
   sequelize = cxObjects.sequelize
@@ -365,6 +384,7 @@ async function openStorageConnectionAsync () {
   CalendarBlock = cxObjects.models[1]
   NodeAuditLog = cxObjects.models[0]
   cachedAuditChallenge.setDatabase(cxObjects.sequelize, cxObjects.models[3])
+  cachedNetworkStats.setDatabase(cxObjects.sequelize, cxObjects.models[2], cxObjects.models[1], cxObjects.models[4], cxObjects.models[5], cxObjects.models[6])
 }
 
 /**
@@ -377,10 +397,12 @@ function openRedisConnection (redisURIs) {
     (newRedis) => {
       redis = newRedis
       cachedAuditChallenge.setRedis(redis)
+      cachedNetworkStats.setRedis(redis)
       initResqueQueueAsync()
     }, () => {
       redis = null
       cachedAuditChallenge.setRedis(null)
+      cachedNetworkStats.setRedis(null)
       taskQueue = null
       setTimeout(() => { openRedisConnection(redisURIs) }, 5000)
     })
@@ -419,7 +441,10 @@ async function initResqueQueueAsync () {
 
 // This initializes the JS intervals that checks for new audit data
 function startIntervals () {
-  let intervals = [{ function: pollForNewAuditDataAsync, ms: 60000 }]
+  let intervals = [
+    { function: pollForNewAuditDataAsync, ms: 60000 },
+    { function: refreshNetworkStatsAsync, ms: NETWORK_STATS_REFRESH_INTERVAL_MS }
+  ]
   connections.startIntervals(intervals)
 }
 
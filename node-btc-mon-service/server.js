@@ -18,13 +18,21 @@
 const env = require('./lib/parse-env.js')('btc-mon')
 
 const MerkleTools = require('merkle-tools')
-const BlockchainAnchor = require('blockchain-anchor')
 const amqp = require('amqplib')
+const loadBtcBackend = require('./lib/btc/backendLoader.js')
 const connections = require('./lib/connections.js')
+const cachedProofState = require('./lib/models/cachedProofState.js')
 
 // Key for the Redis set of all Bitcoin transaction id objects needing to be monitored.
 const BTC_TX_IDS_KEY = 'BTC_Mon:BTCTxIds'
 
+// Key for the Redis hash of confirmed Bitcoin transaction objects, keyed by transaction id,
+// whose blocks are rechecked against the best chain for BTC_REORG_WATCH_HOURS after confirmation.
+const BTC_CONFIRMED_TXS_KEY = 'BTC_Mon:ConfirmedBTCTxs'
+
+// The frequency that confirmed transactions are checked for reorganizations, in minutes
+const REORG_CHECK_INTERVAL_MINUTES = 10
+
 // The merkle tools object for building trees and generating proof paths
 const merkleTools = new MerkleTools()
 
@@ -36,23 +44,35 @@ var amqpChannel = null
 let redis = null
 
 let CHECKS_IN_PROGRESS = false
+let REORG_CHECKS_IN_PROGRESS = false
 
-// Initialize BlockchainAnchor object
-let anchor = new BlockchainAnchor({
-  btcUseTestnet: env.USE_BTCETH_TESTNET,
-  service: 'insightapi',
-  insightApiBase: env.INSIGHT_API_BASE_URI,
-  insightFallback: true
-})
+// The Bitcoin backend selected by BTC_BACKEND
+let btcBackend = loadBtcBackend(env)
 
 async function consumeBtcTxIdMessageAsync (msg) {
   if (msg !== null) {
-    let btcTxIdObjJSON = msg.content.toString()
+    let btcTxIdObj = JSON.parse(msg.content.toString())
+    btcTxIdObj.monitored_since = Date.now()
+    btcTxIdObj.replaced_txs = []
 
     try {
       // add the transaction id to the redis set
       // Redis is the sole storage mechanism for this data
-      await redis.sadd(BTC_TX_IDS_KEY, btcTxIdObjJSON)
+      if (btcTxIdObj.replaces_tx_id) {
+        // a replace-by-fee transaction takes the place of the one it replaces, which is
+        // still checked in case it confirms first, along with any it had itself replaced
+        let btcTxObjJSONArray = await redis.smembers(BTC_TX_IDS_KEY)
+        let replacedTxObjJSON = btcTxObjJSONArray.find((btcTxObjJSON) => JSON.parse(btcTxObjJSON).tx_id === btcTxIdObj.replaces_tx_id)
+        if (replacedTxObjJSON) {
+          let replacedTxObj = JSON.parse(replacedTxObjJSON)
+          btcTxIdObj.replaced_txs = [{ tx_id: replacedTxObj.tx_id, btctx_state: replacedTxObj.btctx_state }].concat(replacedTxObj.replaced_txs || [])
+          await redis.multi().srem(BTC_TX_IDS_KEY, replacedTxObjJSON).sadd(BTC_TX_IDS_KEY, JSON.stringify(btcTxIdObj)).exec()
+        } else {
+          console.log(`${btcTxIdObj.tx_id} not monitored : replaced transaction ${btcTxIdObj.replaces_tx_id} already confirmed`)
+        }
+      } else {
+        await redis.sadd(BTC_TX_IDS_KEY, JSON.stringify(btcTxIdObj))
+      }
       amqpChannel.ack(msg)
     } catch (error) {
       amqpChannel.nack(msg)
@@ -76,22 +96,36 @@ let monitorTransactionsAsync = async () => {
   for (let btcTxObjJSON of btcTxObjJSONArray) {
     let btcTxIdObj = JSON.parse(btcTxObjJSON)
     try {
-      // Get BTC Transaction Stats
-      let txStats
-      try {
-        txStats = await anchor.btcGetTxStatsAsync(btcTxIdObj.tx_id)
-      } catch (error) {
-        throw new Error(`Could not get stats for transaction ${btcTxIdObj.tx_id}`)
+      // Get BTC Transaction Stats, for the transaction and every transaction it replaced,
+      // keeping those of whichever has the most confirmations
+      let txStats = null
+      let confirmingTxObj = null
+      for (let txObj of [btcTxIdObj].concat(btcTxIdObj.replaced_txs || [])) {
+        let stats
+        try {
+          stats = await btcBackend.getTxStatsAsync(txObj.tx_id)
+        } catch (error) {
+          // replaced transactions are no longer found once dropped from the mempool
+          continue
+        }
+        // record the confirmation count for reporting through GET /hashes/:hash_id/status
+        await cachedProofState.writeBTCTxConfirmationsAsync(stats.id, stats.confirmations)
+        if (txStats === null || stats.confirmations > txStats.confirmations) {
+          txStats = stats
+          confirmingTxObj = txObj
+        }
       }
+      if (txStats === null) throw new Error(`Could not get stats for transaction ${btcTxIdObj.tx_id}`)
       if (txStats.confirmations < env.MIN_BTC_CONFIRMS) {
         console.log(`${txStats.id} not ready : ${txStats.confirmations} of ${env.MIN_BTC_CONFIRMS} confirmations`)
+        if (txStats.confirmations === 0) await requestReplacementIfStuckAsync(btcTxIdObj, btcTxObjJSON)
         continue
       }
 
       // if ready, Get BTC Block Stats with Transaction Ids
       let blockStats
       try {
-        blockStats = await anchor.btcGetBlockStatsAsync(txStats.blockHash)
+        blockStats = await btcBackend.getBlockStatsAsync(txStats.blockHash)
       } catch (error) {
         throw new Error(`Could not get stats for block ${txStats.blockHeight} (${txStats.blockHash})`)
       }
@@ -118,6 +152,11 @@ let monitorTransactionsAsync = async () => {
       messageObj.btchead_height = txStats.blockHeight
       messageObj.btchead_root = rootValueHex
       messageObj.path = proofPath
+      // a replaced transaction confirmed, so its state must replace that of its replacement
+      if (confirmingTxObj !== btcTxIdObj) {
+        messageObj.anchor_btc_agg_id = btcTxIdObj.anchor_btc_agg_id
+        messageObj.btctx_state = confirmingTxObj.btctx_state
+      }
       try {
         await amqpChannel.sendToQueue(env.RMQ_WORK_OUT_CAL_QUEUE, Buffer.from(JSON.stringify(messageObj)), { persistent: true, type: 'btcmon' })
         console.log(env.RMQ_WORK_OUT_CAL_QUEUE, '[btcmon] publish message acked', messageObj.btctx_id)
@@ -126,7 +165,22 @@ let monitorTransactionsAsync = async () => {
         throw new Error(error.message)
       }
 
-      await redis.srem(BTC_TX_IDS_KEY, btcTxObjJSON)
+      if (env.BTC_REORG_WATCH_HOURS > 0) {
+        // keep what is needed to detect the block being orphaned, and to monitor the transaction again if it is
+        let confirmedTxObj = {
+          tx_id: txStats.id,
+          anchor_btc_agg_id: btcTxIdObj.anchor_btc_agg_id,
+          anchor_btc_agg_root: btcTxIdObj.anchor_btc_agg_root,
+          btctx_state: confirmingTxObj.btctx_state,
+          block_hash: txStats.blockHash,
+          block_height: txStats.blockHeight,
+          merkle_root: rootValueHex,
+          confirmed_at: Date.now()
+        }
+        await redis.multi().srem(BTC_TX_IDS_KEY, btcTxObjJSON).hset(BTC_CONFIRMED_TXS_KEY, confirmedTxObj.tx_id, JSON.stringify(confirmedTxObj)).exec()
+      } else {
+        await redis.srem(BTC_TX_IDS_KEY, btcTxObjJSON)
+      }
 
       console.log(`${btcTxIdObj.tx_id} ready with ${txStats.confirmations} confirmations`)
     } catch (error) {
@@ -138,6 +192,110 @@ let monitorTransactionsAsync = async () => {
   CHECKS_IN_PROGRESS = false
 }
 
+// Requests a replace-by-fee transaction from the btc tx service once a transaction has remained
+// unconfirmed for BTC_RBF_AFTER_MINUTES. The wait restarts with each request, so should a
+// replacement not be sent, for example with the fee already at its maximum, it is requested again later.
+async function requestReplacementIfStuckAsync (btcTxIdObj, btcTxObjJSON) {
+  if (env.BTC_RBF_AFTER_MINUTES <= 0) return
+  // transactions queued for monitoring before replace-by-fee support lack the anchor details needed
+  if (!btcTxIdObj.anchor_btc_agg_id || !btcTxIdObj.monitored_since) return
+  if (Date.now() - btcTxIdObj.monitored_since < env.BTC_RBF_AFTER_MINUTES * 60 * 1000) return
+
+  let rbfObj = {
+    btctx_id: btcTxIdObj.tx_id,
+    anchor_btc_agg_id: btcTxIdObj.anchor_btc_agg_id,
+    anchor_btc_agg_root: btcTxIdObj.anchor_btc_agg_root
+  }
+  try {
+    await amqpChannel.sendToQueue(env.RMQ_WORK_OUT_BTCTX_QUEUE, Buffer.from(JSON.stringify(rbfObj)), { persistent: true, type: 'rbf' })
+    console.log(env.RMQ_WORK_OUT_BTCTX_QUEUE, '[rbf] publish message acked', rbfObj.btctx_id)
+  } catch (error) {
+    console.error(env.RMQ_WORK_OUT_BTCTX_QUEUE, '[rbf] publish message nacked', rbfObj.btctx_id)
+    throw new Error(error.message)
+  }
+
+  btcTxIdObj.monitored_since = Date.now()
+  await redis.multi().srem(BTC_TX_IDS_KEY, btcTxObjJSON).sadd(BTC_TX_IDS_KEY, JSON.stringify(btcTxIdObj)).exec()
+}
+
+// Recheck the block of each transaction confirmed within the last BTC_REORG_WATCH_HOURS against
+// the best chain. When a reorganization has orphaned the block, the anchor is withdrawn from the
+// proofs through the calendar service and the transaction is monitored again, so that a new
+// btc-c block is written once it confirms in the best chain.
+let checkConfirmedTxsForReorgAsync = async () => {
+  if (amqpChannel === null || redis === null) return
+
+  REORG_CHECKS_IN_PROGRESS = true
+  try {
+    let confirmedTxs = await redis.hgetall(BTC_CONFIRMED_TXS_KEY)
+    for (let txId of Object.keys(confirmedTxs)) {
+      let confirmedTxObj = JSON.parse(confirmedTxs[txId])
+      try {
+        if (Date.now() - confirmedTxObj.confirmed_at > env.BTC_REORG_WATCH_HOURS * 60 * 60 * 1000) {
+          await redis.hdel(BTC_CONFIRMED_TXS_KEY, txId)
+          continue
+        }
+        if (!await isBlockOrphanedAsync(confirmedTxObj)) continue
+
+        console.error(`REORG : block ${confirmedTxObj.block_height} (${confirmedTxObj.block_hash}) containing ${txId} is no longer in the best chain`)
+        await withdrawOrphanedTxAsync(confirmedTxObj)
+      } catch (error) {
+        console.error(`Reorg check failed for ${txId} : ${error.message}`)
+      }
+    }
+  } catch (error) {
+    console.error(`Reorg checks failed : ${error.message}`)
+  }
+  REORG_CHECKS_IN_PROGRESS = false
+}
+
+// A block is orphaned when the best chain holds a different block, or no block, at its height.
+// The merkle root is compared as well so that a backend returning a mismatched block is caught.
+async function isBlockOrphanedAsync (confirmedTxObj) {
+  let bestBlockHash
+  try {
+    bestBlockHash = await btcBackend.getBlockHashAtHeightAsync(confirmedTxObj.block_height)
+  } catch (error) {
+    throw new Error(`Could not get block hash at height ${confirmedTxObj.block_height} : ${error.message}`)
+  }
+  if (bestBlockHash !== confirmedTxObj.block_hash) return true
+  let blockStats
+  try {
+    blockStats = await btcBackend.getBlockStatsAsync(bestBlockHash)
+  } catch (error) {
+    throw new Error(`Could not get stats for block ${confirmedTxObj.block_height} (${bestBlockHash})`)
+  }
+  return blockStats.merkleRoot !== confirmedTxObj.merkle_root
+}
+
+async function withdrawOrphanedTxAsync (confirmedTxObj) {
+  let reorgObj = {
+    btctx_id: confirmedTxObj.tx_id,
+    btchead_height: confirmedTxObj.block_height,
+    btchead_root: confirmedTxObj.merkle_root
+  }
+  try {
+    await amqpChannel.sendToQueue(env.RMQ_WORK_OUT_CAL_QUEUE, Buffer.from(JSON.stringify(reorgObj)), { persistent: true, type: 'btcreorg' })
+    console.log(env.RMQ_WORK_OUT_CAL_QUEUE, '[btcreorg] publish message acked', reorgObj.btctx_id)
+  } catch (error) {
+    console.error(env.RMQ_WORK_OUT_CAL_QUEUE, '[btcreorg] publish message nacked', reorgObj.btctx_id)
+    throw new Error(error.message)
+  }
+
+  // the transaction is most often included again in the new best chain, in which case it is confirmed
+  // anew, otherwise it is eventually considered stuck and replaced like any unconfirmed transaction
+  let btcTxIdObj = {
+    tx_id: confirmedTxObj.tx_id,
+    anchor_btc_agg_id: confirmedTxObj.anchor_btc_agg_id,
+    anchor_btc_agg_root: confirmedTxObj.anchor_btc_agg_root,
+    btctx_state: confirmedTxObj.btctx_state,
+    replaces_tx_id: null,
+    monitored_since: Date.now(),
+    replaced_txs: []
+  }
+  await redis.multi().hdel(BTC_CONFIRMED_TXS_KEY, confirmedTxObj.tx_id).sadd(BTC_TX_IDS_KEY, JSON.stringify(btcTxIdObj)).exec()
+}
+
 /**
  * Opens a Redis connection
  *
@@ -147,8 +305,10 @@ function openRedisConnection (redisURIs) {
   connections.openRedisConnection(redisURIs,
     (newRedis) => {
       redis = newRedis
+      cachedProofState.setRedis(redis)
     }, () => {
       redis = null
+      cachedProofState.setRedis(null)
       setTimeout(() => { openRedisConnection(redisURIs) }, 5000)
     })
 }
@@ -161,7 +321,7 @@ function openRedisConnection (redisURIs) {
  */
 async function openRMQConnectionAsync (connectURI) {
   await connections.openStandardRMQConnectionAsync(amqp, connectURI,
-    [env.RMQ_WORK_IN_BTCMON_QUEUE, env.RMQ_WORK_OUT_CAL_QUEUE],
+    [env.RMQ_WORK_IN_BTCMON_QUEUE, env.RMQ_WORK_OUT_CAL_QUEUE, env.RMQ_WORK_OUT_BTCTX_QUEUE],
     env.RMQ_PREFETCH_COUNT_BTCMON,
     { queue: env.RMQ_WORK_IN_BTCMON_QUEUE, method: (msg) => { consumeBtcTxIdMessageAsync(msg) } },
     (chan) => { amqpChannel = chan },
@@ -178,6 +338,11 @@ function startIntervals () {
       if (!CHECKS_IN_PROGRESS) monitorTransactionsAsync()
     },
     ms: env.MONITOR_INTERVAL_SECONDS * 1000
+  }, {
+    function: () => {
+      if (!REORG_CHECKS_IN_PROGRESS && env.BTC_REORG_WATCH_HOURS > 0) checkConfirmedTxsForReorgAsync()
+    },
+    ms: REORG_CHECK_INTERVAL_MINUTES * 60 * 1000
   }]
   connections.startIntervals(intervals)
 }
@@ -206,7 +371,10 @@ start()
 module.exports = {
   getAMQPChannel: function () { return amqpChannel },
   setAMQPChannel: (chan) => { amqpChannel = chan },
+  setRedis: (r) => { redis = r },
+  setBtcBackend: (backend) => { btcBackend = backend },
   openRMQConnectionAsync: openRMQConnectionAsync,
   consumeBtcTxIdMessageAsync: consumeBtcTxIdMessageAsync,
-  monitorTransactionsAsync: monitorTransactionsAsync
+  monitorTransactionsAsync: monitorTransactionsAsync,
+  checkConfirmedTxsForReorgAsync: checkConfirmedTxsForReorgAsync
 }
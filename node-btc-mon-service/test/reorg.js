@@ -0,0 +1,152 @@
+/* global describe, it, beforeEach */
+
+process.env.NODE_ENV = 'test'
+process.env.BTC_BACKEND = 'bitcoind'
+process.env.BITCOIND_RPC_URI = 'http://127.0.0.1:18332'
+process.env.BTC_REORG_WATCH_HOURS = '6'
+
+// test related packages
+var expect = require('chai').expect
+
+var server = require('../server')
+
+const BTC_TX_IDS_KEY = 'BTC_Mon:BTCTxIds'
+const BTC_CONFIRMED_TXS_KEY = 'BTC_Mon:ConfirmedBTCTxs'
+
+const TX_ID = 'a1'.repeat(32)
+const BLOCK_HASH = '00000000000000000001' + 'b2'.repeat(22)
+const MERKLE_ROOT = 'c3'.repeat(32)
+
+// an in memory stand in for the redis commands used by the reorg checks
+function memoryRedis () {
+  let sets = {}
+  let hashes = {}
+  let redis = {
+    sets: sets,
+    hashes: hashes,
+    smembers: async (key) => { return Array.from(sets[key] || []) },
+    sadd: async (key, value) => { sets[key] = (sets[key] || new Set()).add(value) },
+    hgetall: async (key) => { return Object.assign({}, hashes[key]) },
+    hset: async (key, field, value) => { hashes[key] = Object.assign(hashes[key] || {}, { [field]: value }) },
+    hdel: async (key, field) => { if (hashes[key]) delete hashes[key][field] },
+    multi: () => {
+      let commands = []
+      let transaction = {
+        hdel: (key, field) => { commands.push(() => redis.hdel(key, field)); return transaction },
+        sadd: (key, value) => { commands.push(() => redis.sadd(key, value)); return transaction },
+        exec: async () => { for (let command of commands) await command() }
+      }
+      return transaction
+    }
+  }
+  return redis
+}
+
+describe('Reorganization Checks', () => {
+  let redis, sentMessages, bestChain
+  beforeEach(() => {
+    redis = memoryRedis()
+    sentMessages = []
+    // the best chain as reported by the backend, block height to block hash and merkle root
+    bestChain = { 530000: { hash: BLOCK_HASH, merkleRoot: MERKLE_ROOT } }
+    server.setRedis(redis)
+    server.setBtcBackend({
+      getBlockHashAtHeightAsync: async (height) => {
+        if (bestChain[height] === undefined) throw new Error('connect ECONNREFUSED 127.0.0.1:18332')
+        // the backends return null for a height beyond the best chain tip
+        return bestChain[height] === null ? null : bestChain[height].hash
+      },
+      getBlockStatsAsync: async (blockHash) => {
+        let height = Object.keys(bestChain).find((height) => bestChain[height].hash === blockHash)
+        return { id: blockHash, height: parseInt(height, 10), merkleRoot: bestChain[height].merkleRoot, txIds: [TX_ID] }
+      }
+    })
+    server.setAMQPChannel({
+      sendToQueue: async (queue, content, options) => { sentMessages.push({ queue: queue, content: JSON.parse(content.toString()), options: options }) }
+    })
+  })
+
+  let addConfirmedTx = async (confirmedAt) => {
+    await redis.hset(BTC_CONFIRMED_TXS_KEY, TX_ID, JSON.stringify({
+      tx_id: TX_ID,
+      anchor_btc_agg_id: 'c1',
+      anchor_btc_agg_root: 'ab'.repeat(32),
+      btctx_state: { tx_id: TX_ID },
+      block_hash: BLOCK_HASH,
+      block_height: 530000,
+      merkle_root: MERKLE_ROOT,
+      confirmed_at: confirmedAt
+    }))
+  }
+
+  it('should keep watching a transaction whose block is still in the best chain', async () => {
+    await addConfirmedTx(Date.now() - 60 * 60 * 1000)
+    await server.checkConfirmedTxsForReorgAsync()
+    expect(sentMessages.length).to.equal(0)
+    expect(Object.keys(redis.hashes[BTC_CONFIRMED_TXS_KEY])).to.deep.equal([TX_ID])
+    expect(await redis.smembers(BTC_TX_IDS_KEY)).to.deep.equal([])
+  })
+
+  it('should detect an orphaned block when the block hash at its height changes', async () => {
+    await addConfirmedTx(Date.now() - 60 * 60 * 1000)
+    bestChain[530000] = { hash: '00000000000000000001' + 'd4'.repeat(22), merkleRoot: 'e5'.repeat(32) }
+    await server.checkConfirmedTxsForReorgAsync()
+    expect(sentMessages.length).to.equal(1)
+    expect(sentMessages[0].options.type).to.equal('btcreorg')
+    expect(sentMessages[0].content).to.deep.equal({ btctx_id: TX_ID, btchead_height: 530000, btchead_root: MERKLE_ROOT })
+  })
+
+  it('should detect an orphaned block when the best chain no longer reaches its height', async () => {
+    await addConfirmedTx(Date.now() - 60 * 60 * 1000)
+    bestChain[530000] = null
+    await server.checkConfirmedTxsForReorgAsync()
+    expect(sentMessages.length).to.equal(1)
+    expect(sentMessages[0].content).to.deep.equal({ btctx_id: TX_ID, btchead_height: 530000, btchead_root: MERKLE_ROOT })
+  })
+
+  it('should keep watching a transaction when the block hash at its height cannot be read', async () => {
+    await addConfirmedTx(Date.now() - 60 * 60 * 1000)
+    delete bestChain[530000]
+    await server.checkConfirmedTxsForReorgAsync()
+    expect(sentMessages.length).to.equal(0)
+    expect(Object.keys(redis.hashes[BTC_CONFIRMED_TXS_KEY])).to.deep.equal([TX_ID])
+  })
+
+  it('should detect an orphaned block when the merkle root at its height does not match', async () => {
+    await addConfirmedTx(Date.now() - 60 * 60 * 1000)
+    bestChain[530000].merkleRoot = 'e5'.repeat(32)
+    await server.checkConfirmedTxsForReorgAsync()
+    expect(sentMessages.length).to.equal(1)
+    expect(sentMessages[0].options.type).to.equal('btcreorg')
+    expect(sentMessages[0].content).to.deep.equal({ btctx_id: TX_ID, btchead_height: 530000, btchead_root: MERKLE_ROOT })
+  })
+
+  it('should stop watching a transaction once the watch window expires', async () => {
+    await addConfirmedTx(Date.now() - 7 * 60 * 60 * 1000)
+    bestChain[530000].merkleRoot = 'e5'.repeat(32)
+    await server.checkConfirmedTxsForReorgAsync()
+    expect(sentMessages.length).to.equal(0)
+    expect(redis.hashes[BTC_CONFIRMED_TXS_KEY]).to.deep.equal({})
+    expect(await redis.smembers(BTC_TX_IDS_KEY)).to.deep.equal([])
+  })
+
+  it('should monitor a withdrawn transaction again', async () => {
+    await addConfirmedTx(Date.now() - 60 * 60 * 1000)
+    bestChain[530000] = { hash: '00000000000000000001' + 'd4'.repeat(22), merkleRoot: 'e5'.repeat(32) }
+    let checkStartedAt = Date.now()
+    await server.checkConfirmedTxsForReorgAsync()
+    expect(redis.hashes[BTC_CONFIRMED_TXS_KEY]).to.deep.equal({})
+    let monitoredTxs = (await redis.smembers(BTC_TX_IDS_KEY)).map((btcTxObjJSON) => JSON.parse(btcTxObjJSON))
+    expect(monitoredTxs.length).to.equal(1)
+    expect(monitoredTxs[0].monitored_since).to.be.at.least(checkStartedAt)
+    delete monitoredTxs[0].monitored_since
+    expect(monitoredTxs[0]).to.deep.equal({
+      tx_id: TX_ID,
+      anchor_btc_agg_id: 'c1',
+      anchor_btc_agg_root: 'ab'.repeat(32),
+      btctx_state: { tx_id: TX_ID },
+      replaces_tx_id: null,
+      replaced_txs: []
+    })
+  })
+})
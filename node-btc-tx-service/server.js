@@ -18,23 +18,25 @@
 const env = require('./lib/parse-env.js')('btc-tx')
 
 const amqp = require('amqplib')
-const BlockchainAnchor = require('blockchain-anchor')
+const bitcoin = require('bitcoinjs-lib')
+const loadBtcBackend = require('./lib/btc/backendLoader.js')
+const btcTxBuilder = require('./lib/btc/txBuilder.js')
 const btcTxLog = require('./lib/models/BtcTxLog.js')
 const connections = require('./lib/connections.js')
+const Sequelize = require('sequelize-cockroachdb')
+const Op = Sequelize.Op
 
 let BtcTxLog
 
+// 235 represents the average btc anchor transaction size in bytes
+const AVERAGE_TX_IN_BYTES = 235
+
 // The channel used for all amqp communication
 // This value is set once the connection has been established
 let amqpChannel = null
 
-// Initialize BlockchainAnchor object
-let anchor = new BlockchainAnchor({
-  btcUseTestnet: env.USE_BTCETH_TESTNET,
-  service: 'insightapi',
-  insightApiBase: env.INSIGHT_API_BASE_URI,
-  insightFallback: true
-})
+// The Bitcoin backend selected by BTC_BACKEND
+let btcBackend = loadBtcBackend(env)
 
 // The write function used write all btc tx log events
 let logBtcTxDataAsync = async (txResult) => {
@@ -45,6 +47,7 @@ let logBtcTxDataAsync = async (txResult) => {
   row.feeSatoshiPerByte = parseInt(txResult.feeSatoshiPerByte)
   row.feePaidSatoshi = parseInt(txResult.feePaidSatoshi)
   row.stackId = env.CHAINPOINT_CORE_BASE_URI
+  row.replacesTxId = txResult.replacesTxId || null
 
   try {
     let newRow = await BtcTxLog.create(row)
@@ -56,8 +59,7 @@ let logBtcTxDataAsync = async (txResult) => {
 }
 
 /**
-* Send a POST request to /wallet/:id/send with a POST body
-* containing an OP_RETURN TX
+* Creates and broadcasts a transaction containing an OP_RETURN output through the Bitcoin backend
 *
 * @param {string} hash - The hash to embed in an OP_RETURN
 */
@@ -67,7 +69,7 @@ const sendTxToBTCAsync = async (hash) => {
   let feeSatPerByte
   let feeTotalSatoshi
   try {
-    feeSatPerByte = await anchor.btcGetEstimatedFeeRateSatPerByteAsync()
+    feeSatPerByte = await btcBackend.getEstimatedFeeRateSatPerByteAsync()
     // if the fee exceeds the maximum, revert to BTC_MAX_FEE_SAT_PER_BYTE for the fee
     if (feeSatPerByte > env.BTC_MAX_FEE_SAT_PER_BYTE) {
       console.error(`Fee of ${feeSatPerByte} sat per byte exceeded BTC_MAX_FEE_SAT_PER_BYTE of ${env.BTC_MAX_FEE_SAT_PER_BYTE}`)
@@ -75,15 +77,14 @@ const sendTxToBTCAsync = async (hash) => {
     }
     let feeExtra = 1.1 // the factor to use to increase the final transaction fee in order to better position this transaction for fast confirmation
     feeSatPerByte = Math.ceil(feeSatPerByte * feeExtra) // Math.ceil to keep the value an integer, as expected in the log db
-    let averageTxInBytes = 235 // 235 represents the average btc anchor transaction size in bytes
-    feeTotalSatoshi = feeSatPerByte * averageTxInBytes
+    feeTotalSatoshi = feeSatPerByte * AVERAGE_TX_IN_BYTES
   } catch (error) {
     throw new Error(`Error retrieving estimated fee: ${error.message}`)
   }
 
   let txResult
   try {
-    txResult = await anchor.btcOpReturnAsync(privateKeyWIF, hash, feeTotalSatoshi)
+    txResult = await btcBackend.sendOpReturnTxAsync(privateKeyWIF, hash, feeTotalSatoshi)
     txResult.publishDate = Date.now()
     txResult.feeSatoshiPerByte = feeSatPerByte
     txResult.feePaidSatoshi = feeTotalSatoshi
@@ -93,11 +94,183 @@ const sendTxToBTCAsync = async (hash) => {
   }
 }
 
+/**
+* Builds a signed transaction replacing the given transaction, spending the same inputs
+* to the same outputs, with the change output reduced to pay the increased fee
+*
+* @param {string} rawTx - The raw transaction hex of the transaction to replace
+* @param {number} feeIncreaseSatoshi - The amount, in Satoshi, by which to increase the fee
+* @returns {string} The raw transaction hex of the replacement transaction
+*/
+function buildReplacementTx (rawTx, feeIncreaseSatoshi) {
+  let network = env.USE_BTCETH_TESTNET ? bitcoin.networks.testnet : bitcoin.networks.bitcoin
+  let keyPair = bitcoin.ECPair.fromWIF(env.BITCOIN_WIF, network)
+  let originalTx = bitcoin.Transaction.fromHex(rawTx)
+
+  // the OP_RETURN output carries no value, so the largest output is the change output
+  let changeIndex = originalTx.outs.reduce((maxIndex, output, index, outs) => output.value > outs[maxIndex].value ? index : maxIndex, 0)
+  let changeValue = originalTx.outs[changeIndex].value - feeIncreaseSatoshi
+  if (changeValue < btcTxBuilder.DUST_LIMIT_SATOSHI) throw new Error(`Insufficient change of ${originalTx.outs[changeIndex].value} Satoshi to increase the fee by ${feeIncreaseSatoshi} Satoshi`)
+
+  let txBuilder = new bitcoin.TransactionBuilder(network)
+  // Anchor transactions created through the insight backend do not signal replaceability as described
+  // in BIP125, so replacing those relies on full-RBF relay, the default since Bitcoin Core 28.
+  // Replacements always signal so that they can themselves be replaced through opt-in RBF.
+  originalTx.ins.forEach((input) => { txBuilder.addInput(input.hash, input.index, btcTxBuilder.RBF_INPUT_SEQUENCE) })
+  originalTx.outs.forEach((output, index) => { txBuilder.addOutput(output.script, index === changeIndex ? changeValue : output.value) })
+  originalTx.ins.forEach((input, index) => { txBuilder.sign(index, keyPair) })
+
+  return txBuilder.build().toHex()
+}
+
+/**
+* Returns whether a transaction spends any output of the transaction with the given id
+*
+* @param {string} rawTx - The raw transaction hex of the possible descendant
+* @param {string} txId - The id of the possible parent transaction
+* @returns {bool} True if rawTx spends an output of txId
+*/
+function spendsOutputOf (rawTx, txId) {
+  let tx = bitcoin.Transaction.fromHex(rawTx)
+  // input hashes are in internal byte order, the reverse of the displayed transaction id
+  return tx.ins.some((input) => Buffer.from(input.hash).reverse().toString('hex') === txId)
+}
+
+/**
+* Finds a logged anchor transaction spending the change of the given transaction. Each anchor
+* spends the unconfirmed change of the one before it, so replacing a transaction with descendants
+* would evict them from the mempool along with the roots they anchor.
+*
+* @param {Object} txLogRow - The btc tx log row of the transaction
+* @returns {string} The id of a descendant transaction, or null if there is none
+*/
+async function findDescendantTxIdAsync (txLogRow) {
+  let laterRows = await BtcTxLog.findAll({
+    where: { stackId: txLogRow.stackId, publishDate: { [Op.gt]: txLogRow.publishDate } },
+    attributes: ['txId', 'rawTx'],
+    raw: true
+  })
+  let descendant = laterRows.find((row) => spendsOutputOf(row.rawTx, txLogRow.txId))
+  return descendant ? descendant.txId : null
+}
+
+/**
+* Creates and broadcasts a replace-by-fee transaction for a stuck anchor transaction
+*
+* @param {Object} txLogRow - The btc tx log row of the transaction to replace
+*/
+const sendReplacementTxToBTCAsync = async (txLogRow) => {
+  let feeSatPerByte
+  try {
+    let estimatedFeeSatPerByte = await btcBackend.getEstimatedFeeRateSatPerByteAsync()
+    // pay the greater of the current estimate and the minimum increase over the stuck transaction
+    feeSatPerByte = Math.max(Math.ceil(estimatedFeeSatPerByte * 1.1), Math.ceil(txLogRow.feeSatoshiPerByte * env.BTC_RBF_FEE_MULTIPLIER))
+  } catch (error) {
+    throw new Error(`Error retrieving estimated fee: ${error.message}`)
+  }
+  if (feeSatPerByte > env.BTC_MAX_FEE_SAT_PER_BYTE) {
+    console.error(`Fee of ${feeSatPerByte} sat per byte exceeded BTC_MAX_FEE_SAT_PER_BYTE of ${env.BTC_MAX_FEE_SAT_PER_BYTE}`)
+    feeSatPerByte = env.BTC_MAX_FEE_SAT_PER_BYTE
+  }
+  if (feeSatPerByte <= txLogRow.feeSatoshiPerByte) {
+    throw new Error(`Fee of ${txLogRow.feeSatoshiPerByte} sat per byte can not be increased beyond BTC_MAX_FEE_SAT_PER_BYTE of ${env.BTC_MAX_FEE_SAT_PER_BYTE}`)
+  }
+  let feeTotalSatoshi = feeSatPerByte * AVERAGE_TX_IN_BYTES
+
+  let txResult = {}
+  try {
+    txResult.rawTx = buildReplacementTx(txLogRow.rawTx, feeTotalSatoshi - txLogRow.feePaidSatoshi)
+    txResult.txId = await btcBackend.broadcastTxAsync(txResult.rawTx)
+    txResult.publishDate = Date.now()
+    txResult.feeSatoshiPerByte = feeSatPerByte
+    txResult.feePaidSatoshi = feeTotalSatoshi
+    txResult.replacesTxId = txLogRow.txId
+    return txResult
+  } catch (error) {
+    throw new Error(`Error sending replacement transaction: ${error.message}`)
+  }
+}
+
 /**
 * Parses a message and performs the required work for that message
 *
 * @param {amqp message object} msg - The AMQP message received from the queue
 */
+function processMessage (msg) {
+  if (msg !== null) {
+    // determine the source of the message and handle appropriately
+    switch (msg.properties.type) {
+      case 'rbf':
+        // Consumes a stuck transaction message from the btcmon service
+        processRBFJobAsync(msg)
+        break
+      default:
+        // Consumes an anchor message from the calendar service
+        processIncomingAnchorBTCJobAsync(msg)
+    }
+  }
+}
+
+/**
+* Replaces a stuck anchor transaction with one paying a higher fee, then returns the
+* replacement to the calendar so that monitoring and proof state follow it
+*
+* @param {amqp message object} msg - The AMQP message received from the queue
+*/
+async function processRBFJobAsync (msg) {
+  let messageObj = JSON.parse(msg.content.toString())
+
+  try {
+    // reuse a replacement already sent for this transaction, if a previous attempt did not complete
+    let txResult = await BtcTxLog.findOne({ where: { replacesTxId: messageObj.btctx_id }, raw: true })
+    if (!txResult) {
+      let txLogRow = await BtcTxLog.findOne({ where: { txId: messageObj.btctx_id }, raw: true })
+      if (!txLogRow) throw new Error(`Transaction ${messageObj.btctx_id} not found in BTC log`)
+
+      // only the newest unconfirmed anchor is replaced, its higher fee also pays for the ancestors it spends from
+      let descendantTxId = await findDescendantTxIdAsync(txLogRow)
+      if (descendantTxId) throw new Error(`Transaction ${messageObj.btctx_id} is spent by ${descendantTxId}, only the newest unconfirmed anchor transaction is replaced`)
+
+      try {
+        txResult = await sendReplacementTxToBTCAsync(txLogRow)
+      } catch (error) {
+        throw new Error(`Unable to publish BTC replacement transaction: ${error.message}`)
+      }
+
+      try {
+        let newLogEntry = await logBtcTxDataAsync(txResult)
+        console.log(newLogEntry)
+      } catch (error) {
+        throw new Error(`Unable to log BTC replacement transaction: ${error.message}`)
+      }
+    }
+
+    let btcTxObj = {
+      anchor_btc_agg_id: messageObj.anchor_btc_agg_id,
+      anchor_btc_agg_root: messageObj.anchor_btc_agg_root,
+      btctx_id: txResult.txId,
+      btctx_body: txResult.rawTx,
+      replaces_btctx_id: messageObj.btctx_id
+    }
+    try {
+      await amqpChannel.sendToQueue(env.RMQ_WORK_OUT_CAL_QUEUE, Buffer.from(JSON.stringify(btcTxObj)), { persistent: true, type: 'btctx' })
+      console.log(env.RMQ_WORK_OUT_CAL_QUEUE, '[btctx] publish message acked', btcTxObj.btctx_id, 'replacing', btcTxObj.replaces_btctx_id)
+    } catch (error) {
+      console.error(env.RMQ_WORK_OUT_CAL_QUEUE, '[btctx] publish message nacked', btcTxObj.btctx_id)
+      throw new Error(`Unable to publish to RMQ_WORK_OUT_CAL_QUEUE: ${error.message}`)
+    }
+  } catch (error) {
+    // btc-mon requests another replacement if the transaction remains unconfirmed, so do not retry here
+    console.error(`Unable to replace BTC transaction ${messageObj.btctx_id}: ${error.message}`)
+  }
+  amqpChannel.ack(msg)
+}
+
+/**
+* Parses an anchor message and performs the required work for that message
+*
+* @param {amqp message object} msg - The AMQP message received from the queue
+*/
 async function processIncomingAnchorBTCJobAsync (msg) {
   if (msg !== null) {
     let messageObj = JSON.parse(msg.content.toString())
@@ -171,7 +344,7 @@ async function openRMQConnectionAsync (connectURI) {
   await connections.openStandardRMQConnectionAsync(amqp, connectURI,
     [env.RMQ_WORK_IN_BTCTX_QUEUE, env.RMQ_WORK_OUT_CAL_QUEUE],
     env.RMQ_PREFETCH_COUNT_BTCTX,
-    { queue: env.RMQ_WORK_IN_BTCTX_QUEUE, method: (msg) => { processIncomingAnchorBTCJobAsync(msg) } },
+    { queue: env.RMQ_WORK_IN_BTCTX_QUEUE, method: (msg) => { processMessage(msg) } },
     (chan) => { amqpChannel = chan },
     () => {
       amqpChannel = null
@@ -197,3 +370,13 @@ async function start () {
 
 // get the whole show started
 start()
+
+// export these functions for unit tests
+module.exports = {
+  setBtcTxLog: (btcTxLog) => { BtcTxLog = btcTxLog },
+  setBtcBackend: (backend) => { btcBackend = backend },
+  setAMQPChannel: (chan) => { amqpChannel = chan },
+  buildReplacementTx: buildReplacementTx,
+  spendsOutputOf: spendsOutputOf,
+  processRBFJobAsync: processRBFJobAsync
+}
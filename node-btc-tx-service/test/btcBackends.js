@@ -0,0 +1,275 @@
+/* global describe, it, before, after, beforeEach */
+
+process.env.NODE_ENV = 'test'
+
+// test related packages
+var expect = require('chai').expect
+var http = require('http')
+var bitcoin = require('bitcoinjs-lib')
+
+var btcTxBuilder = require('../lib/btc/txBuilder.js')
+var loadBtcBackend = require('../lib/btc/backendLoader.js')
+var bitcoindFixtures = require('./fixtures/bitcoind.json')
+var esploraFixtures = require('./fixtures/esplora.json')
+
+const TX_ID = 'fff2525b8931402dd09222c50775608f75787bd2b87e56995a7bdd30f79702c4'
+const BLOCK_HASH = '000000000003ba27aa200b1cecaad478d2b00432346c3f1f3986da1afd33e506'
+const MERKLE_ROOT = 'f3e94742aca4b5ef85488dc37c06c3282295ffec960994b2c0d5ac2a25a95766'
+const BLOCK_TX_IDS = bitcoindFixtures.getblock.result.tx
+const ANCHOR_ROOT = 'ab09'.repeat(16)
+
+let keyPair = bitcoin.ECPair.makeRandom({ network: bitcoin.networks.testnet })
+
+describe('OP_RETURN Transactions', () => {
+  let unspentOutputs = [
+    { txId: 'f0'.repeat(32), vout: 1, valueSatoshi: 50000 },
+    { txId: 'f1'.repeat(32), vout: 0, valueSatoshi: 100000 },
+    { txId: 'f2'.repeat(32), vout: 3, valueSatoshi: 75000 }
+  ]
+
+  it('should embed the data in a zero value OP_RETURN output', (done) => {
+    let tx = bitcoin.Transaction.fromHex(btcTxBuilder.buildOpReturnTx(keyPair.toWIF(), true, unspentOutputs, ANCHOR_ROOT, 2350).rawTx)
+    expect(tx.outs.length).to.equal(2)
+    expect(tx.outs[0].value).to.equal(0)
+    expect(bitcoin.script.classifyOutput(tx.outs[0].script)).to.equal('nulldata')
+    expect(bitcoin.script.nullData.output.decode(tx.outs[0].script).toString('hex')).to.equal(ANCHOR_ROOT)
+    done()
+  })
+
+  it('should spend the largest unspent output, returning the change less the fee to the same address', (done) => {
+    let result = btcTxBuilder.buildOpReturnTx(keyPair.toWIF(), true, unspentOutputs, ANCHOR_ROOT, 2350)
+    let tx = bitcoin.Transaction.fromHex(result.rawTx)
+    expect(result.txId).to.equal(tx.getId())
+    expect(tx.ins.length).to.equal(1)
+    expect(Buffer.from(tx.ins[0].hash).reverse().toString('hex')).to.equal('f1'.repeat(32))
+    expect(tx.ins[0].index).to.equal(0)
+    expect(tx.outs[1].value).to.equal(100000 - 2350)
+    expect(bitcoin.address.fromOutputScript(tx.outs[1].script, bitcoin.networks.testnet)).to.equal(keyPair.getAddress())
+    expect(btcTxBuilder.getAddress(keyPair.toWIF(), true)).to.equal(keyPair.getAddress())
+    done()
+  })
+
+  it('should signal replaceability on its input', (done) => {
+    let tx = bitcoin.Transaction.fromHex(btcTxBuilder.buildOpReturnTx(keyPair.toWIF(), true, unspentOutputs, ANCHOR_ROOT, 2350).rawTx)
+    expect(tx.ins[0].sequence).to.equal(btcTxBuilder.RBF_INPUT_SEQUENCE)
+    expect(tx.ins[0].sequence).to.equal(0xfffffffd)
+    done()
+  })
+
+  it('should refuse a fee leaving the change below the dust limit', (done) => {
+    let feeTotalSatoshi = 100000 - btcTxBuilder.DUST_LIMIT_SATOSHI + 1
+    expect(() => btcTxBuilder.buildOpReturnTx(keyPair.toWIF(), true, unspentOutputs, ANCHOR_ROOT, feeTotalSatoshi))
+      .to.throw(`Insufficient funds : largest unspent output of 100000 Satoshi can not pay a fee of ${feeTotalSatoshi} Satoshi`)
+    let tx = bitcoin.Transaction.fromHex(btcTxBuilder.buildOpReturnTx(keyPair.toWIF(), true, unspentOutputs, ANCHOR_ROOT, feeTotalSatoshi - 1).rawTx)
+    expect(tx.outs[1].value).to.equal(btcTxBuilder.DUST_LIMIT_SATOSHI)
+    done()
+  })
+
+  it('should refuse to build a transaction without unspent outputs', (done) => {
+    expect(() => btcTxBuilder.buildOpReturnTx(keyPair.toWIF(), true, [], ANCHOR_ROOT, 2350))
+      .to.throw(`No unspent outputs found for ${keyPair.getAddress()}`)
+    done()
+  })
+})
+
+describe('Bitcoin Backends', () => {
+  // a local backend, answering each request with the response routed for it
+  let backendServer, backendUri, receivedRequests, routes
+  before((done) => {
+    backendServer = http.createServer((req, res) => {
+      let body = ''
+      req.on('data', (chunk) => { body += chunk })
+      req.on('end', () => {
+        let request = { method: req.method, url: req.url, body: body }
+        receivedRequests.push(request)
+        // JSON-RPC requests are routed by RPC method, others by path
+        let route = routes[req.method === 'POST' && req.url === '/' ? JSON.parse(body).method : req.url]
+        if (!route) route = { statusCode: 404, body: 'Not Found' }
+        res.writeHead(route.statusCode || 200, { 'Content-Type': typeof route.body === 'string' ? 'text/plain' : 'application/json' })
+        res.end(typeof route.body === 'string' ? route.body : JSON.stringify(route.body))
+      })
+    })
+    backendServer.listen(0, '127.0.0.1', () => {
+      backendUri = `http://127.0.0.1:${backendServer.address().port}`
+      done()
+    })
+  })
+
+  after((done) => {
+    backendServer.close(done)
+  })
+
+  beforeEach(() => {
+    receivedRequests = []
+    routes = {}
+  })
+
+  describe('Backend Loader', () => {
+    it('should load the bitcoind backend for BTC_BACKEND bitcoind', async () => {
+      routes.getblockhash = { body: bitcoindFixtures.getblockhash }
+      let backend = loadBtcBackend({ BTC_BACKEND: 'bitcoind', BITCOIND_RPC_URI: backendUri, ESPLORA_API_BASE_URI: `${backendUri}/esplora` })
+      expect(await backend.getBlockHashAtHeightAsync(100000)).to.equal(BLOCK_HASH)
+      expect(receivedRequests.map((request) => request.method + ' ' + request.url)).to.deep.equal(['POST /'])
+    })
+
+    it('should load the esplora backend for BTC_BACKEND esplora', async () => {
+      routes['/esplora/block-height/100000'] = { body: esploraFixtures['/block-height/100000'] }
+      let backend = loadBtcBackend({ BTC_BACKEND: 'esplora', BITCOIND_RPC_URI: backendUri, ESPLORA_API_BASE_URI: `${backendUri}/esplora` })
+      expect(await backend.getBlockHashAtHeightAsync(100000)).to.equal(BLOCK_HASH)
+      expect(receivedRequests.map((request) => request.method + ' ' + request.url)).to.deep.equal(['GET /esplora/block-height/100000'])
+    })
+
+    it('should load the insight backend for BTC_BACKEND insight', async () => {
+      routes['/insight/block-index/100000'] = { body: { blockHash: BLOCK_HASH } }
+      let backend = loadBtcBackend({ BTC_BACKEND: 'insight', INSIGHT_API_BASE_URI: `${backendUri}/insight`, BITCOIND_RPC_URI: backendUri })
+      expect(await backend.getBlockHashAtHeightAsync(100000)).to.equal(BLOCK_HASH)
+      expect(receivedRequests.map((request) => request.method + ' ' + request.url)).to.deep.equal(['GET /insight/block-index/100000'])
+    })
+
+    it('should refuse an unknown BTC_BACKEND', (done) => {
+      expect(() => loadBtcBackend({ BTC_BACKEND: 'electrum', BITCOIND_RPC_URI: backendUri })).to.throw("unknown BTC_BACKEND 'electrum'")
+      done()
+    })
+
+    it('should refuse a BTC_BACKEND without its URI', (done) => {
+      expect(() => loadBtcBackend({ BTC_BACKEND: 'esplora', BITCOIND_RPC_URI: backendUri, ESPLORA_API_BASE_URI: '' }))
+        .to.throw("ESPLORA_API_BASE_URI must be set when BTC_BACKEND is 'esplora'")
+      done()
+    })
+  })
+
+  describe('bitcoind', () => {
+    let backend
+    beforeEach(() => {
+      backend = loadBtcBackend({ BTC_BACKEND: 'bitcoind', BITCOIND_RPC_URI: backendUri, USE_BTCETH_TESTNET: true })
+    })
+
+    it('should map confirmed transaction stats', async () => {
+      routes.getrawtransaction = { body: bitcoindFixtures.getrawtransaction }
+      routes.getblockheader = { body: bitcoindFixtures.getblockheader }
+      expect(await backend.getTxStatsAsync(TX_ID)).to.deep.equal({ id: TX_ID, blockHash: BLOCK_HASH, blockHeight: 100000, confirmations: 456001 })
+      let rpcRequests = receivedRequests.map((request) => JSON.parse(request.body))
+      expect(rpcRequests.map((rpc) => [rpc.method, rpc.params])).to.deep.equal([['getrawtransaction', [TX_ID, true]], ['getblockheader', [BLOCK_HASH]]])
+    })
+
+    it('should map unconfirmed transaction stats', async () => {
+      routes.getrawtransaction = { body: bitcoindFixtures.getrawtransaction_mempool }
+      expect(await backend.getTxStatsAsync(TX_ID)).to.deep.equal({ id: TX_ID, blockHash: null, blockHeight: null, confirmations: 0 })
+      expect(receivedRequests.length).to.equal(1)
+    })
+
+    it('should map block stats', async () => {
+      routes.getblock = { body: bitcoindFixtures.getblock }
+      expect(await backend.getBlockStatsAsync(BLOCK_HASH)).to.deep.equal({ id: BLOCK_HASH, height: 100000, merkleRoot: MERKLE_ROOT, txIds: BLOCK_TX_IDS })
+      expect(JSON.parse(receivedRequests[0].body).params).to.deep.equal([BLOCK_HASH, 1])
+    })
+
+    it('should return null for a block height beyond the best chain tip', async () => {
+      routes.getblockhash = { statusCode: 500, body: bitcoindFixtures.getblockhash_beyond_tip }
+      expect(await backend.getBlockHashAtHeightAsync(9999999)).to.equal(null)
+    })
+
+    it('should map the estimated fee rate to Satoshi per byte', async () => {
+      routes.estimatesmartfee = { body: bitcoindFixtures.estimatesmartfee }
+      expect(await backend.getEstimatedFeeRateSatPerByteAsync()).to.equal(13)
+      expect(JSON.parse(receivedRequests[0].body).params).to.deep.equal([2])
+    })
+
+    it('should pay the minimum relay fee without a fee estimate', async () => {
+      routes.estimatesmartfee = { body: bitcoindFixtures.estimatesmartfee_no_estimate }
+      routes.getnetworkinfo = { body: bitcoindFixtures.getnetworkinfo }
+      expect(await backend.getEstimatedFeeRateSatPerByteAsync()).to.equal(1)
+    })
+
+    it('should send an anchor spending the largest listed unspent output', async () => {
+      routes.listunspent = { body: bitcoindFixtures.listunspent }
+      routes.sendrawtransaction = { body: { result: TX_ID, error: null, id: 'chainpoint' } }
+      let result = await backend.sendOpReturnTxAsync(keyPair.toWIF(), ANCHOR_ROOT, 2350)
+      let rpcRequests = receivedRequests.map((request) => JSON.parse(request.body))
+      expect(rpcRequests[0].params).to.deep.equal([0, 9999999, [keyPair.getAddress()]])
+      expect(rpcRequests[1].method).to.equal('sendrawtransaction')
+      let sentTx = bitcoin.Transaction.fromHex(rpcRequests[1].params[0])
+      expect(result.rawTx).to.equal(rpcRequests[1].params[0])
+      expect(Buffer.from(sentTx.ins[0].hash).reverse().toString('hex')).to.equal('6359f0868171b1d194cbee1af2f16ea598ae8fad666d9b012c8ed2b79a236ec4')
+      expect(sentTx.outs[1].value).to.equal(1000000 - 2350)
+    })
+
+    it('should map unspent output amounts to Satoshi', async () => {
+      routes.listunspent = { body: { result: [bitcoindFixtures.listunspent.result[0]], error: null, id: 'chainpoint' } }
+      routes.sendrawtransaction = { body: { result: TX_ID, error: null, id: 'chainpoint' } }
+      let result = await backend.sendOpReturnTxAsync(keyPair.toWIF(), ANCHOR_ROOT, 2350)
+      expect(bitcoin.Transaction.fromHex(result.rawTx).outs[1].value).to.equal(290087 - 2350)
+    })
+
+    it('should report the RPC error of a rejected transaction', async () => {
+      routes.sendrawtransaction = { statusCode: 500, body: bitcoindFixtures.sendrawtransaction_rejected }
+      let error = null
+      try {
+        await backend.broadcastTxAsync('0100')
+      } catch (err) {
+        error = err
+      }
+      expect(error).to.be.an('error')
+      expect(error.message).to.equal('sendrawtransaction : insufficient fee, rejecting replacement')
+      expect(error.code).to.equal(-26)
+    })
+  })
+
+  describe('Esplora', () => {
+    let backend
+    let esploraRoute = (path, fixtureName) => { routes[`/esplora${path}`] = { body: esploraFixtures[fixtureName || path] } }
+    beforeEach(() => {
+      backend = loadBtcBackend({ BTC_BACKEND: 'esplora', ESPLORA_API_BASE_URI: `${backendUri}/esplora`, USE_BTCETH_TESTNET: true })
+    })
+
+    it('should map confirmed transaction stats', async () => {
+      esploraRoute(`/tx/${TX_ID}/status`)
+      esploraRoute('/blocks/tip/height')
+      expect(await backend.getTxStatsAsync(TX_ID)).to.deep.equal({ id: TX_ID, blockHash: BLOCK_HASH, blockHeight: 100000, confirmations: 456001 })
+    })
+
+    it('should map unconfirmed transaction stats', async () => {
+      esploraRoute(`/tx/${TX_ID}/status`, `/tx/${TX_ID}/status_mempool`)
+      expect(await backend.getTxStatsAsync(TX_ID)).to.deep.equal({ id: TX_ID, blockHash: null, blockHeight: null, confirmations: 0 })
+      expect(receivedRequests.length).to.equal(1)
+    })
+
+    it('should map block stats', async () => {
+      esploraRoute(`/block/${BLOCK_HASH}`)
+      esploraRoute(`/block/${BLOCK_HASH}/txids`)
+      expect(await backend.getBlockStatsAsync(BLOCK_HASH)).to.deep.equal({ id: BLOCK_HASH, height: 100000, merkleRoot: MERKLE_ROOT, txIds: BLOCK_TX_IDS })
+    })
+
+    it('should return null for a block height beyond the best chain tip', async () => {
+      expect(await backend.getBlockHashAtHeightAsync(9999999)).to.equal(null)
+      expect(receivedRequests[0].url).to.equal('/esplora/block-height/9999999')
+    })
+
+    it('should map the estimated fee rate to Satoshi per byte', async () => {
+      esploraRoute('/fee-estimates')
+      expect(await backend.getEstimatedFeeRateSatPerByteAsync()).to.equal(13)
+    })
+
+    it('should pay the minimum relay fee without a fee estimate', async () => {
+      esploraRoute('/fee-estimates', '/fee-estimates_no_estimate')
+      expect(await backend.getEstimatedFeeRateSatPerByteAsync()).to.equal(1)
+    })
+
+    it('should send an anchor spending the largest unspent output of the address', async () => {
+      esploraRoute(`/address/${keyPair.getAddress()}/utxo`, '/address/utxo')
+      routes['/esplora/tx'] = { body: TX_ID }
+      let result = await backend.sendOpReturnTxAsync(keyPair.toWIF(), ANCHOR_ROOT, 2350)
+      expect(receivedRequests[1].method).to.equal('POST')
+      expect(receivedRequests[1].url).to.equal('/esplora/tx')
+      expect(receivedRequests[1].body).to.equal(result.rawTx)
+      let sentTx = bitcoin.Transaction.fromHex(result.rawTx)
+      expect(Buffer.from(sentTx.ins[0].hash).reverse().toString('hex')).to.equal('6359f0868171b1d194cbee1af2f16ea598ae8fad666d9b012c8ed2b79a236ec4')
+      expect(sentTx.outs[1].value).to.equal(1000000 - 2350)
+    })
+
+    it('should return the id of a broadcast transaction', async () => {
+      routes['/esplora/tx'] = { body: TX_ID }
+      expect(await backend.broadcastTxAsync('0100')).to.equal(TX_ID)
+    })
+  })
+})
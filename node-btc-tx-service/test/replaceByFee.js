@@ -0,0 +1,158 @@
+/* global describe, it, beforeEach */
+
+process.env.NODE_ENV = 'test'
+process.env.CHAINPOINT_CORE_BASE_URI = 'http://127.0.0.1'
+process.env.USE_BTCETH_TESTNET = 'true'
+process.env.BTC_BACKEND = 'bitcoind'
+process.env.BITCOIND_RPC_URI = 'http://127.0.0.1:18332'
+
+// test related packages
+var expect = require('chai').expect
+var bitcoin = require('bitcoinjs-lib')
+
+var keyPair = bitcoin.ECPair.makeRandom({ network: bitcoin.networks.testnet })
+process.env.BITCOIN_WIF = keyPair.toWIF()
+
+var btcTxBuilder = require('../lib/btc/txBuilder.js')
+var server = require('../server')
+
+const FUNDING_TX_ID = 'f0'.repeat(32)
+const ANCHOR_ROOT = 'ab09'.repeat(16)
+
+// builds an anchor transaction spending the given output, as the backends do
+function buildAnchorTx (txId, vout, valueSatoshi, feeTotalSatoshi) {
+  return btcTxBuilder.buildOpReturnTx(process.env.BITCOIN_WIF, true, [{ txId: txId, vout: vout, valueSatoshi: valueSatoshi }], ANCHOR_ROOT, feeTotalSatoshi)
+}
+
+function reversedHex (hash) {
+  return Buffer.from(hash).reverse().toString('hex')
+}
+
+describe('Replacement Transactions', () => {
+  let originalTx = buildAnchorTx(FUNDING_TX_ID, 1, 100000, 2350)
+  let original = bitcoin.Transaction.fromHex(originalTx.rawTx)
+
+  it('should spend the same inputs, signalling replaceability', (done) => {
+    let replacement = bitcoin.Transaction.fromHex(server.buildReplacementTx(originalTx.rawTx, 1175))
+    expect(replacement.ins.length).to.equal(original.ins.length)
+    replacement.ins.forEach((input, index) => {
+      expect(reversedHex(input.hash)).to.equal(reversedHex(original.ins[index].hash))
+      expect(input.index).to.equal(original.ins[index].index)
+      expect(input.sequence).to.equal(0xfffffffd)
+    })
+    done()
+  })
+
+  it('should keep the OP_RETURN output and lower the change by the fee increase', (done) => {
+    let replacement = bitcoin.Transaction.fromHex(server.buildReplacementTx(originalTx.rawTx, 1175))
+    expect(replacement.outs.length).to.equal(2)
+    expect(replacement.outs[0].script.toString('hex')).to.equal(original.outs[0].script.toString('hex'))
+    expect(replacement.outs[0].value).to.equal(0)
+    expect(replacement.outs[1].script.toString('hex')).to.equal(original.outs[1].script.toString('hex'))
+    expect(original.outs[1].value).to.equal(100000 - 2350)
+    expect(replacement.outs[1].value).to.equal(100000 - 2350 - 1175)
+    expect(replacement.getId()).to.not.equal(original.getId())
+    done()
+  })
+
+  it('should signal replaceability when replacing a transaction that did not', (done) => {
+    let txBuilder = new bitcoin.TransactionBuilder(bitcoin.networks.testnet)
+    txBuilder.addInput(FUNDING_TX_ID, 0)
+    txBuilder.addOutput(bitcoin.script.nullData.output.encode(Buffer.from(ANCHOR_ROOT, 'hex')), 0)
+    txBuilder.addOutput(keyPair.getAddress(), 50000)
+    txBuilder.sign(0, keyPair)
+    let replacement = bitcoin.Transaction.fromHex(server.buildReplacementTx(txBuilder.build().toHex(), 1000))
+    expect(replacement.ins[0].sequence).to.equal(0xfffffffd)
+    expect(replacement.outs[1].value).to.equal(49000)
+    done()
+  })
+
+  it('should refuse a fee increase leaving the change below the dust limit', (done) => {
+    let changeValue = original.outs[1].value
+    expect(() => server.buildReplacementTx(originalTx.rawTx, changeValue - btcTxBuilder.DUST_LIMIT_SATOSHI + 1))
+      .to.throw(`Insufficient change of ${changeValue} Satoshi to increase the fee by ${changeValue - btcTxBuilder.DUST_LIMIT_SATOSHI + 1} Satoshi`)
+    let replacement = bitcoin.Transaction.fromHex(server.buildReplacementTx(originalTx.rawTx, changeValue - btcTxBuilder.DUST_LIMIT_SATOSHI))
+    expect(replacement.outs[1].value).to.equal(btcTxBuilder.DUST_LIMIT_SATOSHI)
+    done()
+  })
+
+  it('should identify a transaction spending the change of another', (done) => {
+    let childTx = buildAnchorTx(originalTx.txId, 1, original.outs[1].value, 2350)
+    expect(server.spendsOutputOf(childTx.rawTx, originalTx.txId)).to.equal(true)
+    expect(server.spendsOutputOf(originalTx.rawTx, childTx.txId)).to.equal(false)
+    expect(server.spendsOutputOf(originalTx.rawTx, FUNDING_TX_ID)).to.equal(true)
+    done()
+  })
+})
+
+describe('RBF Messages', () => {
+  let stuckTx = buildAnchorTx(FUNDING_TX_ID, 1, 100000, 2350)
+  let stuckRow = { txId: stuckTx.txId, publishDate: '1530000000000', rawTx: stuckTx.rawTx, feeSatoshiPerByte: '10', feePaidSatoshi: '2350', stackId: 'http://127.0.0.1', replacesTxId: null }
+  let rbfMsg = { content: Buffer.from(JSON.stringify({ anchor_btc_agg_id: 'c1', anchor_btc_agg_root: ANCHOR_ROOT, btctx_id: stuckTx.txId })) }
+
+  let laterRows, createdRows, broadcastTxs, sentMessages, ackedMsgs
+  beforeEach(() => {
+    laterRows = []
+    createdRows = []
+    broadcastTxs = []
+    sentMessages = []
+    ackedMsgs = []
+    server.setBtcTxLog({
+      findOne: async (params) => {
+        if (params.where.replacesTxId) return null
+        return params.where.txId === stuckRow.txId ? stuckRow : null
+      },
+      findAll: async (params) => {
+        expect(params.where.stackId).to.equal(stuckRow.stackId)
+        return laterRows
+      },
+      create: async (row) => {
+        createdRows.push(row)
+        return { get: () => row }
+      }
+    })
+    server.setBtcBackend({
+      getEstimatedFeeRateSatPerByteAsync: async () => { return 5 },
+      broadcastTxAsync: async (rawTx) => {
+        broadcastTxs.push(rawTx)
+        return bitcoin.Transaction.fromHex(rawTx).getId()
+      }
+    })
+    server.setAMQPChannel({
+      sendToQueue: async (queue, content, options) => { sentMessages.push({ queue: queue, content: JSON.parse(content.toString()), options: options }) },
+      ack: (msg) => { ackedMsgs.push(msg) }
+    })
+  })
+
+  it('should broadcast and return a replacement for the newest unconfirmed anchor', async () => {
+    laterRows = [{ txId: 'aa'.repeat(32), rawTx: buildAnchorTx('ee'.repeat(32), 0, 100000, 2350).rawTx }]
+    await server.processRBFJobAsync(rbfMsg)
+    expect(broadcastTxs.length).to.equal(1)
+    let replacement = bitcoin.Transaction.fromHex(broadcastTxs[0])
+    // 15 sat per byte, BTC_RBF_FEE_MULTIPLIER times the stuck transaction's rate, for 235 bytes
+    expect(replacement.outs[1].value).to.equal(100000 - 15 * 235)
+    expect(createdRows.length).to.equal(1)
+    expect(createdRows[0].replacesTxId).to.equal(stuckTx.txId)
+    expect(createdRows[0].feePaidSatoshi).to.equal(15 * 235)
+    expect(sentMessages.length).to.equal(1)
+    expect(sentMessages[0].options.type).to.equal('btctx')
+    expect(sentMessages[0].content).to.deep.equal({
+      anchor_btc_agg_id: 'c1',
+      anchor_btc_agg_root: ANCHOR_ROOT,
+      btctx_id: replacement.getId(),
+      btctx_body: broadcastTxs[0],
+      replaces_btctx_id: stuckTx.txId
+    })
+    expect(ackedMsgs).to.deep.equal([rbfMsg])
+  })
+
+  it('should not replace an anchor whose change is spent by a later anchor', async () => {
+    let childTx = buildAnchorTx(stuckTx.txId, 1, 100000 - 2350, 2350)
+    laterRows = [{ txId: childTx.txId, rawTx: childTx.rawTx }]
+    await server.processRBFJobAsync(rbfMsg)
+    expect(broadcastTxs.length).to.equal(0)
+    expect(createdRows.length).to.equal(0)
+    expect(sentMessages.length).to.equal(0)
+    expect(ackedMsgs).to.deep.equal([rbfMsg])
+  })
+})
@@ -40,6 +40,10 @@
 // compromised as well and must be taken out of service. If a particular
 // keypair is compromised, but the master passphrase is safe, you can just
 // rotate to the next keypair in line and discontinue use of the previous.
+//
+// Pass '--rotate-from <index>' before the passphrase to also print the
+// calendar environment settings for rotating from keypair <index> to the
+// next keypair in the series. See the calendar README for the rotation steps.
 
 const crypto = require('crypto')
 const nacl = require('tweetnacl')
@@ -51,8 +55,21 @@ var sessionKeys = require('session-keys')
 // Omit the first two arguments (node and path)
 var args = process.argv.slice(2)
 
+// The number of keypairs generated from the passphrase
+const KEYPAIR_COUNT = 8
+
+let rotateFromIndex = null
+if (args[0] === '--rotate-from') {
+  rotateFromIndex = /^\d+$/.test(args[1]) ? parseInt(args[1], 10) : -1
+  if (rotateFromIndex < 0 || rotateFromIndex >= KEYPAIR_COUNT - 1) {
+    console.error(`--rotate-from index must be between 0 and ${KEYPAIR_COUNT - 2}`)
+    process.exit(1)
+  }
+  args = args.slice(2)
+}
+
 if (args.length < 1) {
-  console.error('Usage : ./keygen.sh "My secure passphrase in quotes"')
+  console.error('Usage : ./keygen.sh [--rotate-from <index>] "My secure passphrase in quotes"')
   process.exit(1)
 }
 
@@ -86,11 +103,20 @@ sessionKeys.generate(username, passphrase, function (err, keys) {
   console.log()
 
   var i
-  for (i = 0; i < 8; i++) {
+  for (i = 0; i < KEYPAIR_COUNT; i++) {
     console.log('secret key      (b64)', i, ' : ', keys.naclSigningKeyPairsBase64[i].secretKey)
     console.log('public key      (b64)', i, ' : ', keys.naclSigningKeyPairsBase64[i].publicKey)
     // calculate the hash of the public key bytes for key lookup fingerprint
     console.log('public key hash (hex)', i, ' : ', calcSigningPubKeyHash(keys.naclSigningKeyPairs[i].publicKey))
     console.log('')
   }
+
+  if (rotateFromIndex !== null) {
+    console.log('Key Rotation')
+    console.log('--------------')
+    console.log()
+    console.log(`SIGNING_SECRET_KEY=${keys.naclSigningKeyPairsBase64[rotateFromIndex].secretKey}`)
+    console.log(`SIGNING_SECRET_KEY_NEXT=${keys.naclSigningKeyPairsBase64[rotateFromIndex + 1].secretKey}`)
+    console.log('')
+  }
 })
@@ -0,0 +1,165 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const crypto = require('crypto')
+const utils = require('../utils.js')
+
+// TweetNaCl.js
+// see: http://ed25519.cr.yp.to
+// see: https://github.com/dchest/tweetnacl-js#signatures
+const nacl = require('tweetnacl')
+nacl.util = require('tweetnacl-util')
+
+// The number of leading hex characters of the signing pubkey hash
+// prepended to each block signature to identify the signing key
+const SIG_PUBKEY_HASH_PREFIX_LENGTH = 12
+
+/**
+ * Calculate the hash of the signing public key bytes
+ * to allow lookup of which pubkey was used to sign
+ * a block. Handles different organizations signing blocks
+ * with different keys and key rotation by those orgs.
+ * When a Base64 pubKey is published publicly it should also
+ * be accompanied by this hash of its bytes to serve
+ * as a fingerprint.
+ *
+ * @param {Uint8Array} pubKey - The signing public key bytes
+ * @returns {string} The hex encoded SHA256 hash of the public key bytes
+ */
+function calcSigningPubKeyHashHex (pubKey) {
+  return crypto.createHash('sha256').update(pubKey).digest('hex')
+}
+
+/**
+ * Calculate the truncated pubkey hash that identifies the signing key in a block sig
+ *
+ * @param {Uint8Array} pubKey - The signing public key bytes
+ * @returns {string} The leading hex characters of the public key hash
+ */
+function calcSigningPubKeyHashPrefix (pubKey) {
+  return calcSigningPubKeyHashHex(pubKey).slice(0, SIG_PUBKEY_HASH_PREFIX_LENGTH)
+}
+
+/**
+ * Build the colon separated block fields that begin the block hash preimage.
+ * The tree hash algorithm is not part of the preimage, so that the block hash
+ * format is the same for every block and existing verifiers accept them all.
+ *
+ * @param {Object} block - A calendar block, or an object with the same fields
+ * @returns {string} The block hash preimage prefix
+ */
+function calcBlockHashPrefixString (block) {
+  return `${block.id.toString()}:${block.time.toString()}:${block.version.toString()}:${block.stackId.toString()}:${block.type.toString()}:${block.dataId.toString()}`
+}
+
+/**
+ * Calculate a deterministic block hash
+ *
+ * @param {Object} block - A calendar block, or an object with the same fields
+ * @returns {string} The hex encoded SHA256 hash of the block
+ */
+function calcBlockHashHex (block) {
+  let prefixString = calcBlockHashPrefixString(block)
+  let prefixBuffer = Buffer.from(prefixString, 'utf8')
+  let dataValBuffer = utils.isHex(block.dataVal) ? Buffer.from(block.dataVal, 'hex') : Buffer.from(block.dataVal, 'utf8')
+  let prevHashBuffer = Buffer.from(block.prevHash, 'hex')
+
+  return crypto.createHash('sha256').update(Buffer.concat([
+    prefixBuffer,
+    dataValBuffer,
+    prevHashBuffer
+  ])).digest('hex')
+}
+
+/**
+ * Calculate a base64 encoded signature over the block hash
+ *
+ * @param {string} blockHashHex - The hex encoded block hash
+ * @param {Uint8Array} secretKey - The signing secret key bytes
+ * @returns {string} The base64 encoded ed25519 signature
+ */
+function calcBlockHashSigB64 (blockHashHex, secretKey) {
+  return nacl.util.encodeBase64(nacl.sign.detached(nacl.util.decodeUTF8(blockHashHex), secretKey))
+}
+
+/**
+ * Build the value stored in a block's sig column. The Base64 signature is
+ * pre-pended with truncated chars of the SHA256 hash of the pubkey bytes,
+ * joined with ':', to allow for lookup of the signing pubkey.
+ *
+ * @param {string} blockHashHex - The hex encoded block hash
+ * @param {Object} keypair - A NaCl signing keypair
+ * @returns {string} The block sig value
+ */
+function calcBlockSig (blockHashHex, keypair) {
+  let pubKeyHashPrefix = calcSigningPubKeyHashPrefix(keypair.publicKey)
+  return [pubKeyHashPrefix, calcBlockHashSigB64(blockHashHex, keypair.secretKey)].join(':')
+}
+
+/**
+ * Verify a block sig value against a block hash
+ *
+ * @param {string} blockHashHex - The hex encoded block hash that was signed
+ * @param {string} sig - The block sig value, in the form '<pubkey hash prefix>:<base64 signature>'
+ * @param {Object} pubKeys - A lookup table of pubkey hash prefix to public key bytes
+ * @returns {Object} An object with a 'valid' boolean and a 'reason' string when invalid
+ */
+function verifyBlockSig (blockHashHex, sig, pubKeys) {
+  let sigSegments = (sig || '').split(':')
+  if (sigSegments.length !== 2) return { valid: false, reason: 'malformed sig' }
+
+  let pubKeyHashPrefix = sigSegments[0]
+  let pubKey = pubKeys[pubKeyHashPrefix]
+  if (!pubKey) return { valid: false, reason: `unknown signing key ${pubKeyHashPrefix}` }
+
+  let sigBytes
+  try {
+    sigBytes = nacl.util.decodeBase64(sigSegments[1])
+  } catch (error) {
+    return { valid: false, reason: 'malformed sig' }
+  }
+  if (sigBytes.length !== nacl.sign.signatureLength) return { valid: false, reason: 'malformed sig' }
+
+  if (!nacl.sign.detached.verify(nacl.util.decodeUTF8(blockHashHex), sigBytes, pubKey)) {
+    return { valid: false, reason: `bad signature for key ${pubKeyHashPrefix}` }
+  }
+
+  return { valid: true }
+}
+
+/**
+ * Build a lookup table of pubkey hash prefix to public key bytes
+ *
+ * @param {Uint8Array[]} pubKeyArray - An array of signing public key bytes
+ * @returns {Object} The lookup table, as expected by verifyBlockSig
+ */
+function buildPubKeyLookup (pubKeyArray) {
+  return pubKeyArray.reduce((lookup, pubKey) => {
+    lookup[calcSigningPubKeyHashPrefix(pubKey)] = pubKey
+    return lookup
+  }, {})
+}
+
+module.exports = {
+  calcSigningPubKeyHashHex: calcSigningPubKeyHashHex,
+  calcSigningPubKeyHashPrefix: calcSigningPubKeyHashPrefix,
+  calcBlockHashPrefixString: calcBlockHashPrefixString,
+  calcBlockHashHex: calcBlockHashHex,
+  calcBlockHashSigB64: calcBlockHashSigB64,
+  calcBlockSig: calcBlockSig,
+  verifyBlockSig: verifyBlockSig,
+  buildPubKeyLookup: buildPubKeyLookup
+}
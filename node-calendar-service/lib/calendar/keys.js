@@ -0,0 +1,119 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const blocks = require('./blocks.js')
+
+const nacl = require('tweetnacl')
+nacl.util = require('tweetnacl-util')
+
+// Public keys this Core signed calendar blocks with before the signing key
+// history was recorded in the database. They are added to the history when
+// the history is first initialized, but only if they signed blocks in this calendar.
+const LEGACY_PUBLIC_KEYS = [
+  'Q88brO55SfkY5S0Rbnyh3gh1s6izAj9v4BSWVF1dce0=',
+  'UWJSQwBjlvlkSirJcdFKP4zGQIq1mfrk7j0xV0CZ9yI='
+]
+
+/**
+ * Retrieves the signing key currently in use for new calendar blocks
+ *
+ * @param {Object} client - A pg client, typically within an open transaction
+ * @returns {Object} The active signing key row, or null if no key history exists
+ */
+async function getActiveSigningKeyAsync (client) {
+  let result = await client.query('SELECT pubkey_hash, pubkey, activation_height FROM chainpoint_signing_keys WHERE retirement_height IS NULL ORDER BY activation_height DESC LIMIT 1')
+  return result.rows.length > 0 ? result.rows[0] : null
+}
+
+/**
+ * Retrieves the lowest and highest heights of calendar blocks signed by a key
+ *
+ * @param {Object} client - A pg client
+ * @param {Uint8Array} pubKey - The signing public key bytes
+ * @returns {Object} An object with 'min' and 'max' heights, or null if the key signed no blocks
+ */
+async function getSignedHeightRangeAsync (client, pubKey) {
+  let sigPattern = `${blocks.calcSigningPubKeyHashPrefix(pubKey)}:%`
+  let result = await client.query('SELECT MIN(id) AS min_height, MAX(id) AS max_height FROM chainpoint_calendar_blockchain WHERE sig LIKE $1', [sigPattern])
+  if (result.rows.length === 0 || result.rows[0].min_height === null) return null
+  return { min: parseInt(result.rows[0].min_height, 10), max: parseInt(result.rows[0].max_height, 10) }
+}
+
+/**
+ * Adds a signing key to the key history
+ *
+ * @param {Object} client - A pg client, typically within an open transaction
+ * @param {Uint8Array} pubKey - The signing public key bytes
+ * @param {number} activationHeight - The height of the first block signed with this key
+ * @param {number} retirementHeight - The height of the last block signed with this key, or null if active
+ */
+async function insertSigningKeyAsync (client, pubKey, activationHeight, retirementHeight) {
+  await client.query('INSERT INTO chainpoint_signing_keys (pubkey_hash, pubkey, activation_height, retirement_height) VALUES ($1, $2, $3, $4)',
+    [blocks.calcSigningPubKeyHashHex(pubKey), nacl.util.encodeBase64(pubKey), activationHeight, retirementHeight])
+}
+
+/**
+ * Marks a signing key as retired as of the given height
+ *
+ * @param {Object} client - A pg client, typically within an open transaction
+ * @param {string} pubKeyHashHex - The hex encoded hash of the signing public key to retire
+ * @param {number} retirementHeight - The height of the last block signed with this key
+ */
+async function retireSigningKeyAsync (client, pubKeyHashHex, retirementHeight) {
+  await client.query('UPDATE chainpoint_signing_keys SET retirement_height = $1 WHERE pubkey_hash = $2', [retirementHeight, pubKeyHashHex])
+}
+
+/**
+ * Initializes an empty signing key history from the existing calendar blocks.
+ * Known legacy keys found in block sigs are recorded as retired, and the given
+ * keypair is recorded as the active key from the first block it signed, or
+ * from the next block height if it has not signed any blocks yet.
+ *
+ * @param {Object} client - A pg client within an open transaction
+ * @param {Object} keypair - The NaCl signing keypair currently configured for this calendar
+ * @returns {boolean} True if the history was initialized, false if it already existed
+ */
+async function initSigningKeyHistoryAsync (client, keypair) {
+  let countResult = await client.query('SELECT COUNT(*) AS key_count FROM chainpoint_signing_keys')
+  if (parseInt(countResult.rows[0].key_count, 10) > 0) return false
+
+  let currentPubKeyB64 = nacl.util.encodeBase64(keypair.publicKey)
+  for (let legacyPubKeyB64 of LEGACY_PUBLIC_KEYS) {
+    if (legacyPubKeyB64 === currentPubKeyB64) continue
+    let legacyPubKey = nacl.util.decodeBase64(legacyPubKeyB64)
+    let range = await getSignedHeightRangeAsync(client, legacyPubKey)
+    if (range !== null) await insertSigningKeyAsync(client, legacyPubKey, range.min, range.max)
+  }
+
+  let activationHeight
+  let range = await getSignedHeightRangeAsync(client, keypair.publicKey)
+  if (range !== null) {
+    activationHeight = range.min
+  } else {
+    let topBlockResult = await client.query('SELECT id FROM chainpoint_calendar_blockchain ORDER BY id DESC LIMIT 1')
+    activationHeight = topBlockResult.rows.length > 0 ? parseInt(topBlockResult.rows[0].id, 10) + 1 : 0
+  }
+  await insertSigningKeyAsync(client, keypair.publicKey, activationHeight, null)
+
+  return true
+}
+
+module.exports = {
+  getActiveSigningKeyAsync: getActiveSigningKeyAsync,
+  insertSigningKeyAsync: insertSigningKeyAsync,
+  retireSigningKeyAsync: retireSigningKeyAsync,
+  initSigningKeyHistoryAsync: initSigningKeyHistoryAsync
+}
@@ -0,0 +1,79 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+// The interval between scheduled nist blocks. When an interval passes without a
+// nist block, the last pulse in use during it is written as a catch-up block.
+const NIST_BLOCK_INTERVAL_MS = 30 * 60 * 1000
+
+// How much later than one interval after the last nist block the latest pulse may be
+// before an interval is considered missed, so that a run whose latest pulse is a little
+// later than last time, from poll or publish timing, does not write a catch-up block
+const NIST_BLOCK_CATCH_UP_TOLERANCE_MS = 5 * 60 * 1000
+
+// The maximum number of nist blocks written in one run, a longer backlog of
+// catch-up blocks is written over the following runs
+const NIST_BLOCKS_MAX_PER_RUN = 48
+
+/**
+ * Get the pulse time of a nist block data_id
+ *
+ * @param {string} dataId - A nist block data_id, '<timestamp>' or '<beacon type>:<timestamp>'
+ * @returns {number} The pulse time in milliseconds, older timestamps are converted from seconds
+ */
+function getNistBlockPulseTime (dataId) {
+  let pulseTime = parseInt(dataId.split(':').pop(), 10)
+  return pulseTime < 1000000000000 ? pulseTime * 1000 : pulseTime
+}
+
+/**
+ * Select the pulses to write as nist blocks. The latest pulse is always selected. While
+ * more than an interval, plus a tolerance, separates the last selected pulse from the
+ * latest, the last pulse within the interval following it is selected as a catch-up pulse.
+ *
+ * @param {Object[]} pulses - The pulses put into use since lastPulseTime, oldest first
+ * @param {number} lastPulseTime - The pulse time of the last nist block, in milliseconds
+ * @returns {Object[]} The pulses to write, oldest first
+ */
+function selectNistBlockPulses (pulses, lastPulseTime) {
+  if (pulses.length === 0) return []
+  let latestPulse = pulses[pulses.length - 1]
+  let latestPulseTime = parseInt(latestPulse.pulseTime, 10)
+
+  let selectedPulses = []
+  let selectedTime = lastPulseTime
+  let index = 0
+  while (latestPulseTime - selectedTime > NIST_BLOCK_INTERVAL_MS + NIST_BLOCK_CATCH_UP_TOLERANCE_MS) {
+    let intervalEnd = selectedTime + NIST_BLOCK_INTERVAL_MS
+    let intervalPulse = null
+    while (index < pulses.length - 1 && parseInt(pulses[index].pulseTime, 10) <= intervalEnd) {
+      intervalPulse = pulses[index]
+      index++
+    }
+    if (intervalPulse !== null) {
+      selectedPulses.push(intervalPulse)
+      selectedTime = parseInt(intervalPulse.pulseTime, 10)
+    } else {
+      // no pulse was in use during the interval, continue from the next pulse
+      selectedTime = Math.max(intervalEnd, parseInt(pulses[index].pulseTime, 10) - NIST_BLOCK_INTERVAL_MS)
+    }
+  }
+  selectedPulses.push(latestPulse)
+  return selectedPulses.slice(0, NIST_BLOCKS_MAX_PER_RUN)
+}
+
+module.exports = {
+  getNistBlockPulseTime: getNistBlockPulseTime,
+  selectNistBlockPulses: selectNistBlockPulses
+}
@@ -21,17 +21,29 @@ const _ = require('lodash')
 const MerkleTools = require('merkle-tools')
 const amqp = require('amqplib')
 const uuidv1 = require('uuid/v1')
-const crypto = require('crypto')
 const aggState = require('./lib/models/AggState.js')
 const calState = require('./lib/models/CalState.js')
 const anchorBtcAggState = require('./lib/models/AnchorBtcAggState.js')
 const btcTxState = require('./lib/models/BtcTxState.js')
 const btcHeadState = require('./lib/models/BtcHeadState.js')
+const anchorEthAggState = require('./lib/models/AnchorEthAggState.js')
+const ethTxState = require('./lib/models/EthTxState.js')
+const ethAnchorTx = require('./lib/models/EthAnchorTx.js')
+const orphanedCalBlock = require('./lib/models/OrphanedCalBlock.js')
 const calendarBlock = require('./lib/models/CalendarBlock.js')
+const signingKey = require('./lib/models/SigningKey.js')
+const beaconPulse = require('./lib/models/BeaconPulse.js')
+const rewardPayout = require('./lib/models/RewardPayout.js')
 const cachedProofState = require('./lib/models/cachedProofState.js')
+const calendarBlockFeed = require('./lib/models/calendarBlockFeed.js')
 const coreNetworkState = require('./lib/models/CoreNetworkState.js')
 const utils = require('./lib/utils.js')
+const treeHash = require('./lib/tree-hash.js')
+const blocks = require('./lib/calendar/blocks.js')
+const keys = require('./lib/calendar/keys.js')
+const nistBlocks = require('./lib/calendar/nistBlocks.js')
 const rp = require('request-promise-native')
+const restify = require('restify')
 const leaderElection = require('exp-leader-election')
 const schedule = require('node-schedule')
 const debugPkg = require('debug')
@@ -40,6 +52,10 @@ const connections = require('./lib/connections.js')
 
 let pgClientPool
 let CalendarBlock
+let BeaconPulse
+let RewardPayout
+let EthAnchorTx
+let OrphanedCalBlock
 
 // See : https://github.com/zeit/async-retry
 const retry = require('async-retry')
@@ -53,7 +69,10 @@ var debug = {
   calendar: debugPkg('calendar:block:calendar'),
   btcAnchor: debugPkg('calendar:block:btcAnchor'),
   btcConfirm: debugPkg('calendar:block:btcConfirm'),
+  ethAnchor: debugPkg('calendar:block:ethAnchor'),
+  ethConfirm: debugPkg('calendar:block:ethConfirm'),
   reward: debugPkg('calendar:block:reward'),
+  key: debugPkg('calendar:block:key'),
   nist: debugPkg('calendar:block:nist')
 }
 // direct debug to output over STDOUT
@@ -68,14 +87,33 @@ nacl.util = require('tweetnacl-util')
 // The leadership status for this instance of the calendar service
 let IS_LEADER = false
 
+// The names of the scheduled jobs currently running
+let JOBS_IN_PROGRESS = new Set()
+
 // Pass SIGNING_SECRET_KEY as Base64 encoded bytes
 const signingSecretKeyBytes = nacl.util.decodeBase64(env.SIGNING_SECRET_KEY)
 const signingKeypair = nacl.sign.keyPair.fromSecretKey(signingSecretKeyBytes)
 
+// Pass SIGNING_SECRET_KEY_NEXT as Base64 encoded bytes to rotate to that key
+const nextSigningKeypair = env.SIGNING_SECRET_KEY_NEXT && env.SIGNING_SECRET_KEY_NEXT !== env.SIGNING_SECRET_KEY ? nacl.sign.keyPair.fromSecretKey(nacl.util.decodeBase64(env.SIGNING_SECRET_KEY_NEXT)) : null
+
+// A lookup table of pubkey hash to keypair for every signing key configured for this instance.
+// Blocks are always signed with whichever of these is the active key in the signing key history.
+const signingKeypairs = [signingKeypair, nextSigningKeypair].filter((keypair) => keypair !== null).reduce((result, keypair) => {
+  result[blocks.calcSigningPubKeyHashHex(keypair.publicKey)] = keypair
+  return result
+}, {})
+
 const zeroStr = '0000000000000000000000000000000000000000000000000000000000000000'
 
+// The hash algorithm used to build calendar and anchor trees, selected per deployment
+const treeHashAlgorithm = treeHash.getTreeHashAlgorithm(env.TREE_HASH_ALGORITHM)
+
+// The block types whose dataVal is the root of a Merkle tree built with treeHashAlgorithm
+const TREE_BLOCK_TYPES = ['cal', 'btc-a', 'eth-a']
+
 // The merkle tools object for building trees and generating proof paths
-const merkleTools = new MerkleTools()
+const merkleTools = new MerkleTools({ hashType: treeHashAlgorithm.merkleToolsHashType })
 
 // The channel used for all amqp communication
 // This value is set once the connection has been established
@@ -85,39 +123,12 @@ let amqpChannel = null
 // This value is updated via ZeroMQ broadcast
 let nistLatest = null
 
-// Calculate the hash of the signing public key bytes
-// to allow lookup of which pubkey was used to sign
-// a block. Handles different organizations signing blocks
-// with different keys and key rotation by those orgs.
-// When a Base64 pubKey is published publicly it should also
-// be accompanied by this hash of its bytes to serve
-// as a fingerprint.
-function calcSigningPubKeyHashHex (pubKey) {
-  return crypto.createHash('sha256').update(pubKey).digest('hex')
-}
-const signingPubKeyHashHex = calcSigningPubKeyHashHex(signingKeypair.publicKey)
-
-// Calculate a deterministic block hash and return a Buffer hash value
-function calcBlockHashHex (block) {
-  let prefixString = `${block.id.toString()}:${block.time.toString()}:${block.version.toString()}:${block.stackId.toString()}:${block.type.toString()}:${block.dataId.toString()}`
-  let prefixBuffer = Buffer.from(prefixString, 'utf8')
-  let dataValBuffer = utils.isHex(block.dataVal) ? Buffer.from(block.dataVal, 'hex') : Buffer.from(block.dataVal, 'utf8')
-  let prevHashBuffer = Buffer.from(block.prevHash, 'hex')
-
-  return crypto.createHash('sha256').update(Buffer.concat([
-    prefixBuffer,
-    dataValBuffer,
-    prevHashBuffer
-  ])).digest('hex')
-}
-
-// Calculate a base64 encoded signature over the block hash
-function calcBlockHashSigB64 (blockHashHex) {
-  return nacl.util.encodeBase64(nacl.sign.detached(nacl.util.decodeUTF8(blockHashHex), signingKeypair.secretKey))
-}
+// The beacon type of NIST data, written to nist blocks as before beacon types were
+// introduced. Data from any other beacon has its type prefixed to the block data_id.
+const NIST_BEACON_TYPE = 'nistv2'
 
 // The write function used by all block creation functions to write to calendar blockchain
-async function writeBlockAsync (client, height, type, dataId, dataVal, prevHash) {
+async function writeBlockAsync (client, keypair, height, type, dataId, dataVal, prevHash) {
   let b = {}
   b.id = height
   b.time = Math.trunc(Date.now() / 1000)
@@ -127,22 +138,24 @@ async function writeBlockAsync (client, height, type, dataId, dataVal, prevHash)
   b.dataId = dataId
   b.dataVal = dataVal
   b.prevHash = prevHash
+  b.hashAlgorithm = TREE_BLOCK_TYPES.includes(type) ? treeHashAlgorithm.op : null
 
-  let blockHashHex = calcBlockHashHex(b)
+  let blockHashHex = blocks.calcBlockHashHex(b)
   b.hash = blockHashHex
 
   // pre-pend Base64 signature with truncated chars of SHA256 hash of the
   // pubkey bytes, joined with ':', to allow for lookup of signing pubkey.
-  b.sig = [signingPubKeyHashHex.slice(0, 12), calcBlockHashSigB64(blockHashHex)].join(':')
+  b.sig = blocks.calcBlockSig(blockHashHex, keypair)
 
-  const insertBlockSQL = 'INSERT INTO chainpoint_calendar_blockchain (id, time, version, stack_id, type, data_id, data_val, prev_hash, hash, sig) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *'
-  const insertBlockData = [b.id, b.time, b.version, b.stackId, b.type, b.dataId, b.dataVal, b.prevHash, b.hash, b.sig]
+  const insertBlockSQL = 'INSERT INTO chainpoint_calendar_blockchain (id, time, version, stack_id, type, data_id, data_val, hash_algorithm, prev_hash, hash, sig) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *'
+  const insertBlockData = [b.id, b.time, b.version, b.stackId, b.type, b.dataId, b.dataVal, b.hashAlgorithm, b.prevHash, b.hash, b.sig]
   let insertResult = await client.query(insertBlockSQL, insertBlockData)
   let block = insertResult.rows[0]
   // add block fields to mirror those of the CalendarBlock model so all processes may use this block object
   block.stackId = block.stack_id
   block.dataId = block.data_id
   block.dataVal = block.data_val
+  block.hashAlgorithm = block.hash_algorithm
   block.prevHash = block.prev_hash
   return block
 }
@@ -152,7 +165,7 @@ async function createGenesisBlockAsync () {
   // This is an exception to other block type since there is no transaction needed
   const client = await pgClientPool.connect()
   debug.genesis(`createGenesisBlockAsync : begin`)
-  await writeBlockAsync(client, 0, 'gen', '0', zeroStr, zeroStr, 'GENESIS')
+  await writeBlockAsync(client, signingKeypair, 0, 'gen', '0', zeroStr, zeroStr)
   await client.release()
   debug.genesis(`createGenesisBlockAsync : end`)
 }
@@ -168,10 +181,11 @@ async function createCalendarBlockAsync (root) {
   }
 }
 
-async function createNistBlockAsync (nistDataObj) {
+async function createNistBlockAsync (nistDataObj, nistType) {
   debug.nist(`createNistBlockAsync : begin`)
   try {
     let dataId = nistDataObj.split(':')[0].toString() // the epoch timestamp for this NIST entry
+    if (nistType && nistType !== NIST_BEACON_TYPE) dataId = `${nistType}:${dataId}`
     let dataVal = nistDataObj.split(':')[1].toString() // the hex value for this NIST entry
     let block = await executeRetryableBlockWriteTransactionAsync('nist', dataId, dataVal, debug.nist)
     debug.nist(`createNistBlockAsync : end`)
@@ -203,6 +217,28 @@ async function createBtcConfirmBlockAsync (height, root) {
   }
 }
 
+async function createEthAnchorBlockAsync (root) {
+  debug.ethAnchor(`createEthAnchorBlockAsync : begin`)
+  try {
+    let block = await executeRetryableBlockWriteTransactionAsync('eth-a', '', root.toString(), debug.ethAnchor)
+    debug.ethAnchor(`createEthAnchorBlockAsync : end`)
+    return block
+  } catch (error) {
+    throw new Error(`createEthAnchorBlockAsync : failed to write eth-a block : ${error.message}`)
+  }
+}
+
+async function createEthConfirmBlockAsync (txId, root) {
+  debug.ethConfirm(`createEthConfirmBlockAsync : begin`)
+  try {
+    let block = await executeRetryableBlockWriteTransactionAsync('eth-c', txId.toString(), root.toString(), debug.ethConfirm)
+    debug.ethConfirm(`createEthConfirmBlockAsync : end`)
+    return block
+  } catch (error) {
+    throw new Error(`createEthConfirmBlockAsync : could not write ETH confirm block : ${error.message}`)
+  }
+}
+
 async function createRewardBlockAsync (dataId, dataVal) {
   debug.reward(`createRewardBlockAsync : begin`)
   try {
@@ -243,6 +279,16 @@ function processMessage (msg) {
           amqpChannel.ack(msg)
         }
         break
+      case 'btcreorg':
+        if (env.ANCHOR_BTC === 'enabled') {
+          // Consumes a reorg message from the btcmon service
+          consumeBtcReorgMessageAsync(msg)
+        } else {
+          // BTC anchoring has been disabled, ack message and do nothing
+          debug.general(`processMessage : [btcreorg] publish message acked : BTC disabled : ${msg.btctx_id}`)
+          amqpChannel.ack(msg)
+        }
+        break
       case 'reward':
         consumeRewardMessageAsync(msg)
         break
@@ -272,16 +318,24 @@ async function writeTransactionAsync (blockType, dataId, dataVal, debuglogger) {
     }
     debuglogger(`writeTransactionAsync : previous block : ${prevBlock.id} : ${prevBlock.hash}`)
 
+    // sign with the active key, which may have been rotated by another calendar instance
+    let activeKey = await keys.getActiveSigningKeyAsync(client)
+    if (activeKey === null) throw new Error(`No active signing key found`)
+    let keypair = signingKeypairs[activeKey.pubkey_hash]
+    if (!keypair) throw new Error(`Active signing key ${activeKey.pubkey_hash} is not configured for this instance`)
+
     let newId = parseInt(prevBlock.id, 10) + 1
     // cal blocks use the newId as the dataId, if dataId is null, set it to the value of newId
     if (dataId === null) dataId = newId.toString()
-    let newBlock = await writeBlockAsync(client, newId, blockType, dataId, dataVal, prevBlock.hash)
+    let newBlock = await writeBlockAsync(client, keypair, newId, blockType, dataId, dataVal, prevBlock.hash)
     debuglogger(`writeTransactionAsync : new block : ${newBlock.id} : ${newBlock.hash}`)
 
     await client.query('COMMIT')
     await client.release()
     debuglogger(`writeTransactionAsync : end`)
 
+    await publishBlockAsync(newBlock)
+
     return newBlock
   } catch (error) {
     try {
@@ -295,6 +349,17 @@ async function writeTransactionAsync (blockType, dataId, dataVal, debuglogger) {
   }
 }
 
+// Announce a committed block to the API replicas streaming new blocks to their clients.
+// The block is already committed, so a failure is logged rather than thrown to avoid a retry
+// writing the same data again. Stream clients recover missed blocks when they reconnect.
+async function publishBlockAsync (block) {
+  try {
+    await calendarBlockFeed.publishBlockAsync(block)
+  } catch (error) {
+    console.error(`publishBlockAsync : unable to announce block ${block.id} : ${error.message}`)
+  }
+}
+
 async function executeRetryableBlockWriteTransactionAsync (blockType, dataId, dataVal, debuglogger) {
   let newBlock = await retry(async bail => {
     let newBlock = await writeTransactionAsync(blockType, dataId, dataVal, debuglogger)
@@ -310,6 +375,81 @@ async function executeRetryableBlockWriteTransactionAsync (blockType, dataId, da
   return newBlock
 }
 
+/**
+ * Writes a key block announcing SIGNING_SECRET_KEY_NEXT as the new signing key.
+ * The key block is the last block signed by the outgoing key, the next key is
+ * active from the following height. The block and the key history are updated
+ * in a single transaction so no instance can sign with a retired key.
+ *
+ * @returns {Object} The new key block, or null if the configured key is not the active key
+ */
+async function rotateSigningKeyAsync () {
+  const client = await pgClientPool.connect()
+  debug.key(`rotateSigningKeyAsync : begin`)
+
+  await client.query('BEGIN')
+
+  try {
+    let activeKey = await keys.getActiveSigningKeyAsync(client)
+    let currentPubKeyHashHex = blocks.calcSigningPubKeyHashHex(signingKeypair.publicKey)
+    if (activeKey === null || activeKey.pubkey_hash !== currentPubKeyHashHex) {
+      // either the rotation has already occurred or the history does not match this configuration
+      await client.query('ROLLBACK')
+      await client.release()
+      debug.key(`rotateSigningKeyAsync : SIGNING_SECRET_KEY is not the active key : end`)
+      return null
+    }
+
+    let prevBlockResult = await client.query('SELECT id, hash FROM chainpoint_calendar_blockchain ORDER BY id DESC LIMIT 1')
+    if (prevBlockResult.rows.length === 0) throw new Error(`No genesis block found`)
+    let newId = parseInt(prevBlockResult.rows[0].id, 10) + 1
+
+    // key blocks use the next pubkey hash as the dataId and the next pubkey bytes, hex encoded, as the dataVal
+    let nextPubKeyHashHex = blocks.calcSigningPubKeyHashHex(nextSigningKeypair.publicKey)
+    let nextPubKeyHex = Buffer.from(nextSigningKeypair.publicKey).toString('hex')
+    let newBlock = await writeBlockAsync(client, signingKeypair, newId, 'key', nextPubKeyHashHex, nextPubKeyHex, prevBlockResult.rows[0].hash)
+
+    await keys.retireSigningKeyAsync(client, currentPubKeyHashHex, newId)
+    await keys.insertSigningKeyAsync(client, nextSigningKeypair.publicKey, newId + 1, null)
+
+    await client.query('COMMIT')
+    await client.release()
+    debug.key(`rotateSigningKeyAsync : new block : ${newBlock.id} : ${newBlock.hash}`)
+
+    await publishBlockAsync(newBlock)
+
+    return newBlock
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK')
+    } catch (error) {
+      debug.key(`rotateSigningKeyAsync : rollback : ${error.message}`)
+    }
+    await client.release()
+    throw error
+  }
+}
+
+async function initSigningKeyHistoryAsync () {
+  const client = await pgClientPool.connect()
+  await client.query('BEGIN')
+
+  try {
+    let initialized = await keys.initSigningKeyHistoryAsync(client, signingKeypair)
+    await client.query('COMMIT')
+    await client.release()
+    if (initialized) debug.key(`initSigningKeyHistoryAsync : signing key history initialized`)
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK')
+    } catch (error) {
+      debug.key(`initSigningKeyHistoryAsync : rollback : ${error.message}`)
+    }
+    await client.release()
+    throw error
+  }
+}
+
 async function consumeBtcTxMessageAsync (msg) {
   debug.general(`consumeBtcTxMessageAsync : begin`)
   if (msg !== null) {
@@ -323,6 +463,7 @@ async function consumeBtcTxMessageAsync (msg) {
     let stateObj = {}
     stateObj.anchor_btc_agg_id = btcTxObj.anchor_btc_agg_id
     stateObj.btctx_id = btcTxObj.btctx_id
+    if (btcTxObj.replaces_btctx_id) stateObj.replaces_btctx_id = btcTxObj.replaces_btctx_id
     let anchorBTCAggRoot = btcTxObj.anchor_btc_agg_root
     let btctxBody = btcTxObj.btctx_body
     let prefix = btctxBody.substr(0, btctxBody.indexOf(anchorBTCAggRoot))
@@ -347,7 +488,16 @@ async function consumeBtcTxMessageAsync (msg) {
       }
 
       try {
-        await amqpChannel.sendToQueue(env.RMQ_WORK_OUT_BTCMON_QUEUE, Buffer.from(JSON.stringify({ tx_id: btcTxObj.btctx_id })), { persistent: true })
+        // the anchor details allow btc-mon to request a replace-by-fee transaction if this one becomes stuck,
+        // and to restore this transaction's proof state should it confirm after being replaced
+        let btcMonObj = {
+          tx_id: btcTxObj.btctx_id,
+          anchor_btc_agg_id: btcTxObj.anchor_btc_agg_id,
+          anchor_btc_agg_root: anchorBTCAggRoot,
+          btctx_state: stateObj.btctx_state,
+          replaces_tx_id: btcTxObj.replaces_btctx_id || null
+        }
+        await amqpChannel.sendToQueue(env.RMQ_WORK_OUT_BTCMON_QUEUE, Buffer.from(JSON.stringify(btcMonObj)), { persistent: true })
         // New message has been published
         // debug.general(env.RMQ_WORK_OUT_BTCMON_QUEUE, 'publish message acked')
       } catch (error) {
@@ -375,6 +525,44 @@ async function consumeBtcMonMessageAsync (msg) {
   }
 }
 
+// An anchor confirmed in a btc-c block was orphaned by a chain reorganization. The btc-c block
+// remains in the chain as a record, but is flagged as orphaned so that the API no longer confirms
+// btc anchors with it, the state service is told to withdraw the btc anchor from the affected
+// proofs, and btc-mon monitors the transaction again for a new btc-c block.
+async function consumeBtcReorgMessageAsync (msg) {
+  if (msg === null) return
+  let btcReorgObj = JSON.parse(msg.content.toString())
+  console.error(`consumeBtcReorgMessageAsync : btc-c anchor orphaned : ${btcReorgObj.btctx_id} : block ${btcReorgObj.btchead_height} (${btcReorgObj.btchead_root})`)
+
+  try {
+    // every btc-c block recording the orphaned bitcoin block is flagged, one is written for each anchor it confirmed
+    let orphanedBlocks = await CalendarBlock.findAll({ where: { type: 'btc-c', dataId: btcReorgObj.btchead_height.toString(), dataVal: btcReorgObj.btchead_root }, attributes: ['id'], raw: true })
+    for (let block of orphanedBlocks) {
+      await OrphanedCalBlock.upsert({ calBlockId: parseInt(block.id, 10), btcTxId: btcReorgObj.btctx_id })
+      console.error(`consumeBtcReorgMessageAsync : btc-c block ${block.id} flagged as orphaned`)
+    }
+  } catch (error) {
+    amqpChannel.nack(msg)
+    console.error(`consumeBtcReorgMessageAsync : [btcreorg] consume message nacked : unable to flag orphaned btc-c blocks : ${error.message}`)
+    return
+  }
+
+  let stateObj = {}
+  stateObj.btctx_id = btcReorgObj.btctx_id
+  stateObj.btchead_height = btcReorgObj.btchead_height
+
+  try {
+    await amqpChannel.sendToQueue(env.RMQ_WORK_OUT_STATE_QUEUE, Buffer.from(JSON.stringify(stateObj)), { persistent: true, type: 'btcreorg' })
+  } catch (error) {
+    amqpChannel.nack(msg)
+    console.error(`consumeBtcReorgMessageAsync : [btcreorg] consume message nacked : unable to publish state message : ${error.message}`)
+    return
+  }
+
+  amqpChannel.ack(msg)
+  debug.btcConfirm(`consumeBtcReorgMessageAsync : [btcreorg] consume message acked : ${stateObj.btctx_id}`)
+}
+
 async function consumeRewardMessageAsync (msg) {
   if (msg !== null) {
     processRewardMessage(msg)
@@ -409,7 +597,7 @@ function generateCalendarTree (aggregationRootObjects) {
       let proofDataItem = {}
       proofDataItem.agg_id = rootItem.agg_id
       let proof = merkleTools.getProof(index)
-      proofDataItem.proof = utils.formatAsChainpointV3Ops(proof, 'sha-256')
+      proofDataItem.proof = utils.formatAsChainpointV3Ops(proof, treeHashAlgorithm.op)
       return proofDataItem
     })
     treeDataObj.proofData = proofData
@@ -442,6 +630,37 @@ async function persistCalendarTreeAsync (treeDataObj) {
   return block
 }
 
+// Build Merkle tree from calendar block hashes, returning the root and
+// the proof path from each cal block hash to that root
+function generateAnchorTree (blocks) {
+  let leaves = blocks.map((blockObj) => {
+    return blockObj.hash
+  })
+
+  // clear the merkleTools instance to prepare for a new tree
+  merkleTools.resetTree()
+
+  // Add every blockHash in blocks to new Merkle tree
+  merkleTools.addLeaves(leaves)
+  merkleTools.makeTree()
+
+  let root = merkleTools.getMerkleRoot().toString('hex')
+
+  let proofData = blocks.reduce((result, block, index) => {
+    // for calendar type blocks only, push the cal_id and corresponding proof onto the array
+    if (block.type === 'cal') {
+      let proofDataItem = {}
+      proofDataItem.cal_id = block.id
+      let proof = merkleTools.getProof(index)
+      proofDataItem.proof = utils.formatAsChainpointV3Ops(proof, treeHashAlgorithm.op)
+      result.push(proofDataItem)
+    }
+    return result
+  }, [])
+
+  return { root: root, proofData: proofData }
+}
+
 // Aggregate all block hashes on chain since last BTC aggregation, add new
 // BTC anchor block to calendar, add new proof state entries, anchor root
 async function aggregateAndAnchorBTCAsync (blocks) {
@@ -458,32 +677,11 @@ async function aggregateAndAnchorBTCAsync (blocks) {
   let treeData = {}
   try {
     // Build merkle tree with block hashes
-    let leaves = blocks.map((blockObj) => {
-      return blockObj.hash
-    })
-
-    // clear the merkleTools instance to prepare for a new tree
-    merkleTools.resetTree()
-
-    // Add every blockHash in blocks to new Merkle tree
-    merkleTools.addLeaves(leaves)
-    merkleTools.makeTree()
+    let anchorTree = generateAnchorTree(blocks)
 
     treeData.anchor_btc_agg_id = uuidv1()
-    treeData.anchor_btc_agg_root = merkleTools.getMerkleRoot().toString('hex')
-
-    let proofData = blocks.reduce((result, block, index) => {
-      // for calendar type blocks only, push the cal_id and corresponding proof onto the array
-      if (block.type === 'cal') {
-        let proofDataItem = {}
-        proofDataItem.cal_id = block.id
-        let proof = merkleTools.getProof(index)
-        proofDataItem.proof = utils.formatAsChainpointV3Ops(proof, 'sha-256')
-        result.push(proofDataItem)
-      }
-      return result
-    }, [])
-    treeData.proofData = proofData
+    treeData.anchor_btc_agg_root = anchorTree.root
+    treeData.proofData = anchorTree.proofData
 
     debug.btcAnchor(`aggregateAndAnchorBTCAsync : blocks.length : ${blocks.length}`)
 
@@ -497,6 +695,37 @@ async function aggregateAndAnchorBTCAsync (blocks) {
   return treeData
 }
 
+// Aggregate all block hashes on chain since last ETH aggregation into the tree
+// whose root is to be anchored, the eth-a block is written once the root is sent
+async function aggregateAndAnchorETHAsync (blocks) {
+  debug.ethAnchor(`aggregateAndAnchorETHAsync : begin`)
+
+  // if the amqp channel is null (closed), processing should not continue,
+  // defer to next interval. Do this before any other DB or CPU time is
+  // wasted within the lock around this function.
+  if (amqpChannel === null) {
+    debug.ethAnchor('aggregateAndAnchorETHAsync : amqpChannel is null : returning')
+    return
+  }
+
+  let treeData = {}
+  try {
+    // Build merkle tree with block hashes
+    let anchorTree = generateAnchorTree(blocks)
+
+    treeData.anchor_eth_agg_id = uuidv1()
+    treeData.anchor_eth_agg_root = anchorTree.root
+    treeData.proofData = anchorTree.proofData
+
+    debug.ethAnchor(`aggregateAndAnchorETHAsync : blocks.length : ${blocks.length}`)
+  } catch (error) {
+    throw new Error(`aggregateAndAnchorETHAsync error: ${error.message}`)
+  }
+
+  debug.ethAnchor(`aggregateAndAnchorETHAsync : end`)
+  return treeData
+}
+
 // Get the id of that most recent btc-a block
 async function lastBtcAnchorBlockIdAsync () {
   debug.btcAnchor('lastBtcAnchorBlockIdAsync : begin')
@@ -512,6 +741,21 @@ async function lastBtcAnchorBlockIdAsync () {
   return id
 }
 
+// Get the id of that most recent eth-a block
+async function lastEthAnchorBlockIdAsync () {
+  debug.ethAnchor('lastEthAnchorBlockIdAsync : begin')
+  let lastEthAnchorBlock
+  try {
+    lastEthAnchorBlock = await CalendarBlock.findOne({ where: { type: 'eth-a' }, attributes: ['id'], order: [['id', 'DESC']] })
+  } catch (error) {
+    throw new Error(`unable to retrieve most recent ETH anchor block : ${error.message}`)
+  }
+
+  let id = lastEthAnchorBlock ? parseInt(lastEthAnchorBlock.id, 10) : null
+  debug.ethAnchor(`lastEthAnchorBlockIdAsync : last block ID : ${id}`)
+  return id
+}
+
 // queue messages for state service with cal state data and ack original messages
 async function queueCalStateDataMessageAsync (treeDataObj, block) {
   // create proof state objects for each aggregation root in the tree bound for proof state service
@@ -527,7 +771,7 @@ async function queueCalStateDataMessageAsync (treeDataObj, block) {
 
   // decalre ops extending proof path beyond cal_root to calendar block's block_hash
   let opsToBlockHash = [
-    { l: `${block.id}:${block.time}:${block.version}:${block.stackId}:${block.type}:${block.dataId}` },
+    { l: blocks.calcBlockHashPrefixString(block) },
     { r: block.prevHash },
     { op: 'sha-256' }
   ]
@@ -600,6 +844,11 @@ async function queueBtcCStateDataAsync (msg, block) {
     anchor_id: btcheadHeight.toString(),
     uris: uris
   }
+  // a replaced transaction that confirmed ahead of its replacement is linked back to its anchor
+  if (btcMonObj.btctx_state) {
+    stateObj.anchor_btc_agg_id = btcMonObj.anchor_btc_agg_id
+    stateObj.btctx_state = btcMonObj.btctx_state
+  }
 
   try {
     // Publish new message
@@ -615,6 +864,130 @@ async function queueBtcCStateDataAsync (msg, block) {
   debug.btcConfirm('queueBtcCStateDataAsync: consume message acked', stateObj.btctx_id)
 }
 
+// publish the root in an ETH transaction, record the transaction in the ETH anchor tx ledger, from
+// which it is monitored until confirmed, then write the eth-a block for the root and queue message
+// for state service with eth-a state data
+async function queueEthAStateDataMessageAsync (treeDataObj) {
+  // Send the root to the ETH tx service for anchoring
+  let ethTxId = await sendETHAnchorTxAsync(treeDataObj.anchor_eth_agg_root)
+  if (ethTxId === null) throw new Error(`root ${treeDataObj.anchor_eth_agg_root} failed to be anchored`)
+
+  // Track the transaction until it has received enough confirmations
+  try {
+    await EthAnchorTx.create({
+      anchorEthAggId: treeDataObj.anchor_eth_agg_id,
+      anchorEthAggRoot: treeDataObj.anchor_eth_agg_root,
+      ethTxId: ethTxId,
+      txSentAt: Date.now()
+    })
+    debug.ethAnchor(`queueEthAStateDataMessageAsync : monitoring ETH tx ${ethTxId}`)
+  } catch (error) {
+    throw new Error(`unable to record ETH tx ${ethTxId} : ${error.message}`)
+  }
+
+  // Create new ETH anchor block with the published root
+  await createEthAnchorBlockAsync(treeDataObj.anchor_eth_agg_root)
+
+  // create proof state objects for each cal_id in the tree bound for proof state service,
+  // only once the root is published, as the first state recorded for a cal_id is kept
+  let ethAnchorStateData = {}
+  ethAnchorStateData.anchor_eth_agg_id = treeDataObj.anchor_eth_agg_id
+  ethAnchorStateData.proofData = treeDataObj.proofData.map((proofDataItem) => {
+    return { cal_id: proofDataItem.cal_id, proof: proofDataItem.proof }
+  })
+
+  try {
+    // Publish new message
+    await amqpChannel.sendToQueue(env.RMQ_WORK_OUT_STATE_QUEUE, Buffer.from(JSON.stringify(ethAnchorStateData)), { persistent: true, type: 'anchor_eth_agg_batch' })
+  } catch (error) {
+    console.error('queueEthAStateDataMessageAsync : [anchor_eth_agg] publish message nacked')
+    throw new Error(`unable to publish state message : ${error.message}`)
+  }
+}
+
+// queue message for state service with eth-c state data
+async function queueEthCStateDataAsync (ethAnchorTx, block) {
+  // Build the anchors uris using the locations configured in CHAINPOINT_CORE_BASE_URI
+  let BASE_URIS = [env.CHAINPOINT_CORE_BASE_URI]
+  let uris = BASE_URIS.map((uri) => `${uri}/calendar/${block.id}/data`)
+
+  // The transaction data is the anchor aggregation root itself,
+  // so no additional operations are needed to reach the eth anchor
+  let stateObj = {}
+  stateObj.anchor_eth_agg_id = ethAnchorTx.anchorEthAggId
+  stateObj.ethtx_id = ethAnchorTx.ethTxId
+  stateObj.ethtx_state = {}
+  stateObj.ethtx_state.ops = []
+  stateObj.ethtx_state.anchor = {
+    anchor_id: ethAnchorTx.ethTxId,
+    uris: uris
+  }
+
+  try {
+    await amqpChannel.sendToQueue(env.RMQ_WORK_OUT_STATE_QUEUE, Buffer.from(JSON.stringify(stateObj)), { persistent: true, type: 'ethmon' })
+  } catch (error) {
+    throw new Error(`queueEthCStateDataAsync : unable to publish state message : ${error.message}`)
+  }
+}
+
+async function sendETHAnchorTxAsync (root) {
+  let options = {
+    headers: [
+      {
+        name: 'Content-Type',
+        value: 'application/json'
+      }
+    ],
+    method: 'POST',
+    uri: `${env.ETH_TNT_TX_CONNECT_URI}/anchor`,
+    body: {
+      anchor_eth_agg_root: root
+    },
+    json: true,
+    gzip: true,
+    timeout: 60000,
+    resolveWithFullResponse: true
+  }
+
+  try {
+    let anchorResponse = await rp(options)
+    let ethTxId = anchorResponse.body.trx_id
+    if (!ethTxId) throw new Error('no transaction id was returned')
+    debug.ethAnchor(`sendETHAnchorTxAsync : root ${root} anchored in transaction ${ethTxId}`)
+    return ethTxId
+  } catch (error) {
+    console.error(`sendETHAnchorTxAsync : root ${root} failed to be anchored : ${error.message}`)
+    return null
+  }
+}
+
+async function getETHAnchorTxStatusAsync (ethTxId) {
+  let options = {
+    headers: [
+      {
+        name: 'Content-Type',
+        value: 'application/json'
+      }
+    ],
+    method: 'GET',
+    uri: `${env.ETH_TNT_TX_CONNECT_URI}/anchor/${ethTxId}`,
+    json: true,
+    gzip: true,
+    timeout: 30000,
+    resolveWithFullResponse: true
+  }
+
+  try {
+    let statusResponse = await rp(options)
+    return statusResponse.body
+  } catch (error) {
+    throw new Error(`ETH anchor tx status read error: ${error.message}`)
+  }
+}
+
+// Sends a TNT reward transfer, returning its transaction id. An error response from
+// eth-tnt-tx means no transfer was made. Without a response the transfer may have been
+// sent, and the error thrown has outcomeUnknown set so that it is never sent again.
 async function sendTNTRewardAsync (ethAddr, tntGrains) {
   let options = {
     headers: [
@@ -635,14 +1008,45 @@ async function sendTNTRewardAsync (ethAddr, tntGrains) {
     resolveWithFullResponse: true
   }
 
+  let rewardResponse
   try {
-    let rewardResponse = await rp(options)
-    let nodeRewardTxId = rewardResponse.body.trx_id
-    debug.reward(`sendTNTRewardAsync : ${tntGrains} grains (${tntGrains / 10 ** 8} TNT) transferred to ETH address ${ethAddr} in transaction ${nodeRewardTxId}`)
-    return nodeRewardTxId
+    rewardResponse = await rp(options)
   } catch (error) {
-    console.error(`sendTNTRewardAsync : ${tntGrains} grains (${tntGrains / 10 ** 8} TNT) failed to be transferred to ETH address ${ethAddr}: ${error.message}`)
-    return null
+    let transferError = new Error(`${tntGrains} grains (${tntGrains / 10 ** 8} TNT) failed to be transferred to ETH address ${ethAddr} : ${error.message}`)
+    transferError.outcomeUnknown = error.statusCode === undefined
+    throw transferError
+  }
+  let rewardTxId = rewardResponse.body ? rewardResponse.body.trx_id : null
+  if (!rewardTxId) {
+    let transferError = new Error(`${tntGrains} grains (${tntGrains / 10 ** 8} TNT) transfer to ETH address ${ethAddr} returned no transaction id`)
+    transferError.outcomeUnknown = true
+    throw transferError
+  }
+  debug.reward(`sendTNTRewardAsync : ${tntGrains} grains (${tntGrains / 10 ** 8} TNT) transferred to ETH address ${ethAddr} in transaction ${rewardTxId}`)
+  return rewardTxId
+}
+
+async function getTNTRewardTxStatusAsync (ethTxId) {
+  let options = {
+    headers: [
+      {
+        name: 'Content-Type',
+        value: 'application/json'
+      }
+    ],
+    method: 'GET',
+    uri: `${env.ETH_TNT_TX_CONNECT_URI}/transfer/${ethTxId}`,
+    json: true,
+    gzip: true,
+    timeout: 30000,
+    resolveWithFullResponse: true
+  }
+
+  try {
+    let statusResponse = await rp(options)
+    return statusResponse.body
+  } catch (error) {
+    throw new Error(`TNT reward tx status read error: ${error.message}`)
   }
 }
 
@@ -669,6 +1073,15 @@ async function initializeCalendarBlock0Async () {
   }
 }
 
+async function processSigningKeyRotationInterval () {
+  try {
+    let block = await rotateSigningKeyAsync()
+    if (block) console.log(`Signing key rotated to ${blocks.calcSigningPubKeyHashPrefix(nextSigningKeypair.publicKey)} in key block ${block.id}`)
+  } catch (error) {
+    console.error(`scheduleJob : processSigningKeyRotationInterval : unable to rotate signing key : ${error.message}`)
+  }
+}
+
 async function processCalendarInterval () {
   try {
     // Get agg_state objects since last calendar aggregation
@@ -707,15 +1120,41 @@ async function processCalendarInterval () {
   } catch (error) {
     // an error has occurred
     console.error(`scheduleJob : processCalendarInterval : ${error.message}`)
+    throw error
   }
 }
 
 async function processNistInterval () {
   try {
-    await createNistBlockAsync(nistLatest)
+    let pulses = await getNistBlockPulsesAsync()
+    if (pulses.length === 0) {
+      debug.nist(`processNistInterval : no new beacon pulse since the last NIST block`)
+      return
+    }
+    if (pulses.length > 1) debug.nist(`processNistInterval : writing ${pulses.length} NIST blocks, including catch-up blocks`)
+    for (let pulse of pulses) {
+      await createNistBlockAsync(`${pulse.pulseTime}:${pulse.value}`, pulse.beaconType)
+    }
   } catch (error) {
     console.error(`scheduleJob : processNistInterval : unable to create NIST block : ${error.message}`)
+    throw error
+  }
+}
+
+// Returns the beacon pulses to write as nist blocks, oldest first, from the pulses put into use
+// since the pulse of the last nist block. Nothing is returned when no new pulse has been used.
+async function getNistBlockPulsesAsync () {
+  let lastNistBlock = await CalendarBlock.findOne({ where: { type: 'nist' }, attributes: ['dataId'], order: [['id', 'DESC']] })
+
+  // without a previous nist block there are no missed intervals, only the latest pulse is written
+  if (!lastNistBlock) {
+    let latestPulse = await BeaconPulse.findOne({ where: { broadcastAt: { [Op.ne]: null } }, order: [['broadcastAt', 'DESC']], raw: true })
+    return latestPulse ? [latestPulse] : []
   }
+
+  let lastPulseTime = nistBlocks.getNistBlockPulseTime(lastNistBlock.dataId)
+  let pulses = await BeaconPulse.findAll({ where: { broadcastAt: { [Op.ne]: null }, pulseTime: { [Op.gt]: lastPulseTime } }, order: [['pulseTime', 'ASC']], raw: true })
+  return nistBlocks.selectNistBlockPulses(pulses, lastPulseTime)
 }
 
 async function processBtcAnchorInterval () {
@@ -750,9 +1189,118 @@ async function processBtcAnchorInterval () {
     }
   } catch (error) {
     console.error(`scheduleJob : processBtcAnchorInterval : unable to aggregate and create BTC anchor block : ${error.message}`)
+    throw error
+  }
+}
+
+async function processEthAnchorInterval () {
+  try {
+    // Get ALL calendar blocks since last eth-a aggregation
+    let lastProcessedCalHeight = await coreNetworkState.getLastCalBlockHeightProcessedForEthABlock()
+    if (lastProcessedCalHeight === null) {
+      // there is no entry found, most likely first run, default to most recent eth-a block
+      lastProcessedCalHeight = await lastEthAnchorBlockIdAsync() || -1
+    }
+    let blocks = await CalendarBlock.findAll({ where: { id: { [Op.gt]: lastProcessedCalHeight } }, attributes: ['id', 'type', 'hash'], order: [['id', 'ASC']] })
+    debug.ethAnchor('scheduleJob : calendar : processEthAnchorInterval : eth blocks.length to anchor : %d', blocks.length)
+    if (blocks.length === 0) return
+
+    // Build tree of the blocks to anchor
+    let treeData = await aggregateAndAnchorETHAsync(blocks)
+    if (!treeData) return
+
+    // Publish the root, write new eth-a to calendar and queue message for state service,
+    // the blocks are anchored again next interval unless the root is published and recorded
+    await queueEthAStateDataMessageAsync(treeData)
+
+    // Update global state table
+    let thisIntervalEndBlockHeight
+    try {
+      // find latest block in treeData, save as a marker for next interval
+      thisIntervalEndBlockHeight = blocks.reduce((value, block) => block.id > value ? block.id : value, -1)
+      if (thisIntervalEndBlockHeight === -1) return
+      await coreNetworkState.setLastCalBlockHeightProcessedForEthABlock(thisIntervalEndBlockHeight)
+    } catch (error) {
+      throw new Error(`setLastCalBlockHeightProcessedForEthABlock failed with value ${thisIntervalEndBlockHeight}`)
+    }
+  } catch (error) {
+    console.error(`scheduleJob : processEthAnchorInterval : unable to aggregate and create ETH anchor block : ${error.message}`)
+    throw error
   }
 }
 
+// The hours a sent ETH anchor transaction may remain unmined before its root is sent again,
+// a transaction dropped from the mempool is never mined and would otherwise wait forever
+const ETH_ANCHOR_TX_CONFIRM_TIMEOUT_HOURS = 2
+
+async function processEthMonInterval () {
+  if (amqpChannel === null) return
+
+  let ethAnchorTxs
+  try {
+    ethAnchorTxs = await EthAnchorTx.findAll({ where: { state: { [Op.in]: ['tx_sent', 'tx_failed'] } }, order: [['created_at', 'ASC']], raw: true })
+  } catch (error) {
+    console.error(`scheduleJob : processEthMonInterval : unable to read pending ETH txs : ${error.message}`)
+    throw error
+  }
+
+  for (let ethAnchorTx of ethAnchorTxs) {
+    try {
+      // the root of a failed transaction is published again in a new transaction
+      if (ethAnchorTx.state === 'tx_failed') {
+        await resendEthAnchorTxAsync(ethAnchorTx)
+        continue
+      }
+
+      let txStatus = await getETHAnchorTxStatusAsync(ethAnchorTx.ethTxId)
+      debug.ethConfirm(`processEthMonInterval : ${ethAnchorTx.ethTxId} : ${txStatus.confirmations} confirmation(s)`)
+
+      if (txStatus.failed) {
+        // the root was never recorded on chain, so it must not be confirmed
+        console.error(`scheduleJob : processEthMonInterval : ${ethAnchorTx.ethTxId} : transaction failed, root ${ethAnchorTx.anchorEthAggRoot} will be anchored in a new transaction`)
+        await updateEthAnchorTxAsync(ethAnchorTx, { state: 'tx_failed' })
+        await resendEthAnchorTxAsync(ethAnchorTx)
+        continue
+      }
+      if (txStatus.block_number === null) {
+        let txAgeHours = (Date.now() - parseInt(ethAnchorTx.txSentAt, 10)) / (60 * 60 * 1000)
+        if (txAgeHours >= ETH_ANCHOR_TX_CONFIRM_TIMEOUT_HOURS) {
+          console.error(`scheduleJob : processEthMonInterval : ${ethAnchorTx.ethTxId} : transaction not mined within ${ETH_ANCHOR_TX_CONFIRM_TIMEOUT_HOURS} hours, root ${ethAnchorTx.anchorEthAggRoot} will be anchored in a new transaction`)
+          await resendEthAnchorTxAsync(ethAnchorTx)
+        }
+        continue
+      }
+      if (txStatus.confirmations < env.MIN_ETH_CONFIRMS) continue
+
+      // Store the anchored root in chain, keyed by the transaction id
+      let block = await createEthConfirmBlockAsync(ethAnchorTx.ethTxId, ethAnchorTx.anchorEthAggRoot)
+
+      await queueEthCStateDataAsync(ethAnchorTx, block)
+      await updateEthAnchorTxAsync(ethAnchorTx, { state: 'confirmed', calBlockId: parseInt(block.id, 10) })
+      debug.ethConfirm(`processEthMonInterval : ${ethAnchorTx.ethTxId} : confirmed in eth-c block ${block.id}`)
+    } catch (error) {
+      console.error(`scheduleJob : processEthMonInterval : ${ethAnchorTx.ethTxId} : ${error.message}`)
+    }
+  }
+}
+
+// Publishes the root of a failed or unmined ETH anchor transaction in a new transaction,
+// which replaces it in the ledger. The root remains in its state, and is sent again next
+// run, until a new transaction is sent.
+async function resendEthAnchorTxAsync (ethAnchorTx) {
+  let ethTxId = await sendETHAnchorTxAsync(ethAnchorTx.anchorEthAggRoot)
+  if (ethTxId === null) throw new Error(`root ${ethAnchorTx.anchorEthAggRoot} failed to be anchored, will retry`)
+  await updateEthAnchorTxAsync(ethAnchorTx, { state: 'tx_sent', ethTxId: ethTxId, txSentAt: Date.now(), attempts: parseInt(ethAnchorTx.attempts, 10) + 1 })
+  debug.ethAnchor(`resendEthAnchorTxAsync : root ${ethAnchorTx.anchorEthAggRoot} : monitoring ETH tx ${ethTxId}`)
+}
+
+// Updates an ETH anchor tx ledger row, only if it is still in the state it was read in
+async function updateEthAnchorTxAsync (ethAnchorTx, values) {
+  let [updatedCount] = await EthAnchorTx.update(values, { where: { anchorEthAggId: ethAnchorTx.anchorEthAggId, state: ethAnchorTx.state } })
+  if (updatedCount !== 1) throw new Error(`ETH anchor ${ethAnchorTx.anchorEthAggId} is no longer ${ethAnchorTx.state}`)
+  Object.assign(ethAnchorTx, values)
+}
+
 async function processBtcMonMessage (msg) {
   debug.btcConfirm(`consumeBtcMonMessageAsync : processBtcMonMessage : begin`)
   try {
@@ -785,63 +1333,186 @@ async function processRewardMessage (msg) {
   let rewardMsgObj = JSON.parse(msg.content.toString())
   debug.reward('consumeRewardMessageAsync : processRewardMessage : rewardMsgObj : %j', rewardMsgObj)
 
+  // rewards are paid from the payout ledger, so the message is only needed until the reward is recorded there
   try {
-    // transfer TNT according to random reward message selection
-    let nodeRewardTxId = ''
-    let coreRewardTxId = ''
-    let nodeRewardETHAddr = rewardMsgObj.node.address
-    let nodeTNTGrainsRewardShare = rewardMsgObj.node.amount
-    let coreRewardEthAddr = rewardMsgObj.core ? rewardMsgObj.core.address : null
-    let coreTNTGrainsRewardShare = rewardMsgObj.core ? rewardMsgObj.core.amount : 0
-
-    // check to be sure a sufficient TNT balance exists to pay out rewards,
-    // log an error if the TNT balance is too low.
+    await recordRewardPayoutAsync(rewardMsgObj)
+    amqpChannel.ack(msg)
+    debug.reward(`consumeRewardMessageAsync : processRewardMessage : acked message w/ address : ${rewardMsgObj.node.address}`)
+  } catch (error) {
+    amqpChannel.nack(msg)
+    console.error(`consumeRewardMessageAsync : processRewardMessage : unable to record reward payout for address : ${rewardMsgObj.node.address} : ${error.message}`)
+    return
+  }
+
+  if (IS_LEADER) runScheduledJob('reward-payout', processRewardPayoutInterval)
+}
+
+// Adds the reward to the payout ledger, unless it was recorded there by the reward service
+async function recordRewardPayoutAsync (rewardMsgObj) {
+  if (rewardMsgObj.reward_id) {
+    let rewardPayout = await RewardPayout.findOne({ where: { rewardId: rewardMsgObj.reward_id }, attributes: ['rewardId'] })
+    if (rewardPayout) return
+  }
+  let newRewardPayout = {
+    nodeAddr: rewardMsgObj.node.address,
+    nodeAmount: rewardMsgObj.node.amount,
+    coreAddr: rewardMsgObj.core ? rewardMsgObj.core.address : null,
+    coreAmount: rewardMsgObj.core ? rewardMsgObj.core.amount : 0,
+    draw: rewardMsgObj.draw ? JSON.stringify(rewardMsgObj.draw) : null
+  }
+  if (rewardMsgObj.reward_id) newRewardPayout.rewardId = rewardMsgObj.reward_id
+  await RewardPayout.create(newRewardPayout)
+}
+
+// The hours a sent reward transfer may remain unconfirmed before the reward is held,
+// a transaction dropped from the mempool is never mined and would otherwise wait forever
+const REWARD_TX_CONFIRM_TIMEOUT_HOURS = 6
+
+// The minutes a run may take to send a claimed reward transfer, well beyond the 30 second
+// request timeout, after which a transfer still pending was interrupted and its outcome is unknown
+const REWARD_TRANSFER_CLAIM_LEASE_MINUTES = 5
+
+// Set while the reward wallet can not fund the waiting payouts, so that the shortfall is alerted once
+let rewardWalletUnderfunded = false
+
+async function processRewardPayoutInterval () {
+  let rewardPayouts
+  try {
+    rewardPayouts = await RewardPayout.findAll({ where: { state: { [Op.in]: ['selected', 'tx_sent', 'tx_confirmed'] } }, order: [['created_at', 'ASC']], raw: true })
+  } catch (error) {
+    console.error(`scheduleJob : processRewardPayoutInterval : unable to read reward payouts : ${error.message}`)
+    throw error
+  }
+
+  for (let rewardPayout of rewardPayouts) {
     try {
-      let requiredMinimumBalance = nodeTNTGrainsRewardShare + coreTNTGrainsRewardShare
-      let currentBalance = await getTNTGrainsBalanceForWalletAsync()
-      if (currentBalance >= requiredMinimumBalance) {
-        debug.reward(`consumeRewardMessageAsync : processRewardMessage : Minimum balance for wallet OK, needed ${requiredMinimumBalance} of ${currentBalance} grains`)
+      await processRewardPayoutAsync(rewardPayout)
+    } catch (error) {
+      if (error.insufficientBalance) {
+        if (!rewardWalletUnderfunded) console.error(`ALERT : reward wallet underfunded : ${error.message}`)
+        rewardWalletUnderfunded = true
       } else {
-        console.error(`consumeRewardMessageAsync : processRewardMessage : Insufficient balance for wallet, needed ${requiredMinimumBalance} of ${currentBalance} grains`)
+        console.error(`scheduleJob : processRewardPayoutInterval : ${rewardPayout.rewardId} : ${error.message}`)
+      }
+      try {
+        await updateRewardPayoutAsync(rewardPayout, { lastError: error.message.slice(0, 255) })
+      } catch (error) {
+        console.error(`scheduleJob : processRewardPayoutInterval : ${rewardPayout.rewardId} : unable to record error : ${error.message}`)
       }
-    } catch (error) {
-      console.error(`consumeRewardMessageAsync : processRewardMessage : Could not verify minimum balance for wallet : ${error.message}`)
     }
+  }
+}
 
-    debug.reward('consumeRewardMessageAsync : processRewardMessage : nodeRewardETHAddr : %s : nodeTNTGrainsRewardShare : %s', nodeRewardETHAddr, nodeTNTGrainsRewardShare)
-    nodeRewardTxId = await sendTNTRewardAsync(nodeRewardETHAddr, nodeTNTGrainsRewardShare)
+// Moves a reward through the payout states, resuming from the state recorded in the ledger.
+// Each transfer is recorded in the ledger as it is sent, so a retry never sends it again.
+async function processRewardPayoutAsync (rewardPayout) {
+  if (rewardPayout.state === 'selected') {
+    if (rewardPayout.transferPending) {
+      // another run is sending the transfer, until the claim lease expires
+      let claimAgeMinutes = (Date.now() - parseInt(rewardPayout.transferClaimedAt, 10)) / (60 * 1000)
+      if (claimAgeMinutes < REWARD_TRANSFER_CLAIM_LEASE_MINUTES) return
+      // the run was interrupted while sending the transfer, which may have been sent
+      let heldReason = `transfer interrupted ${Math.floor(claimAgeMinutes)} minutes ago, the outcome of the transfer is unknown`
+      await holdRewardPayoutAsync(rewardPayout, heldReason)
+      throw new Error(`${heldReason}, reward held until the wallet transactions are checked`)
+    }
 
-    // Reward TNT to Core operator if enabled
-    if (coreTNTGrainsRewardShare > 0) {
-      debug.reward('consumeRewardMessageAsync : processRewardMessage : coreRewardEthAddr : %s : coreTNTGrainsRewardShare : %s', coreRewardEthAddr, coreTNTGrainsRewardShare)
-      coreRewardTxId = await sendTNTRewardAsync(coreRewardEthAddr, coreTNTGrainsRewardShare)
+    let transfers = [{ address: rewardPayout.nodeAddr, amount: parseInt(rewardPayout.nodeAmount, 10), txIdField: 'nodeTxId' }]
+    if (parseInt(rewardPayout.coreAmount, 10) > 0) transfers.push({ address: rewardPayout.coreAddr, amount: parseInt(rewardPayout.coreAmount, 10), txIdField: 'coreTxId' })
+    transfers = transfers.filter((transfer) => !rewardPayout[transfer.txIdField])
+
+    let requiredBalance = transfers.reduce((total, transfer) => total + transfer.amount, 0)
+    if (requiredBalance > 0) {
+      let currentBalance = await getTNTGrainsBalanceForWalletAsync()
+      if (currentBalance < requiredBalance) {
+        let balanceError = new Error(`Insufficient balance for wallet, needed ${requiredBalance} of ${currentBalance} grains, reward will be paid once funded`)
+        balanceError.insufficientBalance = true
+        throw balanceError
+      }
+      if (rewardWalletUnderfunded) console.log(`reward wallet funded with ${currentBalance} grains, resuming reward payouts`)
+      rewardWalletUnderfunded = false
     }
 
-    // Construct the reward block data
-    let dataId = nodeRewardTxId
-    let dataVal = [rewardMsgObj.node.address, rewardMsgObj.node.amount].join(':')
+    for (let transfer of transfers) {
+      // claim the transfer, so that a concurrent run does not also send it
+      let claimed = await updateRewardPayoutAsync(rewardPayout, { transferPending: true, transferClaimedAt: Date.now(), attempts: parseInt(rewardPayout.attempts, 10) + 1 }, { transferPending: false })
+      if (!claimed) return
 
-    if (rewardMsgObj.core) {
-      dataId = [dataId, coreRewardTxId].join(':')
-      dataVal = [dataVal, rewardMsgObj.core.address, rewardMsgObj.core.amount].join(':')
+      let rewardTxId
+      try {
+        rewardTxId = await sendTNTRewardAsync(transfer.address, transfer.amount)
+      } catch (error) {
+        if (error.outcomeUnknown) {
+          await holdRewardPayoutAsync(rewardPayout, `${error.message} : outcome unknown`)
+          throw new Error(`${error.message} : outcome unknown, reward held until the wallet transactions are checked`)
+        }
+        await updateRewardPayoutAsync(rewardPayout, { transferPending: false })
+        throw error
+      }
+      await updateRewardPayoutAsync(rewardPayout, { [transfer.txIdField]: rewardTxId, transferPending: false, lastError: null })
     }
+    await updateRewardPayoutAsync(rewardPayout, { state: 'tx_sent', txSentAt: Date.now() })
+  }
 
-    try {
-      if (dataId === null) throw new Error('TNT reward failed to send, nodeRewardTxId is null')
-      await createRewardBlockAsync(dataId, dataVal)
+  if (rewardPayout.state === 'tx_sent') {
+    for (let txIdField of ['nodeTxId', 'coreTxId']) {
+      if (!rewardPayout[txIdField]) continue
+      let txStatus = await getTNTRewardTxStatusAsync(rewardPayout[txIdField])
+      if (txStatus.failed) {
+        // no TNT was transferred, so the transfer may safely be sent again
+        await updateRewardPayoutAsync(rewardPayout, { state: 'selected', [txIdField]: null })
+        throw new Error(`transaction ${txStatus.trx_id} failed, the transfer will be sent again`)
+      }
+      if (txStatus.confirmations < env.MIN_ETH_CONFIRMS) {
+        let txAgeHours = (Date.now() - parseInt(rewardPayout.txSentAt, 10)) / (60 * 60 * 1000)
+        if (txAgeHours >= REWARD_TX_CONFIRM_TIMEOUT_HOURS) {
+          await holdRewardPayoutAsync(rewardPayout, `transaction ${txStatus.trx_id} not confirmed within ${REWARD_TX_CONFIRM_TIMEOUT_HOURS} hours`)
+          throw new Error(`transaction ${txStatus.trx_id} not confirmed within ${REWARD_TX_CONFIRM_TIMEOUT_HOURS} hours, reward held until the wallet transactions are checked`)
+        }
+        return
+      }
+    }
+    await updateRewardPayoutAsync(rewardPayout, { state: 'tx_confirmed' })
+  }
 
-      amqpChannel.ack(msg)
-      debug.reward(`consumeRewardMessageAsync : processRewardMessage : acked message w/ address : ${rewardMsgObj.node.address}`)
-    } catch (error) {
-      // ack consumption of original message to avoid distribution again
-      amqpChannel.ack(msg)
-      throw new Error(`createRewardBlockAsync : unable to create reward block for address : ${rewardMsgObj.node.address} : ${error.message}`)
+  if (rewardPayout.state === 'tx_confirmed') {
+    // Construct the reward block data
+    let dataId = rewardPayout.nodeTxId
+    let dataVal = [rewardPayout.nodeAddr, rewardPayout.nodeAmount].join(':')
+    if (rewardPayout.coreTxId) {
+      dataId = [dataId, rewardPayout.coreTxId].join(':')
+      dataVal = [dataVal, rewardPayout.coreAddr, rewardPayout.coreAmount].join(':')
     }
-  } catch (error) {
-    console.error(`consumeRewardMessageAsync : processRewardMessage : ${error.message}`)
+
+    // Record the draw that selected the Node, so that the selection can be verified
+    if (rewardPayout.draw) {
+      let draw = JSON.parse(rewardPayout.draw)
+      dataVal = [dataVal, draw.seed, draw.nist, draw.candidates_hash, draw.winner_index].join(':')
+    }
+
+    // the block may have been written by a run that failed before updating the ledger
+    let block = await CalendarBlock.findOne({ where: { type: 'reward', dataId: dataId }, attributes: ['id'] })
+    if (!block) block = await createRewardBlockAsync(dataId, dataVal)
+    await updateRewardPayoutAsync(rewardPayout, { state: 'block_written', calBlockId: parseInt(block.id, 10), lastError: null })
+    debug.reward(`processRewardPayoutAsync : ${rewardPayout.rewardId} : reward block ${block.id} written for address : ${rewardPayout.nodeAddr}`)
   }
 }
 
+// Holds a reward whose transfers need to be checked by hand, alerting that it was held
+async function holdRewardPayoutAsync (rewardPayout, reason) {
+  let held = await updateRewardPayoutAsync(rewardPayout, { state: 'held' })
+  if (held) console.error(`ALERT : reward payout held : ${rewardPayout.rewardId} : ${reason}`)
+}
+
+// Updates the reward payout in the ledger and in place, if it is still in the state read
+// and matches any further conditions. Returns false if another run has changed it first.
+async function updateRewardPayoutAsync (rewardPayout, values, conditions = {}) {
+  let [updatedCount] = await RewardPayout.update(values, { where: Object.assign({ rewardId: rewardPayout.rewardId, state: rewardPayout.state }, conditions) })
+  if (updatedCount === 0) return false
+  Object.assign(rewardPayout, values)
+  return true
+}
+
 async function getTNTGrainsBalanceForWalletAsync () {
   let options = {
     headers: [
@@ -885,8 +1556,9 @@ function initNISTSockets () {
   requestSocket.connect(env.NIST_REQ_ZEROMQ_SOCKET_URI)
   subscribeSocket.connect(env.NIST_SUB_ZEROMQ_SOCKET_URI)
 
-  requestSocket.on(`message`, function (msg) {
-    debug.general(`Received initial NIST value : ${msg}`)
+  // the beacon type follows the value, and is absent from older beacon services
+  requestSocket.on(`message`, function (msg, type) {
+    debug.general(`Received initial NIST value : ${type} : ${msg}`)
     nistLatest = String(msg || '')
   })
 
@@ -895,8 +1567,8 @@ function initNISTSockets () {
 
   subscribeSocket.subscribe(`nist`)
 
-  subscribeSocket.on(`message`, function (topic, msg) {
-    debug.general(`Received new NIST value : ${msg}`)
+  subscribeSocket.on(`message`, function (topic, msg, type) {
+    debug.general(`Received new NIST value : ${type} : ${msg}`)
     nistLatest = String(msg || '')
   })
 }
@@ -912,12 +1584,23 @@ async function openStorageConnectionAsync () {
     btcTxState,
     btcHeadState,
     calendarBlock,
-    coreNetworkState
+    coreNetworkState,
+    anchorEthAggState,
+    ethTxState,
+    signingKey,
+    beaconPulse,
+    rewardPayout,
+    ethAnchorTx,
+    orphanedCalBlock
   ]
   let cxObjects = await connections.openStorageConnectionAsync(sqlzModelArray, debug)
   pgClientPool = cxObjects.pgClientPool
-  cachedProofState.setDatabase(cxObjects.sequelize, cxObjects.models[0], cxObjects.models[1], cxObjects.models[2], cxObjects.models[3], cxObjects.models[4])
+  cachedProofState.setDatabase(cxObjects.sequelize, cxObjects.models[0], cxObjects.models[1], cxObjects.models[2], cxObjects.models[3], cxObjects.models[4], cxObjects.models[7], cxObjects.models[8])
   CalendarBlock = cxObjects.models[5]
+  BeaconPulse = cxObjects.models[10]
+  RewardPayout = cxObjects.models[11]
+  EthAnchorTx = cxObjects.models[12]
+  OrphanedCalBlock = cxObjects.models[13]
 
   // Pre-check the current Calendar block count.
   // Trigger creation of the genesis block if needed
@@ -933,6 +1616,13 @@ async function openStorageConnectionAsync () {
     throw new Error(`openStorageConnectionAsync : unable to count calendar blocks: ${error.message}`)
   }
 
+  // Record the signing key history if this calendar does not have one yet
+  try {
+    await retry(async bail => { await initSigningKeyHistoryAsync() }, { retries: 5, minTimeout: 100 })
+  } catch (error) {
+    throw new Error(`openStorageConnectionAsync : unable to initialize signing key history : ${error.message}`)
+  }
+
   debug.general('openStorageConnectionAsync : end')
 }
 
@@ -945,8 +1635,10 @@ function openRedisConnection (redisURIs) {
   connections.openRedisConnection(redisURIs,
     (newRedis) => {
       cachedProofState.setRedis(newRedis)
+      calendarBlockFeed.setRedis(newRedis)
     }, () => {
       cachedProofState.setRedis(null)
+      calendarBlockFeed.setRedis(null)
       setTimeout(() => { openRedisConnection(redisURIs) }, 5000)
     }, debug)
 }
@@ -982,6 +1674,41 @@ async function performLeaderElection () {
 
 // SCHEDULED ACTIONS
 // ////////////////////////////////////////////
+
+// Returns the cron expression for a scheduled job. In dev mode, a job's default
+// schedule is replaced by the expression configured in the cronEnvName variable.
+function getCronSchedule (cronEnvName, defaultCronSchedule) {
+  if (env.CALENDAR_DEV_MODE === 'enabled' && env[cronEnvName] !== '') return env[cronEnvName]
+  return defaultCronSchedule
+}
+
+// node-schedule returns null rather than throwing for an invalid cron expression,
+// which would leave the job silently unscheduled
+function scheduleJob (cronSchedule, jobFunction) {
+  let job = schedule.scheduleJob(cronSchedule, jobFunction)
+  if (job === null) throw new Error(`invalid cron expression '${cronSchedule}'`)
+  return job
+}
+
+// Runs a job unless a run of the same job, scheduled or triggered through
+// the admin endpoints, is still in progress. Returns false if not run.
+async function runJobAsync (jobName, jobFunction) {
+  if (JOBS_IN_PROGRESS.has(jobName)) return false
+  JOBS_IN_PROGRESS.add(jobName)
+  try {
+    await jobFunction()
+  } finally {
+    JOBS_IN_PROGRESS.delete(jobName)
+  }
+  return true
+}
+
+// Runs a job without waiting for it, as a scheduled run does. A failed job has logged
+// its error, and is retried at its next scheduled run.
+function runScheduledJob (jobName, jobFunction) {
+  runJobAsync(jobName, jobFunction).catch(() => {})
+}
+
 async function scheduleActionsAsync () {
   // Cron like scheduler. Params are:
   // sec min hour day_of_month month day_of_week
@@ -998,11 +1725,11 @@ async function scheduleActionsAsync () {
     return interval
   })
 
-  let cronScheduleCalendarAnchor = `${calRandomInterval.join(',')} * * * * *`
+  let cronScheduleCalendarAnchor = getCronSchedule('CALENDAR_CRON', `${calRandomInterval.join(',')} * * * * *`)
   debug.calendar(`scheduleJob : calendar : cronScheduleCalendarAnchor : %s`, cronScheduleCalendarAnchor)
-  schedule.scheduleJob(cronScheduleCalendarAnchor, async () => {
+  scheduleJob(cronScheduleCalendarAnchor, async () => {
     if (IS_LEADER) {
-      processCalendarInterval()
+      runScheduledJob('calendar', processCalendarInterval)
     }
   })
 
@@ -1010,32 +1737,125 @@ async function scheduleActionsAsync () {
   // so as not to conflict with activity at the top and bottom
   // of the hour. Runs only in a single leader elected zone so
   // no de-confliction should be required.
-  schedule.scheduleJob('0 25,55 * * * *', async () => {
+  let cronScheduleNist = getCronSchedule('NIST_CRON', '0 25,55 * * * *')
+  debug.nist(`scheduleJob : NIST : cronScheduleNist : ${cronScheduleNist}`)
+  scheduleJob(cronScheduleNist, async () => {
     debug.nist(`scheduleJob : NIST : leader? : ${IS_LEADER}`)
 
     // Don't add a NIST block unless this Calendar is the zone leader
     // and there is NIST data available.
     if (IS_LEADER && !_.isEmpty(nistLatest)) {
-      processNistInterval()
+      runScheduledJob('nist', processNistInterval)
     }
   })
 
   // BTC anchor : run every 60 min
-  let cronScheduleBtcAnchor = `0 0 * * * *`
+  let cronScheduleBtcAnchor = getCronSchedule('BTC_ANCHOR_CRON', `0 0 * * * *`)
   debug.btcAnchor(`scheduleJob : BTC anchor : cronScheduleBtcAnchor : ${cronScheduleBtcAnchor}`)
-  schedule.scheduleJob(cronScheduleBtcAnchor, async () => {
+  scheduleJob(cronScheduleBtcAnchor, async () => {
     if (IS_LEADER && env.ANCHOR_BTC === 'enabled') {
       debug.btcAnchor(`scheduleJob : BTC anchor : ANCHOR_BTC enabled`)
       // Create a btc-a block
-      try {
-        processBtcAnchorInterval()
-      } catch (error) {
-        console.error(`scheduleJob : BTC anchor : ${error.message}`)
-      }
+      runScheduledJob('btc-anchor', processBtcAnchorInterval)
     } else {
       if (IS_LEADER) debug.btcAnchor(`scheduleJob : BTC anchor : ANCHOR_BTC disabled`)
     }
   })
+
+  // ETH anchor : run every 60 min at the 30 minute mark
+  // so as not to coincide with BTC anchoring
+  let cronScheduleEthAnchor = getCronSchedule('ETH_ANCHOR_CRON', `0 30 * * * *`)
+  debug.ethAnchor(`scheduleJob : ETH anchor : cronScheduleEthAnchor : ${cronScheduleEthAnchor}`)
+  scheduleJob(cronScheduleEthAnchor, async () => {
+    if (IS_LEADER && env.ANCHOR_ETH === 'enabled') {
+      debug.ethAnchor(`scheduleJob : ETH anchor : ANCHOR_ETH enabled`)
+      // Create an eth-a block
+      runScheduledJob('eth-anchor', processEthAnchorInterval)
+    } else {
+      if (IS_LEADER) debug.ethAnchor(`scheduleJob : ETH anchor : ANCHOR_ETH disabled`)
+    }
+  })
+
+  // Signing key rotation : check every minute while SIGNING_SECRET_KEY_NEXT is configured
+  if (nextSigningKeypair !== null) {
+    scheduleJob(getCronSchedule('SIGNING_KEY_ROTATION_CRON', '45 * * * * *'), async () => {
+      if (IS_LEADER) processSigningKeyRotationInterval()
+    })
+  }
+
+  // ETH confirm : check pending ETH anchor transactions every minute
+  scheduleJob(getCronSchedule('ETH_MON_CRON', '30 * * * * *'), async () => {
+    if (IS_LEADER && env.ANCHOR_ETH === 'enabled') {
+      runScheduledJob('eth-mon', processEthMonInterval)
+    }
+  })
+
+  // Reward payout : advance unfinished reward payouts every minute
+  scheduleJob(getCronSchedule('REWARD_PAYOUT_CRON', '15 * * * * *'), async () => {
+    if (IS_LEADER) {
+      runScheduledJob('reward-payout', processRewardPayoutInterval)
+    }
+  })
+}
+
+// DEV MODE ADMIN ENDPOINTS
+// ////////////////////////////////////////////
+
+// The jobs that may be triggered through the admin endpoints, keyed by job name, each with a
+// function returning the reason the job can not currently run, or null if it can
+const ADMIN_JOBS = {
+  'calendar': {
+    run: processCalendarInterval,
+    getUnavailableReason: () => null
+  },
+  'btc-anchor': {
+    run: processBtcAnchorInterval,
+    getUnavailableReason: () => env.ANCHOR_BTC === 'enabled' ? null : 'BTC anchoring is disabled'
+  },
+  'nist': {
+    run: processNistInterval,
+    getUnavailableReason: () => _.isEmpty(nistLatest) ? 'no NIST data is available' : null
+  },
+  'reward-payout': {
+    run: processRewardPayoutInterval,
+    getUnavailableReason: () => null
+  }
+}
+
+/**
+ * POST /admin/jobs/:job handler
+ *
+ * Runs the named job immediately, rather than waiting for its next scheduled run,
+ * and responds once it has completed, or with a 500 error if it failed. Only the leader runs jobs.
+ */
+async function postAdminJobV1Async (req, res, next) {
+  let jobName = req.params.job
+  let job = ADMIN_JOBS[jobName]
+  if (!job) return next(new restify.NotFoundError(`unknown job: ${jobName}`))
+  if (!IS_LEADER) return next(new restify.ServiceUnavailableError('this calendar instance is not the leader'))
+  let unavailableReason = job.getUnavailableReason()
+  if (unavailableReason) return next(new restify.ConflictError(`job ${jobName} can not run, ${unavailableReason}`))
+
+  let startedAt = new Date()
+  debug.general(`postAdminJobV1Async : ${jobName} : triggered`)
+  try {
+    if (!await runJobAsync(jobName, job.run)) return next(new restify.ConflictError(`job ${jobName} is already running`))
+  } catch (error) {
+    return next(new restify.InternalServerError(`job ${jobName} failed : ${error.message}`))
+  }
+
+  res.send({
+    job: jobName,
+    started_at: utils.formatDateISO8601NoMs(startedAt),
+    completed_at: utils.formatDateISO8601NoMs(new Date())
+  })
+  return next()
+}
+
+async function startAdminServerAsync () {
+  let server = restify.createServer({ name: 'calendar-admin' })
+  server.post({ path: '/admin/jobs/:job', version: '1.0.0' }, postAdminJobV1Async)
+  await connections.listenRestifyAsync(server, env.CALENDAR_ADMIN_PORT, debug)
 }
 
 // process all steps need to start the application
@@ -1060,6 +1880,10 @@ async function start () {
     await openRMQConnectionAsync(env.RABBITMQ_CONNECT_URI)
     debug.general('start : init scheduled actions')
     await scheduleActionsAsync()
+    if (env.CALENDAR_DEV_MODE === 'enabled') {
+      console.log('start : CALENDAR_DEV_MODE enabled : job schedule overrides and admin endpoints are active')
+      await startAdminServerAsync()
+    }
     debug.general('start : complete')
   } catch (error) {
     console.error(`start : An error has occurred on startup: ${error.message}`)
@@ -0,0 +1,89 @@
+/* global describe, it */
+
+process.env.NODE_ENV = 'test'
+
+// test related packages
+var expect = require('chai').expect
+
+var nistBlocks = require('../lib/calendar/nistBlocks.js')
+
+const MINUTE_MS = 60 * 1000
+const LAST_PULSE_TIME = 1530000000000
+
+// returns pulses for each of the given minute offsets from LAST_PULSE_TIME, with
+// pulseTime as a string as returned by a raw query on an INT8 column
+function pulsesAt (minutes) {
+  return minutes.map((minute) => ({ pulseTime: (LAST_PULSE_TIME + minute * MINUTE_MS).toString() }))
+}
+
+function selectedMinutes (pulses) {
+  return nistBlocks.selectNistBlockPulses(pulses, LAST_PULSE_TIME).map((pulse) => (parseInt(pulse.pulseTime, 10) - LAST_PULSE_TIME) / MINUTE_MS)
+}
+
+describe('Select NIST Block Pulses', () => {
+  it('should select nothing with no pulses', (done) => {
+    expect(nistBlocks.selectNistBlockPulses([], LAST_PULSE_TIME)).to.deep.equal([])
+    done()
+  })
+
+  it('should select only the latest pulse when one interval has passed', (done) => {
+    expect(selectedMinutes(pulsesAt([1, 2, 3, 29, 30]))).to.deep.equal([30])
+    done()
+  })
+
+  it('should select only the latest pulse when the latest pulse is a little more than one interval later', (done) => {
+    expect(selectedMinutes(pulsesAt([1, 2, 30, 31]))).to.deep.equal([31])
+    expect(selectedMinutes(pulsesAt([10, 20, 34]))).to.deep.equal([34])
+    done()
+  })
+
+  it('should select only the latest pulse on each run in dev mode', (done) => {
+    expect(selectedMinutes(pulsesAt([1]))).to.deep.equal([1])
+    done()
+  })
+
+  it('should select a catch-up pulse for an interval missed in an outage', (done) => {
+    let minutes = []
+    for (let minute = 1; minute <= 60; minute++) minutes.push(minute)
+    expect(selectedMinutes(pulsesAt(minutes))).to.deep.equal([30, 60])
+    done()
+  })
+
+  it('should select a catch-up pulse for each of several missed intervals', (done) => {
+    expect(selectedMinutes(pulsesAt([15, 29, 45, 59, 75, 89, 121]))).to.deep.equal([29, 59, 89, 121])
+    done()
+  })
+
+  it('should continue from the next pulse after an interval without pulses', (done) => {
+    expect(selectedMinutes(pulsesAt([100, 130, 160]))).to.deep.equal([100, 130, 160])
+    expect(selectedMinutes(pulsesAt([100, 120]))).to.deep.equal([100, 120])
+    done()
+  })
+
+  it('should select no more than 48 pulses in one run', (done) => {
+    let minutes = []
+    for (let minute = 30; minute <= 60 * 30; minute += 30) minutes.push(minute)
+    let selected = selectedMinutes(pulsesAt(minutes))
+    expect(selected.length).to.equal(48)
+    expect(selected[0]).to.equal(30)
+    expect(selected[47]).to.equal(48 * 30)
+    done()
+  })
+})
+
+describe('Get NIST Block Pulse Time', () => {
+  it('should convert a timestamp in seconds to milliseconds', (done) => {
+    expect(nistBlocks.getNistBlockPulseTime('1530000000')).to.equal(1530000000000)
+    done()
+  })
+
+  it('should return a timestamp in milliseconds unchanged', (done) => {
+    expect(nistBlocks.getNistBlockPulseTime('1530000000000')).to.equal(1530000000000)
+    done()
+  })
+
+  it('should read the timestamp of a data_id prefixed with a beacon type', (done) => {
+    expect(nistBlocks.getNistBlockPulseTime('drand:1530000000000')).to.equal(1530000000000)
+    done()
+  })
+})
@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+// A calendar blockchain integrity verifier.
+//
+// Usage: ./verify-chain.js [--from <height>] [--to <height>] [--pubkey <base64 pubkey>]...
+//
+// Walks the calendar blocks from height --from (default 0) to height --to
+// (default the current chain tip) and, for each block, checks that:
+//
+//   - no block heights are missing from the range (gaps)
+//   - prev_hash matches the hash of the block at the previous height (forks)
+//   - the stored hash matches the recomputed block hash
+//   - the sig is a valid signature over the hash by the key identified by
+//     its pubkey hash prefix
+//   - key blocks announce a well formed key, and every block following a
+//     key block is signed by the key it announced
+//
+// The public key for the SIGNING_SECRET_KEY in this environment, every key in
+// the signing key history table, and every key announced by a validly signed
+// key block are trusted. Any other keys used to sign older blocks must be passed
+// with --pubkey, which may be repeated. Blocks signed by any other key are
+// reported as failures.
+//
+// Each failure is printed as it is found and the process exits with a
+// non-zero status if any failure was found. Run this after restoring
+// CockroachDB from a backup and before rotating signing keys.
+
+const env = require('./lib/parse-env.js')('cal')
+
+const calendarBlock = require('./lib/models/CalendarBlock.js')
+const signingKey = require('./lib/models/SigningKey.js')
+const connections = require('./lib/connections.js')
+const blocks = require('./lib/calendar/blocks.js')
+
+const nacl = require('tweetnacl')
+nacl.util = require('tweetnacl-util')
+
+// The number of blocks read from the database at a time
+const BLOCK_BATCH_SIZE = 1000
+
+const zeroStr = '0000000000000000000000000000000000000000000000000000000000000000'
+
+function printUsageAndExit () {
+  console.error('Usage : ./verify-chain.js [--from <height>] [--to <height>] [--pubkey <base64 pubkey>]...')
+  process.exit(2)
+}
+
+function parseArgs (args) {
+  let options = { from: 0, to: null, pubKeys: [] }
+
+  for (let x = 0; x < args.length; x += 2) {
+    let value = args[x + 1]
+    if (value === undefined) printUsageAndExit()
+    switch (args[x]) {
+      case '--from':
+      case '--to':
+        if (!/^\d+$/.test(value)) printUsageAndExit()
+        options[args[x].slice(2)] = parseInt(value, 10)
+        break
+      case '--pubkey': {
+        let pubKey
+        try {
+          pubKey = nacl.util.decodeBase64(value)
+        } catch (error) {
+          printUsageAndExit()
+        }
+        if (pubKey.length !== nacl.sign.publicKeyLength) printUsageAndExit()
+        options.pubKeys.push(pubKey)
+        break
+      }
+      default:
+        printUsageAndExit()
+    }
+  }
+
+  if (options.to !== null && options.to < options.from) printUsageAndExit()
+
+  return options
+}
+
+async function verifyChainAsync (CalendarBlock, Op, from, to, pubKeys) {
+  let failures = []
+  let reportFailure = (height, type, message) => {
+    failures.push({ height: height, type: type, message: message })
+    console.log(`FAIL : ${type} : block ${height} : ${message}`)
+  }
+
+  // the hash of the block before the range is needed to check the linkage of the first block
+  let prevBlock = null
+  if (from > 0) {
+    prevBlock = await CalendarBlock.findOne({ where: { id: from - 1 }, attributes: ['id', 'hash'], raw: true })
+    if (!prevBlock) reportFailure(from - 1, 'gap', 'block preceding range not found')
+  }
+
+  let expectedHeight = from
+  let blockCount = 0
+  // the pubkey hash prefix announced by the most recent key block in the range
+  let announcedKeyPrefix = null
+
+  while (to === null || expectedHeight <= to) {
+    let where = { id: { [Op.gte]: expectedHeight } }
+    if (to !== null) where.id[Op.lte] = to
+    let blockBatch = await CalendarBlock.findAll({ where: where, order: [['id', 'ASC']], limit: BLOCK_BATCH_SIZE, raw: true })
+    if (blockBatch.length === 0) break
+
+    for (let block of blockBatch) {
+      let height = parseInt(block.id, 10)
+
+      if (height !== expectedHeight) {
+        reportFailure(expectedHeight, 'gap', `blocks ${expectedHeight} to ${height - 1} not found`)
+        // the block following a gap can not be linked to its predecessor
+        prevBlock = null
+      }
+
+      if (height === 0) {
+        if (block.prevHash !== zeroStr) reportFailure(height, 'fork', 'genesis block prev_hash is not zero')
+      } else if (prevBlock !== null && block.prevHash !== prevBlock.hash) {
+        reportFailure(height, 'fork', `prev_hash ${block.prevHash} does not match hash ${prevBlock.hash} of block ${height - 1}`)
+      }
+
+      let blockHashHex = blocks.calcBlockHashHex(block)
+      if (blockHashHex !== block.hash) {
+        reportFailure(height, 'hash', `stored hash ${block.hash} does not match calculated hash ${blockHashHex}`)
+      }
+
+      // signatures are made over the stored hash, verify them independently of the hash check
+      let sigResult = blocks.verifyBlockSig(block.hash, block.sig, pubKeys)
+      if (!sigResult.valid) reportFailure(height, 'sig', sigResult.reason)
+
+      let sigPubKeyHashPrefix = (block.sig || '').split(':')[0]
+      if (announcedKeyPrefix !== null && sigPubKeyHashPrefix !== announcedKeyPrefix) {
+        reportFailure(height, 'key', `signed by ${sigPubKeyHashPrefix} after key ${announcedKeyPrefix} was announced`)
+      }
+
+      if (block.type === 'key') {
+        let announcedPubKey = /^[a-f0-9]{64}$/i.test(block.dataVal) ? Uint8Array.from(Buffer.from(block.dataVal, 'hex')) : null
+        if (announcedPubKey === null || blocks.calcSigningPubKeyHashHex(announcedPubKey) !== block.dataId) {
+          reportFailure(height, 'key', 'announced pubkey does not match announced pubkey hash')
+          announcedKeyPrefix = null
+        } else {
+          // a key announced by a key block signed with a trusted key is itself trusted
+          if (sigResult.valid) Object.assign(pubKeys, blocks.buildPubKeyLookup([announcedPubKey]))
+          announcedKeyPrefix = blocks.calcSigningPubKeyHashPrefix(announcedPubKey)
+        }
+      }
+
+      prevBlock = block
+      expectedHeight = height + 1
+      blockCount++
+    }
+
+    console.log(`verified blocks through height ${expectedHeight - 1}`)
+  }
+
+  if (to !== null && expectedHeight <= to) {
+    reportFailure(expectedHeight, 'gap', `blocks ${expectedHeight} to ${to} not found`)
+  }
+
+  return { blockCount: blockCount, failures: failures }
+}
+
+async function start () {
+  let options = parseArgs(process.argv.slice(2))
+
+  // always trust the key this calendar currently signs with
+  let signingKeypair = nacl.sign.keyPair.fromSecretKey(nacl.util.decodeBase64(env.SIGNING_SECRET_KEY))
+
+  let cxObjects = await connections.openStorageConnectionAsync([calendarBlock, signingKey])
+  let CalendarBlock = cxObjects.models[0]
+  let SigningKey = cxObjects.models[1]
+
+  let historyPubKeys = (await SigningKey.findAll({ attributes: ['pubKey'], raw: true })).map((row) => nacl.util.decodeBase64(row.pubKey))
+  let pubKeys = blocks.buildPubKeyLookup([signingKeypair.publicKey].concat(historyPubKeys, options.pubKeys))
+  console.log(`trusted signing keys : ${Object.keys(pubKeys).join(', ')}`)
+
+  let result = await verifyChainAsync(CalendarBlock, cxObjects.sequelize.Op, options.from, options.to, pubKeys)
+
+  console.log(`blocks verified : ${result.blockCount}`)
+  console.log(`failures : ${result.failures.length}`)
+  for (let type of ['gap', 'fork', 'hash', 'sig', 'key']) {
+    console.log(`  ${type} : ${result.failures.filter((failure) => failure.type === type).length}`)
+  }
+
+  await cxObjects.sequelize.close()
+  await cxObjects.pgClientPool.end()
+
+  process.exit(result.failures.length > 0 ? 1 : 0)
+}
+
+start().catch((error) => {
+  console.error(`verify-chain : An error has occurred : ${error.message}`)
+  process.exit(2)
+})
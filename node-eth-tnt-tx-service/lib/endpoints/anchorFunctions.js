@@ -0,0 +1,136 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const env = require('../parse-env.js')('eth-tnt-tx')
+const restify = require('restify')
+const ethers = require('ethers')
+const retry = require('async-retry')
+
+// Anchor transactions are sent through the node at ETH_PROVIDER_URI, a local
+// ganache chain in development, rather than the TNT transaction fallback providers
+let network = env.USE_BTCETH_TESTNET ? ethers.providers.networks.ropsten : ethers.providers.networks.homestead
+if (env.ETH_ANCHOR_CHAIN_ID > 0) network = { name: 'anchor', chainId: env.ETH_ANCHOR_CHAIN_ID }
+
+const anchorProvider = new ethers.providers.JsonRpcProvider(env.ETH_PROVIDER_URI, network)
+// Anchor transactions use their own wallet, so that their nonces are never
+// taken concurrently by TNT transfers sent through other providers
+const anchorWallet = new ethers.Wallet(env.ETH_ANCHOR_WALLET_PK, anchorProvider)
+
+// The gas needed for a zero value transfer with a 32 byte data payload, with headroom
+const ANCHOR_TX_GAS_LIMIT = 30000
+
+// Anchor transactions are sent one at a time, so that each is assigned the next nonce of the anchor wallet
+let anchorSendQueue = Promise.resolve()
+
+function queueAnchorSendAsync (sendAsync) {
+  let sent = anchorSendQueue.then(sendAsync)
+  anchorSendQueue = sent.catch(() => {})
+  return sent
+}
+
+// validate roots are 32 byte hex values
+let isAnchorRoot = (root) => {
+  return /^[0-9a-f]{64}$/i.test(root)
+}
+
+// validate transaction ids are well formed
+let isEthereumTxId = (txId) => {
+  return /^0x[0-9a-f]{64}$/i.test(txId)
+}
+
+async function postAnchorV1Async (req, res, next) {
+  if (req.contentType() !== 'application/json') {
+    return next(new restify.InvalidArgumentError('invalid content type'))
+  }
+
+  // Verify root
+  if (!req.params.hasOwnProperty('anchor_eth_agg_root')) {
+    return next(new restify.InvalidArgumentError('invalid JSON body, missing anchor_eth_agg_root'))
+  }
+
+  if (!isAnchorRoot(req.params.anchor_eth_agg_root)) {
+    return next(new restify.InvalidArgumentError('invalid JSON body, malformed anchor_eth_agg_root'))
+  }
+
+  let anchorRoot = req.params.anchor_eth_agg_root.toLowerCase()
+
+  try {
+    // only the gas price read is retried, a send that appears to fail may still have been broadcast
+    let gasPrice = await retry(async bail => anchorProvider.getGasPrice(), {
+      retries: 10, // The maximum amount of times to retry the operation. Default is 10
+      factor: 1, // The exponential factor to use. Default is 2
+      minTimeout: 100, // The number of milliseconds before starting the first retry. Default is 1000
+      maxTimeout: 1000,
+      onRetry: (error) => { console.log(`Retrying gas price read for anchor of root ${anchorRoot} : Previous attempt did not succeed : ${error.message}`) }
+    })
+
+    // the root is published as the data of a zero value transaction to the wallet's own address
+    let tx = await queueAnchorSendAsync(() => anchorWallet.sendTransaction({
+      to: anchorWallet.address,
+      value: 0,
+      data: `0x${anchorRoot}`,
+      gasLimit: ANCHOR_TX_GAS_LIMIT,
+      gasPrice: gasPrice
+    }))
+
+    console.log(`Anchored root ${anchorRoot} : TX INFO : ${JSON.stringify(tx)}`)
+
+    res.send({
+      trx_id: tx.hash
+    })
+
+    return next()
+  } catch (error) {
+    console.error(`postAnchorV1Async failed : Unable to anchor root ${anchorRoot} : ${error.message}`)
+    return next(new restify.InternalServerError('server error on anchor'))
+  }
+}
+
+async function getAnchorByTxIdV1Async (req, res, next) {
+  if (!isEthereumTxId(req.params.tx_id)) {
+    return next(new restify.InvalidArgumentError('invalid request, malformed tx_id'))
+  }
+
+  let txId = req.params.tx_id.toLowerCase()
+
+  try {
+    // a null receipt indicates the transaction has not yet been mined
+    let receipt = await anchorProvider.getTransactionReceipt(txId)
+    let result = {
+      trx_id: txId,
+      block_number: null,
+      confirmations: 0,
+      failed: false
+    }
+    if (receipt && receipt.blockNumber !== null) {
+      let currentBlockNumber = await anchorProvider.getBlockNumber()
+      result.block_number = receipt.blockNumber
+      result.confirmations = currentBlockNumber - receipt.blockNumber + 1
+      result.failed = receipt.status === 0
+    }
+
+    res.send(result)
+    return next()
+  } catch (error) {
+    console.error(`getAnchorByTxIdV1Async failed : Unable to retrieve transaction ${txId} : ${error.message}`)
+    return next(new restify.InternalServerError('server error on anchor transaction check'))
+  }
+}
+
+module.exports = {
+  postAnchorV1Async: postAnchorV1Async,
+  getAnchorByTxIdV1Async: getAnchorByTxIdV1Async
+}
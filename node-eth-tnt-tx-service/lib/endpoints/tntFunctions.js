@@ -55,6 +55,11 @@ let isEthereumAddr = (address) => {
   return /^0x[0-9a-f]{40}$/i.test(address)
 }
 
+// validate transaction ids are well formed
+let isEthereumTxId = (txId) => {
+  return /^0x[0-9a-f]{64}$/i.test(txId)
+}
+
 async function updateETHGasPriceAsync () {
   // Price history is kept in a sorted set with the score set to the timestamp
   // On each add to this set, we prune element from the set older than 1 hour
@@ -189,9 +194,41 @@ async function postTransferV1Async (req, res, next) {
   }
 }
 
+async function getTransferByTxIdV1Async (req, res, next) {
+  if (!isEthereumTxId(req.params.tx_id)) {
+    return next(new restify.InvalidArgumentError('invalid request, malformed tx_id'))
+  }
+
+  let txId = req.params.tx_id.toLowerCase()
+
+  try {
+    // a null receipt indicates the transaction has not yet been mined
+    let receipt = await tntTransactionProvider.getTransactionReceipt(txId)
+    let result = {
+      trx_id: txId,
+      block_number: null,
+      confirmations: 0,
+      failed: false
+    }
+    if (receipt && receipt.blockNumber !== null) {
+      let currentBlockNumber = await tntTransactionProvider.getBlockNumber()
+      result.block_number = receipt.blockNumber
+      result.confirmations = currentBlockNumber - receipt.blockNumber + 1
+      result.failed = receipt.status === 0
+    }
+
+    res.send(result)
+    return next()
+  } catch (error) {
+    console.error(`getTransferByTxIdV1Async failed : Unable to retrieve transaction ${txId} : ${error.message}`)
+    return next(new restify.InternalServerError('server error on transfer transaction check'))
+  }
+}
+
 module.exports = {
   getBalanceByTNTAddrV1Async: getBalanceByTNTAddrV1Async,
   postTransferV1Async: postTransferV1Async,
+  getTransferByTxIdV1Async: getTransferByTxIdV1Async,
   updateETHGasPriceAsync: updateETHGasPriceAsync,
   setRedis: (r) => { redis = r }
 }
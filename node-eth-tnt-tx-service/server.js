@@ -20,6 +20,7 @@ const env = require('./lib/parse-env.js')('eth-tnt-tx')
 const restify = require('restify')
 const connections = require('./lib/connections.js')
 const tntFunctions = require('./lib/endpoints/tntFunctions.js')
+const anchorFunctions = require('./lib/endpoints/anchorFunctions.js')
 
 // RESTIFY SETUP
 // 'version' : all routes will default to this version
@@ -48,6 +49,12 @@ server.use(restify.bodyParser({
 server.get({ path: '/balance/:tnt_addr/', version: '1.0.0' }, tntFunctions.getBalanceByTNTAddrV1Async)
 // send TNT grains to an address
 server.post({ path: '/transfer/', version: '1.0.0' }, tntFunctions.postTransferV1Async)
+// get the confirmation status of a TNT transfer transaction
+server.get({ path: '/transfer/:tx_id/', version: '1.0.0' }, tntFunctions.getTransferByTxIdV1Async)
+// publish an ETH anchor aggregation root in a transaction
+server.post({ path: '/anchor/', version: '1.0.0' }, anchorFunctions.postAnchorV1Async)
+// get the confirmation status of an ETH anchor transaction
+server.get({ path: '/anchor/:tx_id/', version: '1.0.0' }, anchorFunctions.getAnchorByTxIdV1Async)
 
 /**
  * Opens a Redis connection
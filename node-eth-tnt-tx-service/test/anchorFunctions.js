@@ -0,0 +1,118 @@
+/* global describe, it, before */
+
+// These tests publish anchor transactions to the ganache chain at ETH_PROVIDER_URI,
+// from a new wallet funded by the first ganache account
+process.env.NODE_ENV = 'test'
+process.env.ETH_ETHERSCAN_API_KEY = 'test'
+process.env.ETH_INFURA_API_KEY = 'test'
+process.env.ETH_JSON_RPC_URI = 'http://127.0.0.1:8545'
+
+// test related packages
+var expect = require('chai').expect
+var ethers = require('ethers')
+
+var anchorWallet = ethers.Wallet.createRandom()
+process.env.ETH_TNT_SOURCE_WALLET_PK = ethers.Wallet.createRandom().privateKey
+process.env.ETH_ANCHOR_WALLET_PK = anchorWallet.privateKey
+
+var env = require('../lib/parse-env.js')('eth-tnt-tx')
+var anchorFunctions = require('../lib/endpoints/anchorFunctions.js')
+
+var provider = new ethers.providers.JsonRpcProvider(env.ETH_PROVIDER_URI)
+
+// calls a restify handler, resolving with { error, body } once it calls next()
+function callHandlerAsync (handler, params, contentType = 'application/json') {
+  return new Promise((resolve) => {
+    let result = {}
+    let req = { params: params, contentType: () => contentType }
+    let res = { send: (body) => { result.body = body } }
+    handler(req, res, (error) => {
+      result.error = error
+      resolve(result)
+    })
+  })
+}
+
+describe('Anchor Functions', function () {
+  this.timeout(30000)
+
+  before(async () => {
+    let funder = provider.getSigner(0)
+    let fundingTx = await funder.sendTransaction({ to: anchorWallet.address, value: ethers.utils.parseEther('1.0') })
+    await provider.waitForTransaction(fundingTx.hash || fundingTx)
+  })
+
+  describe('POST /anchor', () => {
+    it('should return error with invalid content type', async () => {
+      let result = await callHandlerAsync(anchorFunctions.postAnchorV1Async, {}, 'text/plain')
+      expect(result.error).to.have.property('statusCode').and.to.equal(409)
+      expect(result.error.message).to.equal('invalid content type')
+    })
+
+    it('should return error with a missing root', async () => {
+      let result = await callHandlerAsync(anchorFunctions.postAnchorV1Async, {})
+      expect(result.error).to.have.property('statusCode').and.to.equal(409)
+      expect(result.error.message).to.equal('invalid JSON body, missing anchor_eth_agg_root')
+    })
+
+    it('should return error with a malformed root', async () => {
+      let result = await callHandlerAsync(anchorFunctions.postAnchorV1Async, { anchor_eth_agg_root: 'ab'.repeat(31) })
+      expect(result.error).to.have.property('statusCode').and.to.equal(409)
+      expect(result.error.message).to.equal('invalid JSON body, malformed anchor_eth_agg_root')
+    })
+
+    it('should publish the root as the data of a transaction to the wallet itself', async () => {
+      let root = 'A1B2C3D4'.repeat(8)
+      let result = await callHandlerAsync(anchorFunctions.postAnchorV1Async, { anchor_eth_agg_root: root })
+      expect(result.error).to.equal(undefined)
+      expect(result.body).to.have.property('trx_id').and.to.match(/^0x[0-9a-f]{64}$/)
+
+      let tx = await provider.getTransaction(result.body.trx_id)
+      expect(tx.from.toLowerCase()).to.equal(anchorWallet.address.toLowerCase())
+      expect(tx.to.toLowerCase()).to.equal(anchorWallet.address.toLowerCase())
+      expect(tx.value.toString()).to.equal('0')
+      expect(tx.data).to.equal(`0x${root.toLowerCase()}`)
+    })
+
+    it('should assign concurrent anchor transactions consecutive nonces', async () => {
+      let roots = ['e1'.repeat(32), 'e2'.repeat(32), 'e3'.repeat(32)]
+      let results = await Promise.all(roots.map((root) => callHandlerAsync(anchorFunctions.postAnchorV1Async, { anchor_eth_agg_root: root })))
+      let txs = await Promise.all(results.map((result) => {
+        expect(result.error).to.equal(undefined)
+        return provider.getTransaction(result.body.trx_id)
+      }))
+      let nonces = txs.map((tx) => tx.nonce)
+      expect(nonces[1]).to.equal(nonces[0] + 1)
+      expect(nonces[2]).to.equal(nonces[0] + 2)
+      expect(txs.map((tx) => tx.data)).to.deep.equal(roots.map((root) => `0x${root}`))
+    })
+  })
+
+  describe('GET /anchor/:tx_id', () => {
+    it('should return error with a malformed tx_id', async () => {
+      let result = await callHandlerAsync(anchorFunctions.getAnchorByTxIdV1Async, { tx_id: '0xbad' })
+      expect(result.error).to.have.property('statusCode').and.to.equal(409)
+      expect(result.error.message).to.equal('invalid request, malformed tx_id')
+    })
+
+    it('should return no confirmations for an unknown transaction', async () => {
+      let txId = '0x' + '12'.repeat(32)
+      let result = await callHandlerAsync(anchorFunctions.getAnchorByTxIdV1Async, { tx_id: txId })
+      expect(result.error).to.equal(undefined)
+      expect(result.body).to.deep.equal({ trx_id: txId, block_number: null, confirmations: 0, failed: false })
+    })
+
+    it('should return the confirmations of a mined anchor transaction', async () => {
+      let anchorResult = await callHandlerAsync(anchorFunctions.postAnchorV1Async, { anchor_eth_agg_root: 'cd'.repeat(32) })
+      let txId = anchorResult.body.trx_id
+      let receipt = await provider.waitForTransaction(txId).then(() => provider.getTransactionReceipt(txId))
+
+      let result = await callHandlerAsync(anchorFunctions.getAnchorByTxIdV1Async, { tx_id: txId })
+      expect(result.error).to.equal(undefined)
+      expect(result.body).to.have.property('trx_id').and.to.equal(txId)
+      expect(result.body).to.have.property('block_number').and.to.equal(receipt.blockNumber)
+      expect(result.body).to.have.property('confirmations').and.to.be.at.least(1)
+      expect(result.body).to.have.property('failed').and.to.equal(false)
+    })
+  })
+})
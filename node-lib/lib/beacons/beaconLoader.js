@@ -0,0 +1,41 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+// The randomness beacon modules, keyed by BEACON_SOURCES value, and the options for each
+const BEACONS = {
+  nist: { module: './nist.js', getOptions: (env) => ({ uri: env.NIST_BEACON_API_BASE_URI }) },
+  drand: { module: './drand.js', getOptions: (env) => ({ uri: env.DRAND_API_BASE_URI, publicKey: env.DRAND_PUBLIC_KEY }) }
+}
+
+/**
+* Loads the randomness beacons listed in BEACON_SOURCES, in order of preference. Every beacon provides:
+*
+*   type - the tag prefixed to the beacon's values where they are embedded in proofs
+*   getLatestPulseAsync() - the latest verified { timestampMS, value }, throwing if it can not be verified
+*
+* @param {Object} env - The service's environment variables
+* @returns {Object[]} The beacons
+*/
+module.exports = (env) => {
+  let sourceNames = env.BEACON_SOURCES.split(',').map((sourceName) => sourceName.trim()).filter((sourceName) => sourceName !== '')
+  if (sourceNames.length === 0) throw new Error('BEACON_SOURCES must list at least one beacon')
+
+  return sourceNames.map((sourceName) => {
+    let beacon = BEACONS[sourceName]
+    if (!beacon) throw new Error(`unknown beacon '${sourceName}' in BEACON_SOURCES`)
+    return require(beacon.module)(beacon.getOptions(env))
+  })
+}
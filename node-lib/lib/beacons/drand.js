@@ -0,0 +1,104 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const crypto = require('crypto')
+const rp = require('request-promise-native')
+const loadBls = require('bls-signatures')
+
+// The tag prefixed to values from this beacon where they are embedded in proofs
+const BEACON_TYPE = 'drand'
+
+// The BLS library is compiled to WebAssembly and loaded once, on first use
+let blsPromise = null
+
+// drand source, such as the League of Entropy network, using a chained BLS beacon.
+// Each round is signed by the network's group key over the hash of the previous
+// round's signature and the round number, and its randomness is the hash of that
+// signature. The signature is verified against the group key configured here, so
+// that a compromised or misconfigured relay can not substitute its own values.
+module.exports = (options) => {
+  // The network's chain info, giving the time of each round, retrieved once
+  let chainInfo = null
+
+  async function getAsync (path) {
+    try {
+      return await rp({ method: 'GET', uri: `${options.uri}${path}`, json: true, gzip: true, timeout: 10000 })
+    } catch (error) {
+      throw new Error(`GET ${path} : ${error.message}`)
+    }
+  }
+
+  async function getChainInfoAsync () {
+    if (chainInfo === null) {
+      let info = await getAsync('/info')
+      if (info.public_key !== options.publicKey) throw new Error(`the relay's group public key does not match DRAND_PUBLIC_KEY`)
+      chainInfo = info
+    }
+    return chainInfo
+  }
+
+  async function getLatestPulseAsync () {
+    let info = await getChainInfoAsync()
+    let beacon = await getAsync('/public/latest')
+
+    if (!await isValidSignatureAsync(options.publicKey, beacon)) {
+      throw new Error(`round ${beacon.round} has an invalid signature`)
+    }
+    if (sha256(Buffer.from(beacon.signature, 'hex')) !== beacon.randomness) {
+      throw new Error(`round ${beacon.round} has invalid randomness`)
+    }
+
+    return {
+      timestampMS: (info.genesis_time + (beacon.round - 1) * info.period) * 1000,
+      value: beacon.randomness
+    }
+  }
+
+  return {
+    type: BEACON_TYPE,
+    getLatestPulseAsync: getLatestPulseAsync
+  }
+}
+
+// Verifies the G2 signature of a round against the G1 group public key
+async function isValidSignatureAsync (publicKeyHex, beacon) {
+  if (blsPromise === null) blsPromise = loadBls()
+  let bls = await blsPromise
+
+  let roundBuffer = Buffer.alloc(8)
+  roundBuffer.writeUInt32BE(Math.floor(beacon.round / 0x100000000), 0)
+  roundBuffer.writeUInt32BE(beacon.round % 0x100000000, 4)
+  let message = crypto.createHash('sha256').update(Buffer.concat([Buffer.from(beacon.previous_signature, 'hex'), roundBuffer])).digest()
+
+  // the WebAssembly objects are not garbage collected, so must be freed
+  let publicKey = null
+  let signature = null
+  try {
+    publicKey = bls.G1Element.from_bytes(Buffer.from(publicKeyHex, 'hex'))
+    signature = bls.G2Element.from_bytes(Buffer.from(beacon.signature, 'hex'))
+    return bls.BasicSchemeMPL.verify(publicKey, message, signature)
+  } catch (error) {
+    // bytes that do not decode to a curve point are thrown as a WebAssembly exception pointer, not an Error
+    return false
+  } finally {
+    if (publicKey) publicKey.delete()
+    if (signature) signature.delete()
+  }
+}
+
+function sha256 (buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex')
+}
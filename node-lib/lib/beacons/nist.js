@@ -0,0 +1,162 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const crypto = require('crypto')
+const rp = require('request-promise-native')
+
+// The tag prefixed to values from this beacon where they are embedded in proofs
+const BEACON_TYPE = 'nistv2'
+
+// NIST Randomness Beacon 2.0 source. Every pulse is checked before use:
+//
+//   - its signature, made with the certificate the pulse names
+//   - its outputValue, the SHA512 hash of all other fields and the signature
+//   - its link to the previous pulse in the chain, whose outputValue it must
+//     include and whose precommitmentValue must be the hash of its localRandomValue
+//
+// The pulse outputValue, which NIST specifies for use as the random value, is returned.
+module.exports = (options) => {
+  // Certificates are immutable, so are cached by certificateId once retrieved
+  let certificates = {}
+
+  // The most recent verified pulse, the previous pulse of the next pulse in the chain
+  let lastPulse = null
+
+  async function getAsync (path, json) {
+    try {
+      return await rp({ method: 'GET', uri: `${options.uri}${path}`, json: json, gzip: true, timeout: 10000 })
+    } catch (error) {
+      throw new Error(`GET ${path} : ${error.message}`)
+    }
+  }
+
+  async function getCertificateAsync (certificateId) {
+    if (!certificates[certificateId]) certificates[certificateId] = await getAsync(`/certificate/${certificateId}`, false)
+    return certificates[certificateId]
+  }
+
+  async function getVerifiedPulseAsync (path) {
+    let response = await getAsync(path, true)
+    let pulse = response.pulse
+    let serializedFields = serializePulseFields(pulse)
+
+    let verifier = crypto.createVerify('RSA-SHA512')
+    verifier.update(serializedFields)
+    if (!verifier.verify(await getCertificateAsync(pulse.certificateId), Buffer.from(pulse.signatureValue, 'hex'))) {
+      throw new Error(`pulse ${pulse.chainIndex}/${pulse.pulseIndex} has an invalid signature`)
+    }
+
+    let outputValue = sha512(Buffer.concat([serializedFields, serializeBytes(pulse.signatureValue)]))
+    if (outputValue !== pulse.outputValue.toLowerCase()) {
+      throw new Error(`pulse ${pulse.chainIndex}/${pulse.pulseIndex} has an invalid outputValue`)
+    }
+
+    return pulse
+  }
+
+  async function getLatestPulseAsync () {
+    let pulse = await getVerifiedPulseAsync('/pulse/last')
+
+    // the first pulse of a chain has no previous pulse to verify against,
+    // and a pulse seen by the previous poll has already been verified against it
+    let isLastPulse = lastPulse !== null && lastPulse.chainIndex === pulse.chainIndex && lastPulse.pulseIndex === pulse.pulseIndex
+    if (pulse.pulseIndex > 1 && !isLastPulse) {
+      let previousPulse = lastPulse
+      if (!previousPulse || previousPulse.chainIndex !== pulse.chainIndex || previousPulse.pulseIndex !== pulse.pulseIndex - 1) {
+        previousPulse = await getVerifiedPulseAsync(`/chain/${pulse.chainIndex}/pulse/${pulse.pulseIndex - 1}`)
+      }
+      if (getListValue(pulse, 'previous') !== previousPulse.outputValue.toLowerCase()) {
+        throw new Error(`pulse ${pulse.chainIndex}/${pulse.pulseIndex} does not chain to the previous pulse outputValue`)
+      }
+      if (sha512(Buffer.from(pulse.localRandomValue, 'hex')) !== previousPulse.precommitmentValue.toLowerCase()) {
+        throw new Error(`pulse ${pulse.chainIndex}/${pulse.pulseIndex} does not match the previous pulse precommitmentValue`)
+      }
+    }
+    lastPulse = pulse
+
+    return {
+      timestampMS: new Date(pulse.timeStamp).getTime(),
+      value: pulse.outputValue.toLowerCase()
+    }
+  }
+
+  return {
+    type: BEACON_TYPE,
+    getLatestPulseAsync: getLatestPulseAsync
+  }
+}
+
+// Serializes the pulse fields covered by the signature, in the order defined by the pulse format
+function serializePulseFields (pulse) {
+  return Buffer.concat([
+    serializeString(pulse.uri),
+    serializeString(pulse.version),
+    serializeUInt32(pulse.cipherSuite),
+    serializeUInt32(pulse.period),
+    serializeBytes(pulse.certificateId),
+    serializeUInt64(pulse.chainIndex),
+    serializeUInt64(pulse.pulseIndex),
+    serializeString(pulse.timeStamp),
+    serializeBytes(pulse.localRandomValue),
+    serializeBytes(pulse.external.sourceId),
+    serializeUInt32(pulse.external.statusCode),
+    serializeBytes(pulse.external.value),
+    serializeBytes(getListValue(pulse, 'previous')),
+    serializeBytes(getListValue(pulse, 'hour')),
+    serializeBytes(getListValue(pulse, 'day')),
+    serializeBytes(getListValue(pulse, 'month')),
+    serializeBytes(getListValue(pulse, 'year')),
+    serializeBytes(pulse.precommitmentValue),
+    serializeUInt32(pulse.statusCode)
+  ])
+}
+
+function getListValue (pulse, type) {
+  let listValue = pulse.listValues.find((listValue) => listValue.type === type)
+  if (!listValue) throw new Error(`pulse ${pulse.chainIndex}/${pulse.pulseIndex} has no '${type}' value`)
+  return listValue.value.toLowerCase()
+}
+
+// Strings and byte strings are length prefixed with a 4 byte big endian length
+function serializeString (value) {
+  return serializeBuffer(Buffer.from(value, 'utf8'))
+}
+
+function serializeBytes (hexValue) {
+  return serializeBuffer(Buffer.from(hexValue, 'hex'))
+}
+
+function serializeBuffer (buffer) {
+  return Buffer.concat([serializeUInt32(buffer.length), buffer])
+}
+
+function serializeUInt32 (value) {
+  let buffer = Buffer.alloc(4)
+  buffer.writeUInt32BE(value, 0)
+  return buffer
+}
+
+// Indexes are well below 2^53, so are written as two 32 bit halves
+function serializeUInt64 (value) {
+  let buffer = Buffer.alloc(8)
+  buffer.writeUInt32BE(Math.floor(value / 0x100000000), 0)
+  buffer.writeUInt32BE(value % 0x100000000, 4)
+  return buffer
+}
+
+function sha512 (buffer) {
+  return crypto.createHash('sha512').update(buffer).digest('hex')
+}
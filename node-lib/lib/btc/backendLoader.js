@@ -0,0 +1,44 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+// The Bitcoin backend modules, keyed by BTC_BACKEND value, and the variable holding the URI of each
+const BTC_BACKENDS = {
+  insight: { module: './insight.js', uriName: 'INSIGHT_API_BASE_URI' },
+  bitcoind: { module: './bitcoind.js', uriName: 'BITCOIND_RPC_URI' },
+  esplora: { module: './esplora.js', uriName: 'ESPLORA_API_BASE_URI' }
+}
+
+/**
+* Loads the Bitcoin backend selected by BTC_BACKEND. Every backend provides:
+*
+*   getTxStatsAsync(txId) - { id, blockHash, blockHeight, confirmations }
+*   getBlockStatsAsync(blockHash) - { id, height, merkleRoot, txIds }
+*   getBlockHashAtHeightAsync(height) - the best chain block hash, or null beyond the tip
+*   getEstimatedFeeRateSatPerByteAsync() - the fee rate, in Satoshi per byte
+*   sendOpReturnTxAsync(privateKeyWIF, hexData, feeTotalSatoshi) - { txId, rawTx }
+*   broadcastTxAsync(rawTx) - the transaction id
+*
+* @param {Object} env - The service's environment variables
+* @returns {Object} The Bitcoin backend
+*/
+module.exports = (env) => {
+  let backend = BTC_BACKENDS[env.BTC_BACKEND]
+  if (!backend) throw new Error(`unknown BTC_BACKEND '${env.BTC_BACKEND}'`)
+  if (!env[backend.uriName]) throw new Error(`${backend.uriName} must be set when BTC_BACKEND is '${env.BTC_BACKEND}'`)
+
+  console.log(`Using ${env.BTC_BACKEND} Bitcoin backend`)
+  return require(backend.module)({ uri: env[backend.uriName], useTestnet: env.USE_BTCETH_TESTNET })
+}
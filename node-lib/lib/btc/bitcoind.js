@@ -0,0 +1,107 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const rp = require('request-promise-native')
+const txBuilder = require('./txBuilder.js')
+
+// The confirmation target, in blocks, used for fee estimation
+const FEE_ESTIMATE_TARGET_BLOCKS = 2
+
+// Bitcoin backend using the JSON-RPC interface of a bitcoind node. The node must maintain
+// a transaction index (txindex=1) for transactions to be looked up by id, and have the
+// anchoring address imported into its wallet so that its unspent outputs can be listed.
+module.exports = (options) => {
+  async function rpcAsync (method, params) {
+    let response
+    try {
+      response = await rp({
+        method: 'POST',
+        uri: options.uri,
+        body: { jsonrpc: '1.0', id: 'chainpoint', method: method, params: params },
+        json: true,
+        timeout: 10000
+      })
+    } catch (error) {
+      // bitcoind returns failed calls with an error status and the RPC error in the body
+      if (error.error && error.error.error) response = error.error
+      else throw new Error(`${method} : ${error.message}`)
+    }
+    if (response.error) {
+      let rpcError = new Error(`${method} : ${response.error.message}`)
+      rpcError.code = response.error.code
+      throw rpcError
+    }
+    return response.result
+  }
+
+  async function getTxStatsAsync (txId) {
+    let tx = await rpcAsync('getrawtransaction', [txId, true])
+    // transactions not yet in the best chain have no block hash
+    if (!tx.blockhash || !tx.confirmations) return { id: tx.txid, blockHash: null, blockHeight: null, confirmations: 0 }
+    let blockHeader = await rpcAsync('getblockheader', [tx.blockhash])
+    return { id: tx.txid, blockHash: tx.blockhash, blockHeight: blockHeader.height, confirmations: tx.confirmations }
+  }
+
+  async function getBlockStatsAsync (blockHash) {
+    let block = await rpcAsync('getblock', [blockHash, 1])
+    return { id: block.hash, height: block.height, merkleRoot: block.merkleroot, txIds: block.tx }
+  }
+
+  async function getBlockHashAtHeightAsync (height) {
+    try {
+      return await rpcAsync('getblockhash', [height])
+    } catch (error) {
+      // RPC_INVALID_PARAMETER, the height is beyond the best chain tip
+      if (error.code === -8) return null
+      throw error
+    }
+  }
+
+  async function getEstimatedFeeRateSatPerByteAsync () {
+    let estimate = await rpcAsync('estimatesmartfee', [FEE_ESTIMATE_TARGET_BLOCKS])
+    let feeRateBtcPerKb = estimate.feerate
+    // without enough recent blocks to estimate from, as on regtest, pay the minimum relay fee
+    if (!feeRateBtcPerKb) feeRateBtcPerKb = (await rpcAsync('getnetworkinfo', [])).relayfee
+    return Math.ceil(Math.round(feeRateBtcPerKb * 100000000) / 1000)
+  }
+
+  async function getUnspentOutputsAsync (address) {
+    let unspentOutputs = await rpcAsync('listunspent', [0, 9999999, [address]])
+    return unspentOutputs.map((output) => {
+      return { txId: output.txid, vout: output.vout, valueSatoshi: Math.round(output.amount * 100000000) }
+    })
+  }
+
+  async function sendOpReturnTxAsync (privateKeyWIF, hexData, feeTotalSatoshi) {
+    let unspentOutputs = await getUnspentOutputsAsync(txBuilder.getAddress(privateKeyWIF, options.useTestnet))
+    let tx = txBuilder.buildOpReturnTx(privateKeyWIF, options.useTestnet, unspentOutputs, hexData, feeTotalSatoshi)
+    await broadcastTxAsync(tx.rawTx)
+    return tx
+  }
+
+  async function broadcastTxAsync (rawTx) {
+    return rpcAsync('sendrawtransaction', [rawTx])
+  }
+
+  return {
+    getTxStatsAsync: getTxStatsAsync,
+    getBlockStatsAsync: getBlockStatsAsync,
+    getBlockHashAtHeightAsync: getBlockHashAtHeightAsync,
+    getEstimatedFeeRateSatPerByteAsync: getEstimatedFeeRateSatPerByteAsync,
+    sendOpReturnTxAsync: sendOpReturnTxAsync,
+    broadcastTxAsync: broadcastTxAsync
+  }
+}
@@ -0,0 +1,96 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const rp = require('request-promise-native')
+const txBuilder = require('./txBuilder.js')
+
+// The confirmation target, in blocks, used for fee estimation
+const FEE_ESTIMATE_TARGET_BLOCKS = 2
+
+// The fee rate paid when no estimate is available, as on regtest, the default minimum relay fee
+const MIN_RELAY_FEE_SAT_PER_BYTE = 1
+
+// Bitcoin backend using the REST API of an Esplora server, such as Blockstream's electrs
+module.exports = (options) => {
+  async function getAsync (path, json) {
+    try {
+      return await rp({ method: 'GET', uri: `${options.uri}${path}`, json: json, gzip: true, timeout: 10000 })
+    } catch (error) {
+      let getError = new Error(`GET ${path} : ${error.message}`)
+      getError.statusCode = error.statusCode
+      throw getError
+    }
+  }
+
+  async function getTxStatsAsync (txId) {
+    let status = await getAsync(`/tx/${txId}/status`, true)
+    if (!status.confirmed) return { id: txId, blockHash: null, blockHeight: null, confirmations: 0 }
+    let tipHeight = parseInt(await getAsync('/blocks/tip/height', false), 10)
+    return { id: txId, blockHash: status.block_hash, blockHeight: status.block_height, confirmations: tipHeight - status.block_height + 1 }
+  }
+
+  async function getBlockStatsAsync (blockHash) {
+    let block = await getAsync(`/block/${blockHash}`, true)
+    let txIds = await getAsync(`/block/${blockHash}/txids`, true)
+    return { id: block.id, height: block.height, merkleRoot: block.merkle_root, txIds: txIds }
+  }
+
+  async function getBlockHashAtHeightAsync (height) {
+    try {
+      return await getAsync(`/block-height/${height}`, false)
+    } catch (error) {
+      if (error.statusCode === 404) return null
+      throw error
+    }
+  }
+
+  async function getEstimatedFeeRateSatPerByteAsync () {
+    let feeEstimates = await getAsync('/fee-estimates', true)
+    let feeRate = feeEstimates[FEE_ESTIMATE_TARGET_BLOCKS.toString()]
+    return feeRate ? Math.ceil(feeRate) : MIN_RELAY_FEE_SAT_PER_BYTE
+  }
+
+  async function getUnspentOutputsAsync (address) {
+    let unspentOutputs = await getAsync(`/address/${address}/utxo`, true)
+    return unspentOutputs.map((output) => {
+      return { txId: output.txid, vout: output.vout, valueSatoshi: output.value }
+    })
+  }
+
+  async function sendOpReturnTxAsync (privateKeyWIF, hexData, feeTotalSatoshi) {
+    let unspentOutputs = await getUnspentOutputsAsync(txBuilder.getAddress(privateKeyWIF, options.useTestnet))
+    let tx = txBuilder.buildOpReturnTx(privateKeyWIF, options.useTestnet, unspentOutputs, hexData, feeTotalSatoshi)
+    await broadcastTxAsync(tx.rawTx)
+    return tx
+  }
+
+  async function broadcastTxAsync (rawTx) {
+    try {
+      return await rp({ method: 'POST', uri: `${options.uri}/tx`, body: rawTx, timeout: 10000 })
+    } catch (error) {
+      throw new Error(`POST /tx : ${error.message}`)
+    }
+  }
+
+  return {
+    getTxStatsAsync: getTxStatsAsync,
+    getBlockStatsAsync: getBlockStatsAsync,
+    getBlockHashAtHeightAsync: getBlockHashAtHeightAsync,
+    getEstimatedFeeRateSatPerByteAsync: getEstimatedFeeRateSatPerByteAsync,
+    sendOpReturnTxAsync: sendOpReturnTxAsync,
+    broadcastTxAsync: broadcastTxAsync
+  }
+}
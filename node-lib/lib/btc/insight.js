@@ -0,0 +1,70 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const BlockchainAnchor = require('blockchain-anchor')
+const rp = require('request-promise-native')
+
+// Bitcoin backend using the Bitcore Insight API, with blockchain-anchor
+// falling back to the public Insight API should the configured one fail
+module.exports = (options) => {
+  let anchor = new BlockchainAnchor({
+    btcUseTestnet: options.useTestnet,
+    service: 'insightapi',
+    insightApiBase: options.uri,
+    insightFallback: true
+  })
+
+  async function getTxStatsAsync (txId) {
+    return anchor.btcGetTxStatsAsync(txId)
+  }
+
+  async function getBlockStatsAsync (blockHash) {
+    return anchor.btcGetBlockStatsAsync(blockHash)
+  }
+
+  async function getBlockHashAtHeightAsync (height) {
+    try {
+      let response = await rp({ method: 'GET', uri: `${options.uri}/block-index/${height}`, json: true, gzip: true, timeout: 10000 })
+      return response.blockHash
+    } catch (error) {
+      if (error.statusCode === 404) return null
+      throw error
+    }
+  }
+
+  async function getEstimatedFeeRateSatPerByteAsync () {
+    return anchor.btcGetEstimatedFeeRateSatPerByteAsync()
+  }
+
+  async function sendOpReturnTxAsync (privateKeyWIF, hexData, feeTotalSatoshi) {
+    let txResult = await anchor.btcOpReturnAsync(privateKeyWIF, hexData, feeTotalSatoshi)
+    return { txId: txResult.txId, rawTx: txResult.rawTx }
+  }
+
+  async function broadcastTxAsync (rawTx) {
+    let response = await rp({ method: 'POST', uri: `${options.uri}/tx/send`, body: { rawtx: rawTx }, json: true, gzip: true, timeout: 10000 })
+    return response.txid
+  }
+
+  return {
+    getTxStatsAsync: getTxStatsAsync,
+    getBlockStatsAsync: getBlockStatsAsync,
+    getBlockHashAtHeightAsync: getBlockHashAtHeightAsync,
+    getEstimatedFeeRateSatPerByteAsync: getEstimatedFeeRateSatPerByteAsync,
+    sendOpReturnTxAsync: sendOpReturnTxAsync,
+    broadcastTxAsync: broadcastTxAsync
+  }
+}
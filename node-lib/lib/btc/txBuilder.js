@@ -0,0 +1,73 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const bitcoin = require('bitcoinjs-lib')
+
+// Outputs below this value are considered dust and will not be relayed
+const DUST_LIMIT_SATOSHI = 546
+
+// Anchor transactions signal that they may be replaced, as described in BIP125,
+// so that a stuck transaction can be replaced with one paying a higher fee
+const RBF_INPUT_SEQUENCE = 0xfffffffd
+
+/**
+* Returns the P2PKH address of the given private key, to which its anchor transactions return change
+*
+* @param {string} privateKeyWIF - The Bitcoin private key WIF
+* @param {bool} useTestnet - Whether the key is for the test network, also used for regtest
+* @returns {string} The address
+*/
+function getAddress (privateKeyWIF, useTestnet) {
+  let network = useTestnet ? bitcoin.networks.testnet : bitcoin.networks.bitcoin
+  return bitcoin.ECPair.fromWIF(privateKeyWIF, network).getAddress()
+}
+
+/**
+* Builds a signed transaction embedding hexData in an OP_RETURN output. As with the Insight
+* backend, the largest unspent output is spent and the change returned to the same address.
+*
+* @param {string} privateKeyWIF - The Bitcoin private key WIF of the address owning the unspent outputs
+* @param {bool} useTestnet - Whether the key is for the test network, also used for regtest
+* @param {Object[]} unspentOutputs - The { txId, vout, valueSatoshi } unspent outputs available to spend
+* @param {string} hexData - The hex string to embed
+* @param {number} feeTotalSatoshi - The fee to pay, in Satoshi
+* @returns {Object} The { txId, rawTx } of the transaction
+*/
+function buildOpReturnTx (privateKeyWIF, useTestnet, unspentOutputs, hexData, feeTotalSatoshi) {
+  let network = useTestnet ? bitcoin.networks.testnet : bitcoin.networks.bitcoin
+  let keyPair = bitcoin.ECPair.fromWIF(privateKeyWIF, network)
+
+  if (unspentOutputs.length === 0) throw new Error(`No unspent outputs found for ${keyPair.getAddress()}`)
+  let unspentOutput = unspentOutputs.reduce((largest, output) => output.valueSatoshi > largest.valueSatoshi ? output : largest)
+  let changeValue = unspentOutput.valueSatoshi - feeTotalSatoshi
+  if (changeValue < DUST_LIMIT_SATOSHI) throw new Error(`Insufficient funds : largest unspent output of ${unspentOutput.valueSatoshi} Satoshi can not pay a fee of ${feeTotalSatoshi} Satoshi`)
+
+  let txBuilder = new bitcoin.TransactionBuilder(network)
+  txBuilder.addInput(unspentOutput.txId, unspentOutput.vout, RBF_INPUT_SEQUENCE)
+  txBuilder.addOutput(bitcoin.script.nullData.output.encode(Buffer.from(hexData, 'hex')), 0)
+  txBuilder.addOutput(keyPair.getAddress(), changeValue)
+  txBuilder.sign(0, keyPair)
+
+  let tx = txBuilder.build()
+  return { txId: tx.getId(), rawTx: tx.toHex() }
+}
+
+module.exports = {
+  DUST_LIMIT_SATOSHI: DUST_LIMIT_SATOSHI,
+  RBF_INPUT_SEQUENCE: RBF_INPUT_SEQUENCE,
+  getAddress: getAddress,
+  buildOpReturnTx: buildOpReturnTx
+}
@@ -197,6 +197,10 @@ async function openStorageConnectionAsync (modelSqlzArray, debug) {
         synchedModels.push(model.defineFor(sequelize))
       }
       await sequelize.sync({ logging: false })
+      // apply any changes to existing tables that sync() does not make
+      for (let model of modelSqlzArray) {
+        if (model.upgradeAsync) await model.upgradeAsync(sequelize)
+      }
       logMessage('Sequelize connection established', debug, 'general')
       dbConnected = true
     } catch (error) {
@@ -232,7 +236,7 @@ async function openStandardRMQConnectionAsync (amqpClient, connectURI, queues, p
       // optionally set prefetch count
       if (prefetchCount !== null) chan.prefetch(prefetchCount)
       // optionally confifgure message consumption
-      if (consumeObj !== null) chan.consume(consumeObj.queue, consumeObj.method)
+      if (consumeObj !== null) chan.consume(consumeObj.queue, consumeObj.method, consumeObj.options || {})
       // initialize variables using new communication channel
       onInit(chan)
       // if the channel closes for any reason, attempt to reconnect
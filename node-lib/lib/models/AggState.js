@@ -38,6 +38,10 @@ function defineFor (sqlz) {
       {
         unique: false,
         fields: ['created_at', 'agg_id', 'agg_root']
+      },
+      {
+        unique: false,
+        fields: ['hash', 'created_at']
       }
     ],
     // enable timestamps
@@ -0,0 +1,98 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const Sequelize = require('sequelize-cockroachdb')
+
+const envalid = require('envalid')
+
+const env = envalid.cleanEnv(process.env, {
+  COCKROACH_BEACON_PULSE_TABLE_NAME: envalid.str({ default: 'chainpoint_beacon_pulses', desc: 'CockroachDB table name' })
+})
+
+function defineFor (sqlz) {
+  let BeaconPulse = sqlz.define(env.COCKROACH_BEACON_PULSE_TABLE_NAME,
+    {
+      beaconType: {
+        comment: 'The type of the randomness beacon, its tag in proofs. e.g. nistv2 or drand',
+        primaryKey: true,
+        type: Sequelize.STRING,
+        validate: {
+          is: ['^[a-z0-9]{1,32}$']
+        },
+        field: 'beacon_type',
+        allowNull: false
+      },
+      pulseTime: {
+        comment: 'The time of the pulse in milliseconds since unix epoch',
+        primaryKey: true,
+        type: Sequelize.INTEGER, // is 64 bit in CockroachDB
+        validate: {
+          isInt: true
+        },
+        field: 'pulse_time',
+        allowNull: false
+      },
+      value: {
+        comment: 'The hex encoded random value of the pulse',
+        type: Sequelize.STRING,
+        validate: {
+          is: ['^([a-f0-9]{2})+$']
+        },
+        allowNull: false
+      },
+      seenAt: {
+        comment: 'The time the pulse was first retrieved and verified in milliseconds since unix epoch',
+        type: Sequelize.INTEGER,
+        validate: {
+          isInt: true
+        },
+        field: 'seen_at',
+        allowNull: false
+      },
+      broadcastAt: {
+        comment: 'The time the pulse became the value embedded in submitted hashes in milliseconds since unix epoch, null if never used',
+        type: Sequelize.INTEGER,
+        validate: {
+          isInt: true
+        },
+        field: 'broadcast_at',
+        allowNull: true
+      }
+    },
+    {
+    // No automatic timestamp fields, the seen and broadcast times are recorded explicitly.
+      timestamps: false,
+      // Disable the modification of table names; By default, sequelize will automatically
+      // transform all passed model names (first parameter of define) into plural.
+      // if you don't want that, set the following
+      freezeTableName: true,
+      indexes: [
+        {
+          fields: ['broadcast_at']
+        },
+        {
+          fields: ['pulse_time']
+        }
+      ]
+    }
+  )
+
+  return BeaconPulse
+}
+
+module.exports = {
+  defineFor: defineFor
+}
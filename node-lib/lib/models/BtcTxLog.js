@@ -77,6 +77,15 @@ function defineFor (sqlz) {
         type: Sequelize.STRING,
         field: 'stack_id',
         allowNull: false
+      },
+      replacesTxId: {
+        comment: 'The bitcoin transaction id hash of the stuck transaction this replace-by-fee transaction replaces, if any.',
+        type: Sequelize.STRING,
+        validate: {
+          is: ['^[a-fA-F0-9]{64}$', 'i']
+        },
+        field: 'replaces_tx_id',
+        allowNull: true
       }
     },
     {
@@ -93,6 +102,12 @@ function defineFor (sqlz) {
   return BtxTxLog
 }
 
+// Adds the replaces_tx_id column to btc tx log tables created before replace-by-fee support
+async function upgradeAsync (sqlz) {
+  await sqlz.query(`ALTER TABLE ${env.COCKROACH_BTC_TX_LOG_TABLE_NAME} ADD COLUMN IF NOT EXISTS replaces_tx_id STRING`)
+}
+
 module.exports = {
-  defineFor: defineFor
+  defineFor: defineFor,
+  upgradeAsync: upgradeAsync
 }
@@ -63,7 +63,7 @@ function defineFor (sqlz) {
         comment: 'Block type.',
         type: Sequelize.STRING,
         validate: {
-          isIn: [['gen', 'cal', 'nist', 'btc-a', 'btc-c', 'eth-a', 'eth-c', 'reward']]
+          isIn: [['gen', 'cal', 'nist', 'btc-a', 'btc-c', 'eth-a', 'eth-c', 'reward', 'key']]
         },
         allowNull: false
       },
@@ -85,6 +85,15 @@ function defineFor (sqlz) {
         field: 'data_val',
         allowNull: false
       },
+      hashAlgorithm: {
+        comment: 'The Chainpoint op name of the hash algorithm used to construct the Merkle tree whose root is this block\'s dataVal. Set for cal, btc-a, and eth-a blocks only.',
+        type: Sequelize.STRING,
+        validate: {
+          isIn: [['sha-256', 'sha3-256']]
+        },
+        field: 'hash_algorithm',
+        allowNull: true
+      },
       prevHash: {
         comment: 'Block hash of previous block',
         type: Sequelize.STRING,
@@ -142,6 +151,13 @@ function defineFor (sqlz) {
   return CalendarBlock
 }
 
+// sync() creates a missing table but never alters an existing one,
+// so columns added to this model after the table was created are added here
+async function upgradeAsync (sqlz) {
+  await sqlz.query(`ALTER TABLE ${env.COCKROACH_CAL_TABLE_NAME} ADD COLUMN IF NOT EXISTS hash_algorithm STRING`)
+}
+
 module.exports = {
-  defineFor: defineFor
+  defineFor: defineFor,
+  upgradeAsync: upgradeAsync
 }
@@ -48,6 +48,7 @@ function defineFor (sqlz) {
 
 const LAST_AGG_STATE_PROCESSED_FOR_CAL_BLOCK_TIMESTAMP = 'LAST_AGG_STATE_PROCESSED_FOR_CAL_BLOCK_TIMESTAMP'
 const LAST_CAL_BLOCK_HEIGHT_PROCESSED_FOR_BTC_A_BLOCK = 'LAST_CAL_BLOCK_HEIGHT_PROCESSED_FOR_BTC_A_BLOCK'
+const LAST_CAL_BLOCK_HEIGHT_PROCESSED_FOR_ETH_A_BLOCK = 'LAST_CAL_BLOCK_HEIGHT_PROCESSED_FOR_ETH_A_BLOCK'
 
 async function getLastAggStateProcessedForCalBlockTimestamp () {
   let results = await coreNetworkState.find({ where: { stateKey: LAST_AGG_STATE_PROCESSED_FOR_CAL_BLOCK_TIMESTAMP }, raw: true })
@@ -75,10 +76,25 @@ async function setLastCalBlockHeightProcessedForBtcABlock (value) {
   await coreNetworkState.upsert(stateObject)
 }
 
+async function getLastCalBlockHeightProcessedForEthABlock () {
+  let results = await coreNetworkState.find({ where: { stateKey: LAST_CAL_BLOCK_HEIGHT_PROCESSED_FOR_ETH_A_BLOCK }, raw: true })
+  return results ? parseInt(results.stateValue) : null
+}
+
+async function setLastCalBlockHeightProcessedForEthABlock (value) {
+  let stateObject = {
+    stateKey: LAST_CAL_BLOCK_HEIGHT_PROCESSED_FOR_ETH_A_BLOCK,
+    stateValue: value.toString()
+  }
+  await coreNetworkState.upsert(stateObject)
+}
+
 module.exports = {
   getLastAggStateProcessedForCalBlockTimestamp: getLastAggStateProcessedForCalBlockTimestamp,
   getLastCalBlockHeightProcessedForBtcABlock: getLastCalBlockHeightProcessedForBtcABlock,
+  getLastCalBlockHeightProcessedForEthABlock: getLastCalBlockHeightProcessedForEthABlock,
   setLastAggStateProcessedForCalBlockTimestamp: setLastAggStateProcessedForCalBlockTimestamp,
   setLastCalBlockHeightProcessedForBtcABlock: setLastCalBlockHeightProcessedForBtcABlock,
+  setLastCalBlockHeightProcessedForEthABlock: setLastCalBlockHeightProcessedForEthABlock,
   defineFor: defineFor
 }
@@ -0,0 +1,117 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const Sequelize = require('sequelize-cockroachdb')
+
+const envalid = require('envalid')
+
+const env = envalid.cleanEnv(process.env, {
+  COCKROACH_ETH_ANCHOR_TX_TABLE_NAME: envalid.str({ default: 'chainpoint_eth_anchor_txs', desc: 'CockroachDB table name' })
+})
+
+function defineFor (sqlz) {
+  let EthAnchorTx = sqlz.define(env.COCKROACH_ETH_ANCHOR_TX_TABLE_NAME,
+    {
+      anchorEthAggId: {
+        comment: 'The ETH anchor aggregation event unique identifier.',
+        primaryKey: true,
+        type: Sequelize.UUID,
+        field: 'anchor_eth_agg_id',
+        allowNull: false
+      },
+      anchorEthAggRoot: {
+        comment: 'The ETH anchor aggregation root published in the transaction.',
+        type: Sequelize.STRING,
+        validate: {
+          is: ['^[0-9a-f]{64}$', 'i']
+        },
+        field: 'anchor_eth_agg_root',
+        allowNull: false
+      },
+      state: {
+        comment: 'Enum-like field with the following possible values ("tx_sent", "tx_failed", "confirmed").',
+        type: Sequelize.STRING,
+        validate: {
+          isIn: [['tx_sent', 'tx_failed', 'confirmed']]
+        },
+        field: 'state',
+        allowNull: false,
+        defaultValue: 'tx_sent'
+      },
+      ethTxId: {
+        comment: 'The id of the latest transaction publishing the root.',
+        type: Sequelize.STRING,
+        validate: {
+          is: ['^0x[0-9a-f]{64}$', 'i']
+        },
+        field: 'eth_tx_id',
+        allowNull: false
+      },
+      txSentAt: {
+        comment: 'The time the latest transaction was sent, in MS since EPOCH.',
+        type: Sequelize.INTEGER, // is 64 bit in CockroachDB
+        validate: {
+          isInt: true
+        },
+        field: 'tx_sent_at',
+        allowNull: false
+      },
+      attempts: {
+        comment: 'The number of transactions sent to publish the root.',
+        type: Sequelize.INTEGER,
+        field: 'attempts',
+        allowNull: false,
+        defaultValue: 1
+      },
+      calBlockId: {
+        comment: 'The id of the eth-c calendar block written once the transaction was confirmed.',
+        type: Sequelize.INTEGER, // is 64 bit in CockroachDB
+        validate: {
+          isInt: true
+        },
+        field: 'cal_block_id',
+        allowNull: true
+      }
+    },
+    {
+      // Disable the modification of table names; By default, sequelize will automatically
+      // transform all passed model names (first parameter of define) into plural.
+      // if you don't want that, set the following
+      freezeTableName: true,
+      // enable timestamps
+      timestamps: true,
+      // don't use camelcase for automatically added attributes but underscore style
+      // so updatedAt will be updated_at
+      underscored: true,
+      indexes: [
+        {
+          unique: false,
+          fields: ['state', 'created_at']
+        },
+        {
+          unique: false,
+          fields: ['eth_tx_id']
+        }
+      ]
+    }
+  )
+
+  return EthAnchorTx
+}
+
+module.exports = {
+  defineFor: defineFor
+}
@@ -0,0 +1,66 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const Sequelize = require('sequelize-cockroachdb')
+
+const envalid = require('envalid')
+
+const env = envalid.cleanEnv(process.env, {
+  COCKROACH_ORPHANED_CAL_BLOCK_TABLE_NAME: envalid.str({ default: 'chainpoint_orphaned_cal_blocks', desc: 'CockroachDB table name' })
+})
+
+function defineFor (sqlz) {
+  let OrphanedCalBlock = sqlz.define(env.COCKROACH_ORPHANED_CAL_BLOCK_TABLE_NAME,
+    {
+      calBlockId: {
+        comment: 'The id of the btc-c calendar block recording a bitcoin block since orphaned by a chain reorganization.',
+        primaryKey: true,
+        type: Sequelize.INTEGER, // is 64 bit in CockroachDB
+        validate: {
+          isInt: true
+        },
+        field: 'cal_block_id',
+        allowNull: false
+      },
+      btcTxId: {
+        comment: 'The id of the bitcoin transaction whose confirmation the block recorded.',
+        type: Sequelize.STRING,
+        validate: {
+          is: ['^[a-fA-F0-9]{64}$', 'i']
+        },
+        field: 'btctx_id',
+        allowNull: false
+      }
+    },
+    {
+      // Disable the modification of table names; By default, sequelize will automatically
+      // transform all passed model names (first parameter of define) into plural.
+      // if you don't want that, set the following
+      freezeTableName: true,
+      // enable timestamps
+      timestamps: true,
+      // don't use camelcase for automatically added attributes but underscore style
+      // so updatedAt will be updated_at
+      underscored: true
+    }
+  )
+
+  return OrphanedCalBlock
+}
+
+module.exports = {
+  defineFor: defineFor
+}
@@ -0,0 +1,105 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const Sequelize = require('sequelize-cockroachdb')
+
+const envalid = require('envalid')
+
+const env = envalid.cleanEnv(process.env, {
+  COCKROACH_PROOF_CALLBACK_LOG_TABLE_NAME: envalid.str({ default: 'chainpoint_proof_callback_log', desc: 'CockroachDB table name' })
+})
+
+function defineFor (sqlz) {
+  let ProofCallbackLog = sqlz.define(env.COCKROACH_PROOF_CALLBACK_LOG_TABLE_NAME,
+    {
+      hashIdCore: {
+        comment: 'The hash_id_core of the proof the notification was sent for.',
+        type: Sequelize.UUID,
+        field: 'hash_id_core',
+        allowNull: false
+      },
+      callbackUrl: {
+        comment: 'The URL the notification was sent to.',
+        type: Sequelize.STRING(2048),
+        field: 'callback_url',
+        allowNull: false
+      },
+      stage: {
+        comment: 'Enum-like field with the following possible values ("cal", "btc", "eth", "reorg"), the proof stage the notification was sent for, reorg when a btc anchor was withdrawn.',
+        type: Sequelize.STRING,
+        validate: {
+          is: ['^(cal|btc|eth|reorg)$']
+        },
+        field: 'stage',
+        allowNull: false
+      },
+      attempt: {
+        comment: 'The delivery attempt number, starting at 1.',
+        type: Sequelize.INTEGER,
+        field: 'attempt',
+        allowNull: false
+      },
+      status: {
+        comment: 'Enum-like field with the following possible values ("delivered", "retrying", "failed").',
+        type: Sequelize.STRING,
+        validate: {
+          is: ['^(delivered|retrying|failed)$']
+        },
+        field: 'status',
+        allowNull: false
+      },
+      responseCode: {
+        comment: 'The HTTP status code returned by the callback URL, null if no response was received.',
+        type: Sequelize.INTEGER,
+        field: 'response_code',
+        allowNull: true
+      },
+      error: {
+        comment: 'A description of the delivery failure, null if delivered.',
+        type: Sequelize.STRING,
+        field: 'error',
+        allowNull: true
+      }
+    },
+    {
+    // Disable the modification of table names; By default, sequelize will automatically
+    // transform all passed model names (first parameter of define) into plural.
+    // if you don't want that, set the following
+      freezeTableName: true,
+      // enable timestamps
+      timestamps: true,
+      // don't use camelcase for automatically added attributes but underscore style
+      // so updatedAt will be updated_at
+      underscored: true,
+      indexes: [
+        {
+          unique: false,
+          fields: ['hash_id_core']
+        },
+        {
+          unique: false,
+          fields: ['created_at']
+        }
+      ]
+    }
+  )
+
+  return ProofCallbackLog
+}
+
+module.exports = {
+  defineFor: defineFor
+}
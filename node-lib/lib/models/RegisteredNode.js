@@ -44,6 +44,15 @@ function defineFor (sqlz) {
         field: 'public_uri',
         allowNull: true
       },
+      callbackUrl: {
+        comment: 'The URL notified as each proof stage becomes ready for hashes submitted by this Node, when blank no notifications are sent.',
+        type: Sequelize.STRING(2048),
+        validate: {
+          isUrl: true
+        },
+        field: 'callback_url',
+        allowNull: true
+      },
       hmacKey: {
         comment: 'The HMAC secret for this Node. Needed for Node data updates.',
         type: Sequelize.STRING,
@@ -149,6 +158,12 @@ function defineFor (sqlz) {
   return RegisteredNode
 }
 
+// Adds the callback_url column to registered node tables created before it was introduced
+async function upgradeAsync (sqlz) {
+  await sqlz.query(`ALTER TABLE ${env.COCKROACH_REG_NODE_TABLE_NAME} ADD COLUMN IF NOT EXISTS callback_url STRING(2048)`)
+}
+
 module.exports = {
-  defineFor: defineFor
+  defineFor: defineFor,
+  upgradeAsync: upgradeAsync
 }
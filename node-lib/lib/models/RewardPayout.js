@@ -0,0 +1,187 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const Sequelize = require('sequelize-cockroachdb')
+
+const envalid = require('envalid')
+
+const env = envalid.cleanEnv(process.env, {
+  COCKROACH_REWARD_PAYOUT_TABLE_NAME: envalid.str({ default: 'chainpoint_reward_payouts', desc: 'CockroachDB table name' })
+})
+
+function defineFor (sqlz) {
+  let RewardPayout = sqlz.define(env.COCKROACH_REWARD_PAYOUT_TABLE_NAME,
+    {
+      rewardId: {
+        comment: 'The unique identifier of the reward, assigned when the Node is selected.',
+        primaryKey: true,
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        field: 'reward_id',
+        allowNull: false
+      },
+      state: {
+        comment: 'Enum-like field with the following possible values ("selected", "tx_sent", "tx_confirmed", "block_written", "held").',
+        type: Sequelize.STRING,
+        validate: {
+          isIn: [['selected', 'tx_sent', 'tx_confirmed', 'block_written', 'held']]
+        },
+        field: 'state',
+        allowNull: false,
+        defaultValue: 'selected'
+      },
+      nodeAddr: {
+        comment: 'The Ethereum address of the rewarded Node.',
+        type: Sequelize.STRING,
+        validate: {
+          is: ['^0x[0-9a-f]{40}$']
+        },
+        field: 'node_addr',
+        allowNull: false
+      },
+      nodeAmount: {
+        comment: 'The reward paid to the Node in TNT grains.',
+        type: Sequelize.INTEGER, // is 64 bit in CockroachDB
+        validate: {
+          isInt: true
+        },
+        field: 'node_amount',
+        allowNull: false
+      },
+      coreAddr: {
+        comment: 'The Ethereum address of the rewarded Core, null if the Core is not rewarded.',
+        type: Sequelize.STRING,
+        validate: {
+          is: ['^0x[0-9a-f]{40}$', 'i']
+        },
+        field: 'core_addr',
+        allowNull: true
+      },
+      coreAmount: {
+        comment: 'The reward paid to the Core in TNT grains.',
+        type: Sequelize.INTEGER, // is 64 bit in CockroachDB
+        validate: {
+          isInt: true
+        },
+        field: 'core_amount',
+        allowNull: false,
+        defaultValue: 0
+      },
+      draw: {
+        comment: 'The JSON encoded draw that selected the Node, recorded in the reward block.',
+        type: Sequelize.TEXT,
+        field: 'draw',
+        allowNull: true
+      },
+      nodeTxId: {
+        comment: 'The id of the TNT transfer transaction to the Node.',
+        type: Sequelize.STRING,
+        validate: {
+          is: ['^0x[0-9a-f]{64}$', 'i']
+        },
+        field: 'node_tx_id',
+        allowNull: true
+      },
+      coreTxId: {
+        comment: 'The id of the TNT transfer transaction to the Core.',
+        type: Sequelize.STRING,
+        validate: {
+          is: ['^0x[0-9a-f]{64}$', 'i']
+        },
+        field: 'core_tx_id',
+        allowNull: true
+      },
+      transferPending: {
+        comment: 'Set while a transfer is being sent, a transfer left pending has an unknown outcome.',
+        type: Sequelize.BOOLEAN,
+        field: 'transfer_pending',
+        allowNull: false,
+        defaultValue: false
+      },
+      transferClaimedAt: {
+        comment: 'The time the pending transfer was claimed for sending, in MS since EPOCH.',
+        type: Sequelize.INTEGER, // is 64 bit in CockroachDB
+        validate: {
+          isInt: true
+        },
+        field: 'transfer_claimed_at',
+        allowNull: true
+      },
+      calBlockId: {
+        comment: 'The id of the reward calendar block written for the reward.',
+        type: Sequelize.INTEGER, // is 64 bit in CockroachDB
+        validate: {
+          isInt: true
+        },
+        field: 'cal_block_id',
+        allowNull: true
+      },
+      txSentAt: {
+        comment: 'The time the transfers were sent, in MS since EPOCH, null until they have been.',
+        type: Sequelize.INTEGER, // is 64 bit in CockroachDB
+        validate: {
+          isInt: true
+        },
+        field: 'tx_sent_at',
+        allowNull: true
+      },
+      attempts: {
+        comment: 'The number of transfers attempted for the reward.',
+        type: Sequelize.INTEGER,
+        field: 'attempts',
+        allowNull: false,
+        defaultValue: 0
+      },
+      lastError: {
+        comment: 'The reason the last step of the payout did not succeed, null once it has.',
+        type: Sequelize.STRING,
+        field: 'last_error',
+        allowNull: true
+      }
+    },
+    {
+      // Disable the modification of table names; By default, sequelize will automatically
+      // transform all passed model names (first parameter of define) into plural.
+      // if you don't want that, set the following
+      freezeTableName: true,
+      // enable timestamps
+      timestamps: true,
+      // don't use camelcase for automatically added attributes but underscore style
+      // so updatedAt will be updated_at
+      underscored: true,
+      indexes: [
+        {
+          unique: false,
+          fields: ['state', 'created_at']
+        },
+        {
+          unique: false,
+          fields: ['node_addr', 'created_at']
+        },
+        {
+          unique: false,
+          fields: ['core_addr', 'created_at']
+        }
+      ]
+    }
+  )
+
+  return RewardPayout
+}
+
+module.exports = {
+  defineFor: defineFor
+}
@@ -0,0 +1,88 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const Sequelize = require('sequelize-cockroachdb')
+
+const envalid = require('envalid')
+
+const env = envalid.cleanEnv(process.env, {
+  COCKROACH_SIGNING_KEY_TABLE_NAME: envalid.str({ default: 'chainpoint_signing_keys', desc: 'CockroachDB table name' })
+})
+
+function defineFor (sqlz) {
+  let SigningKey = sqlz.define(env.COCKROACH_SIGNING_KEY_TABLE_NAME,
+    {
+      pubKeyHash: {
+        comment: 'Hex encoded SHA256 hash of the signing public key bytes, the key fingerprint.',
+        type: Sequelize.STRING,
+        validate: {
+          is: ['^[a-f0-9]{64}$', 'i']
+        },
+        field: 'pubkey_hash',
+        primaryKey: true,
+        allowNull: false
+      },
+      pubKey: {
+        comment: 'Base64 encoded signing public key bytes.',
+        type: Sequelize.STRING,
+        validate: {
+          is: ['^[a-zA-Z0-9=+/]{44}$']
+        },
+        field: 'pubkey',
+        allowNull: false,
+        unique: true
+      },
+      activationHeight: {
+        comment: 'Height of the first calendar block signed with this key.',
+        type: Sequelize.INTEGER,
+        validate: {
+          isInt: true
+        },
+        field: 'activation_height',
+        allowNull: false
+      },
+      retirementHeight: {
+        comment: 'Height of the last calendar block signed with this key, null while the key is active.',
+        type: Sequelize.INTEGER,
+        validate: {
+          isInt: true
+        },
+        field: 'retirement_height',
+        allowNull: true
+      }
+    },
+    {
+    // No automatic timestamp fields, key history is recorded by block height.
+      timestamps: false,
+      // Disable the modification of table names; By default, sequelize will automatically
+      // transform all passed model names (first parameter of define) into plural.
+      // if you don't want that, set the following
+      freezeTableName: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['activation_height']
+        }
+      ]
+    }
+  )
+
+  return SigningKey
+}
+
+module.exports = {
+  defineFor: defineFor
+}
@@ -0,0 +1,172 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const moment = require('moment')
+
+const NETWORK_STATS_KEY = 'NetworkStats'
+const NODE_LEADERBOARD_KEY = 'NetworkStats:NodeLeaderboard'
+
+// How many minutes cached stats remain available without a refresh
+// Stale stats expire rather than being served indefinitely if the refresh job stops
+const NETWORK_STATS_CACHE_EXPIRE_MINUTES = 30
+
+// The number of Nodes ranked on the leaderboard
+const NODE_LEADERBOARD_SIZE = 100
+
+// The number of most recent calendar blocks examined when counting blocks per hour
+// Far more blocks than are written in an hour, this bounds the scan to recent blocks
+const CAL_BLOCKS_PER_HOUR_SCAN_LIMIT = 10000
+
+let sequelize
+let RegisteredNode
+let CalendarBlock
+let AggState
+let BtcTxState
+let BtcHeadState
+
+// The redis connection used for all redis communication
+// This value is set once the connection has been established
+let redis = null
+
+// Counts the Nodes delivered to Nodes as the active Node count during audits, those
+// with a positive audit score, not failing for a day, and passing an E2E audit within 72 hours
+async function getActiveNodeCountAsync () {
+  return RegisteredNode.count({ where: { audit_score: { [sequelize.Op.gt]: 0 }, consecutive_fails: { [sequelize.Op.lt]: 144 }, verify_e2e_passed_at: { [sequelize.Op.gte]: moment().subtract(72, 'hours').valueOf() } } })
+}
+
+// Returns an object mapping each Node version reported in the most recent audit of each Node to the number of Nodes reporting it
+async function getNodeVersionCountsAsync () {
+  let sqlQuery = `SELECT al.node_version, COUNT(*) AS node_count FROM (
+                    SELECT DISTINCT ON (tnt_addr) tnt_addr, node_version
+                    FROM chainpoint_node_audit_log
+                    ORDER BY tnt_addr, audit_at DESC
+                  ) AS al
+                  WHERE al.node_version IS NOT NULL
+                  GROUP BY al.node_version`
+  let rows = await sequelize.query(sqlQuery, { type: sequelize.QueryTypes.SELECT })
+  let versionCounts = {}
+  rows.forEach((row) => { versionCounts[row.node_version] = parseInt(row.node_count, 10) })
+  return versionCounts
+}
+
+async function getCalendarBlocksPerHourAsync () {
+  let topBlock = await CalendarBlock.findOne({ attributes: ['id'], order: [['id', 'DESC']], raw: true })
+  if (!topBlock) return 0
+  let hourAgo = Math.floor(Date.now() / 1000) - 60 * 60
+  return CalendarBlock.count({ where: { id: { [sequelize.Op.gt]: parseInt(topBlock.id, 10) - CAL_BLOCKS_PER_HOUR_SCAN_LIMIT }, time: { [sequelize.Op.gte]: hourAgo } } })
+}
+
+// Returns the seconds between the most recently confirmed BTC anchor transaction being
+// sent and being confirmed, or null if that transaction is no longer in the proof state
+async function getBtcConfirmationLagAsync () {
+  let btcHeadState = await BtcHeadState.findOne({ attributes: ['btctx_id', 'created_at'], order: [['created_at', 'DESC']], raw: true })
+  if (!btcHeadState) return null
+  let btcTxState = await BtcTxState.findOne({ where: { btctx_id: btcHeadState.btctx_id }, attributes: ['created_at'], raw: true })
+  if (!btcTxState) return null
+  return Math.round((new Date(btcHeadState.created_at) - new Date(btcTxState.created_at)) / 1000)
+}
+
+async function calculateNetworkStatsAsync () {
+  let totalCount = await RegisteredNode.count()
+  let publicCount = await RegisteredNode.count({ where: { public_uri: { [sequelize.Op.ne]: null } } })
+  let activeCount = await getActiveNodeCountAsync()
+  let versionCounts = await getNodeVersionCountsAsync()
+  let hashesPerHour = await AggState.count({ where: { created_at: { [sequelize.Op.gte]: new Date(Date.now() - 60 * 60 * 1000) } } })
+  let calBlocksPerHour = await getCalendarBlocksPerHourAsync()
+  let lastBtcAnchorBlock = await CalendarBlock.findOne({ where: { type: 'btc-a' }, attributes: ['time'], order: [['id', 'DESC']], raw: true })
+  let btcConfirmationLag = await getBtcConfirmationLagAsync()
+
+  return {
+    nodes: {
+      total: totalCount,
+      active: activeCount,
+      public: publicCount,
+      private: totalCount - publicCount
+    },
+    node_versions: versionCounts,
+    hashes_per_hour: hashesPerHour,
+    calendar_blocks_per_hour: calBlocksPerHour,
+    last_btc_anchor_at: lastBtcAnchorBlock ? moment.unix(parseInt(lastBtcAnchorBlock.time, 10)).utc().format('YYYY-MM-DDTHH:mm:ss[Z]') : null,
+    btc_confirmation_lag_seconds: btcConfirmationLag,
+    updated_at: moment().utc().format('YYYY-MM-DDTHH:mm:ss[Z]')
+  }
+}
+
+async function calculateNodeLeaderboardAsync () {
+  let regNodes = await RegisteredNode.findAll({
+    where: { audit_score: { [sequelize.Op.gt]: 0 } },
+    attributes: ['tntAddr', 'publicUri', 'auditScore', 'consecutivePasses', 'passCount', 'failCount'],
+    order: [['audit_score', 'DESC'], ['consecutive_passes', 'DESC'], ['tnt_addr', 'ASC']],
+    limit: NODE_LEADERBOARD_SIZE,
+    raw: true
+  })
+
+  return regNodes.map((regNode, index) => {
+    return {
+      rank: index + 1,
+      tnt_addr: regNode.tntAddr,
+      public_uri: regNode.publicUri,
+      audit_score: parseInt(regNode.auditScore, 10),
+      consecutive_passes: parseInt(regNode.consecutivePasses, 10),
+      pass_count: parseInt(regNode.passCount, 10),
+      fail_count: parseInt(regNode.failCount, 10)
+    }
+  })
+}
+
+// Calculates the network stats and Node leaderboard and writes them to redis for the API to serve
+async function refreshNetworkStatsAsync () {
+  if (!redis) throw new Error('Redis connection not available')
+
+  let networkStats = await calculateNetworkStatsAsync()
+  let nodeLeaderboard = await calculateNodeLeaderboardAsync()
+
+  let multi = redis.multi()
+  multi.set(NETWORK_STATS_KEY, JSON.stringify(networkStats), 'EX', NETWORK_STATS_CACHE_EXPIRE_MINUTES * 60)
+  multi.set(NODE_LEADERBOARD_KEY, JSON.stringify(nodeLeaderboard), 'EX', NETWORK_STATS_CACHE_EXPIRE_MINUTES * 60)
+  await multi.exec()
+  return true
+}
+
+// Returns the cached network stats object, or null if none are cached
+async function getNetworkStatsAsync () {
+  if (!redis) throw new Error('Redis connection not available')
+  let networkStatsJSON = await redis.get(NETWORK_STATS_KEY)
+  return networkStatsJSON ? JSON.parse(networkStatsJSON) : null
+}
+
+// Returns the cached Node leaderboard array, or null if none is cached
+async function getNodeLeaderboardAsync () {
+  if (!redis) throw new Error('Redis connection not available')
+  let nodeLeaderboardJSON = await redis.get(NODE_LEADERBOARD_KEY)
+  return nodeLeaderboardJSON ? JSON.parse(nodeLeaderboardJSON) : null
+}
+
+module.exports = {
+  getActiveNodeCountAsync: getActiveNodeCountAsync,
+  refreshNetworkStatsAsync: refreshNetworkStatsAsync,
+  getNetworkStatsAsync: getNetworkStatsAsync,
+  getNodeLeaderboardAsync: getNodeLeaderboardAsync,
+  setRedis: (r) => { redis = r },
+  setDatabase: (sqlz, regNode, calBlock, aggState, btcTxState, btcHeadState) => {
+    sequelize = sqlz
+    RegisteredNode = regNode
+    CalendarBlock = calBlock
+    AggState = aggState
+    BtcTxState = btcTxState
+    BtcHeadState = btcHeadState
+  }
+}
@@ -0,0 +1,64 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const CALLBACK_KEY_PREFIX = 'ProofCallback'
+
+// How many minutes a callback_url remains registered for a hash_id_core
+// This matches the proof cache lifetime so that every proof stage generated
+// while the proof is retrievable from Core results in a notification
+const CALLBACK_EXPIRE_MINUTES = 60 * 24
+
+// The redis connection used for all redis communication
+// This value is set once the connection has been established
+let redis = null
+
+// Registers the callback_url to notify as each proof stage for hash_id_core becomes ready
+async function writeCallbackUrlsAsync (callbacks) {
+  if (!redis) throw new Error('Redis connection not available')
+
+  let multi = redis.multi()
+
+  callbacks.forEach((callback) => {
+    multi.set(`${CALLBACK_KEY_PREFIX}:${callback.hash_id_core}`, callback.callback_url, 'EX', CALLBACK_EXPIRE_MINUTES * 60)
+  })
+
+  await multi.exec()
+  return true
+}
+
+// Returns an array of { hash_id_core, callback_url } objects in the same order as hashIds
+// callback_url will be null for any hash_id_core without a registered callback_url
+async function getCallbackUrlsByHashIdsAsync (hashIds) {
+  if (!redis) throw new Error('Redis connection not available')
+
+  let multi = redis.multi()
+
+  hashIds.forEach((hashId) => {
+    multi.get(`${CALLBACK_KEY_PREFIX}:${hashId}`)
+  })
+
+  let redisResults = await multi.exec()
+
+  return hashIds.map((hashId, index) => {
+    return { hash_id_core: hashId, callback_url: redisResults[index][1] }
+  })
+}
+
+module.exports = {
+  setRedis: (r) => { redis = r },
+  writeCallbackUrlsAsync: writeCallbackUrlsAsync,
+  getCallbackUrlsByHashIdsAsync: getCallbackUrlsByHashIdsAsync
+}
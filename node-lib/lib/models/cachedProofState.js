@@ -18,6 +18,9 @@ const CAL_STATE_KEY_PREFIX = 'CalState'
 const ANCHOR_BTC_AGG_STATE_KEY_PREFIX = 'AnchorBTCAggState'
 const BTC_TX_STATE_KEY_PREFIX = 'BtcTxState'
 const BTC_HEAD_STATE_KEY_PREFIX = 'BtcHeadState'
+const ANCHOR_ETH_AGG_STATE_KEY_PREFIX = 'AnchorETHAggState'
+const ETH_TX_STATE_KEY_PREFIX = 'EthTxState'
+const BTC_TX_CONFIRMATIONS_KEY_PREFIX = 'BtcTxConfirmations'
 
 let sequelize
 let AggState
@@ -25,6 +28,8 @@ let CalState
 let AnchorBtcAggState
 let BtcTxState
 let BtcHeadState
+let AnchorEthAggState
+let EthTxState
 
 // The redis connection used for all redis communication
 // This value is set once the connection has been established
@@ -68,6 +73,14 @@ async function getHashIdsByBtcTxIdAsync (btcTxId) {
   return results
 }
 
+async function getHashIdsByAnchorEthAggIdAsync (anchorEthAggId) {
+  let results = await sequelize.query(`SELECT a.hash_id FROM chainpoint_proof_agg_states a
+    INNER JOIN chainpoint_proof_cal_states c ON c.agg_id = a.agg_id
+    INNER JOIN chainpoint_proof_anchor_eth_agg_states aa ON aa.cal_id = c.cal_id
+    WHERE aa.anchor_eth_agg_id = ${sequelize.escape(anchorEthAggId)}`, { type: sequelize.QueryTypes.SELECT })
+  return results
+}
+
 async function getAggStateObjectsByHashIdsAsync (hashIds) {
   let results = await AggState.findAll({
     where: {
@@ -78,6 +91,23 @@ async function getAggStateObjectsByHashIdsAsync (hashIds) {
   return results
 }
 
+// Returns the agg state rows of every hash_id submitted with the given hash value,
+// oldest first, ignoring rows past the retention window that are awaiting pruning
+async function getAggStateObjectsByHashAsync (hash, limit) {
+  let retentionCutoffDate = new Date(Date.now() - PROOF_STATE_EXPIRE_HOURS * 60 * 60 * 1000)
+  let results = await AggState.findAll({
+    attributes: ['hash_id', 'hash', 'agg_id', 'created_at'],
+    where: {
+      hash: hash,
+      created_at: { [sequelize.Op.gt]: retentionCutoffDate }
+    },
+    order: [['created_at', 'ASC']],
+    limit: limit,
+    raw: true
+  })
+  return results
+}
+
 async function getAggStateInfoSinceTimestampAsync (timestamp) {
   let results = await sequelize.query(`SELECT DISTINCT agg_id, agg_root, created_at
   FROM chainpoint_proof_agg_states
@@ -98,7 +128,7 @@ async function getCalStateObjectsByAggIdsAsync (aggIds) {
 
     let redisResults
     try {
-      redisResults = await multi.exec().map((result) => result[1])
+      redisResults = (await multi.exec()).map((result) => result[1])
     } catch (error) {
       console.error(`Redis read error : getCalStateObjectsByAggIdsAsync : ${error.message}`)
     }
@@ -155,7 +185,7 @@ async function getAnchorBTCAggStateObjectsByCalIdsAsync (calIds) {
 
     let redisResults
     try {
-      redisResults = await multi.exec().map((result) => result[1])
+      redisResults = (await multi.exec()).map((result) => result[1])
     } catch (error) {
       console.error(`Redis read error : getAnchorBTCAggStateObjectsByCalIdsAsync : ${error.message}`)
     }
@@ -260,6 +290,103 @@ async function getBTCHeadStateObjectByBTCTxIdAsync (btcTxId) {
   return result
 }
 
+async function getAnchorETHAggStateObjectsByCalIdsAsync (calIds) {
+  let calIdData = calIds.map((calId) => { return { calId: calId, data: null } })
+
+  if (redis) {
+    let multi = redis.multi()
+
+    calIdData.forEach((calIdDataItem) => {
+      multi.get(`${ANCHOR_ETH_AGG_STATE_KEY_PREFIX}:${calIdDataItem.calId}`)
+    })
+
+    let redisResults
+    try {
+      redisResults = (await multi.exec()).map((result) => result[1])
+    } catch (error) {
+      console.error(`Redis read error : getAnchorETHAggStateObjectsByCalIdsAsync : ${error.message}`)
+    }
+
+    // assign the redis results to the corresponding item in calIdData
+    calIdData = calIdData.map((item, index) => { item.data = redisResults[index]; return item })
+
+    let nullDataCount = calIdData.reduce((total, item) => item.data === null ? ++total : total, 0)
+    // if all data was retrieved from redis, we are done, return it
+    if (nullDataCount === 0) return calIdData.map((item) => JSON.parse(item.data))
+  }
+
+  // get an array of calIds that we need anchor_eth_agg state data for
+  let calIdsNullData = calIdData.filter((item) => item.data === null).map((item) => item.calId)
+  let dbResult = await AnchorEthAggState.findAll({
+    where: {
+      cal_id: { [sequelize.Op.in]: calIdsNullData }
+    },
+    raw: true
+  })
+  // construct a final result array from the calIdData data and from dbResult
+  let cachedData = calIdData.filter((item) => item.data != null).map((item) => JSON.parse(item.data))
+
+  let finalResult = [...dbResult, ...cachedData]
+
+  // Store the query result in redis to cache for next request
+  if (redis) {
+    let multi = redis.multi()
+
+    dbResult.forEach((dbRow) => {
+      multi.set(`${ANCHOR_ETH_AGG_STATE_KEY_PREFIX}:${dbRow.cal_id}`, JSON.stringify(dbRow), 'EX', PROOF_STATE_CACHE_EXPIRE_MINUTES * 60)
+    })
+
+    try {
+      await multi.exec()
+    } catch (error) {
+      console.error(`Redis write error : getAnchorETHAggStateObjectsByCalIdsAsync : ${error.message}`)
+    }
+  }
+  return finalResult
+}
+
+async function getETHTxStateObjectByAnchorETHAggIdAsync (anchorETHAggId) {
+  if (anchorETHAggId === null) return null
+  let redisKey = `${ETH_TX_STATE_KEY_PREFIX}:${anchorETHAggId}`
+  if (redis) {
+    try {
+      let cacheResult = await redis.get(redisKey)
+      if (cacheResult) return JSON.parse(cacheResult)
+    } catch (error) {
+      console.error(`Redis read error : getETHTxStateObjectByAnchorETHAggIdAsync : ${error.message}`)
+    }
+  }
+  let result = await EthTxState.findOne({
+    where: {
+      anchor_eth_agg_id: anchorETHAggId
+    },
+    raw: true
+  })
+  // The eth tx state is not written until the transaction is confirmed, so only
+  // cache found results, a cached miss would hide the state once it is written
+  if (redis && result) {
+    try {
+      await redis.set(redisKey, JSON.stringify(result), 'EX', PROOF_STATE_CACHE_EXPIRE_MINUTES * 60)
+    } catch (error) {
+      console.error(`Redis write error : getETHTxStateObjectByAnchorETHAggIdAsync : ${error.message}`)
+    }
+  }
+  return result
+}
+
+// The confirmation count last seen by the btc-mon service for a btc transaction is informational
+// only and not part of any proof, so Redis is its sole storage and failures are logged, not thrown
+async function getBTCTxConfirmationsAsync (btcTxId) {
+  if (!redis) return null
+  try {
+    let confirmations = await redis.get(`${BTC_TX_CONFIRMATIONS_KEY_PREFIX}:${btcTxId}`)
+    return confirmations === null ? null : parseInt(confirmations, 10)
+  } catch (error) {
+    console.error(`Redis read error : getBTCTxConfirmationsAsync : ${error.message}`)
+    return null
+  }
+}
+
 async function writeAggStateObjectsBulkAsync (stateObjects) {
   let insertCmd = 'INSERT INTO chainpoint_proof_agg_states (hash_id, hash, agg_id, agg_state, agg_root, created_at, updated_at) VALUES '
 
@@ -390,6 +517,83 @@ async function writeBTCHeadStateObjectAsync (stateObject) {
   return true
 }
 
+// Removes the btchead state for a transaction whose block was orphaned by a chain reorganization,
+// so that no proof is generated with the btc anchor until the transaction confirms again
+async function deleteBTCHeadStateObjectAsync (btcTxId) {
+  await BtcHeadState.destroy({ where: { btctx_id: btcTxId } })
+  // a cached copy would continue to be read in place of the database row, so a failure here is not ignored
+  if (redis) await redis.del(`${BTC_HEAD_STATE_KEY_PREFIX}:${btcTxId}`)
+  return true
+}
+
+async function writeAnchorETHAggStateObjectsAsync (stateObjects) {
+  let insertCmd = 'INSERT INTO chainpoint_proof_anchor_eth_agg_states (cal_id, anchor_eth_agg_id, anchor_eth_agg_state, created_at, updated_at) VALUES '
+
+  stateObjects = stateObjects.map((stateObj) => {
+    stateObj.cal_id = parseInt(stateObj.cal_id, 10)
+    if (isNaN(stateObj.cal_id)) throw new Error(`cal_id value '${stateObj.cal_id}' is not an integer`)
+    stateObj.anchor_eth_agg_state = JSON.stringify(stateObj.anchor_eth_agg_state)
+    return stateObj
+  })
+  let insertValues = stateObjects.map((stateObject) => {
+    // use sequelize.escape() to sanitize input values just to be safe
+    let calId = sequelize.escape(stateObject.cal_id)
+    let anchorEthAggId = sequelize.escape(stateObject.anchor_eth_agg_id)
+    let anchorEthAggStateData = sequelize.escape(stateObject.anchor_eth_agg_state)
+    return `(${calId}, ${anchorEthAggId}, ${anchorEthAggStateData}, now(), now())`
+  })
+
+  insertCmd = insertCmd + insertValues.join(', ') + ' ON CONFLICT (cal_id) DO NOTHING'
+
+  await sequelize.query(insertCmd, { type: sequelize.QueryTypes.INSERT })
+
+  // Store the state object in redis to cache for next request
+  if (redis) {
+    let multi = redis.multi()
+
+    stateObjects.forEach((stateObj) => {
+      multi.set(`${ANCHOR_ETH_AGG_STATE_KEY_PREFIX}:${stateObj.cal_id}`, JSON.stringify(stateObj), 'EX', PROOF_STATE_CACHE_EXPIRE_MINUTES * 60, 'NX')
+    })
+
+    try {
+      await multi.exec()
+    } catch (error) {
+      console.error(`Redis write error : writeAnchorETHAggStateObjectsAsync : ${error.message}`)
+    }
+  }
+  return true
+}
+
+async function writeETHTxStateObjectAsync (stateObject) {
+  let ethTxStateObject = {
+    anchor_eth_agg_id: stateObject.anchor_eth_agg_id,
+    ethtx_id: stateObject.ethtx_id,
+    ethtx_state: JSON.stringify(stateObject.ethtx_state)
+  }
+  await EthTxState.upsert(ethTxStateObject)
+  // Store the state object in redis to cache for next request
+  if (redis) {
+    try {
+      let redisKey = `${ETH_TX_STATE_KEY_PREFIX}:${stateObject.anchor_eth_agg_id}`
+      await redis.set(redisKey, JSON.stringify(ethTxStateObject), 'EX', PROOF_STATE_CACHE_EXPIRE_MINUTES * 60)
+    } catch (error) {
+      console.error(`Redis write error : writeETHTxStateObjectAsync : ${error.message}`)
+    }
+  }
+  return true
+}
+
+async function writeBTCTxConfirmationsAsync (btcTxId, confirmations) {
+  if (!redis) return false
+  try {
+    await redis.set(`${BTC_TX_CONFIRMATIONS_KEY_PREFIX}:${btcTxId}`, confirmations, 'EX', PROOF_STATE_CACHE_EXPIRE_MINUTES * 60)
+  } catch (error) {
+    console.error(`Redis write error : writeBTCTxConfirmationsAsync : ${error.message}`)
+    return false
+  }
+  return true
+}
+
 async function pruneProofStateTableByIdsAsync (model, pkColumnName, ids) {
   // create whereClause object to allow for dynamic column assignment in WHERE
   let whereClause = {}
@@ -418,6 +622,14 @@ async function pruneBTCHeadStatesByIdsAsync (ids) {
   return pruneProofStateTableByIdsAsync(BtcHeadState, 'btctx_id', ids)
 }
 
+async function pruneAnchorETHAggStatesByIdsAsync (ids) {
+  return pruneProofStateTableByIdsAsync(AnchorEthAggState, 'cal_id', ids)
+}
+
+async function pruneETHTxStatesByIdsAsync (ids) {
+  return pruneProofStateTableByIdsAsync(EthTxState, 'anchor_eth_agg_id', ids)
+}
+
 async function getExpiredPKValuesForModel (modelName) {
   let model = null
   let pkColName = null
@@ -442,6 +654,14 @@ async function getExpiredPKValuesForModel (modelName) {
       model = BtcHeadState
       pkColName = 'btctx_id'
       break
+    case 'anchor_eth_agg_states':
+      model = AnchorEthAggState
+      pkColName = 'cal_id'
+      break
+    case 'ethtx_states':
+      model = EthTxState
+      pkColName = 'anchor_eth_agg_id'
+      break
   }
   if (model === null) throw new Error(`Unknown modelName : ${modelName}`)
   let pruneCutoffDate = new Date(Date.now() - PROOF_STATE_EXPIRE_HOURS * 60 * 60 * 1000)
@@ -454,23 +674,35 @@ module.exports = {
   getHashIdsByAggIdAsync: getHashIdsByAggIdAsync,
   getHashIdsByAggIdsAsync: getHashIdsByAggIdsAsync,
   getHashIdsByBtcTxIdAsync: getHashIdsByBtcTxIdAsync,
+  getHashIdsByAnchorEthAggIdAsync: getHashIdsByAnchorEthAggIdAsync,
   getAggStateObjectsByHashIdsAsync: getAggStateObjectsByHashIdsAsync,
+  getAggStateObjectsByHashAsync: getAggStateObjectsByHashAsync,
   getAggStateInfoSinceTimestampAsync: getAggStateInfoSinceTimestampAsync,
   getCalStateObjectsByAggIdsAsync: getCalStateObjectsByAggIdsAsync,
   getAnchorBTCAggStateObjectsByCalIdsAsync: getAnchorBTCAggStateObjectsByCalIdsAsync,
   getBTCTxStateObjectByAnchorBTCAggIdAsync: getBTCTxStateObjectByAnchorBTCAggIdAsync,
   getBTCHeadStateObjectByBTCTxIdAsync: getBTCHeadStateObjectByBTCTxIdAsync,
+  getAnchorETHAggStateObjectsByCalIdsAsync: getAnchorETHAggStateObjectsByCalIdsAsync,
+  getETHTxStateObjectByAnchorETHAggIdAsync: getETHTxStateObjectByAnchorETHAggIdAsync,
+  getBTCTxConfirmationsAsync: getBTCTxConfirmationsAsync,
   writeAggStateObjectsBulkAsync: writeAggStateObjectsBulkAsync,
   writeCalStateObjectsBulkAsync: writeCalStateObjectsBulkAsync,
   writeAnchorBTCAggStateObjectsAsync: writeAnchorBTCAggStateObjectsAsync,
   writeBTCTxStateObjectAsync: writeBTCTxStateObjectAsync,
   writeBTCHeadStateObjectAsync: writeBTCHeadStateObjectAsync,
+  deleteBTCHeadStateObjectAsync: deleteBTCHeadStateObjectAsync,
+  writeAnchorETHAggStateObjectsAsync: writeAnchorETHAggStateObjectsAsync,
+  writeETHTxStateObjectAsync: writeETHTxStateObjectAsync,
+  writeBTCTxConfirmationsAsync: writeBTCTxConfirmationsAsync,
   pruneAggStatesByIdsAsync: pruneAggStatesByIdsAsync,
   pruneCalStatesByIdsAsync: pruneCalStatesByIdsAsync,
   pruneAnchorBTCAggStatesByIdsAsync: pruneAnchorBTCAggStatesByIdsAsync,
   pruneBTCTxStatesByIdsAsync: pruneBTCTxStatesByIdsAsync,
   pruneBTCHeadStatesByIdsAsync: pruneBTCHeadStatesByIdsAsync,
+  pruneAnchorETHAggStatesByIdsAsync: pruneAnchorETHAggStatesByIdsAsync,
+  pruneETHTxStatesByIdsAsync: pruneETHTxStatesByIdsAsync,
   getExpiredPKValuesForModel: getExpiredPKValuesForModel,
+  PROOF_STATE_EXPIRE_HOURS: PROOF_STATE_EXPIRE_HOURS,
   setRedis: (r) => { redis = r },
-  setDatabase: (sqlz, agg, cal, anchorBtc, btcTx, btcHead) => { sequelize = sqlz; AggState = agg; CalState = cal; AnchorBtcAggState = anchorBtc; BtcTxState = btcTx; BtcHeadState = btcHead }
+  setDatabase: (sqlz, agg, cal, anchorBtc, btcTx, btcHead, anchorEth, ethTx) => { sequelize = sqlz; AggState = agg; CalState = cal; AnchorBtcAggState = anchorBtc; BtcTxState = btcTx; BtcHeadState = btcHead; AnchorEthAggState = anchorEth; EthTxState = ethTx }
 }
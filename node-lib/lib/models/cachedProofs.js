@@ -0,0 +1,64 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const PROOF_KEY_PREFIX = 'Proof'
+
+// How many minutes a generated proof remains retrievable from Core
+// Nodes are expected to retrieve their proofs well within this window
+const PROOF_CACHE_EXPIRE_MINUTES = 60 * 24
+
+// The redis connection used for all redis communication
+// This value is set once the connection has been established
+let redis = null
+
+// Proofs are stored as base64 encoded chainpoint-binary strings keyed by hash_id_core
+// A newer proof for the same hash_id_core (e.g. cal+btc replacing cal) overwrites the previous one
+async function writeProofsAsync (proofs) {
+  if (!redis) throw new Error('Redis connection not available')
+
+  let multi = redis.multi()
+
+  proofs.forEach((proof) => {
+    multi.set(`${PROOF_KEY_PREFIX}:${proof.hash_id_core}`, proof.proofBase64, 'EX', PROOF_CACHE_EXPIRE_MINUTES * 60)
+  })
+
+  await multi.exec()
+  return true
+}
+
+// Returns an array of { hash_id_core, proofBase64 } objects in the same order as hashIds
+// proofBase64 will be null for any hash_id_core not found
+async function getProofsByHashIdsAsync (hashIds) {
+  if (!redis) throw new Error('Redis connection not available')
+
+  let multi = redis.multi()
+
+  hashIds.forEach((hashId) => {
+    multi.get(`${PROOF_KEY_PREFIX}:${hashId}`)
+  })
+
+  let redisResults = await multi.exec()
+
+  return hashIds.map((hashId, index) => {
+    return { hash_id_core: hashId, proofBase64: redisResults[index][1] }
+  })
+}
+
+module.exports = {
+  setRedis: (r) => { redis = r },
+  writeProofsAsync: writeProofsAsync,
+  getProofsByHashIdsAsync: getProofsByHashIdsAsync
+}
@@ -0,0 +1,90 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+// The Redis pub/sub channel on which the calendar announces each newly committed block
+const CALENDAR_BLOCKS_CHANNEL = 'Calendar:NewBlocks'
+
+// The redis connection used for all redis communication
+// This value is set once the connection has been established
+let redis = null
+
+// The duplicate redis connection held in subscriber mode while a block handler is registered
+let subscriber = null
+
+// The function called with each block received on CALENDAR_BLOCKS_CHANNEL
+let blockHandler = null
+
+// Announce a committed block to every subscriber, with integer fields
+// and property names matching the blocks served by the API
+async function publishBlockAsync (block) {
+  if (!redis) throw new Error('Redis connection not available')
+
+  let blockObj = {
+    id: parseInt(block.id, 10),
+    time: parseInt(block.time, 10),
+    version: parseInt(block.version, 10),
+    stackId: block.stackId,
+    type: block.type,
+    dataId: block.dataId,
+    dataVal: block.dataVal,
+    hashAlgorithm: block.hashAlgorithm || null,
+    prevHash: block.prevHash,
+    hash: block.hash,
+    sig: block.sig
+  }
+
+  await redis.publish(CALENDAR_BLOCKS_CHANNEL, JSON.stringify(blockObj))
+  return true
+}
+
+// Register the function to be called with each announced block, replacing any previous one
+function subscribeBlocks (onBlock) {
+  blockHandler = onBlock
+  if (redis !== null && subscriber === null) openSubscriber()
+}
+
+// A connection in subscriber mode cannot issue other commands, so a duplicate of the
+// shared connection is used. It is replaced whenever the shared connection is replaced.
+function openSubscriber () {
+  subscriber = redis.duplicate()
+  subscriber.on('message', (channel, message) => {
+    if (channel !== CALENDAR_BLOCKS_CHANNEL || blockHandler === null) return
+    let block
+    try {
+      block = JSON.parse(message)
+    } catch (error) {
+      console.error(`Unable to parse block announced on ${CALENDAR_BLOCKS_CHANNEL} : ${error.message}`)
+      return
+    }
+    blockHandler(block)
+  })
+  subscriber.subscribe(CALENDAR_BLOCKS_CHANNEL).catch((error) => {
+    console.error(`Unable to subscribe to ${CALENDAR_BLOCKS_CHANNEL} : ${error.message}`)
+  })
+}
+
+module.exports = {
+  setRedis: (r) => {
+    if (subscriber !== null) {
+      subscriber.disconnect()
+      subscriber = null
+    }
+    redis = r
+    if (redis !== null && blockHandler !== null) openSubscriber()
+  },
+  publishBlockAsync: publishBlockAsync,
+  subscribeBlocks: subscribeBlocks
+}
@@ -0,0 +1,96 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const crypto = require('crypto')
+
+// Random values are drawn from the first 6 bytes of a hash, the most that
+// can be held exactly by a javascript number
+const DRAW_BYTES = 6
+const DRAW_RANGE = 2 ** (DRAW_BYTES * 8)
+
+/**
+ * Calculates the seed of a reward draw from public values, neither of which is
+ * known until shortly before the draw
+ *
+ * @param {string} nist - The beacon pulse in use, as '<beacon type>:<timestamp>:<value>'
+ * @param {string} prevRewardBlockHash - The hash of the previous reward calendar block
+ * @returns {string} The hex encoded seed
+ */
+function getSeed (nist, prevRewardBlockHash) {
+  return sha256Hex(`${nist}:${prevRewardBlockHash}`)
+}
+
+/**
+ * Returns the candidates in their canonical order, ascending by TNT address
+ *
+ * @param {Object[]} candidates - Array of { tntAddr, weight } objects
+ * @returns {Object[]} A sorted copy of candidates
+ */
+function sortCandidates (candidates) {
+  return candidates.slice().sort((a, b) => a.tntAddr < b.tntAddr ? -1 : a.tntAddr > b.tntAddr ? 1 : 0)
+}
+
+/**
+ * Calculates the hash committing to the candidates of a reward draw and their weights
+ *
+ * @param {Object[]} candidates - Array of { tntAddr, weight } objects in canonical order
+ * @returns {string} The hex encoded SHA256 hash of the '<tntAddr>:<weight>' of each candidate, comma separated
+ */
+function getCandidateListHash (candidates) {
+  return sha256Hex(candidates.map((candidate) => `${candidate.tntAddr}:${candidate.weight}`).join(','))
+}
+
+/**
+ * Selects the winner of a reward draw, with each candidate's chance of selection in
+ * proportion to its weight. The same seed and candidates always select the same winner.
+ *
+ * A number below the total weight is drawn from SHA256(`${seed}:${round}`), starting at
+ * round 0 and moving to the next round whenever the number would be biased, and the
+ * winner is the candidate whose range of the cumulative weights contains it.
+ *
+ * @param {string} seed - The hex encoded seed of the draw
+ * @param {Object[]} candidates - Array of { tntAddr, weight } objects in canonical order
+ * @returns {number} The index of the winner in candidates
+ */
+function selectWinnerIndex (seed, candidates) {
+  let totalWeight = candidates.reduce((total, candidate) => total + candidate.weight, 0)
+  if (!Number.isSafeInteger(totalWeight) || totalWeight < 1 || totalWeight > DRAW_RANGE) throw new Error(`invalid total weight ${totalWeight}`)
+
+  // values at or above the largest multiple of totalWeight in the draw range would favor the first candidates
+  let drawLimit = DRAW_RANGE - (DRAW_RANGE % totalWeight)
+  let draw
+  for (let round = 0; draw === undefined || draw >= drawLimit; round++) {
+    draw = parseInt(sha256Hex(`${seed}:${round}`).slice(0, DRAW_BYTES * 2), 16)
+  }
+  let target = draw % totalWeight
+
+  let cumulativeWeight = 0
+  for (let index = 0; index < candidates.length; index++) {
+    cumulativeWeight += candidates[index].weight
+    if (target < cumulativeWeight) return index
+  }
+}
+
+function sha256Hex (str) {
+  return crypto.createHash('sha256').update(str).digest('hex')
+}
+
+module.exports = {
+  getSeed: getSeed,
+  sortCandidates: sortCandidates,
+  getCandidateListHash: getCandidateListHash,
+  selectWinnerIndex: selectWinnerIndex
+}
@@ -0,0 +1,134 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const BigNumber = require('bignumber.js')
+
+// The versions of the schedule document format understood by this module
+const SUPPORTED_VERSIONS = [1]
+
+// An epoch starts either at a time, or once a number of reward blocks have been written
+const EPOCH_TYPES = ['time', 'reward_block_count']
+
+// The schedule used until one is set, the rewards paid before schedules were introduced
+const DEFAULT_SCHEDULE = {
+  version: 1,
+  epoch_type: 'time',
+  epochs: [
+    { start: '2017-01-01T00:00:00Z', node: 1250, core: 0 },
+    { start: '2018-02-28T22:00:00Z', node: 1500, core: 0 }
+  ]
+}
+
+/**
+ * Validates a reward schedule document
+ *
+ * A schedule lists its epochs in ascending order of start, each with the Node and Core
+ * reward shares in TNT paid from its start until the start of the next epoch
+ *
+ * {
+ *  version: 1,
+ *  epoch_type: 'time' or 'reward_block_count',
+ *  epochs: [{ start: ISO8601 date or reward block count, node: number, core: number }]
+ * }
+ *
+ * @param {Object} schedule - The schedule document
+ * @returns {string[]} A description of each problem found, empty when the schedule is valid
+ */
+function validateSchedule (schedule) {
+  if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) return ['schedule must be an object']
+
+  let errors = []
+  if (!SUPPORTED_VERSIONS.includes(schedule.version)) errors.push(`version must be one of ${SUPPORTED_VERSIONS.join(', ')}`)
+  if (!EPOCH_TYPES.includes(schedule.epoch_type)) errors.push(`epoch_type must be one of ${EPOCH_TYPES.join(', ')}`)
+  if (!Array.isArray(schedule.epochs) || schedule.epochs.length < 1) {
+    errors.push('epochs must be an array of at least one epoch')
+    return errors
+  }
+
+  let lastStart = null
+  schedule.epochs.forEach((epoch, index) => {
+    if (!epoch || typeof epoch !== 'object') {
+      errors.push(`epochs[${index}] must be an object`)
+      return
+    }
+    let start = getEpochStart(schedule.epoch_type, epoch)
+    if (start === null) {
+      errors.push(`epochs[${index}].start must be ${schedule.epoch_type === 'time' ? 'an ISO8601 date' : 'a reward block count'}`)
+    } else if (lastStart !== null && start <= lastStart) {
+      errors.push(`epochs[${index}].start must be after the start of the previous epoch`)
+    }
+    if (start !== null) lastStart = start
+    for (let share of ['node', 'core']) {
+      if (!isValidTNTAmount(epoch[share])) errors.push(`epochs[${index}].${share} must be a number of TNT, zero or more, with at most 8 decimal places`)
+    }
+  })
+  return errors
+}
+
+/**
+ * Parses and validates a JSON reward schedule document
+ *
+ * @param {string} scheduleJSON - The schedule document as JSON
+ * @returns {Object} The schedule
+ * @throws {Error} If the document is not JSON or is not a valid schedule
+ */
+function parseSchedule (scheduleJSON) {
+  let schedule
+  try {
+    schedule = JSON.parse(scheduleJSON)
+  } catch (error) {
+    throw new Error(`invalid schedule JSON : ${error.message}`)
+  }
+  let errors = validateSchedule(schedule)
+  if (errors.length > 0) throw new Error(`invalid schedule : ${errors.join(' : ')}`)
+  return schedule
+}
+
+/**
+ * Returns the epoch of a valid schedule in effect at the given time or reward block count
+ *
+ * @param {Object} schedule - The schedule
+ * @param {number} position - The time in milliseconds, or the number of reward blocks written, by epoch_type
+ * @returns {Object} The epoch, or null if the first epoch has not yet started
+ */
+function getCurrentEpoch (schedule, position) {
+  let currentEpoch = null
+  for (let epoch of schedule.epochs) {
+    if (getEpochStart(schedule.epoch_type, epoch) > position) break
+    currentEpoch = epoch
+  }
+  return currentEpoch
+}
+
+// Returns the start of the epoch as a time in milliseconds or reward block count, or null if invalid
+function getEpochStart (epochType, epoch) {
+  if (epochType === 'time') {
+    let start = typeof epoch.start === 'string' ? Date.parse(epoch.start) : NaN
+    return isNaN(start) ? null : start
+  }
+  return Number.isSafeInteger(epoch.start) && epoch.start >= 0 ? epoch.start : null
+}
+
+function isValidTNTAmount (amount) {
+  return typeof amount === 'number' && isFinite(amount) && amount >= 0 && new BigNumber(amount).decimalPlaces() <= 8
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE: DEFAULT_SCHEDULE,
+  validateSchedule: validateSchedule,
+  parseSchedule: parseSchedule,
+  getCurrentEpoch: getCurrentEpoch
+}
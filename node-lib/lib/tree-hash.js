@@ -0,0 +1,51 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const crypto = require('crypto')
+const sha3256 = require('js-sha3').sha3_256
+
+// The hash algorithms that may be used to construct aggregation and calendar trees,
+// keyed by their name in the Chainpoint v3 ops vocabulary. Each entry provides the
+// hashType option expected by merkle-tools and a function hashing a Buffer to a Buffer.
+// BLAKE2b is not present in the Chainpoint v3 ops vocabulary, so proofs built with it could
+// not be serialized or verified and it cannot be offered here until the proof format adds it.
+const TREE_HASH_ALGORITHMS = {
+  'sha-256': {
+    merkleToolsHashType: 'sha256',
+    hash: (buffer) => crypto.createHash('sha256').update(buffer).digest()
+  },
+  'sha3-256': {
+    merkleToolsHashType: 'SHA3-256',
+    hash: (buffer) => Buffer.from(sha3256.array(buffer))
+  }
+}
+
+/**
+ * Returns the tree hash algorithm with the given Chainpoint op name
+ *
+ * @param {string} name - The Chainpoint op name of the algorithm, e.g. 'sha3-256'
+ * @returns {Object} An object with the op name, the merkle-tools hashType, and a hash function
+ */
+function getTreeHashAlgorithm (name) {
+  let algorithm = TREE_HASH_ALGORITHMS[name]
+  if (!algorithm) throw new Error(`Unsupported tree hash algorithm : ${name}`)
+  return { op: name, merkleToolsHashType: algorithm.merkleToolsHashType, hash: algorithm.hash }
+}
+
+module.exports = {
+  TREE_HASH_ALGORITHM_NAMES: Object.keys(TREE_HASH_ALGORITHMS),
+  getTreeHashAlgorithm: getTreeHashAlgorithm
+}
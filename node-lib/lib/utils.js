@@ -14,6 +14,8 @@
  * along with this program.  If not, see <http://www.gnu.org/licenses/>.
 */
 
+const net = require('net')
+
 /**
  * Sleep for a specified number of milliseconds
  *
@@ -80,6 +82,45 @@ function isIP (value) {
   return isIP
 }
 
+// The IPv4 ranges, as [network, prefix length], that are not publicly routable: this network,
+// private, shared address space, loopback, link-local, IETF protocol assignments,
+// benchmarking, multicast, and reserved including broadcast
+const NON_PUBLIC_IPV4_RANGES = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]
+
+function ipv4ToNumber (address) {
+  return address.split('.').reduce((value, octet) => value * 256 + parseInt(octet, 10), 0)
+}
+
+/**
+ * Checks if an address is a publicly routable IP address, rather than a
+ * loopback, private, link-local, multicast or otherwise reserved address
+ *
+ * @param {string} address - The IPv4 or IPv6 address to check
+ * @returns {bool} true if address is a public IP address, otherwise false
+ */
+function isPublicIP (address) {
+  if (net.isIPv4(address)) {
+    let value = ipv4ToNumber(address)
+    return !NON_PUBLIC_IPV4_RANGES.some(([network, prefixLength]) => {
+      let blockSize = Math.pow(2, 32 - prefixLength)
+      return Math.floor(value / blockSize) === Math.floor(ipv4ToNumber(network) / blockSize)
+    })
+  }
+  if (net.isIPv6(address)) {
+    let lowerAddress = address.toLowerCase()
+    // IPv4-mapped addresses reach the IPv4 address they embed
+    let mappedIPv4 = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(lowerAddress)
+    if (mappedIPv4) return isPublicIP(mappedIPv4[1])
+    // only global unicast 2000::/3 is public, excluding loopback, unique local, link-local and multicast
+    let firstGroup = lowerAddress.startsWith('::') ? 0 : parseInt(lowerAddress.split(':')[0], 16)
+    return (firstGroup & 0xe000) === 0x2000
+  }
+  return false
+}
+
 /**
  * Converts proof path array output from the merkle-tools package
  * to a Chainpoint v3 ops array
@@ -102,6 +143,49 @@ function formatAsChainpointV3Ops (proof, op) {
   return ChainpointV3Ops
 }
 
+/**
+ * Determines the IP address of the client making a request, preferring
+ * the headers set by Cloudflare or a load balancer when present
+ *
+ * @param {Object} req - The restify request object
+ * @returns {string} The client IP address, or null if it could not be determined
+ */
+function getSourceIp (req) {
+  let reqIp = null
+  if (req.headers['cf-connecting-ip']) {
+    // Cloudflare
+    reqIp = req.headers['cf-connecting-ip']
+  } else if (req.headers['x-forwarded-for']) {
+    let fwdIPs = req.headers['x-forwarded-for'].split(',')
+    reqIp = fwdIPs[0].trim()
+  } else {
+    reqIp = req.connection.remoteAddress || null
+  }
+  if (reqIp) reqIp = reqIp.replace(/^.*:/, '')
+
+  return reqIp
+}
+
+/**
+ * Determines the IP address of the client making a request from values
+ * the client cannot forge: the last X-Forwarded-For entry, which is
+ * appended by our own load balancer, or the socket's remote address
+ *
+ * @param {Object} req - The restify request object
+ * @returns {string} The client IP address, or null if it could not be determined
+ */
+function getTrustedSourceIp (req) {
+  let reqIp = null
+  if (req.headers['x-forwarded-for']) {
+    let fwdIPs = req.headers['x-forwarded-for'].split(',')
+    reqIp = fwdIPs[fwdIPs.length - 1].trim()
+  }
+  if (!reqIp) reqIp = req.connection.remoteAddress || null
+  if (reqIp) reqIp = reqIp.replace(/^.*:/, '')
+
+  return reqIp
+}
+
 module.exports = {
   sleep: sleep,
   addMinutes: addMinutes,
@@ -109,5 +193,8 @@ module.exports = {
   formatDateISO8601NoMs: formatDateISO8601NoMs,
   isHex: isHex,
   isIP: isIP,
-  formatAsChainpointV3Ops: formatAsChainpointV3Ops
+  isPublicIP: isPublicIP,
+  formatAsChainpointV3Ops: formatAsChainpointV3Ops,
+  getSourceIp: getSourceIp,
+  getTrustedSourceIp: getTrustedSourceIp
 }
@@ -18,32 +18,91 @@
 const env = require('./lib/parse-env.js')('nist')
 
 const zeromq = require('zeromq')
-const BEACON = require('nist-randomness-beacon')
+const Sequelize = require('sequelize-cockroachdb')
+const loadBeacons = require('./lib/beacons/beaconLoader.js')
 const connections = require('./lib/connections.js')
 const utils = require(`./lib/utils.js`)
+const beaconPulse = require('./lib/models/BeaconPulse.js')
+
+// The randomness beacons, in order of preference
+const beacons = loadBeacons(env)
 
 let responseSocket
 let publishSocket
 
+// The latest beacon value, as 'timestamp:value', and the type of the beacon it is from.
+// The type is the tag embedded alongside the value in proofs, e.g. 'nistv2' or 'drand'
 let nistLatest = null
+let nistLatestType = null
 
-async function getNistLatestAsync () {
+// The pulse history, recording every pulse retrieved and when each was put into use
+let BeaconPulse = null
+
+// The time of the last pulse recorded for each beacon type, to avoid rewriting a pulse seen on every poll
+let lastRecordedPulseTimes = {}
+
+// Returns the latest pulse, and its beacon, from the first beacon in order of preference
+// that has a recent verified pulse. During an outage a beacon's latest pulse falls
+// behind, or can not be retrieved, and the next beacon is used until it recovers.
+async function getPreferredPulseAsync () {
+  for (let beacon of beacons) {
+    try {
+      let pulse = await beacon.getLatestPulseAsync()
+      await recordPulseAsync(beacon.type, pulse)
+      let ageMinutes = Math.floor((Date.now() - pulse.timestampMS) / 60000)
+      if (ageMinutes >= env.BEACON_MAX_AGE_MINUTES) throw new Error(`latest pulse is ${ageMinutes} minutes old`)
+      return { beacon: beacon, pulse: pulse }
+    } catch (error) {
+      console.error(`${beacon.type} beacon error : ${error.message}`)
+    }
+  }
+  return null
+}
+
+// Adds a verified pulse to the pulse history, if not already present
+async function recordPulseAsync (beaconType, pulse) {
+  if (lastRecordedPulseTimes[beaconType] === pulse.timestampMS) return
   try {
-    let result = await BEACON.getMostRecentPulse()
-
-    // A pulse object being returned without error implies
-    // a well formatted, content and signature verified pulse
-    let timestampMS = new Date(result.pulse.timeStamp).getTime()
-    let timeAndSeed = `${timestampMS}:${result.pulse.localRandomValue}`.toLowerCase()
-
-    // broadcast NIST value if it is a new one
-    if (timeAndSeed !== nistLatest) {
-      nistLatest = timeAndSeed
-      console.log(`Broadcasting new NIST value : ${nistLatest}`)
-      publishSocket.send(['nist', nistLatest])
+    await BeaconPulse.create({ beaconType: beaconType, pulseTime: pulse.timestampMS, value: pulse.value.toLowerCase(), seenAt: Date.now() })
+  } catch (error) {
+    // the pulse was recorded before a restart
+    if (!(error instanceof Sequelize.UniqueConstraintError)) {
+      console.error(`Could not record ${beaconType} pulse ${pulse.timestampMS} : ${error.message}`)
+      return
     }
+  }
+  lastRecordedPulseTimes[beaconType] = pulse.timestampMS
+}
+
+// Records the time a pulse was first put into use, so that the pulse in use at any time can be found
+async function recordPulseBroadcastAsync (beaconType, pulse) {
+  try {
+    await BeaconPulse.update({ broadcastAt: Date.now() }, { where: { beaconType: beaconType, pulseTime: pulse.timestampMS, broadcastAt: null } })
   } catch (error) {
-    console.error(`NIST beacon error : ${error.message}`)
+    console.error(`Could not record ${beaconType} pulse ${pulse.timestampMS} broadcast : ${error.message}`)
+  }
+}
+
+async function getNistLatestAsync () {
+  let preferred = await getPreferredPulseAsync()
+  if (preferred === null) {
+    console.error(`No beacon has a recent verified pulse`)
+    return
+  }
+
+  let timeAndSeed = `${preferred.pulse.timestampMS}:${preferred.pulse.value}`.toLowerCase()
+
+  // broadcast beacon value if it is a new one
+  if (timeAndSeed !== nistLatest) {
+    if (nistLatestType !== null && nistLatestType !== preferred.beacon.type) console.log(`Switching beacon from ${nistLatestType} to ${preferred.beacon.type}`)
+    nistLatest = timeAndSeed
+    nistLatestType = preferred.beacon.type
+    await recordPulseBroadcastAsync(nistLatestType, preferred.pulse)
+    // the publish socket is opened once the initial value is available
+    if (publishSocket) {
+      console.log(`Broadcasting new ${nistLatestType} value : ${nistLatest}`)
+      publishSocket.send(['nist', nistLatest, nistLatestType])
+    }
   }
 }
 
@@ -69,15 +128,27 @@ function initNISTSockets () {
   responseSocket.bindSync(env.NIST_RES_ZEROMQ_SOCKET_URI)
   publishSocket.bindSync(env.NIST_PUB_ZEROMQ_SOCKET_URI)
 
+  // Both sockets send the beacon type in a frame following the value, so that
+  // consumers reading only the value remain compatible
   responseSocket.on(`message`, function (msg) {
-    console.log(`Received NIST value request : ${nistLatest}`)
-    responseSocket.send(nistLatest)
+    console.log(`Received NIST value request : ${nistLatestType} : ${nistLatest}`)
+    responseSocket.send([nistLatest, nistLatestType])
   })
 }
 
+/**
+ * Opens a storage connection
+ **/
+async function openStorageConnectionAsync () {
+  let cxObjects = await connections.openStorageConnectionAsync([beaconPulse])
+  BeaconPulse = cxObjects.models[0]
+}
+
 async function start () {
   if (env.NODE_ENV === 'test') return
   try {
+    // init DB connection
+    await openStorageConnectionAsync()
     // init interval functions
     startIntervals()
     // wait until first valid NIST value is received
@@ -87,7 +158,7 @@ async function start () {
       await utils.sleep(1000)
       currentNIST = nistLatest
     }
-    console.log(`Initial NIST value : ${nistLatest}`)
+    console.log(`Initial NIST value : ${nistLatestType} : ${nistLatest}`)
     // init ZeroMQ sockets
     initNISTSockets()
     console.log('startup completed successfully')
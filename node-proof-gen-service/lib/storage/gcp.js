@@ -0,0 +1,45 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const env = require('../parse-env.js')('gen')
+
+const GCPStorage = require('@google-cloud/storage')
+const chpBinary = require('chainpoint-binary')
+const retry = require('async-retry')
+
+// Google Cloud Storage client
+// This module is only loaded when the GCP storage backend is selected
+const gcpStorage = new GCPStorage({ projectId: env.GCP_STORAGE_PROJECTID })
+const gcpBucket = gcpStorage.bucket(env.GCP_STORAGE_BUCKET)
+
+async function saveProofAsync (proof) {
+  let proofFilename = `${proof.hash_id_core}.chp`
+  let proofGCPFile = gcpBucket.file(proofFilename)
+
+  await retry(async () => {
+    await proofGCPFile.save(chpBinary.objectToBinarySync(proof), { resumable: false })
+  }, {
+    retries: 3,
+    minTimeout: 50,
+    maxTimeout: 300,
+    factor: 1,
+    onRetry: (error) => { console.log(`gcp saveProofAsync : retrying : ${proofFilename} : ${error.message}`) }
+  })
+}
+
+module.exports = {
+  saveProofAsync: saveProofAsync
+}
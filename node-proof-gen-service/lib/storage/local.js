@@ -0,0 +1,41 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const env = require('../parse-env.js')('gen')
+
+const fs = require('fs')
+const path = require('path')
+const util = require('util')
+const chpBinary = require('chainpoint-binary')
+
+const writeFileAsync = util.promisify(fs.writeFile)
+const renameAsync = util.promisify(fs.rename)
+
+// ensure the storage directory exists before any proofs are written
+if (!fs.existsSync(env.LOCAL_STORAGE_PATH)) fs.mkdirSync(env.LOCAL_STORAGE_PATH)
+
+async function saveProofAsync (proof) {
+  let proofFilename = path.join(env.LOCAL_STORAGE_PATH, `${proof.hash_id_core}.chp`)
+  // write to a temporary file first and rename, so that a reader
+  // never encounters a partially written proof file
+  let tempFilename = `${proofFilename}.tmp`
+  await writeFileAsync(tempFilename, chpBinary.objectToBinarySync(proof))
+  await renameAsync(tempFilename, proofFilename)
+}
+
+module.exports = {
+  saveProofAsync: saveProofAsync
+}
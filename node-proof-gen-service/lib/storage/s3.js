@@ -0,0 +1,61 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+const env = require('../parse-env.js')('gen')
+
+const AWS = require('aws-sdk')
+const chpBinary = require('chainpoint-binary')
+const retry = require('async-retry')
+
+// S3 compatible storage client
+// When S3_STORAGE_ENDPOINT is set, requests are sent to that endpoint instead of AWS,
+// allowing the use of any S3 compatible service such as MinIO
+let s3Options = {
+  region: env.S3_STORAGE_REGION,
+  signatureVersion: 'v4'
+}
+if (env.S3_STORAGE_ACCESS_KEY_ID) {
+  s3Options.accessKeyId = env.S3_STORAGE_ACCESS_KEY_ID
+  s3Options.secretAccessKey = env.S3_STORAGE_SECRET_ACCESS_KEY
+}
+if (env.S3_STORAGE_ENDPOINT) {
+  s3Options.endpoint = env.S3_STORAGE_ENDPOINT
+  s3Options.s3ForcePathStyle = true
+}
+const s3 = new AWS.S3(s3Options)
+
+async function saveProofAsync (proof) {
+  let proofFilename = `${proof.hash_id_core}.chp`
+
+  await retry(async () => {
+    await s3.putObject({
+      Bucket: env.S3_STORAGE_BUCKET,
+      Key: proofFilename,
+      Body: chpBinary.objectToBinarySync(proof),
+      ContentType: 'application/octet-stream'
+    }).promise()
+  }, {
+    retries: 3,
+    minTimeout: 50,
+    maxTimeout: 300,
+    factor: 1,
+    onRetry: (error) => { console.log(`s3 saveProofAsync : retrying : ${proofFilename} : ${error.message}`) }
+  })
+}
+
+module.exports = {
+  saveProofAsync: saveProofAsync
+}
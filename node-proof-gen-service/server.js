@@ -23,8 +23,6 @@ const uuidTime = require('uuid-time')
 const chpBinary = require('chainpoint-binary')
 const utils = require('./lib/utils.js')
 const cnsl = require('consul')
-const GCPStorage = require('@google-cloud/storage')
-const retry = require('async-retry')
 const crypto = require('crypto')
 const moment = require('moment')
 const connections = require('./lib/connections.js')
@@ -37,15 +35,33 @@ const calState = require('./lib/models/CalState.js')
 const anchorBtcAggState = require('./lib/models/AnchorBtcAggState.js')
 const btcTxState = require('./lib/models/BtcTxState.js')
 const btcHeadState = require('./lib/models/BtcHeadState.js')
+const anchorEthAggState = require('./lib/models/AnchorEthAggState.js')
+const ethTxState = require('./lib/models/EthTxState.js')
 const cachedProofState = require('./lib/models/cachedProofState.js')
+const cachedProofs = require('./lib/models/cachedProofs.js')
+const cachedProofCallbacks = require('./lib/models/cachedProofCallbacks.js')
+
+// The proof storage backends that may be selected in addition to 'resque'
+// Each backend module exports a saveProofAsync(proof) function and
+// is only loaded once it has been selected through PROOF_STORAGE_METHOD_KEY
+const STORAGE_BACKEND_MODULES = {
+  gcp: './lib/storage/gcp.js',
+  local: './lib/storage/local.js',
+  s3: './lib/storage/s3.js'
+}
+
+// The loaded storage backend modules, keyed by backend name
+let storageBackends = {}
 
-// Variable indicating what proof storage flow to use
-// Acceptable values are:
+// Array of storage targets indicating what proof storage flows to use
+// The value is set from a comma separated list of the following:
 // 'resque' for the Resque queue to proof proxy flow
-// 'direct' to write directly to GCP from proof-gen
-// 'both' to do both
-// Any other value will default to 'resque'
-let proofStorageMethod = 'resque'
+// 'gcp' to write directly to GCP from proof-gen
+// 'local' to write to the local filesystem at LOCAL_STORAGE_PATH
+// 's3' to write to an S3 compatible service
+// The legacy values 'direct' (gcp) and 'both' (gcp,resque) are also accepted
+// Any invalid value will default to 'resque'
+let proofStorageTargets = ['resque']
 
 // The channel used for all amqp communication
 // This value is set once the connection has been established
@@ -58,10 +74,6 @@ let redis = null
 // This value is set once the connection has been established
 let taskQueue = null
 
-// Google Cloud Storage client
-const gcpStorage = new GCPStorage({ projectId: env.GCP_STORAGE_PROJECTID })
-const gcpBucket = gcpStorage.bucket(env.GCP_STORAGE_BUCKET)
-
 function addChainpointHeader (proof, hash, hashId) {
   proof['@context'] = 'https://w3id.org/chainpoint/v3'
   proof.type = 'Chainpoint'
@@ -106,10 +118,77 @@ function addBtcBranch (proof, anchorBTCAggState, btcTxState, btcHeadState) {
 
   btcBranch.ops.push({ anchors: [btcAnchor] })
 
-  proof.branches[0].branches = [btcBranch]
+  proof.branches[0].branches = (proof.branches[0].branches || []).concat(btcBranch)
+  return proof
+}
+
+function addEthBranch (proof, anchorETHAggState, ethTxState) {
+  let ethBranch = {}
+  ethBranch.label = 'eth_anchor_branch'
+  ethBranch.ops = anchorETHAggState.ops.concat(ethTxState.ops)
+
+  let ethAnchor = {}
+  ethAnchor.type = 'eth'
+  ethAnchor.anchor_id = ethTxState.anchor.anchor_id
+  ethAnchor.uris = ethTxState.anchor.uris
+
+  ethBranch.ops.push({ anchors: [ethAnchor] })
+
+  proof.branches[0].branches = (proof.branches[0].branches || []).concat(ethBranch)
   return proof
 }
 
+/**
+* Retrieves the state needed to add a btc_anchor_branch for each of the given cal_ids
+* Only cal_ids that have been anchored to BTC and confirmed will be present in the result
+*
+* @param {number[]} calIds - The cal_ids to retrieve btc anchor state for
+* @returns {Object} A lookup table of cal_id to { anchorBTCAggState, btcTxState, btcHeadState }
+*/
+async function getBtcAnchorStateLookupAsync (calIds) {
+  let anchorBTCAggStateRows = await cachedProofState.getAnchorBTCAggStateObjectsByCalIdsAsync(calIds)
+  let anchorBTCAggIds = [...new Set(anchorBTCAggStateRows.map((item) => item.anchor_btc_agg_id))]
+
+  let btcStates = {}
+  for (let anchorBTCAggId of anchorBTCAggIds) {
+    let btcTxStateRow = await cachedProofState.getBTCTxStateObjectByAnchorBTCAggIdAsync(anchorBTCAggId)
+    if (!btcTxStateRow) continue
+    let btcHeadStateRow = await cachedProofState.getBTCHeadStateObjectByBTCTxIdAsync(btcTxStateRow.btctx_id)
+    if (!btcHeadStateRow) continue
+    btcStates[anchorBTCAggId] = { btcTxState: JSON.parse(btcTxStateRow.btctx_state), btcHeadState: JSON.parse(btcHeadStateRow.btchead_state) }
+  }
+
+  return anchorBTCAggStateRows.reduce((result, anchorBTCAggStateRow) => {
+    let btcState = btcStates[anchorBTCAggStateRow.anchor_btc_agg_id]
+    if (btcState) result[anchorBTCAggStateRow.cal_id] = Object.assign({ anchorBTCAggState: JSON.parse(anchorBTCAggStateRow.anchor_btc_agg_state) }, btcState)
+    return result
+  }, {})
+}
+
+/**
+* Retrieves the state needed to add an eth_anchor_branch for each of the given cal_ids
+* Only cal_ids that have been anchored to ETH and confirmed will be present in the result
+*
+* @param {number[]} calIds - The cal_ids to retrieve eth anchor state for
+* @returns {Object} A lookup table of cal_id to { anchorETHAggState, ethTxState }
+*/
+async function getEthAnchorStateLookupAsync (calIds) {
+  let anchorETHAggStateRows = await cachedProofState.getAnchorETHAggStateObjectsByCalIdsAsync(calIds)
+  let anchorETHAggIds = [...new Set(anchorETHAggStateRows.map((item) => item.anchor_eth_agg_id))]
+
+  let ethTxStates = {}
+  for (let anchorETHAggId of anchorETHAggIds) {
+    let ethTxStateRow = await cachedProofState.getETHTxStateObjectByAnchorETHAggIdAsync(anchorETHAggId)
+    if (ethTxStateRow) ethTxStates[anchorETHAggId] = JSON.parse(ethTxStateRow.ethtx_state)
+  }
+
+  return anchorETHAggStateRows.reduce((result, anchorETHAggStateRow) => {
+    let ethTxState = ethTxStates[anchorETHAggStateRow.anchor_eth_agg_id]
+    if (ethTxState) result[anchorETHAggStateRow.cal_id] = { anchorETHAggState: JSON.parse(anchorETHAggStateRow.anchor_eth_agg_state), ethTxState: ethTxState }
+    return result
+  }, {})
+}
+
 /**
 * Retrieves all proof state data for a given hash and initiates proof generation
 *
@@ -203,11 +282,21 @@ async function consumeProofReadyMessageAsync (msg) {
         let btcTxState = JSON.parse(btcTxStateRow.btctx_state)
         let btcHeadState = JSON.parse(btcHeadStateRow.btchead_state)
 
+        // include the eth anchor for any cal_ids already confirmed on ETH so it is not lost when this proof replaces the previous one
+        let ethAnchorStateLookup = {}
+        try {
+          ethAnchorStateLookup = await getEthAnchorStateLookupAsync(calIds)
+        } catch (error) {
+          console.error(`Unable to read eth anchor state for hash_ids ${hashIds} : ${error.message}`)
+        }
+
         let proofs = aggStateRows.map((aggStateRow) => {
+          let calId = calStateLookup[aggStateRow.agg_id].cal_id
           let proof = {}
           proof = addChainpointHeader(proof, aggStateRow.hash, aggStateRow.hash_id)
           proof = addCalendarBranch(proof, JSON.parse(aggStateRow.agg_state), JSON.parse(calStateLookup[aggStateRow.agg_id].state))
-          proof = addBtcBranch(proof, JSON.parse(anchorBTCAggStateLookup[calStateLookup[aggStateRow.agg_id].cal_id]), btcTxState, btcHeadState)
+          proof = addBtcBranch(proof, JSON.parse(anchorBTCAggStateLookup[calId]), btcTxState, btcHeadState)
+          if (ethAnchorStateLookup[calId]) proof = addEthBranch(proof, ethAnchorStateLookup[calId].anchorETHAggState, ethAnchorStateLookup[calId].ethTxState)
 
           // ensure the proof is valid according to the defined Chainpoint v3 JSON schema
           let isValidSchema = chainpointProofSchema.validate(proof).valid
@@ -236,9 +325,123 @@ async function consumeProofReadyMessageAsync (msg) {
         console.error(`${msg.fields.routingKey} [${msg.properties.type}] consume message nacked: ${error.message}`)
       }
       break
-    case 'eth':
-      console.log('building eth proof')
-      amqpChannel.ack(msg)
+    case 'eth_batch':
+      try {
+        let hashIds = messageObj.hash_ids
+        let aggStateRows = await cachedProofState.getAggStateObjectsByHashIdsAsync(hashIds)
+        let aggIds = aggStateRows.map((item) => item.agg_id)
+        let calStateRows = await cachedProofState.getCalStateObjectsByAggIdsAsync(aggIds)
+        let calIds = calStateRows.map((item) => item.cal_id)
+
+        let ethAnchorStateLookup = await getEthAnchorStateLookupAsync(calIds)
+        // include the btc anchor for any cal_ids already confirmed on BTC so it is not lost when this proof replaces the previous one
+        let btcAnchorStateLookup = {}
+        try {
+          btcAnchorStateLookup = await getBtcAnchorStateLookupAsync(calIds)
+        } catch (error) {
+          console.error(`Unable to read btc anchor state for hash_ids ${hashIds} : ${error.message}`)
+        }
+
+        // create a lookup table for calStateRows by agg_id
+        let calStateLookup = calStateRows.reduce((result, calStateRow) => {
+          result[calStateRow.agg_id] = { cal_id: calStateRow.cal_id, state: calStateRow.cal_state }
+          return result
+        }, {})
+
+        let proofs = aggStateRows.map((aggStateRow) => {
+          let calId = calStateLookup[aggStateRow.agg_id].cal_id
+          // if the eth state is missing, there is an unrecoverable problem with the proof state data for this hash_id
+          if (!ethAnchorStateLookup[calId]) {
+            console.error(`Unrecoverable proof state read error for hash_id ${aggStateRow.hash_id} : eth anchor state not found`)
+            return null
+          }
+
+          let proof = {}
+          proof = addChainpointHeader(proof, aggStateRow.hash, aggStateRow.hash_id)
+          proof = addCalendarBranch(proof, JSON.parse(aggStateRow.agg_state), JSON.parse(calStateLookup[aggStateRow.agg_id].state))
+          if (btcAnchorStateLookup[calId]) proof = addBtcBranch(proof, btcAnchorStateLookup[calId].anchorBTCAggState, btcAnchorStateLookup[calId].btcTxState, btcAnchorStateLookup[calId].btcHeadState)
+          proof = addEthBranch(proof, ethAnchorStateLookup[calId].anchorETHAggState, ethAnchorStateLookup[calId].ethTxState)
+
+          // ensure the proof is valid according to the defined Chainpoint v3 JSON schema
+          let isValidSchema = chainpointProofSchema.validate(proof).valid
+          if (!isValidSchema) {
+            console.error(`Proof ${aggStateRow.hash_id} has an invalid JSON schema`)
+            return null
+          }
+          return proof
+        }).filter((proof) => proof !== null)
+
+        // if taskQueue is null (redis outage), wait one second for recovery,
+        // throw error to initiate nack and retry
+        if (taskQueue === null) {
+          await utils.sleep(1000)
+          throw new Error(`Unable to queue up eth storeProofs jobs, taskQueue is null`)
+        }
+        await storeProofsAsync(proofs, 'eth_batch')
+
+        // Proof ready message has been consumed, ack consumption of original message
+        amqpChannel.ack(msg)
+        console.log(msg.fields.routingKey, '[' + msg.properties.type + '] consume message acked')
+      } catch (error) {
+        console.error(`Unable to process proof ready message: ${error.message}`)
+        // An error as occurred consuming a message, nack consumption of original message
+        amqpChannel.nack(msg)
+        console.error(`${msg.fields.routingKey} [${msg.properties.type}] consume message nacked: ${error.message}`)
+      }
+      break
+    case 'reorg_batch':
+      try {
+        // the btc anchor of these hashes was orphaned, so their proofs are rebuilt from the
+        // anchors still in place, replacing any previous proof that included the btc anchor
+        let hashIds = messageObj.hash_ids
+        let aggStateRows = await cachedProofState.getAggStateObjectsByHashIdsAsync(hashIds)
+        let aggIds = aggStateRows.map((item) => item.agg_id)
+        let calStateRows = await cachedProofState.getCalStateObjectsByAggIdsAsync(aggIds)
+        let calIds = calStateRows.map((item) => item.cal_id)
+
+        let btcAnchorStateLookup = await getBtcAnchorStateLookupAsync(calIds)
+        let ethAnchorStateLookup = await getEthAnchorStateLookupAsync(calIds)
+
+        // create a lookup table for calStateRows by agg_id
+        let calStateLookup = calStateRows.reduce((result, calStateRow) => {
+          result[calStateRow.agg_id] = { cal_id: calStateRow.cal_id, state: calStateRow.cal_state }
+          return result
+        }, {})
+
+        let proofs = aggStateRows.filter((aggStateRow) => calStateLookup[aggStateRow.agg_id]).map((aggStateRow) => {
+          let calId = calStateLookup[aggStateRow.agg_id].cal_id
+          let proof = {}
+          proof = addChainpointHeader(proof, aggStateRow.hash, aggStateRow.hash_id)
+          proof = addCalendarBranch(proof, JSON.parse(aggStateRow.agg_state), JSON.parse(calStateLookup[aggStateRow.agg_id].state))
+          if (btcAnchorStateLookup[calId]) proof = addBtcBranch(proof, btcAnchorStateLookup[calId].anchorBTCAggState, btcAnchorStateLookup[calId].btcTxState, btcAnchorStateLookup[calId].btcHeadState)
+          if (ethAnchorStateLookup[calId]) proof = addEthBranch(proof, ethAnchorStateLookup[calId].anchorETHAggState, ethAnchorStateLookup[calId].ethTxState)
+
+          // ensure the proof is valid according to the defined Chainpoint v3 JSON schema
+          let isValidSchema = chainpointProofSchema.validate(proof).valid
+          if (!isValidSchema) {
+            console.error(`Proof ${aggStateRow.hash_id} has an invalid JSON schema`)
+            return null
+          }
+          return proof
+        }).filter((proof) => proof !== null)
+
+        // if taskQueue is null (redis outage), wait one second for recovery,
+        // throw error to initiate nack and retry
+        if (taskQueue === null) {
+          await utils.sleep(1000)
+          throw new Error(`Unable to queue up reorg storeProofs jobs, taskQueue is null`)
+        }
+        await storeProofsAsync(proofs, 'reorg_batch')
+
+        // Proof ready message has been consumed, ack consumption of original message
+        amqpChannel.ack(msg)
+        console.log(msg.fields.routingKey, '[' + msg.properties.type + '] consume message acked')
+      } catch (error) {
+        console.error(`Unable to process proof ready message: ${error.message}`)
+        // An error as occurred consuming a message, nack consumption of original message
+        amqpChannel.nack(msg)
+        console.error(`${msg.fields.routingKey} [${msg.properties.type}] consume message nacked: ${error.message}`)
+      }
       break
     default:
       // This is an unknown proof ready type
@@ -254,26 +457,18 @@ async function storeProofsAsync (proofs, batchType) {
   let batchId = crypto.randomBytes(4).toString('hex')
   // log information about the first item in the batch
   logGenerationEvent(proofs[0].hash_submitted_node_at, batchType, batchId, 1, proofs.length)
-  switch (proofStorageMethod) {
-    case 'direct':
-      // save proof directly to GCP
-      await parallel.each(proofs, async (proof) => {
-        try {
-          await saveProofToGCPAsync(proof)
-        } catch (error) {
-          console.error(`Could not save proof to GCP : ${error.message}`)
-        }
-      }, env.SAVE_CONCURRENCY_COUNT)
-      break
-    case 'both':
-      // save proof directly to GCP
-      await parallel.each(proofs, async (proof) => {
-        try {
-          await saveProofToGCPAsync(proof)
-        } catch (error) {
-          console.error(`Could not save proof to GCP : ${error.message}`)
-        }
-      }, env.SAVE_CONCURRENCY_COUNT)
+  // cache the latest proof for each hash so that it may be retrieved directly from the api service
+  try {
+    await cachedProofs.writeProofsAsync(proofs.map((proof) => {
+      return { hash_id_core: proof.hash_id_core, proofBase64: chpBinary.objectToBase64Sync(proof) }
+    }))
+  } catch (error) {
+    console.error(`Could not cache proofs : ${error.message}`)
+  }
+  // notify the callback_url registered for any of these hashes that a new proof stage is ready
+  await queueProofCallbacksAsync(proofs, batchType)
+  for (let target of proofStorageTargets) {
+    if (target === 'resque') {
       // save proof to proof proxy
       await parallel.each(proofs, async (proof) => {
         try {
@@ -282,17 +477,17 @@ async function storeProofsAsync (proofs, batchType) {
           console.error(`Could not enqueue send_to_proof_proxy task : ${error.message}`)
         }
       }, env.SAVE_CONCURRENCY_COUNT)
-      break
-    case 'resque':
-    default:
-      // save proof to proof proxy
+    } else {
+      // save proof directly to the selected storage backend
+      let storageBackend = storageBackends[target]
       await parallel.each(proofs, async (proof) => {
         try {
-          await taskQueue.enqueue('task-handler-queue', `send_to_proof_proxy`, [proof.hash_id_core, chpBinary.objectToBase64Sync(proof)])
+          await storageBackend.saveProofAsync(proof)
         } catch (error) {
-          console.error(`Could not enqueue send_to_proof_proxy task : ${error.message}`)
+          console.error(`Could not save proof to ${target} : ${error.message}`)
         }
       }, env.SAVE_CONCURRENCY_COUNT)
+    }
   }
   if (proofs.length > 1) {
     let batchEndTimestamp = Date.now()
@@ -302,19 +497,62 @@ async function storeProofsAsync (proofs, batchType) {
   }
 }
 
-async function saveProofToGCPAsync (proof) {
-  let proofFilename = `${proof.hash_id_core}.chp`
-  let proofGCPFile = gcpBucket.file(proofFilename)
-
-  await retry(async () => {
-    await proofGCPFile.save(chpBinary.objectToBinarySync(proof), { resumable: false })
-  }, {
-    retries: 3,
-    minTimeout: 50,
-    maxTimeout: 300,
-    factor: 1,
-    onRetry: (error) => { console.log(`saveProofToGCPAsync : retrying : ${proofFilename} : ${error.message}`) }
-  })
+/**
+ * Enqueues a send_proof_callback task for each proof whose hash has a registered callback_url
+ *
+ * @param {Object[]} proofs - The newly generated proofs
+ * @param {string} batchType - The proof ready message type, one of 'cal_batch', 'btc_batch', 'eth_batch', or 'reorg_batch'
+ */
+async function queueProofCallbacksAsync (proofs, batchType) {
+  let stage = batchType.split('_')[0]
+
+  let callbacks
+  try {
+    callbacks = await cachedProofCallbacks.getCallbackUrlsByHashIdsAsync(proofs.map((proof) => proof.hash_id_core))
+  } catch (error) {
+    console.error(`Could not read proof callback_urls : ${error.message}`)
+    return
+  }
+
+  let pendingCallbacks = proofs.map((proof, index) => {
+    return { proof: proof, callbackUrl: callbacks[index].callback_url }
+  }).filter((pendingCallback) => pendingCallback.callbackUrl !== null)
+
+  await parallel.each(pendingCallbacks, async (pendingCallback) => {
+    try {
+      await taskQueue.enqueue('task-handler-queue', `send_proof_callback`, [pendingCallback.proof.hash_id_core, pendingCallback.callbackUrl, stage, chpBinary.objectToBase64Sync(pendingCallback.proof), 1])
+    } catch (error) {
+      console.error(`Could not enqueue send_proof_callback task : ${error.message}`)
+    }
+  }, env.SAVE_CONCURRENCY_COUNT)
+}
+
+/**
+ * Converts a proof storage method value into an array of storage targets,
+ * loading the storage backend module for each target if not already loaded
+ *
+ * @param {string} method - The proof storage method value, a comma separated list of targets
+ * @returns {string[]} An array of valid storage target names
+ */
+function loadProofStorageTargets (method) {
+  let targets = method.split(',').map((target) => target.trim().toLowerCase()).filter((target) => target !== '')
+  // expand legacy values
+  targets = targets.reduce((result, target) => {
+    if (target === 'direct') return result.concat(['gcp'])
+    if (target === 'both') return result.concat(['gcp', 'resque'])
+    return result.concat([target])
+  }, [])
+  targets = targets.filter((target, index) => targets.indexOf(target) === index)
+
+  if (targets.length === 0) throw new Error('no storage targets specified')
+
+  for (let target of targets) {
+    if (target === 'resque') continue
+    if (!STORAGE_BACKEND_MODULES[target]) throw new Error(`unknown storage target '${target}'`)
+    if (!storageBackends[target]) storageBackends[target] = require(STORAGE_BACKEND_MODULES[target])
+  }
+
+  return targets
 }
 
 // use the time difference between now and the time embedded in the hash_id_node UUID
@@ -338,7 +576,13 @@ function startConsulWatches () {
     onChange: (data, res) => {
       // process only if a value has been returned
       if (data && data.Value) {
-        proofStorageMethod = data.Value
+        try {
+          proofStorageTargets = loadProofStorageTargets(data.Value)
+          console.log(`Proof storage method set to ${proofStorageTargets.join(',')}`)
+        } catch (error) {
+          console.error(`Invalid proof storage method '${data.Value}', defaulting to resque : ${error.message}`)
+          proofStorageTargets = ['resque']
+        }
       }
     },
     onError: null
@@ -359,10 +603,14 @@ function openRedisConnection (redisURIs) {
     (newRedis) => {
       redis = newRedis
       cachedProofState.setRedis(redis)
+      cachedProofs.setRedis(redis)
+      cachedProofCallbacks.setRedis(redis)
       initResqueQueueAsync()
     }, () => {
       redis = null
       cachedProofState.setRedis(null)
+      cachedProofs.setRedis(null)
+      cachedProofCallbacks.setRedis(null)
       taskQueue = null
       setTimeout(() => { openRedisConnection(redisURIs) }, 5000)
     })
@@ -396,10 +644,12 @@ async function openStorageConnectionAsync () {
     calState,
     anchorBtcAggState,
     btcTxState,
-    btcHeadState
+    btcHeadState,
+    anchorEthAggState,
+    ethTxState
   ]
   let cxObjects = await connections.openStorageConnectionAsync(sqlzModelArray)
-  cachedProofState.setDatabase(cxObjects.sequelize, cxObjects.models[0], cxObjects.models[1], cxObjects.models[2], cxObjects.models[3], cxObjects.models[4])
+  cachedProofState.setDatabase(cxObjects.sequelize, cxObjects.models[0], cxObjects.models[1], cxObjects.models[2], cxObjects.models[3], cxObjects.models[4], cxObjects.models[5], cxObjects.models[6])
 }
 
 /**
@@ -432,3 +682,11 @@ async function start () {
 
 // get the whole show started
 start()
+
+// export these functions for unit tests
+module.exports = {
+  addChainpointHeader: addChainpointHeader,
+  addCalendarBranch: addCalendarBranch,
+  addBtcBranch: addBtcBranch,
+  addEthBranch: addEthBranch
+}
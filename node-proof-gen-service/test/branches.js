@@ -0,0 +1,66 @@
+/* global describe, it */
+
+process.env.NODE_ENV = 'test'
+
+// test related packages
+var expect = require('chai').expect
+var chainpointProofSchema = require('chainpoint-proof-json-schema')
+
+var server = require('../server')
+
+const HASH = 'a0ff6a4bd5e85d8c7fea5a80d4d1a4e4c93a7fc1d2bcbc5fc8b11c7f4b4b1b6c'
+const HASH_ID = '6d627180-1883-11e7-a8f9-edb8c212ef23'
+const ETH_TX_ID = '0x083396e668db22894c448932bb598caba148e4a5b06787a9609be7edc8993342'
+
+function calendarProof () {
+  let aggState = { ops: [{ l: 'node_id:' + HASH_ID }, { op: 'sha-256' }] }
+  let calState = {
+    ops: [{ l: '1744:1522165720:1:https://a.chainpoint.org:cal:1744' }, { r: 'ab'.repeat(32) }, { op: 'sha-256' }],
+    anchor: { anchor_id: '1744', uris: ['https://a.chainpoint.org/calendar/1744/hash'] }
+  }
+  let proof = server.addChainpointHeader({}, HASH, HASH_ID)
+  return server.addCalendarBranch(proof, aggState, calState)
+}
+
+let anchorETHAggState = { ops: [{ l: 'cd'.repeat(32) }, { op: 'sha-256' }] }
+let ethTxState = { ops: [], anchor: { anchor_id: ETH_TX_ID, uris: ['https://a.chainpoint.org/calendar/1801/data'] } }
+
+describe('Add ETH Branch', () => {
+  it('should add an eth_anchor_branch beneath the calendar branch', (done) => {
+    let proof = server.addEthBranch(calendarProof(), anchorETHAggState, ethTxState)
+    expect(proof.branches.length).to.equal(1)
+    expect(proof.branches[0].branches.length).to.equal(1)
+    let ethBranch = proof.branches[0].branches[0]
+    expect(ethBranch).to.have.property('label').and.to.equal('eth_anchor_branch')
+    expect(ethBranch.ops).to.deep.equal([
+      { l: 'cd'.repeat(32) },
+      { op: 'sha-256' },
+      { anchors: [{ type: 'eth', anchor_id: ETH_TX_ID, uris: ['https://a.chainpoint.org/calendar/1801/data'] }] }
+    ])
+    done()
+  })
+
+  it('should produce a valid Chainpoint proof', (done) => {
+    let proof = server.addEthBranch(calendarProof(), anchorETHAggState, ethTxState)
+    expect(chainpointProofSchema.validate(proof).valid).to.equal(true)
+    done()
+  })
+
+  it('should add the eth_anchor_branch after an existing btc_anchor_branch', (done) => {
+    let anchorBTCAggState = { ops: [{ r: 'ef'.repeat(32) }, { op: 'sha-256' }] }
+    let btcTxState = { ops: [{ l: '01'.repeat(10) }, { r: '02'.repeat(10) }, { op: 'sha-256-x2' }] }
+    let btcHeadState = { ops: [{ l: '03'.repeat(32) }, { op: 'sha-256-x2' }], anchor: { anchor_id: '503274', uris: ['https://a.chainpoint.org/calendar/1790/data'] } }
+    let proof = server.addBtcBranch(calendarProof(), anchorBTCAggState, btcTxState, btcHeadState)
+    proof = server.addEthBranch(proof, anchorETHAggState, ethTxState)
+    expect(proof.branches[0].branches.map((branch) => branch.label)).to.deep.equal(['btc_anchor_branch', 'eth_anchor_branch'])
+    expect(chainpointProofSchema.validate(proof).valid).to.equal(true)
+    done()
+  })
+
+  it('should not modify the given state ops', (done) => {
+    server.addEthBranch(calendarProof(), anchorETHAggState, ethTxState)
+    expect(anchorETHAggState.ops.length).to.equal(2)
+    expect(ethTxState.ops.length).to.equal(0)
+    done()
+  })
+})
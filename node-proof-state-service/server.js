@@ -26,6 +26,8 @@ const calState = require('./lib/models/CalState.js')
 const anchorBtcAggState = require('./lib/models/AnchorBtcAggState.js')
 const btcTxState = require('./lib/models/BtcTxState.js')
 const btcHeadState = require('./lib/models/BtcHeadState.js')
+const anchorEthAggState = require('./lib/models/AnchorEthAggState.js')
+const ethTxState = require('./lib/models/EthTxState.js')
 const cachedProofState = require('./lib/models/cachedProofState.js')
 
 // The channel used for all amqp communication
@@ -46,6 +48,8 @@ const CAL_STATE_WRITE_BATCH_SIZE = 200
 const CAL_PROOF_GEN_BATCH_SIZE = 2500
 const ANCHOR_BTC_STATE_WRITE_BATCH_SIZE = 200
 const BTC_PROOF_GEN_BATCH_SIZE = 2500
+const ANCHOR_ETH_STATE_WRITE_BATCH_SIZE = 200
+const ETH_PROOF_GEN_BATCH_SIZE = 2500
 
 /**
 * Writes the state data to persistent storage and logs aggregation event
@@ -179,6 +183,14 @@ async function ConsumeBtcTxMessageAsync (msg) {
   stateObj.btctx_state = messageObj.btctx_state
 
   try {
+    // a replace-by-fee transaction arriving after the transaction it replaces has
+    // confirmed can never confirm itself, so the confirmed transaction's state is kept
+    if (messageObj.replaces_btctx_id && await cachedProofState.getBTCHeadStateObjectByBTCTxIdAsync(messageObj.replaces_btctx_id)) {
+      amqpChannel.ack(msg)
+      console.log(`${msg.fields.routingKey} [${msg.properties.type}] consume message acked : ${messageObj.replaces_btctx_id} already confirmed`)
+      return
+    }
+
     await cachedProofState.writeBTCTxStateObjectAsync(stateObj)
 
     // New message has been published and event logged, ack consumption of original message
@@ -203,6 +215,16 @@ async function ConsumeBtcMonMessageAsync (msg) {
   stateObj.btchead_state = messageObj.btchead_state
 
   try {
+    // when a replaced transaction confirms instead of its replacement, the btctx state
+    // still describes the replacement, so restore that of the confirmed transaction first
+    if (messageObj.btctx_state) {
+      await cachedProofState.writeBTCTxStateObjectAsync({
+        anchor_btc_agg_id: messageObj.anchor_btc_agg_id,
+        btctx_id: messageObj.btctx_id,
+        btctx_state: messageObj.btctx_state
+      })
+    }
+
     // Get all the hash_ids included in this btc_tx
     let hashIdRows = await cachedProofState.getHashIdsByBtcTxIdAsync(stateObj.btctx_id)
     let hashIds = hashIdRows.map((item) => item.hash_id)
@@ -232,6 +254,118 @@ async function ConsumeBtcMonMessageAsync (msg) {
   }
 }
 
+/**
+* Removes the btchead state of a transaction whose block was orphaned and queues
+* messages bound for the proof gen service to rebuild the proofs without the btc anchor
+*
+* @param {amqp message object} msg - The AMQP message received from the queue
+*/
+async function ConsumeBtcReorgMessageAsync (msg) {
+  let messageObj = JSON.parse(msg.content.toString())
+
+  try {
+    // Get all the hash_ids included in this btc_tx
+    let hashIdRows = await cachedProofState.getHashIdsByBtcTxIdAsync(messageObj.btctx_id)
+    let hashIds = hashIdRows.map((item) => item.hash_id)
+
+    await cachedProofState.deleteBTCHeadStateObjectAsync(messageObj.btctx_id)
+
+    while (hashIds.length > 0) {
+      // construct a 'proof ready' message for a batch of hashes whose btc anchor was withdrawn
+      let dataOutObj = {}
+      dataOutObj.hash_ids = hashIds.splice(0, BTC_PROOF_GEN_BATCH_SIZE)
+      try {
+        await amqpChannel.sendToQueue(env.RMQ_WORK_OUT_GEN_QUEUE, Buffer.from(JSON.stringify(dataOutObj)), { persistent: true, type: 'reorg_batch' })
+      } catch (error) {
+        console.error(env.RMQ_WORK_OUT_GEN_QUEUE, '[reorg] publish message nacked')
+        throw new Error(error.message)
+      }
+    }
+
+    // New messages have been published, ack consumption of original message
+    amqpChannel.ack(msg)
+    console.log(`${msg.fields.routingKey} [${msg.properties.type}] consume message acked : btc anchor withdrawn for ${messageObj.btctx_id}`)
+  } catch (error) {
+    amqpChannel.nack(msg)
+    console.error(`${msg.fields.routingKey} [${msg.properties.type}] consume message nacked: ${error.message}`)
+  }
+}
+
+/**
+* Writes the state data to persistent storage
+*
+* @param {amqp message object} msg - The AMQP message received from the queue
+*/
+async function ConsumeAnchorETHAggBatchMessageAsync (msg) {
+  let messageObj = JSON.parse(msg.content.toString())
+
+  // transform batch message data into anchor_eth_agg_state objects ready for insertion
+  let stateObjs = messageObj.proofData.map((proofDataItem) => {
+    return {
+      cal_id: proofDataItem.cal_id,
+      anchor_eth_agg_id: messageObj.anchor_eth_agg_id,
+      anchor_eth_agg_state: { ops: proofDataItem.proof }
+    }
+  })
+
+  try {
+    // Write the anchor_eth_agg state objects to the database
+    // The writes are split into batches to limit the total insert query size
+    // CRDB has a query limit of 256k
+    while (stateObjs.length > 0) {
+      await cachedProofState.writeAnchorETHAggStateObjectsAsync(stateObjs.splice(0, ANCHOR_ETH_STATE_WRITE_BATCH_SIZE))
+    }
+
+    amqpChannel.ack(msg)
+    console.log(`${msg.fields.routingKey} [${msg.properties.type}] consume message acked`)
+  } catch (error) {
+    amqpChannel.nack(msg)
+    console.error(`${msg.fields.routingKey} [${msg.properties.type}] consume message nacked: ${error.message}`)
+  }
+}
+
+/**
+* Writes the state data to persistent storage and queues proof ready messages bound for the proof gen service
+*
+* @param {amqp message object} msg - The AMQP message received from the queue
+*/
+async function ConsumeEthMonMessageAsync (msg) {
+  let messageObj = JSON.parse(msg.content.toString())
+  let stateObj = {}
+  stateObj.anchor_eth_agg_id = messageObj.anchor_eth_agg_id
+  stateObj.ethtx_id = messageObj.ethtx_id
+  stateObj.ethtx_state = messageObj.ethtx_state
+
+  try {
+    // Get all the hash_ids included in this eth anchor aggregation
+    let hashIdRows = await cachedProofState.getHashIdsByAnchorEthAggIdAsync(stateObj.anchor_eth_agg_id)
+    let hashIds = hashIdRows.map((item) => item.hash_id)
+
+    await cachedProofState.writeETHTxStateObjectAsync(stateObj)
+
+    while (hashIds.length > 0) {
+      // construct an eth 'proof ready' message for a batch of hashes
+      let dataOutObj = {}
+      dataOutObj.hash_ids = hashIds.splice(0, ETH_PROOF_GEN_BATCH_SIZE)
+      try {
+        await amqpChannel.sendToQueue(env.RMQ_WORK_OUT_GEN_QUEUE, Buffer.from(JSON.stringify(dataOutObj)), { persistent: true, type: 'eth_batch' })
+      } catch (error) {
+        console.error(env.RMQ_WORK_OUT_GEN_QUEUE, '[eth] publish message nacked')
+        throw new Error(error.message)
+      }
+    }
+
+    // New messages have been published, ack consumption of original message
+    amqpChannel.ack(msg)
+    console.log(msg.fields.routingKey, '[' + msg.properties.type + '] consume message acked')
+  } catch (error) {
+    console.error(`Unable to process eth mon message: ${error.message}`)
+    // An error as occurred publishing a message, nack consumption of original message
+    amqpChannel.nack(msg)
+    console.error(`${msg.fields.routingKey} [${msg.properties.type}] consume message nacked: ${error.message}`)
+  }
+}
+
 /**
 * Prunes proof state data and hash tracker logs
 * All hashb data that is logged as complete will be removed from all relevant tables
@@ -256,6 +390,14 @@ async function PruneStateDataAsync () {
     // remove all rows from btchead_states that are older than the expiration age
     results = await queueProofStatePruningTasks('btchead_states')
     if (results.rowCount) console.log(`Pruned btchead_states - ${results.rowCount} row(s) to be deleted in ${results.batchCount} batches`)
+    // remove all rows from anchor_eth_agg_states that are older than the expiration age
+    results = await queueProofStatePruningTasks('anchor_eth_agg_states')
+    if (results.rowCount) console.log(`Pruned anchor_eth_agg_states - ${results.rowCount} row(s) to be deleted in ${results.batchCount} batches`)
+    // remove all rows from ethtx_states that are older than the expiration age
+    results = await queueProofStatePruningTasks('ethtx_states')
+    if (results.rowCount) console.log(`Pruned ethtx_states - ${results.rowCount} row(s) to be deleted in ${results.batchCount} batches`)
+    // remove all proof callback delivery log entries older than their retention age
+    await taskQueue.enqueue('state-pruning-queue', `prune_proof_callback_log`, [])
   } catch (error) {
     console.error(`Unable to complete pruning process: ${error.message}`)
   }
@@ -326,6 +468,21 @@ function processMessage (msg) {
         // Stores state information for btcmon events
         ConsumeBtcMonMessageAsync(msg)
         break
+      case 'btcreorg':
+        // Consumes a btcreorg state message from the Calendar service
+        // Removes state information for transactions whose block was orphaned
+        ConsumeBtcReorgMessageAsync(msg)
+        break
+      case 'anchor_eth_agg_batch':
+        // Consumes a anchor ETH aggregation state message from the Calendar service
+        // Stores state information for anchor aggregation events
+        ConsumeAnchorETHAggBatchMessageAsync(msg)
+        break
+      case 'ethmon':
+        // Consumes an ethmon state message from the Calendar service
+        // Stores state information for confirmed eth anchor transactions
+        ConsumeEthMonMessageAsync(msg)
+        break
       default:
         // This is an unknown state type
         console.error(`Unknown state type: ${msg.properties.type}`)
@@ -353,10 +510,12 @@ async function openStorageConnectionAsync () {
     calState,
     anchorBtcAggState,
     btcTxState,
-    btcHeadState
+    btcHeadState,
+    anchorEthAggState,
+    ethTxState
   ]
   let cxObjects = await connections.openStorageConnectionAsync(sqlzModelArray)
-  cachedProofState.setDatabase(cxObjects.sequelize, cxObjects.models[0], cxObjects.models[1], cxObjects.models[2], cxObjects.models[3], cxObjects.models[4])
+  cachedProofState.setDatabase(cxObjects.sequelize, cxObjects.models[0], cxObjects.models[1], cxObjects.models[2], cxObjects.models[3], cxObjects.models[4], cxObjects.models[5], cxObjects.models[6])
 }
 
 /**
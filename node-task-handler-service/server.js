@@ -26,11 +26,15 @@ const events = require('events')
 const cnsl = require('consul')
 const objectHash = require('object-hash')
 const crypto = require('crypto')
+const dns = require('dns')
+const net = require('net')
+const url = require('url')
 const chp = require('chainpoint-parse')
 const { find, isUndefined, isPlainObject, isNull } = require('lodash')
 var uuidTime = require('uuid-time')
 var moment = require('moment')
 const connections = require('./lib/connections.js')
+const utils = require('./lib/utils.js')
 
 // This value is set once the connection has been established
 let taskQueue = null
@@ -77,15 +81,29 @@ const calState = require('./lib/models/CalState.js')
 const anchorBtcAggState = require('./lib/models/AnchorBtcAggState.js')
 const btcTxState = require('./lib/models/BtcTxState.js')
 const btcHeadState = require('./lib/models/BtcHeadState.js')
+const anchorEthAggState = require('./lib/models/AnchorEthAggState.js')
+const ethTxState = require('./lib/models/EthTxState.js')
 const cachedProofState = require('./lib/models/cachedProofState.js')
 const nodeAuditLog = require('./lib/models/NodeAuditLog.js')
 const e2eNodeAuditLog = require('./lib/models/E2ENodeAuditLog.js')
 const auditChallenge = require('./lib/models/AuditChallenge.js')
+const proofCallbackLog = require('./lib/models/ProofCallbackLog.js')
 const cachedAuditChallenge = require('./lib/models/cachedAuditChallenge.js')
 
 let sequelize
 let NodeAuditLog
 let E2ENodeAuditLog
+let ProofCallbackLog
+
+// The maximum number of delivery attempts for a single proof callback
+const PROOF_CALLBACK_MAX_ATTEMPTS = 8
+// The delay before the first proof callback retry, doubled for each subsequent retry
+const PROOF_CALLBACK_RETRY_BASE_MS = 30 * 1000 // 30 seconds
+// The age at which proof callback delivery log entries are pruned
+const PROOF_CALLBACK_LOG_RETENTION_DAYS = 7
+
+// Checks each address a callback_url host resolves to before a callback connects to it
+let isAllowedCallbackAddress = utils.isPublicIP
 
 // Create JavaScript Enums for E2E Audit Stage & Status
 const E2EAuditStageEnum = (function () {
@@ -165,7 +183,8 @@ const primaryTaskJobs = {
   'update_audit_score_items': Object.assign({ perform: updateAuditScoreItemsAsync }, pluginOptions),
   'update_e2e_audit_score_items': Object.assign({ perform: updateE2EAuditScoreItemsAsync }, pluginOptions),
   // tasks from proof-gen
-  'send_to_proof_proxy': Object.assign({ perform: sendToProofProxyAsync }, pluginOptions)
+  'send_to_proof_proxy': Object.assign({ perform: sendToProofProxyAsync }, pluginOptions),
+  'send_proof_callback': Object.assign({ perform: sendProofCallbackAsync }, pluginOptions)
 }
 const statePruningJobs = {
   // tasks from proof-state service (and task accumulator), bulk deletion of old proof state data
@@ -173,7 +192,10 @@ const statePruningJobs = {
   'prune_cal_states_ids': Object.assign({ perform: pruneCalStatesByIdsAsync }, pluginOptions),
   'prune_anchor_btc_agg_states_ids': Object.assign({ perform: pruneAnchorBTCAggStatesByIdsAsync }, pluginOptions),
   'prune_btctx_states_ids': Object.assign({ perform: pruneBTCTxStatesByIdsAsync }, pluginOptions),
-  'prune_btchead_states_ids': Object.assign({ perform: pruneBTCHeadStatesByIdsAsync }, pluginOptions)
+  'prune_btchead_states_ids': Object.assign({ perform: pruneBTCHeadStatesByIdsAsync }, pluginOptions),
+  'prune_anchor_eth_agg_states_ids': Object.assign({ perform: pruneAnchorETHAggStatesByIdsAsync }, pluginOptions),
+  'prune_ethtx_states_ids': Object.assign({ perform: pruneETHTxStatesByIdsAsync }, pluginOptions),
+  'prune_proof_callback_log': Object.assign({ perform: pruneProofCallbackLogAsync }, pluginOptions)
 }
 
 // ******************************************************
@@ -229,6 +251,26 @@ async function pruneBTCHeadStatesByIdsAsync (ids) {
   }
 }
 
+async function pruneAnchorETHAggStatesByIdsAsync (ids) {
+  try {
+    let delCount = await cachedProofState.pruneAnchorETHAggStatesByIdsAsync(ids)
+    return `Deleted ${delCount} rows from anchor_eth_agg_states with ids ${ids[0]}...`
+  } catch (error) {
+    let errorMessage = `Could not delete rows from anchor_eth_agg_states with ids ${ids[0]}... : ${error.message}`
+    throw errorMessage
+  }
+}
+
+async function pruneETHTxStatesByIdsAsync (ids) {
+  try {
+    let delCount = await cachedProofState.pruneETHTxStatesByIdsAsync(ids)
+    return `Deleted ${delCount} rows from ethtx_states with ids ${ids[0]}...`
+  } catch (error) {
+    let errorMessage = `Could not delete rows from ethtx_states with ids ${ids[0]}... : ${error.message}`
+    throw errorMessage
+  }
+}
+
 // ******************************************************
 // tasks from the audit producer service
 // ******************************************************
@@ -848,6 +890,57 @@ async function sendToProofProxyAsync (hashIdCore, proofBase64) {
   }
 }
 
+async function sendProofCallbackAsync (hashIdCore, callbackUrl, stage, proofBase64, attempt) {
+  let responseCode = null
+  try {
+    let response = await proofCallbackPostAsync(hashIdCore, callbackUrl, stage, proofBase64)
+    responseCode = response.statusCode
+  } catch (error) {
+    responseCode = error.statusCode || null
+    let lastAttempt = attempt >= PROOF_CALLBACK_MAX_ATTEMPTS
+    await addProofCallbackToLogAsync(hashIdCore, callbackUrl, stage, attempt, lastAttempt ? 'failed' : 'retrying', responseCode, error.message)
+    if (lastAttempt) {
+      let errorMessage = `sendProofCallbackAsync : ${stage} proof callback for ${hashIdCore} failed after ${attempt} attempts : ${error.message}`
+      throw errorMessage
+    }
+
+    // retry with exponential backoff
+    try {
+      await taskQueue.enqueueIn(
+        PROOF_CALLBACK_RETRY_BASE_MS * Math.pow(2, attempt - 1),
+        'task-handler-queue',
+        'send_proof_callback',
+        [hashIdCore, callbackUrl, stage, proofBase64, attempt + 1]
+      )
+    } catch (error) {
+      let errorMessage = `sendProofCallbackAsync : could not re-enqueue send_proof_callback task for ${hashIdCore} : ${error.message}`
+      throw errorMessage
+    }
+    return `${stage} proof callback for ${hashIdCore} failed on attempt ${attempt}, retry scheduled`
+  }
+
+  await addProofCallbackToLogAsync(hashIdCore, callbackUrl, stage, attempt, 'delivered', responseCode, null)
+  return `${stage} proof callback for ${hashIdCore} delivered to ${callbackUrl}`
+}
+
+async function pruneProofCallbackLogAsync () {
+  let cutoffDate = new Date(Date.now() - PROOF_CALLBACK_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+  // delete in limited batches to keep each transaction small
+  let deleteSQL = `DELETE FROM ${ProofCallbackLog.getTableName()} WHERE created_at < :cutoffDate LIMIT 1000`
+  try {
+    let delCount = 0
+    let batchCount
+    do {
+      batchCount = await sequelize.query(deleteSQL, { replacements: { cutoffDate: cutoffDate }, type: sequelize.QueryTypes.BULKDELETE })
+      delCount += batchCount
+    } while (batchCount === 1000)
+    return `Deleted ${delCount} rows from ${ProofCallbackLog.getTableName()} created before ${cutoffDate.toISOString()}`
+  } catch (error) {
+    let errorMessage = `Could not delete rows from ${ProofCallbackLog.getTableName()} : ${error.message}`
+    throw errorMessage
+  }
+}
+
 // ****************************************************
 // support functions for all tasks
 // ****************************************************
@@ -1040,6 +1133,71 @@ async function proofProxyPostAsync (hashIdCore, proofBase64) {
   return nodeResponse.body
 }
 
+// Resolves a callback_url host as the socket connects, refusing any host resolving to a non-public
+// address. Checking the address connected to, rather than one resolved earlier, ensures a host can
+// not resolve to a public address when its callback_url is validated and a private one when it is sent.
+function lookupCallbackAddress (hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error)
+    let addresses = Array.isArray(address) ? address : [{ address: address, family: family }]
+    let refusedAddress = addresses.find((entry) => !isAllowedCallbackAddress(entry.address))
+    if (refusedAddress) return callback(new Error(`callback_url host ${hostname} resolves to non-public address ${refusedAddress.address}`))
+    callback(null, address, family)
+  })
+}
+
+// POST a signed proof ready notification to a callback_url
+// The body is signed as sent, the 'chainpoint-signature' header holds the truncated
+// pubkey hash of the signing key and the signature over the SHA256 hash of the body
+async function proofCallbackPostAsync (hashIdCore, callbackUrl, stage, proofBase64) {
+  // hosts given as an IP address are connected to without a lookup, so are checked here
+  let hostname = url.parse(callbackUrl).hostname
+  if (net.isIP(hostname) && !isAllowedCallbackAddress(hostname)) throw new Error(`callback_url host ${hostname} is a non-public address`)
+
+  let body = JSON.stringify({
+    hash_id: hashIdCore,
+    stage: stage,
+    proof: proofBase64,
+    sent_at: new Date().toISOString()
+  })
+  let bodyHashHex = crypto.createHash('sha256').update(body).digest('hex')
+  let signingPubKeyHashHex = crypto.createHash('sha256').update(signingKeypair.publicKey).digest('hex')
+
+  let options = {
+    headers: {
+      'content-type': 'application/json',
+      'chainpoint-signature': [signingPubKeyHashHex.slice(0, 12), calcSigB64(bodyHashHex)].join(':')
+    },
+    method: 'POST',
+    uri: callbackUrl,
+    body: body,
+    timeout: 10 * 1000, // 10sec
+    // a redirect could lead to a non-public address, so is treated as a failed delivery
+    followRedirect: false,
+    lookup: lookupCallbackAddress,
+    resolveWithFullResponse: true
+  }
+
+  return rp(options)
+}
+
+async function addProofCallbackToLogAsync (hashIdCore, callbackUrl, stage, attempt, status, responseCode, errorMessage) {
+  try {
+    await ProofCallbackLog.create({
+      hashIdCore: hashIdCore,
+      callbackUrl: callbackUrl,
+      stage: stage,
+      attempt: attempt,
+      status: status,
+      responseCode: responseCode,
+      error: errorMessage === null ? null : errorMessage.slice(0, 255)
+    })
+  } catch (error) {
+    // a missing log entry must not cause a duplicate notification, report and continue
+    console.error(`Could not write proof callback log entry for ${hashIdCore} : ${error.message}`)
+  }
+}
+
 async function getTNTBalance (tntAddress) {
   let options = {
     method: 'GET',
@@ -1080,14 +1238,18 @@ async function openStorageConnectionAsync () {
     calState,
     anchorBtcAggState,
     btcTxState,
-    btcHeadState
+    btcHeadState,
+    anchorEthAggState,
+    ethTxState,
+    proofCallbackLog
   ]
   let cxObjects = await connections.openStorageConnectionAsync(sqlzModelArray)
   sequelize = cxObjects.sequelize
   NodeAuditLog = cxObjects.models[0]
   E2ENodeAuditLog = cxObjects.models[1]
+  ProofCallbackLog = cxObjects.models[10]
   cachedAuditChallenge.setDatabase(cxObjects.sequelize, cxObjects.models[2])
-  cachedProofState.setDatabase(cxObjects.sequelize, cxObjects.models[3], cxObjects.models[4], cxObjects.models[5], cxObjects.models[6], cxObjects.models[7])
+  cachedProofState.setDatabase(cxObjects.sequelize, cxObjects.models[3], cxObjects.models[4], cxObjects.models[5], cxObjects.models[6], cxObjects.models[7], cxObjects.models[8], cxObjects.models[9])
 }
 
 /**
@@ -1226,6 +1388,7 @@ function startConsulWatches () {
 
 // process all steps need to start the application
 async function start () {
+  if (env.NODE_ENV === 'test') return
   try {
     // init consul
     consul = connections.initConsul(cnsl, env.CONSUL_HOST, env.CONSUL_PORT, debug)
@@ -1246,3 +1409,11 @@ async function start () {
 
 // get the whole show started
 start()
+
+// export these functions for unit tests
+module.exports = {
+  setTaskQueue: (queue) => { taskQueue = queue },
+  setProofCallbackLog: (log) => { ProofCallbackLog = log },
+  setCallbackAddressCheck: (check) => { isAllowedCallbackAddress = check },
+  sendProofCallbackAsync: sendProofCallbackAsync
+}
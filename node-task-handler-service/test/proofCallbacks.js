@@ -0,0 +1,168 @@
+/* global describe, it, before, after, beforeEach */
+
+process.env.NODE_ENV = 'test'
+
+// test related packages
+var expect = require('chai').expect
+var http = require('http')
+var crypto = require('crypto')
+var nacl = require('tweetnacl')
+nacl.util = require('tweetnacl-util')
+
+var signingKeypair = nacl.sign.keyPair()
+process.env.SIGNING_SECRET_KEY = nacl.util.encodeBase64(signingKeypair.secretKey)
+
+var utils = require('../lib/utils.js')
+var server = require('../server')
+
+const HASH_ID_CORE = 'a3127c80-7a61-11e8-9c8b-01ba7816bf8f'
+const PROOF_BASE64 = 'eJyNlT1yFDEQhe+ycRe0pNbf5FyAg5gnZZcHQcw7gg1OY1rBAkcQlpBT76Zv'
+
+describe('Proof Callbacks', () => {
+  // a local callback receiver, answering each request with the next queued response
+  let callbackServer, callbackUrl, receivedRequests, responses
+  before((done) => {
+    callbackServer = http.createServer((req, res) => {
+      let body = ''
+      req.on('data', (chunk) => { body += chunk })
+      req.on('end', () => {
+        receivedRequests.push({ headers: req.headers, body: body })
+        let response = responses.shift() || { statusCode: 200 }
+        res.writeHead(response.statusCode, response.headers || {})
+        res.end()
+      })
+    })
+    callbackServer.listen(0, '127.0.0.1', () => {
+      callbackUrl = `http://127.0.0.1:${callbackServer.address().port}/proofs`
+      done()
+    })
+  })
+
+  after((done) => {
+    callbackServer.close(done)
+  })
+
+  let logRows, enqueuedTasks
+  beforeEach(() => {
+    receivedRequests = []
+    responses = []
+    logRows = []
+    enqueuedTasks = []
+    server.setProofCallbackLog({ create: async (row) => { logRows.push(row) } })
+    server.setTaskQueue({ enqueueIn: async (delayMS, queue, task, args) => { enqueuedTasks.push({ delayMS: delayMS, queue: queue, task: task, args: args }) } })
+    // the callback receiver listens on loopback, so only loopback is allowed for these tests
+    server.setCallbackAddressCheck((address) => address === '127.0.0.1')
+  })
+
+  describe('Delivery', () => {
+    it('should POST a signed notification and log its delivery', async () => {
+      let result = await server.sendProofCallbackAsync(HASH_ID_CORE, callbackUrl, 'cal', PROOF_BASE64, 1)
+      expect(result).to.equal(`cal proof callback for ${HASH_ID_CORE} delivered to ${callbackUrl}`)
+
+      expect(receivedRequests.length).to.equal(1)
+      let received = receivedRequests[0]
+      expect(received.headers['content-type']).to.equal('application/json')
+      let body = JSON.parse(received.body)
+      expect(body).to.have.property('hash_id').and.to.equal(HASH_ID_CORE)
+      expect(body).to.have.property('stage').and.to.equal('cal')
+      expect(body).to.have.property('proof').and.to.equal(PROOF_BASE64)
+      expect(body).to.have.property('sent_at').and.to.be.a('string')
+      expect(new Date(body.sent_at).toISOString()).to.equal(body.sent_at)
+
+      // the signature is over the SHA256 hash of the body exactly as sent
+      let [pubKeyHashPrefix, sigB64] = received.headers['chainpoint-signature'].split(':')
+      expect(pubKeyHashPrefix).to.equal(crypto.createHash('sha256').update(Buffer.from(signingKeypair.publicKey)).digest('hex').slice(0, 12))
+      let bodyHashHex = crypto.createHash('sha256').update(received.body).digest('hex')
+      expect(nacl.sign.detached.verify(nacl.util.decodeUTF8(bodyHashHex), nacl.util.decodeBase64(sigB64), signingKeypair.publicKey)).to.equal(true)
+
+      expect(logRows).to.deep.equal([{
+        hashIdCore: HASH_ID_CORE,
+        callbackUrl: callbackUrl,
+        stage: 'cal',
+        attempt: 1,
+        status: 'delivered',
+        responseCode: 200,
+        error: null
+      }])
+      expect(enqueuedTasks.length).to.equal(0)
+    })
+  })
+
+  describe('Retries', () => {
+    it('should schedule a retry with exponential backoff after a failed attempt', async () => {
+      responses = [{ statusCode: 500 }]
+      let result = await server.sendProofCallbackAsync(HASH_ID_CORE, callbackUrl, 'btc', PROOF_BASE64, 3)
+      expect(result).to.equal(`btc proof callback for ${HASH_ID_CORE} failed on attempt 3, retry scheduled`)
+
+      expect(logRows.length).to.equal(1)
+      expect(logRows[0]).to.have.property('attempt').and.to.equal(3)
+      expect(logRows[0]).to.have.property('status').and.to.equal('retrying')
+      expect(logRows[0]).to.have.property('responseCode').and.to.equal(500)
+      expect(logRows[0]).to.have.property('error').and.to.be.a('string')
+
+      expect(enqueuedTasks).to.deep.equal([{
+        delayMS: 30 * 1000 * 4,
+        queue: 'task-handler-queue',
+        task: 'send_proof_callback',
+        args: [HASH_ID_CORE, callbackUrl, 'btc', PROOF_BASE64, 4]
+      }])
+    })
+
+    it('should log the failure and stop retrying after the last attempt', async () => {
+      responses = [{ statusCode: 503 }]
+      let error = null
+      try {
+        await server.sendProofCallbackAsync(HASH_ID_CORE, callbackUrl, 'eth', PROOF_BASE64, 8)
+      } catch (err) {
+        error = err
+      }
+      expect(error).to.be.a('string')
+      expect(error).to.have.string(`eth proof callback for ${HASH_ID_CORE} failed after 8 attempts`)
+      expect(logRows.length).to.equal(1)
+      expect(logRows[0]).to.have.property('status').and.to.equal('failed')
+      expect(logRows[0]).to.have.property('responseCode').and.to.equal(503)
+      expect(enqueuedTasks.length).to.equal(0)
+    })
+
+    it('should not follow a redirect', async () => {
+      responses = [{ statusCode: 302, headers: { location: 'http://169.254.169.254/latest/meta-data' } }]
+      await server.sendProofCallbackAsync(HASH_ID_CORE, callbackUrl, 'cal', PROOF_BASE64, 1)
+      expect(receivedRequests.length).to.equal(1)
+      expect(logRows.length).to.equal(1)
+      expect(logRows[0]).to.have.property('status').and.to.equal('retrying')
+      expect(logRows[0]).to.have.property('responseCode').and.to.equal(302)
+      expect(enqueuedTasks.length).to.equal(1)
+    })
+  })
+
+  describe('Non-public Addresses', () => {
+    beforeEach(() => {
+      server.setCallbackAddressCheck(utils.isPublicIP)
+    })
+
+    it('should refuse a host resolving to a loopback address without connecting', async () => {
+      let localhostUrl = callbackUrl.replace('127.0.0.1', 'localhost')
+      await server.sendProofCallbackAsync(HASH_ID_CORE, localhostUrl, 'cal', PROOF_BASE64, 1)
+      expect(receivedRequests.length).to.equal(0)
+      expect(logRows.length).to.equal(1)
+      expect(logRows[0]).to.have.property('status').and.to.equal('retrying')
+      expect(logRows[0]).to.have.property('responseCode').and.to.equal(null)
+      expect(logRows[0].error).to.match(/callback_url host localhost resolves to non-public address/)
+    })
+
+    it('should refuse a host given as a non-public IP address without connecting', async () => {
+      await server.sendProofCallbackAsync(HASH_ID_CORE, callbackUrl, 'cal', PROOF_BASE64, 1)
+      expect(receivedRequests.length).to.equal(0)
+      expect(logRows.length).to.equal(1)
+      expect(logRows[0].error).to.equal('callback_url host 127.0.0.1 is a non-public address')
+    })
+
+    it('should identify non-public addresses', (done) => {
+      let nonPublic = ['127.0.0.1', '10.0.0.1', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1', '::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1']
+      let isPublic = ['8.8.8.8', '172.32.0.1', '2606:4700:4700::1111', '::ffff:8.8.8.8']
+      nonPublic.forEach((address) => { expect(utils.isPublicIP(address), address).to.equal(false) })
+      isPublic.forEach((address) => { expect(utils.isPublicIP(address), address).to.equal(true) })
+      done()
+    })
+  })
+})
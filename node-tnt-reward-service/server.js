@@ -22,7 +22,12 @@ const amqp = require('amqplib')
 const calendarBlock = require('./lib/models/CalendarBlock.js')
 const registeredCore = require('./lib/models/RegisteredCore.js')
 const registeredNode = require('./lib/models/RegisteredNode.js')
-const csprng = require('random-number-csprng')
+const e2eNodeAuditLog = require('./lib/models/E2ENodeAuditLog.js')
+const beaconPulse = require('./lib/models/BeaconPulse.js')
+const rewardPayout = require('./lib/models/RewardPayout.js')
+const rewardLottery = require('./lib/rewardLottery.js')
+const rewardScheduleLib = require('./lib/rewardSchedule.js')
+const cnsl = require('consul')
 const heartbeats = require('heartbeats')
 const leaderElection = require('exp-leader-election')
 const connections = require('./lib/connections.js')
@@ -31,6 +36,9 @@ let sequelize
 let RegisteredNode
 let RegisteredCore
 let CalendarBlock
+let E2ENodeAuditLog
+let BeaconPulse
+let RewardPayout
 
 // The channel used for all amqp communication
 // This value is set once the connection has been established
@@ -39,6 +47,13 @@ let amqpChannel = null
 // The leadership status for this instance of the reward service
 let IS_LEADER = false
 
+// The consul connection used for the reward schedule
+let consul = null
+
+// The reward schedule defining the reward shares of each epoch
+// This value is updated from consul, and an invalid schedule is ignored
+let rewardSchedule = null
+
 // create a heartbeat for every 200ms
 // 1 second heartbeats had a drift that caused occasional skipping of a whole second
 // decreasing the interval of the heartbeat and checking current time resolves this
@@ -57,28 +72,40 @@ let NODE_REWARD_TNT_ADDR_BLACKLIST = [
 
 const REWARD_SELECTION_COUNT = 100 // Selecting from the top 100 of audit scores
 
-// Randomly select and deliver token reward from the list
-// of registered nodes that meet the minimum audit and TNT balance
-// eligibility requirements for receiving TNT rewards
+// The number of days of E2E audit history considered when weighting candidates
+const REWARD_E2E_HISTORY_DAYS = 7
+
+// The maximum age of the beacon pulse used to seed a draw, beyond which the
+// seed could be known well in advance and the reward is skipped
+const REWARD_MAX_PULSE_AGE_MINUTES = 60
+
+// Select and deliver token reward from the list of registered nodes that meet
+// the minimum audit and TNT balance eligibility requirements for receiving TNT rewards.
+// The selection is a draw weighted by audit score and E2E audit history and seeded
+// from public values, recorded in the reward block so that anyone may verify it.
 async function performRewardAsync () {
-  let candidateNodeAddresses
+  let candidates
   try {
-    // retrieve a list of the top REWARD_SELECTION_PC public Nodes
-    candidateNodeAddresses = await RegisteredNode.findAll({ where: { publicUri: { [sequelize.Op.ne]: null }, tntAddr: { [sequelize.Op.notIn]: NODE_REWARD_TNT_ADDR_BLACKLIST } }, attributes: ['tntAddr'], order: [['auditScore', 'DESC'], ['created_at', 'ASC']], limit: REWARD_SELECTION_COUNT })
-    if (!candidateNodeAddresses || candidateNodeAddresses.length < 1) {
+    candidates = await getRewardCandidatesAsync()
+    if (candidates.length < 1) {
       console.log('No reward candidate Nodes were found')
       return
     } else {
-      console.log(`${candidateNodeAddresses.length} reward candidate Nodes were retrieved`)
+      console.log(`${candidates.length} reward candidate Nodes were retrieved`)
     }
   } catch (error) {
     let message = `Could not retrieve top scoring Nodes : ${error.message}`
     throw new Error(message)
   }
 
-  // randomly select reward recipient from candidate Nodes
-  let rewardIndex = candidateNodeAddresses.length === 1 ? 0 : await csprng(0, candidateNodeAddresses.length - 1)
-  let rewardTNTAddr = candidateNodeAddresses[rewardIndex].tntAddr
+  let draw
+  try {
+    draw = await performRewardDrawAsync(candidates)
+  } catch (error) {
+    let message = `Unable to perform reward draw : ${error.message}`
+    throw new Error(message)
+  }
+  let rewardTNTAddr = draw.candidates[draw.winnerIndex].tntAddr
 
   // calculate reward share between Node and Core (if applicable)
   let calculatedShares
@@ -117,7 +144,7 @@ async function performRewardAsync () {
     coreTNTGrainsRewardShare = 0
   }
 
-  console.log(`${rewardTNTAddr} selected for this reward period`)
+  console.log(`${rewardTNTAddr} selected for this reward period : draw : seed ${draw.seed} : nist ${draw.nist} : winner index ${draw.winnerIndex}`)
 
   // send reward calculation message to Calendar
   let messageObj = {}
@@ -129,13 +156,34 @@ async function performRewardAsync () {
     messageObj.core.address = coreRewardEthAddr
     messageObj.core.amount = coreTNTGrainsRewardShare
   }
+  messageObj.draw = {}
+  messageObj.draw.seed = draw.seed
+  messageObj.draw.nist = draw.nist
+  messageObj.draw.candidates_hash = draw.candidatesHash
+  messageObj.draw.winner_index = draw.winnerIndex
+  messageObj.draw.candidates = draw.candidates.map((candidate) => `${candidate.tntAddr}:${candidate.weight}`)
+
+  // record the selection in the reward payout ledger, from which the Calendar pays out the
+  // reward, retrying until it is paid, even if the message below is never delivered
+  try {
+    let rewardPayout = await RewardPayout.create({
+      nodeAddr: messageObj.node.address,
+      nodeAmount: messageObj.node.amount,
+      coreAddr: messageObj.core ? messageObj.core.address : null,
+      coreAmount: messageObj.core ? messageObj.core.amount : 0,
+      draw: JSON.stringify(messageObj.draw)
+    })
+    messageObj.reward_id = rewardPayout.rewardId
+  } catch (error) {
+    let message = `Could not record reward payout for Node with TNT address ${rewardTNTAddr} : ${error.message}`
+    throw new Error(message)
+  }
 
   try {
     await amqpChannel.sendToQueue(env.RMQ_WORK_OUT_CAL_QUEUE, Buffer.from(JSON.stringify(messageObj)), { persistent: true, type: 'reward' })
     // console.log(env.RMQ_WORK_OUT_CAL_QUEUE, '[reward] publish message acked')
   } catch (error) {
-    let message = `${env.RMQ_WORK_OUT_CAL_QUEUE} [reward] publish message nacked`
-    throw new Error(message)
+    console.error(`${env.RMQ_WORK_OUT_CAL_QUEUE} [reward] publish message nacked, reward ${messageObj.reward_id} will be paid from the ledger`)
   }
 
   // finally, now that we've sent the reward off to the next service for processing,
@@ -149,7 +197,70 @@ async function performRewardAsync () {
 }
 
 /**
- * Calculates the Node and Core reward shares for the current TNT reward Epoch
+ * Retrieves the public Nodes eligible for this reward, the top REWARD_SELECTION_COUNT
+ * by audit score, weighted by their audit score multiplied by one more than the
+ * number of days in the last REWARD_E2E_HISTORY_DAYS on which they passed an E2E audit
+ *
+ * @returns an array of { tntAddr, weight } objects
+ */
+async function getRewardCandidatesAsync () {
+  let topNodes = await RegisteredNode.findAll({ where: { publicUri: { [sequelize.Op.ne]: null }, tntAddr: { [sequelize.Op.notIn]: NODE_REWARD_TNT_ADDR_BLACKLIST }, auditScore: { [sequelize.Op.gt]: 0 } }, attributes: ['tntAddr', 'auditScore'], order: [['auditScore', 'DESC'], ['created_at', 'ASC']], limit: REWARD_SELECTION_COUNT })
+  if (topNodes.length < 1) return []
+
+  // a passed proof_verification stage completes an E2E audit
+  let e2ePasses = await E2ENodeAuditLog.findAll({ where: { tntAddr: { [sequelize.Op.in]: topNodes.map((node) => node.tntAddr) }, stage: 'proof_verification', status: 'passed', auditAt: { [sequelize.Op.gte]: Date.now() - REWARD_E2E_HISTORY_DAYS * 24 * 60 * 60 * 1000 } }, attributes: ['tntAddr', 'auditDate'], raw: true })
+  let e2ePassDates = {}
+  e2ePasses.forEach((e2ePass) => {
+    e2ePassDates[e2ePass.tntAddr] = e2ePassDates[e2ePass.tntAddr] || new Set()
+    e2ePassDates[e2ePass.tntAddr].add(new Date(e2ePass.auditDate).getTime())
+  })
+
+  return topNodes.map((node) => {
+    let e2ePassDays = e2ePassDates[node.tntAddr] ? e2ePassDates[node.tntAddr].size : 0
+    return { tntAddr: node.tntAddr, weight: node.auditScore * (1 + e2ePassDays) }
+  })
+}
+
+/**
+ * Draws the winner of this reward from the candidates, seeded from the beacon
+ * pulse in use and the hash of the previous reward block
+ *
+ * @param {Object[]} candidates - Array of { tntAddr, weight } objects
+ * @returns an object describing the draw
+ *
+ * {
+ *  seed: string,
+ *  nist: string, the '<beacon type>:<timestamp>' of the pulse
+ *  candidates: the candidates in the canonical order of the draw,
+ *  candidatesHash: string,
+ *  winnerIndex: integer
+ * }
+ */
+async function performRewardDrawAsync (candidates) {
+  let pulse = await BeaconPulse.findOne({ where: { broadcastAt: { [sequelize.Op.ne]: null } }, order: [['broadcastAt', 'DESC']], raw: true })
+  if (!pulse) throw new Error('No beacon pulse is available')
+  let pulseAgeMinutes = Math.floor((Date.now() - parseInt(pulse.pulseTime, 10)) / 60000)
+  if (pulseAgeMinutes >= REWARD_MAX_PULSE_AGE_MINUTES) throw new Error(`The latest beacon pulse is ${pulseAgeMinutes} minutes old`)
+
+  // the first reward draw is seeded with the genesis block hash
+  let prevRewardBlock = await CalendarBlock.findOne({ where: { type: 'reward' }, attributes: ['id', 'hash'], order: [['id', 'DESC']] })
+  if (!prevRewardBlock) prevRewardBlock = await CalendarBlock.findOne({ where: { id: 0 }, attributes: ['id', 'hash'] })
+  if (!prevRewardBlock) throw new Error('No previous reward block or genesis block was found')
+
+  let nist = `${pulse.beaconType}:${pulse.pulseTime}`
+  let seed = rewardLottery.getSeed(`${nist}:${pulse.value}`, prevRewardBlock.hash)
+  let sortedCandidates = rewardLottery.sortCandidates(candidates)
+  return {
+    seed: seed,
+    nist: nist,
+    candidates: sortedCandidates,
+    candidatesHash: rewardLottery.getCandidateListHash(sortedCandidates),
+    winnerIndex: rewardLottery.selectWinnerIndex(seed, sortedCandidates)
+  }
+}
+
+/**
+ * Calculates the Node and Core reward shares for the current epoch of the reward schedule
  *
  * @returns an object containing reward share number in TNT grains
  *
@@ -160,94 +271,22 @@ async function performRewardAsync () {
  * }
  */
 async function calculateCurrentRewardShares () {
-  /*
-  // get current reward period count
-  let rewardBlockCount
-  try {
-    rewardBlockCount = await CalendarBlock.count({ where: { type: 'reward' } })
-  } catch (error) {
-    throw new Error(`Unable to query reward block count: ${error.message}`)
-  }
-  */
-
-  // Trigger the new reward amount to be set automatically
-  // after a specified time.
-  let nextIncreaseTime = new Date('2018-02-28T22:00:00.000Z')
-  let now = new Date()
+  if (!rewardSchedule) throw new Error('No valid reward schedule has been loaded')
 
-  let nodeTNTRewardShare
-  let coreTNTRewardShare
-
-  if (now >= nextIncreaseTime) {
-    nodeTNTRewardShare = 1500
-    coreTNTRewardShare = 0
-  } else {
-    nodeTNTRewardShare = 1250
-    coreTNTRewardShare = 0
+  let position = Date.now()
+  if (rewardSchedule.epoch_type === 'reward_block_count') {
+    try {
+      position = await CalendarBlock.count({ where: { type: 'reward' } })
+    } catch (error) {
+      throw new Error(`Unable to query reward block count: ${error.message}`)
+    }
   }
 
-  /*
-  switch (true) {
-    case (rewardBlockCount < 9600):
-      nodeTNTRewardShare = 6210.30
-      coreTNTRewardShare = 326.86
-      break
-    case (rewardBlockCount < 19200):
-      nodeTNTRewardShare = 4968.28
-      coreTNTRewardShare = 261.49
-      break
-    case (rewardBlockCount < 28800):
-      nodeTNTRewardShare = 3974.66
-      coreTNTRewardShare = 209.19
-      break
-    case (rewardBlockCount < 38400):
-      nodeTNTRewardShare = 3179.76
-      coreTNTRewardShare = 167.36
-      break
-    case (rewardBlockCount < 48000):
-      nodeTNTRewardShare = 2543.85
-      coreTNTRewardShare = 133.89
-      break
-    case (rewardBlockCount < 57600):
-      nodeTNTRewardShare = 2035.11
-      coreTNTRewardShare = 107.11
-      break
-    case (rewardBlockCount < 67200):
-      nodeTNTRewardShare = 1628.13
-      coreTNTRewardShare = 85.69
-      break
-    case (rewardBlockCount < 76800):
-      nodeTNTRewardShare = 1302.54
-      coreTNTRewardShare = 68.55
-      break
-    case (rewardBlockCount < 86400):
-      nodeTNTRewardShare = 1042.07
-      coreTNTRewardShare = 54.85
-      break
-    case (rewardBlockCount < 96000):
-      nodeTNTRewardShare = 833.69
-      coreTNTRewardShare = 43.88
-      break
-    case (rewardBlockCount < 105600):
-      nodeTNTRewardShare = 666.99
-      coreTNTRewardShare = 35.10
-      break
-    case (rewardBlockCount < 115200):
-      nodeTNTRewardShare = 533.63
-      coreTNTRewardShare = 28.09
-      break
-    case (rewardBlockCount < 124800):
-      nodeTNTRewardShare = 426.94
-      coreTNTRewardShare = 22.47
-      break
-    case (rewardBlockCount < 134400):
-      nodeTNTRewardShare = 341.59
-      coreTNTRewardShare = 17.98
-      break
-  }
-  */
-  let nodeTNTGrainsRewardShare = tntUnits.tntToGrains(nodeTNTRewardShare)
-  let coreTNTGrainsRewardShare = tntUnits.tntToGrains(coreTNTRewardShare)
+  let epoch = rewardScheduleLib.getCurrentEpoch(rewardSchedule, position)
+  if (!epoch) throw new Error(`The first epoch of reward schedule version ${rewardSchedule.version} has not started`)
+
+  let nodeTNTGrainsRewardShare = tntUnits.tntToGrains(epoch.node)
+  let coreTNTGrainsRewardShare = tntUnits.tntToGrains(epoch.core)
   return {
     nodeTNTGrainsRewardShare: nodeTNTGrainsRewardShare,
     coreTNTGrainsRewardShare: coreTNTGrainsRewardShare,
@@ -290,13 +329,19 @@ async function openStorageConnectionAsync () {
   let sqlzModelArray = [
     registeredNode,
     registeredCore,
-    calendarBlock
+    calendarBlock,
+    e2eNodeAuditLog,
+    beaconPulse,
+    rewardPayout
   ]
   let cxObjects = await connections.openStorageConnectionAsync(sqlzModelArray)
   sequelize = cxObjects.sequelize
   RegisteredNode = cxObjects.models[0]
   RegisteredCore = cxObjects.models[1]
   CalendarBlock = cxObjects.models[2]
+  E2ENodeAuditLog = cxObjects.models[3]
+  BeaconPulse = cxObjects.models[4]
+  RewardPayout = cxObjects.models[5]
 }
 
 /**
@@ -358,6 +403,30 @@ function setTNTRewardTrigger () {
   })
 }
 
+// This initializes all the consul watches
+function startConsulWatches () {
+  let watches = [{
+    key: env.REWARD_SCHEDULE_KEY,
+    onChange: (data, res) => {
+      // process only if a value has been returned
+      if (data && data.Value) {
+        try {
+          rewardSchedule = rewardScheduleLib.parseSchedule(data.Value)
+          console.log(`Reward schedule version ${rewardSchedule.version} with ${rewardSchedule.epochs.length} epochs loaded`)
+        } catch (error) {
+          console.error(`Reward schedule update ignored : ${error.message}`)
+        }
+      }
+    },
+    onError: null
+  }]
+
+  let defaults = [
+    { key: env.REWARD_SCHEDULE_KEY, value: JSON.stringify(rewardScheduleLib.DEFAULT_SCHEDULE, null, 2) }
+  ]
+  connections.startConsulWatches(consul, watches, defaults)
+}
+
 async function setTimedTriggeredEventsAsync () {
   setTNTRewardTrigger()
 }
@@ -369,11 +438,14 @@ async function start () {
     // init rabbitMQ
     await openRMQConnectionAsync(env.RABBITMQ_CONNECT_URI)
     // init consul and perform leader election
+    consul = connections.initConsul(cnsl, env.CONSUL_HOST, env.CONSUL_PORT)
     performLeaderElection()
     // init DB
     await openStorageConnectionAsync()
     // Check Core registration
     await registerCoreAsync()
+    // init consul watches
+    startConsulWatches()
     // init interval functions
     await setTimedTriggeredEventsAsync()
     console.log('startup completed successfully')
@@ -0,0 +1,166 @@
+/* global describe, it */
+
+process.env.NODE_ENV = 'test'
+
+// test related packages
+var expect = require('chai').expect
+var crypto = require('crypto')
+
+var rewardLottery = require('../lib/rewardLottery.js')
+
+function sha256Hex (str) {
+  return crypto.createHash('sha256').update(str).digest('hex')
+}
+
+// the value drawn in the given round of the draw with the given seed
+function drawValue (seed, round) {
+  return parseInt(sha256Hex(`${seed}:${round}`).slice(0, 12), 16)
+}
+
+describe('Get Seed', () => {
+  it('should hash the beacon pulse and the previous reward block hash', (done) => {
+    let nist = 'nistv2:1544731200000:' + 'ab'.repeat(64)
+    let blockHash = 'cd'.repeat(32)
+    expect(rewardLottery.getSeed(nist, blockHash)).to.equal(sha256Hex(`${nist}:${blockHash}`))
+    done()
+  })
+})
+
+describe('Sort Candidates', () => {
+  it('should sort candidates ascending by TNT address', (done) => {
+    let candidates = [
+      { tntAddr: '0x' + 'cc'.repeat(20), weight: 3 },
+      { tntAddr: '0x' + '0a'.repeat(20), weight: 1 },
+      { tntAddr: '0x' + 'ab'.repeat(20), weight: 2 }
+    ]
+    let sorted = rewardLottery.sortCandidates(candidates)
+    expect(sorted.map((candidate) => candidate.weight)).to.deep.equal([1, 2, 3])
+    done()
+  })
+
+  it('should not reorder the given candidates', (done) => {
+    let candidates = [
+      { tntAddr: '0x' + 'cc'.repeat(20), weight: 3 },
+      { tntAddr: '0x' + '0a'.repeat(20), weight: 1 }
+    ]
+    rewardLottery.sortCandidates(candidates)
+    expect(candidates[0].weight).to.equal(3)
+    done()
+  })
+})
+
+describe('Get Candidate List Hash', () => {
+  it('should hash the comma separated address and weight of each candidate', (done) => {
+    let candidates = [
+      { tntAddr: '0x' + '0a'.repeat(20), weight: 120 },
+      { tntAddr: '0x' + 'ab'.repeat(20), weight: 84 }
+    ]
+    let expectedHash = sha256Hex(`0x${'0a'.repeat(20)}:120,0x${'ab'.repeat(20)}:84`)
+    expect(rewardLottery.getCandidateListHash(candidates)).to.equal(expectedHash)
+    done()
+  })
+
+  it('should commit to the order and weights of the candidates', (done) => {
+    let candidates = [
+      { tntAddr: '0x' + '0a'.repeat(20), weight: 120 },
+      { tntAddr: '0x' + 'ab'.repeat(20), weight: 84 }
+    ]
+    let hash = rewardLottery.getCandidateListHash(candidates)
+    expect(rewardLottery.getCandidateListHash(candidates.slice().reverse())).to.not.equal(hash)
+    expect(rewardLottery.getCandidateListHash([candidates[0], { tntAddr: candidates[1].tntAddr, weight: 85 }])).to.not.equal(hash)
+    done()
+  })
+})
+
+describe('Select Winner Index', () => {
+  it('should throw with no candidates', (done) => {
+    expect(() => rewardLottery.selectWinnerIndex('ab'.repeat(32), [])).to.throw('invalid total weight 0')
+    done()
+  })
+
+  it('should throw when the total weight is too large to draw', (done) => {
+    let candidates = [{ tntAddr: '0x' + '0a'.repeat(20), weight: 2 ** 48 + 1 }]
+    expect(() => rewardLottery.selectWinnerIndex('ab'.repeat(32), candidates)).to.throw('invalid total weight')
+    done()
+  })
+
+  it('should select the only candidate', (done) => {
+    let candidates = [{ tntAddr: '0x' + '0a'.repeat(20), weight: 5 }]
+    expect(rewardLottery.selectWinnerIndex('ab'.repeat(32), candidates)).to.equal(0)
+    done()
+  })
+
+  it('should select the same winner for the same seed and candidates', (done) => {
+    let candidates = []
+    for (let x = 0; x < 100; x++) candidates.push({ tntAddr: '0x' + x.toString(16).padStart(40, '0'), weight: x + 1 })
+    let seed = sha256Hex('seed')
+    let winnerIndex = rewardLottery.selectWinnerIndex(seed, candidates)
+    expect(winnerIndex).to.be.within(0, 99)
+    expect(rewardLottery.selectWinnerIndex(seed, candidates)).to.equal(winnerIndex)
+    done()
+  })
+
+  it('should select the candidate whose cumulative weight range contains the draw', (done) => {
+    let candidates = [
+      { tntAddr: '0x' + '0a'.repeat(20), weight: 3 },
+      { tntAddr: '0x' + 'ab'.repeat(20), weight: 4 },
+      { tntAddr: '0x' + 'cc'.repeat(20), weight: 5 }
+    ]
+    for (let x = 0; x < 20; x++) {
+      let seed = sha256Hex(`seed ${x}`)
+      // with a total weight of 12 a biased value is too rare to occur among these seeds
+      let target = drawValue(seed, 0) % 12
+      let expectedIndex = target < 3 ? 0 : target < 7 ? 1 : 2
+      expect(rewardLottery.selectWinnerIndex(seed, candidates)).to.equal(expectedIndex)
+    }
+    done()
+  })
+
+  it('should never select a candidate with no weight', (done) => {
+    let candidates = [
+      { tntAddr: '0x' + '0a'.repeat(20), weight: 0 },
+      { tntAddr: '0x' + 'ab'.repeat(20), weight: 1 },
+      { tntAddr: '0x' + 'cc'.repeat(20), weight: 0 }
+    ]
+    for (let x = 0; x < 20; x++) {
+      expect(rewardLottery.selectWinnerIndex(sha256Hex(`seed ${x}`), candidates)).to.equal(1)
+    }
+    done()
+  })
+
+  it('should discard a biased draw and use the next round', (done) => {
+    // with a total weight of 2^47 + 1, values at or above 2^47 + 1 are biased, about half of all draws
+    let candidates = [
+      { tntAddr: '0x' + '0a'.repeat(20), weight: 2 ** 46 },
+      { tntAddr: '0x' + 'ab'.repeat(20), weight: 2 ** 46 + 1 }
+    ]
+    let drawLimit = 2 ** 47 + 1
+    let indexOf = (value) => value % drawLimit < 2 ** 46 ? 0 : 1
+
+    // find a seed whose biased first round would select a different winner than the round used
+    let seed
+    let expectedIndex
+    for (let x = 0; seed === undefined; x++) {
+      let candidateSeed = sha256Hex(`seed ${x}`)
+      if (drawValue(candidateSeed, 0) < drawLimit) continue
+      let round = 1
+      while (drawValue(candidateSeed, round) >= drawLimit) round++
+      if (indexOf(drawValue(candidateSeed, round)) === indexOf(drawValue(candidateSeed, 0))) continue
+      seed = candidateSeed
+      expectedIndex = indexOf(drawValue(candidateSeed, round))
+    }
+    expect(rewardLottery.selectWinnerIndex(seed, candidates)).to.equal(expectedIndex)
+    done()
+  })
+
+  it('should select candidates in proportion to their weight', (done) => {
+    let candidates = [
+      { tntAddr: '0x' + '0a'.repeat(20), weight: 1 },
+      { tntAddr: '0x' + 'ab'.repeat(20), weight: 3 }
+    ]
+    let wins = [0, 0]
+    for (let x = 0; x < 2000; x++) wins[rewardLottery.selectWinnerIndex(sha256Hex(`seed ${x}`), candidates)]++
+    expect(wins[1] / 2000).to.be.within(0.7, 0.8)
+    done()
+  })
+})
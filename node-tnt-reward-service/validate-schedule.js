@@ -0,0 +1,43 @@
+/* Copyright (C) 2018 Tierion
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU Affero General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU Affero General Public License for more details.
+ *
+ * You should have received a copy of the GNU Affero General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+
+// Validates a reward schedule document before it is set in consul
+//
+// Usage: yarn validate-schedule <schedule.json>
+
+const fs = require('fs')
+const rewardSchedule = require('./lib/rewardSchedule.js')
+
+let schedulePath = process.argv[2]
+if (!schedulePath) {
+  console.error('Usage: yarn validate-schedule <schedule.json>')
+  process.exit(2)
+}
+
+let schedule
+try {
+  schedule = JSON.parse(fs.readFileSync(schedulePath, 'utf8'))
+} catch (error) {
+  console.error(`Could not read schedule ${schedulePath} : ${error.message}`)
+  process.exit(1)
+}
+
+let errors = rewardSchedule.validateSchedule(schedule)
+if (errors.length > 0) {
+  errors.forEach((error) => console.error(`Invalid : ${error}`))
+  process.exit(1)
+}
+console.log(`Valid reward schedule version ${schedule.version} with ${schedule.epochs.length} epochs by ${schedule.epoch_type}`)